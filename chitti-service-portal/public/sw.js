@@ -0,0 +1,81 @@
+// App-shell service worker. Pages are served network-first with the cached
+// shell as the offline fallback; built assets are content-hashed, so they
+// are served cache-first. Installing caches the shell plus every file the
+// build lists in precache-manifest.json (vite-plugins/precacheManifest.js),
+// so the app opens offline even after a single visit. Supabase and other
+// cross-origin requests are left alone: the customer's data is kept offline
+// in IndexedDB instead (see src/services/offlineQueue.js).
+
+const CACHE = "chitti-shell-v1";
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg"];
+const PRECACHE_MANIFEST = "/precache-manifest.json";
+
+const buildFiles = async () => {
+  const response = await fetch(PRECACHE_MANIFEST, { cache: "no-store" });
+  if (!response.ok) {
+    throw new Error(`Could not load ${PRECACHE_MANIFEST} (${response.status})`);
+  }
+  const { files } = await response.json();
+  return files;
+};
+
+// A failed download fails the install, so the worker never takes over with
+// half an app cached; the browser tries again on the next visit.
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(CACHE), buildFiles()]).then(([cache, files]) =>
+      cache.addAll([...new Set([...SHELL, ...files])]),
+    ),
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key !== CACHE).map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put("/index.html", response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match("/index.html");
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/__local-uploads")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
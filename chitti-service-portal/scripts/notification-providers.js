@@ -0,0 +1,42 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createConsoleProvider } from "../src/notifications/providers.js";
+
+// Development provider that appends every message to a local outbox file
+// instead of sending it.
+export const createFileProvider = (
+  file = ".local-notifications/outbox.log",
+) => {
+  const target = path.resolve(file);
+
+  return {
+    name: "file",
+    async send({ channel, to, subject, body }) {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      const entry = [
+        `--- ${new Date().toISOString()} ${channel} to ${to}`,
+        subject && `Subject: ${subject}`,
+        body,
+        "",
+      ]
+        .filter((line) => typeof line === "string")
+        .join("\n");
+      await fs.appendFile(target, `${entry}\n`);
+    },
+  };
+};
+
+// Picks a provider by name (NOTIFY_PROVIDER). Add real email/SMS gateways
+// here; each only needs `name` and `send()`.
+export const createProvider = (name, options = {}) => {
+  switch (name) {
+    case "file":
+      return createFileProvider(options.outbox);
+    case "console":
+    case undefined:
+    case "":
+      return createConsoleProvider();
+    default:
+      throw new Error(`Unknown notification provider "${name}".`);
+  }
+};
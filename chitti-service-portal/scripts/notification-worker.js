@@ -0,0 +1,144 @@
+import { createClient } from "@supabase/supabase-js";
+import { createNotifier } from "../src/notifications/notifier.js";
+import { createProvider } from "./notification-providers.js";
+
+// Sends customer notifications for new complaint events. Polls for events
+// without notified_at, so nothing is lost while the worker is down and each
+// event is handled once even across restarts. An event whose handling fails
+// (say the database cannot be reached) stays unnotified and is tried again
+// on later polls, up to NOTIFY_MAX_ATTEMPTS times; the last error is kept in
+// complaint_events.notify_error. A retry skips the channels that were sent
+// on an earlier attempt.
+//
+//   SUPABASE_URL (or VITE_SUPABASE_URL), SUPABASE_SERVICE_ROLE_KEY
+//   NOTIFY_PROVIDER      console (default) | file
+//   NOTIFY_OUTBOX        file provider output, default .local-notifications/outbox.log
+//   APP_URL              base URL for links in messages, default http://localhost:5173
+//   NOTIFY_POLL_MS       default 5000
+//   NOTIFY_MAX_ATTEMPTS  default 5
+
+const env = process.env;
+const supabaseUrl = env.SUPABASE_URL || env.VITE_SUPABASE_URL;
+const serviceKey = env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !serviceKey) {
+  console.error(
+    "Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY to run the notification worker.",
+  );
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, serviceKey, {
+  auth: { persistSession: false },
+});
+const pollMs = Number(env.NOTIFY_POLL_MS) || 5000;
+const maxAttempts = Number(env.NOTIFY_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 50;
+
+const notifier = createNotifier({
+  provider: createProvider(env.NOTIFY_PROVIDER, { outbox: env.NOTIFY_OUTBOX }),
+  appUrl: env.APP_URL || "http://localhost:5173",
+
+  async loadContext(event) {
+    const { data: complaint, error } = await supabase
+      .from("complaints")
+      .select("*, customer:users (name, email, phone)")
+      .eq("id", event.complaint_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!complaint) return {};
+
+    const { data: preferences, error: preferencesError } = await supabase
+      .from("notification_preferences")
+      .select("email_enabled, sms_enabled")
+      .eq("user_id", complaint.user_id)
+      .maybeSingle();
+    if (preferencesError) throw preferencesError;
+
+    return { complaint, customer: complaint.customer, preferences };
+  },
+
+  async recordDelivery(delivery) {
+    const { error } = await supabase
+      .from("notification_deliveries")
+      .insert([delivery]);
+    if (error) throw error;
+  },
+
+  async sentChannels(event) {
+    const { data, error } = await supabase
+      .from("notification_deliveries")
+      .select("channel")
+      .eq("event_id", event.id)
+      .eq("status", "sent");
+    if (error) throw error;
+    return data.map((row) => row.channel);
+  },
+});
+
+const markEvent = async (eventId, changes) => {
+  const { error } = await supabase
+    .from("complaint_events")
+    .update(changes)
+    .eq("id", eventId);
+  if (error) throw error;
+};
+
+// Returns how many events were picked up, handled or not.
+const processPending = async () => {
+  const { data: events, error } = await supabase
+    .from("complaint_events")
+    .select("*")
+    .is("notified_at", null)
+    .lt("notify_attempts", maxAttempts)
+    .order("created_at", { ascending: true })
+    .limit(BATCH_SIZE);
+  if (error) throw error;
+
+  let failed = 0;
+  for (const event of events) {
+    try {
+      await notifier.handleEvent(event);
+    } catch (handleError) {
+      const attempts = event.notify_attempts + 1;
+      console.error(
+        `Error notifying for event ${event.id} (attempt ${attempts} of ${maxAttempts}):`,
+        handleError,
+      );
+      await markEvent(event.id, {
+        notify_attempts: attempts,
+        notify_error: handleError.message || String(handleError),
+      });
+      failed += 1;
+      continue;
+    }
+
+    await markEvent(event.id, {
+      notified_at: new Date().toISOString(),
+      notify_error: null,
+    });
+  }
+
+  return { count: events.length, failed };
+};
+
+let stopped = false;
+process.on("SIGINT", () => {
+  stopped = true;
+});
+process.on("SIGTERM", () => {
+  stopped = true;
+});
+
+console.info(`Notification worker polling every ${pollMs} ms.`);
+while (!stopped) {
+  try {
+    // A full batch probably means more are waiting; go again straight away,
+    // unless events are failing, which then wait for the next poll.
+    const { count, failed } = await processPending();
+    if (count === BATCH_SIZE && failed === 0) continue;
+  } catch (error) {
+    console.error("Error polling complaint events:", error);
+  }
+  await new Promise((resolve) => setTimeout(resolve, pollMs));
+}
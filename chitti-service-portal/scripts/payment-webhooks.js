@@ -0,0 +1,145 @@
+import http from "node:http";
+import { createClient } from "@supabase/supabase-js";
+import {
+  MOCK_SIGNATURE_HEADER,
+  createPaymentGateway,
+  handleWebhook,
+} from "../src/payments/gateways.js";
+
+// Receives payment gateway webhooks and settles the pending payment they
+// refer to. Gateways retry, so a payment that is no longer pending is left
+// alone and the webhook still acknowledged.
+//
+//   SUPABASE_URL (or VITE_SUPABASE_URL), SUPABASE_SERVICE_ROLE_KEY
+//   PAYMENT_WEBHOOK_PORT  default 8787
+//   MOCK_GATEWAY_ENABLED  "true" to accept mock gateway webhooks; local
+//                         development only, see gatewayFor()
+//   MOCK_GATEWAY_SECRET   must match the app's VITE_MOCK_GATEWAY_SECRET
+//   APP_URL               origin allowed to post mock webhooks from the
+//                         browser, default http://localhost:5173
+//
+// Gateways post to /webhooks/<gateway name>, e.g. /webhooks/mock.
+
+const env = process.env;
+const supabaseUrl = env.SUPABASE_URL || env.VITE_SUPABASE_URL;
+const serviceKey = env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !serviceKey) {
+  console.error(
+    "Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY to run the payment webhook server.",
+  );
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, serviceKey, {
+  auth: { persistSession: false },
+});
+const port = Number(env.PAYMENT_WEBHOOK_PORT) || 8787;
+const appUrl = env.APP_URL || "http://localhost:5173";
+const mockGatewayEnabled = env.MOCK_GATEWAY_ENABLED === "true";
+
+const gateways = new Map();
+const gatewayFor = (name) => {
+  // The mock's signing secret is built into the app bundle, so anyone
+  // signed in could sign a "payment.succeeded" webhook for their own
+  // payment. It is refused unless the server was started for development.
+  if (name === "mock" && !mockGatewayEnabled) {
+    throw new Error("The mock payment gateway is not enabled on this server");
+  }
+  if (!gateways.has(name)) {
+    gateways.set(
+      name,
+      createPaymentGateway(name, { secret: env.MOCK_GATEWAY_SECRET }),
+    );
+  }
+  return gateways.get(name);
+};
+
+// settle_payment() locks the invoice and re-checks its balance, so a late
+// webhook for an expired checkout cannot overpay it.
+const applyResult = async ({ paymentId, status, gatewayReference, error }) => {
+  const { data, error: settleError } = await supabase.rpc("settle_payment", {
+    p_payment_id: paymentId,
+    p_status: status,
+    p_gateway_reference: gatewayReference,
+    p_error: error || null,
+  });
+  if (settleError) throw settleError;
+  return data;
+};
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+
+const send = (response, status, payload) => {
+  response.writeHead(status, {
+    "content-type": "application/json",
+    "access-control-allow-origin": appUrl,
+  });
+  response.end(JSON.stringify(payload));
+};
+
+const server = http.createServer(async (request, response) => {
+  // The mock checkout page runs in the browser and posts from the app's
+  // origin; real gateways call server to server.
+  if (request.method === "OPTIONS") {
+    response.writeHead(204, {
+      "access-control-allow-origin": appUrl,
+      "access-control-allow-methods": "POST",
+      "access-control-allow-headers": `content-type, ${MOCK_SIGNATURE_HEADER}`,
+    });
+    response.end();
+    return;
+  }
+
+  const match = request.url.match(/^\/webhooks\/([\w-]+)$/);
+  if (request.method !== "POST" || !match) {
+    send(response, 404, { error: "Not found" });
+    return;
+  }
+
+  let gateway;
+  try {
+    gateway = gatewayFor(match[1]);
+  } catch (error) {
+    send(response, 404, { error: error.message });
+    return;
+  }
+
+  try {
+    const body = await readBody(request);
+    const result = await handleWebhook(
+      gateway,
+      { body, headers: request.headers },
+      applyResult,
+    );
+    console.info(
+      `[${gateway.name}] payment ${result.paymentId} ${result.status}${result.applied ? "" : " (already settled)"}`,
+    );
+    send(response, 200, { received: true });
+  } catch (error) {
+    console.error(`Error handling ${gateway.name} webhook:`, error);
+    send(response, 400, { error: error.message });
+  }
+});
+
+server.listen(port, () => {
+  console.info(`Payment webhooks listening on http://localhost:${port}`);
+  if (mockGatewayEnabled) {
+    console.warn(
+      "Mock gateway webhooks are accepted (MOCK_GATEWAY_ENABLED); never do this in production.",
+    );
+  }
+});
+
+const stop = () => server.close(() => process.exit(0));
+process.on("SIGINT", stop);
+process.on("SIGTERM", stop);
@@ -1,52 +1,73 @@
 import { useState, useEffect } from "react";
-import { supabase } from "./supabaseClient";
+import { BrowserRouter, Navigate, Route, Routes } from "react-router-dom";
+import { usersRepository } from "./repositories";
 import Login from "./components/Login";
 import CustomerDashboard from "./components/CustomerDashboard";
 import CompanyDashboard from "./components/CompanyDashboard";
+import TechnicianDashboard from "./components/TechnicianDashboard";
+import ConnectionIndicator from "./components/ConnectionIndicator";
+import LocaleSwitcher from "./components/LocaleSwitcher";
+import NotificationBell from "./components/NotificationBell";
+import MockGatewayCheckout from "./components/MockGatewayCheckout";
+import RoleRoute from "./components/RoleRoute";
+import { homePathFor } from "./services/routes";
+import { MOCK_CHECKOUT_PATH } from "./payments/gateways";
+import { setLocale, t } from "./i18n";
+import useLocale from "./hooks/useLocale";
 import "./App.css";
 
+// A signed-in user's saved language and time zone win over this device's.
+const loadUserSettings = (userId) =>
+  usersRepository
+    .getSettings(userId)
+    .then((settings) => {
+      if (settings) {
+        setLocale({
+          language: settings.language,
+          timeZone: settings.time_zone,
+        });
+      }
+    })
+    .catch((error) => console.error("Error fetching user settings:", error));
+
 function App() {
+  // Re-renders the whole portal when the language or time zone changes.
+  useLocale();
   const [session, setSession] = useState(null);
   const [userRole, setUserRole] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     // Get initial session
-    supabase.auth.getSession().then(({ data: { session } }) => {
+    usersRepository.getSession().then((session) => {
       setSession(session);
       if (session) {
         fetchUserRole(session.user.id);
+        loadUserSettings(session.user.id);
       } else {
         setLoading(false);
       }
     });
 
     // Listen for auth changes
-    const {
-      data: { subscription },
-    } = supabase.auth.onAuthStateChange((_event, session) => {
+    const unsubscribe = usersRepository.onAuthStateChange((session) => {
       setSession(session);
       if (session) {
         fetchUserRole(session.user.id);
+        loadUserSettings(session.user.id);
       } else {
         setUserRole(null);
         setLoading(false);
       }
     });
 
-    return () => subscription.unsubscribe();
+    return unsubscribe;
   }, []);
 
   const fetchUserRole = async (userId) => {
     try {
-      const { data, error } = await supabase
-        .from("users")
-        .select("role")
-        .eq("id", userId)
-        .single();
-
-      if (error) throw error;
-      setUserRole(data?.role || "customer");
+      const role = await usersRepository.getRole(userId);
+      setUserRole(role || "customer");
     } catch (error) {
       console.error("Error fetching user role:", error);
       setUserRole("customer"); // Default to customer
@@ -56,16 +77,18 @@ function App() {
   };
 
   const handleLogout = async () => {
-    await supabase.auth.signOut();
+    await usersRepository.signOut();
     setSession(null);
     setUserRole(null);
   };
 
-  if (loading) {
+  // A sign-in sets the session before its role has been fetched; routing
+  // without the role would send a bookmarked link to the wrong dashboard.
+  if (loading || (session && !userRole)) {
     return (
       <div className="loading-container">
         <div className="spinner"></div>
-        <p>Loading...</p>
+        <p>{t("common.loading")}</p>
       </div>
     );
   }
@@ -74,30 +97,85 @@ function App() {
     return <Login />;
   }
 
+  const customerDashboard = (
+    <RoleRoute role={userRole} allow={["customer"]}>
+      <CustomerDashboard session={session} />
+    </RoleRoute>
+  );
+
+  const companyDashboard = (view) => (
+    <RoleRoute role={userRole} allow={["company"]}>
+      <CompanyDashboard session={session} view={view} />
+    </RoleRoute>
+  );
+
   return (
-    <div className="app">
-      <header className="app-header">
-        <div className="header-content">
-          <h1>⚡ EV Bicycle Service Portal</h1>
-          <div className="header-actions">
-            <span className="user-info">
-              {session.user.email} ({userRole})
-            </span>
-            <button onClick={handleLogout} className="btn-logout">
-              Logout
-            </button>
+    <BrowserRouter>
+      <div className="app">
+        <header className="app-header">
+          <div className="header-content">
+            <h1>⚡ {t("app.title")}</h1>
+            <div className="header-actions">
+              <ConnectionIndicator />
+              <NotificationBell session={session} role={userRole} />
+              <LocaleSwitcher userId={session.user.id} />
+              <span className="user-info">
+                {t("app.userInfo", {
+                  email: session.user.email,
+                  role: t(`role.${userRole}`),
+                })}
+              </span>
+              <button onClick={handleLogout} className="btn-logout">
+                {t("app.logout")}
+              </button>
+            </div>
           </div>
-        </div>
-      </header>
+        </header>
 
-      <main className="app-main">
-        {userRole === "company" ? (
-          <CompanyDashboard session={session} />
-        ) : (
-          <CustomerDashboard session={session} />
-        )}
-      </main>
-    </div>
+        <main className="app-main">
+          <Routes>
+            <Route
+              path="/"
+              element={<Navigate to={homePathFor(userRole)} replace />}
+            />
+            <Route path="/requests/new" element={customerDashboard} />
+            <Route path="/requests/:id?" element={customerDashboard} />
+            <Route
+              path="/admin/requests/:id?"
+              element={companyDashboard("requests")}
+            />
+            <Route
+              path="/admin/calendar/:id?"
+              element={companyDashboard("calendar")}
+            />
+            <Route
+              path="/admin/analytics"
+              element={companyDashboard("analytics")}
+            />
+            <Route
+              path="/admin/notifications"
+              element={companyDashboard("notifications")}
+            />
+            <Route
+              path="/jobs/:id?"
+              element={
+                <RoleRoute role={userRole} allow={["technician"]}>
+                  <TechnicianDashboard session={session} />
+                </RoleRoute>
+              }
+            />
+            <Route
+              path={MOCK_CHECKOUT_PATH}
+              element={<MockGatewayCheckout />}
+            />
+            <Route
+              path="*"
+              element={<Navigate to={homePathFor(userRole)} replace />}
+            />
+          </Routes>
+        </main>
+      </div>
+    </BrowserRouter>
   );
 }
 
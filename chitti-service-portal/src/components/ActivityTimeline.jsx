@@ -0,0 +1,49 @@
+import { describeEvent } from "../services/complaintEvents";
+import { formatDateTime, t } from "../i18n";
+import "./ActivityTimeline.css";
+
+// Free-text changes whose old and new text staff can compare.
+const DIFFED_EVENTS = ["notes_changed", "description_changed"];
+
+function ActivityTimeline({ events, showDetails = false }) {
+  if (!events || events.length === 0) {
+    return <p className="timeline-empty">{t("timeline.empty")}</p>;
+  }
+
+  return (
+    <ol className="activity-timeline">
+      {events.map((event) => (
+        <li key={event.id} className={`timeline-item ${event.event_type}`}>
+          <div className="timeline-summary">
+            <span className="timeline-description">{describeEvent(event)}</span>
+            <span className="timeline-date">
+              {formatDateTime(event.created_at)}
+            </span>
+          </div>
+          {event.actor?.name && (
+            <div className="timeline-actor">
+              {showDetails && event.actor.role
+                ? t("timeline.byWithRole", {
+                    name: event.actor.name,
+                    role: t(`role.${event.actor.role}`),
+                  })
+                : t("timeline.by", { name: event.actor.name })}
+            </div>
+          )}
+          {showDetails && DIFFED_EVENTS.includes(event.event_type) && (
+            <div className="timeline-diff">
+              {event.old_value && (
+                <p className="timeline-old">{event.old_value}</p>
+              )}
+              <p className="timeline-new">
+                {event.new_value || t("timeline.cleared")}
+              </p>
+            </div>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default ActivityTimeline;
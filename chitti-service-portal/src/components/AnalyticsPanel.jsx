@@ -0,0 +1,397 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { complaintsRepository, ratingsRepository } from "../repositories";
+import {
+  DEFAULT_RANGE_DAYS,
+  RANGE_PRESETS,
+  backlogAges,
+  formatDuration,
+  hotspotMatrix,
+  rangeBounds,
+  rangeForPreset,
+  toDateInput,
+  turnaroundStats,
+  weeklyIntake,
+} from "../services/analytics";
+import { getStatusColor, getStatusLabel } from "../services/complaintStatus";
+import { getIssueTypeLabel } from "../services/complaints";
+import {
+  formatStars,
+  getRatingLabel,
+  ratingStats,
+  reworkStats,
+} from "../services/ratings";
+import { formatCalendarDate, t } from "../i18n";
+import "./Ratings.css";
+import "./AnalyticsPanel.css";
+
+function AnalyticsPanel() {
+  const [range, setRange] = useState(() => rangeForPreset(DEFAULT_RANGE_DAYS));
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const bounds = rangeBounds(range);
+    Promise.all([
+      complaintsRepository.listAnalytics(bounds),
+      ratingsRepository.listRatings(bounds),
+    ])
+      .then(([rows, ratings]) => {
+        setData({ ...rows, ratings, range });
+        setError(null);
+      })
+      .catch((error) => {
+        console.error("Error fetching analytics:", error);
+        setError(t("analytics.loadError"));
+      });
+  }, [range]);
+
+  const changeRange = (changes) => {
+    const next = { ...range, ...changes };
+    if (next.from && next.to && next.from <= next.to) setRange(next);
+  };
+
+  const loading = !data || data.range !== range;
+
+  return (
+    <div className="analytics-panel">
+      <div className="analytics-controls">
+        <h2>{t("analytics.heading")}</h2>
+        <div className="analytics-range">
+          {RANGE_PRESETS.map(({ days, labelKey }) => (
+            <button
+              key={days}
+              className="btn-view"
+              onClick={() => setRange(rangeForPreset(days))}
+            >
+              {t(labelKey)}
+            </button>
+          ))}
+          <input
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => changeRange({ from: e.target.value })}
+            aria-label={t("filters.from")}
+          />
+          <span>{t("analytics.rangeTo")}</span>
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => changeRange({ to: e.target.value })}
+            aria-label={t("filters.to")}
+          />
+        </div>
+      </div>
+
+      {error && <p className="analytics-error">{error}</p>}
+      {!error && loading && (
+        <div className="loading">{t("analytics.loading")}</div>
+      )}
+      {!error && !loading && <AnalyticsReport data={data} />}
+
+      <FollowUpList />
+    </div>
+  );
+}
+
+function AnalyticsReport({ data }) {
+  const turnaround = turnaroundStats(data.created, data.statusChanges);
+  const backlog = backlogAges(data.open);
+  const intake = weeklyIntake(data.created, data.range);
+  const hotspots = hotspotMatrix(data.created);
+  const satisfaction = ratingStats(data.ratings);
+  const rework = reworkStats(data.created);
+
+  return (
+    <>
+      <div className="dashboard-stats">
+        <div className="stat-card">
+          <h3>{data.created.length}</h3>
+          <p>{t("analytics.received")}</p>
+        </div>
+        <div className="stat-card completed">
+          <h3>{turnaround.completed}</h3>
+          <p>{t("analytics.completed")}</p>
+        </div>
+        <div className="stat-card">
+          <h3>{formatDuration(turnaround.averageHours)}</h3>
+          <p>{t("analytics.averageTurnaround")}</p>
+        </div>
+        <div className="stat-card">
+          <h3>{formatDuration(turnaround.medianHours)}</h3>
+          <p>{t("analytics.medianTurnaround")}</p>
+        </div>
+        <div className="stat-card pending">
+          <h3>{backlog.total}</h3>
+          <p>{t("analytics.openBacklog")}</p>
+        </div>
+        <div className="stat-card overdue">
+          <h3>
+            {backlog.oldestDays == null
+              ? "—"
+              : formatDuration(backlog.oldestDays * 24)}
+          </h3>
+          <p>{t("analytics.oldestOpen")}</p>
+        </div>
+        <div className="stat-card">
+          <h3>
+            {satisfaction.average == null
+              ? "—"
+              : `${satisfaction.average.toFixed(1)} / 5`}
+          </h3>
+          <p>{t("analytics.averageRating", { count: satisfaction.count })}</p>
+        </div>
+        <div className="stat-card overdue">
+          <h3>
+            {rework.rate == null ? "—" : `${Math.round(rework.rate * 100)}%`}
+          </h3>
+          <p>
+            {t("analytics.reworkRate", {
+              reworked: rework.reworked,
+              finished: rework.finished,
+            })}
+          </p>
+        </div>
+      </div>
+
+      <div className="analytics-grid">
+        <section className="analytics-card">
+          <h3>{t("analytics.weeklyIntake")}</h3>
+          <ColumnChart
+            items={intake.map((week) => ({
+              key: week.weekStart.toISOString(),
+              label: formatCalendarDate(toDateInput(week.weekStart), {
+                month: "short",
+                day: "numeric",
+              }),
+              value: week.count,
+            }))}
+          />
+        </section>
+
+        <section className="analytics-card">
+          <h3>{t("analytics.timeInStatus")}</h3>
+          <BarList
+            items={turnaround.stages.map((stage) => ({
+              key: stage.status,
+              label: getStatusLabel(stage.status),
+              value: stage.averageHours || 0,
+              display: formatDuration(stage.averageHours),
+              color: getStatusColor(stage.status),
+            }))}
+          />
+        </section>
+
+        <section className="analytics-card">
+          <h3>
+            {backlog.medianDays == null
+              ? t("analytics.backlogAge")
+              : t("analytics.backlogAgeMedian", {
+                  median: formatDuration(backlog.medianDays * 24),
+                })}
+          </h3>
+          <BarList
+            items={backlog.buckets.map((bucket) => ({
+              key: bucket.labelKey,
+              label: t(bucket.labelKey),
+              value: bucket.count,
+              display: bucket.count,
+            }))}
+          />
+        </section>
+
+        <section className="analytics-card">
+          <h3>{t("analytics.customerRatings")}</h3>
+          {satisfaction.count === 0 ? (
+            <p className="analytics-empty">{t("analytics.noRatings")}</p>
+          ) : (
+            <BarList
+              items={satisfaction.distribution.map(({ stars, count }) => ({
+                key: stars,
+                label: `${stars} ★ ${getRatingLabel(stars)}`,
+                value: count,
+                display: count,
+              }))}
+            />
+          )}
+        </section>
+
+        <section className="analytics-card">
+          <h3>{t("analytics.topCombinations")}</h3>
+          {hotspots.combinations.length === 0 ? (
+            <p className="analytics-empty">{t("analytics.noRequests")}</p>
+          ) : (
+            <ol className="hotspot-list">
+              {hotspots.combinations.map(({ issue, model, count }) => (
+                <li key={`${issue}|${model}`}>
+                  <span>
+                    <strong>{getIssueTypeLabel(issue)}</strong>{" "}
+                    {t("analytics.onModel", { model })}
+                  </span>
+                  <span className="hotspot-count">{count}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </section>
+      </div>
+
+      {hotspots.issues.length > 0 && (
+        <section className="analytics-card">
+          <h3>{t("analytics.hotspots")}</h3>
+          <div className="table-container">
+            <table className="hotspot-table">
+              <thead>
+                <tr>
+                  <th>{t("analytics.issueByModel")}</th>
+                  {hotspots.models.map((model) => (
+                    <th key={model}>{model}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {hotspots.issues.map((issue) => (
+                  <tr key={issue}>
+                    <th>{getIssueTypeLabel(issue)}</th>
+                    {hotspots.models.map((model) => {
+                      const count = hotspots.countFor(issue, model);
+                      return (
+                        <td
+                          key={model}
+                          style={{
+                            background: `rgba(102, 126, 234, ${count / hotspots.max})`,
+                            color:
+                              count / hotspots.max > 0.5 ? "white" : "#374151",
+                          }}
+                        >
+                          {count || ""}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+    </>
+  );
+}
+
+// Low ratings nobody has followed up yet, oldest first. Not limited to the
+// chosen range: an old unhappy customer still needs a call.
+function FollowUpList() {
+  const [ratings, setRatings] = useState(null);
+
+  const loadFollowUps = () =>
+    ratingsRepository
+      .listFollowUps()
+      .then(setRatings)
+      .catch((error) => console.error("Error fetching follow-ups:", error));
+
+  useEffect(() => {
+    loadFollowUps();
+  }, []);
+
+  const markFollowedUp = async (rating) => {
+    try {
+      await ratingsRepository.markFollowedUp(rating.id);
+      loadFollowUps();
+    } catch (error) {
+      console.error("Error marking follow-up:", error);
+      alert(error.message || t("company.followUpError"));
+    }
+  };
+
+  if (!ratings) return null;
+
+  return (
+    <section className="analytics-card">
+      <h3>{t("analytics.followUps", { count: ratings.length })}</h3>
+      {ratings.length === 0 ? (
+        <p className="analytics-empty">{t("analytics.noFollowUps")}</p>
+      ) : (
+        <ul className="follow-up-list">
+          {ratings.map((rating) => (
+            <li key={rating.id}>
+              <span className="stars" title={getRatingLabel(rating.rating)}>
+                {formatStars(rating.rating)}
+              </span>
+              <span>
+                <Link to={`/admin/requests/${rating.complaint_id}`}>
+                  #{rating.complaint_id.slice(0, 8)}
+                </Link>{" "}
+                {rating.complaint?.users?.name} ·{" "}
+                {rating.complaint?.bicycle_model} ·{" "}
+                {getIssueTypeLabel(rating.complaint?.issue_type)}
+                {rating.complaint?.rework_count > 0 && (
+                  <span className="rework-badge">{t("common.rework")}</span>
+                )}
+                {rating.comment && (
+                  <p className="feedback-comment">"{rating.comment}"</p>
+                )}
+              </span>
+              <button onClick={() => markFollowedUp(rating)}>
+                {t("company.markFollowedUp")}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// Horizontal bars scaled to the largest value.
+function BarList({ items }) {
+  const max = Math.max(0, ...items.map((item) => item.value));
+  return (
+    <ul className="bar-list">
+      {items.map((item) => (
+        <li key={item.key}>
+          <span className="bar-label">{item.label}</span>
+          <span className="bar-track">
+            <span
+              className="bar-fill"
+              style={{
+                width: max ? `${(item.value / max) * 100}%` : 0,
+                background: item.color,
+              }}
+            />
+          </span>
+          <span className="bar-value">{item.display}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const COLUMN_HEIGHT = 140;
+
+// Vertical bars in px so the labels below them keep their space.
+function ColumnChart({ items }) {
+  const max = Math.max(0, ...items.map((item) => item.value));
+  return (
+    <div className="column-chart">
+      {items.map((item) => (
+        <div
+          key={item.key}
+          className="column"
+          title={`${item.label}: ${item.value}`}
+        >
+          <span className="column-value">{item.value || ""}</span>
+          <span
+            className="column-bar"
+            style={{ height: max ? (item.value / max) * COLUMN_HEIGHT : 0 }}
+          />
+          <span className="column-label">{item.label}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default AnalyticsPanel;
@@ -0,0 +1,150 @@
+import { useEffect, useState } from "react";
+import { appointmentsRepository } from "../repositories";
+import { addDays, startOfDay, startOfWeek } from "../services/appointments";
+import { toDateInput } from "../services/analytics";
+import { formatCalendarDate, formatTime, t } from "../i18n";
+import WorkshopSettings from "./WorkshopSettings";
+import "./Appointments.css";
+
+function AppointmentCalendar({ onSelectComplaint }) {
+  const [view, setView] = useState("week");
+  const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+  const [config, setConfig] = useState(null);
+  const [appointments, setAppointments] = useState([]);
+
+  const rangeStart = view === "week" ? startOfWeek(anchor) : anchor;
+  const dayCount = view === "week" ? 7 : 1;
+  const rangeStartTime = rangeStart.getTime();
+
+  const loadConfig = () =>
+    appointmentsRepository
+      .getWorkshopConfig()
+      .then(setConfig)
+      .catch((error) => console.error("Error fetching workshop hours:", error));
+
+  useEffect(() => {
+    loadConfig();
+  }, []);
+
+  useEffect(() => {
+    const from = new Date(rangeStartTime);
+    appointmentsRepository
+      .listBetween(from, addDays(from, dayCount))
+      .then(setAppointments)
+      .catch((error) => console.error("Error fetching appointments:", error));
+  }, [rangeStartTime, dayCount]);
+
+  const days = Array.from({ length: dayCount }, (_, i) =>
+    addDays(rangeStart, i),
+  );
+  const today = startOfDay(new Date()).getTime();
+
+  const step = (direction) => setAnchor(addDays(anchor, direction * dayCount));
+
+  // The grid's days are local midnights; formatting them as calendar dates
+  // keeps the user's time zone from moving them to a neighbouring day.
+  const title =
+    view === "week"
+      ? t("calendar.weekOf", {
+          date: formatCalendarDate(toDateInput(rangeStart)),
+        })
+      : formatCalendarDate(toDateInput(anchor), {
+          weekday: "long",
+          day: "numeric",
+          month: "long",
+        });
+
+  return (
+    <div className="appointment-calendar">
+      <div className="calendar-toolbar">
+        <h3>{title}</h3>
+        <div className="calendar-nav">
+          <button className="btn-view" onClick={() => step(-1)}>
+            {t("company.previousPage")}
+          </button>
+          <button
+            className="btn-view"
+            onClick={() => setAnchor(startOfDay(new Date()))}
+          >
+            {t("calendar.today")}
+          </button>
+          <button className="btn-view" onClick={() => step(1)}>
+            {t("company.nextPage")}
+          </button>
+        </div>
+        <div className="filter-buttons">
+          <button
+            className={view === "day" ? "active" : ""}
+            onClick={() => setView("day")}
+          >
+            {t("calendar.day")}
+          </button>
+          <button
+            className={view === "week" ? "active" : ""}
+            onClick={() => setView("week")}
+          >
+            {t("calendar.week")}
+          </button>
+        </div>
+      </div>
+
+      <div className="calendar-days">
+        {days.map((day) => {
+          const hours = config?.hours.find((h) => h.weekday === day.getDay());
+          const dayAppointments = appointments.filter(
+            (a) =>
+              startOfDay(new Date(a.slot_start)).getTime() === day.getTime(),
+          );
+
+          return (
+            <div
+              key={day.getTime()}
+              className={`calendar-day ${
+                day.getTime() === today ? "today" : ""
+              } ${hours && !hours.is_open ? "closed" : ""}`}
+            >
+              <div className="calendar-day-header">
+                <span>
+                  {formatCalendarDate(toDateInput(day), {
+                    weekday: "short",
+                    day: "numeric",
+                  })}
+                </span>
+                {config && hours?.is_open && (
+                  <span className="calendar-capacity">
+                    {dayAppointments.length}/{config.settings.daily_capacity}
+                  </span>
+                )}
+              </div>
+
+              {hours && !hours.is_open && <p>{t("calendar.closed")}</p>}
+
+              {dayAppointments.map((appointment) => (
+                <button
+                  key={appointment.id}
+                  className="calendar-appointment"
+                  onClick={() => onSelectComplaint(appointment.complaint_id)}
+                >
+                  <strong>{formatTime(appointment.slot_start)}</strong>
+                  {appointment.complaint?.users?.name ||
+                    t("company.column.customer")}{" "}
+                  · {appointment.complaint?.bicycle_model}
+                </button>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      {config && (
+        <WorkshopSettings
+          key={config.settings.updated_at}
+          config={config}
+          onSaved={loadConfig}
+        />
+      )}
+    </div>
+  );
+}
+
+export default AppointmentCalendar;
@@ -0,0 +1,89 @@
+import { useEffect, useState } from "react";
+import { appointmentsRepository } from "../repositories";
+import { addDays, getDaySlots, startOfDay } from "../services/appointments";
+import { formatTime, t } from "../i18n";
+import "./Appointments.css";
+
+const toDateInput = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+function AppointmentPicker({ value, onChange }) {
+  const [config, setConfig] = useState(null);
+  const [date, setDate] = useState(toDateInput(new Date()));
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(true);
+
+  useEffect(() => {
+    appointmentsRepository
+      .getWorkshopConfig()
+      .then(setConfig)
+      .catch((error) => console.error("Error fetching workshop hours:", error));
+  }, []);
+
+  useEffect(() => {
+    if (!config) return;
+
+    let cancelled = false;
+    const day = startOfDay(new Date(`${date}T00:00:00`));
+
+    appointmentsRepository
+      .getSlotCounts(day, addDays(day, 1))
+      .then((counts) => {
+        if (!cancelled) setSlots(getDaySlots(day, config, counts));
+      })
+      .catch((error) => console.error("Error fetching slots:", error))
+      .finally(() => {
+        if (!cancelled) setLoadingSlots(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [config, date]);
+
+  const handleDateChange = (e) => {
+    setLoadingSlots(true);
+    setDate(e.target.value);
+    onChange(null);
+  };
+
+  return (
+    <div className="appointment-picker">
+      <input
+        type="date"
+        value={date}
+        min={toDateInput(new Date())}
+        onChange={handleDateChange}
+      />
+
+      {loadingSlots ? (
+        <p className="slot-hint">{t("appointments.loadingSlots")}</p>
+      ) : slots.length === 0 ? (
+        <p className="slot-hint">{t("appointments.closed")}</p>
+      ) : !slots.some((slot) => slot.available) ? (
+        <p className="slot-hint">{t("appointments.fullyBooked")}</p>
+      ) : (
+        <div className="slot-grid">
+          {slots.map((slot) => (
+            <button
+              key={slot.start.getTime()}
+              type="button"
+              className={`slot-button ${
+                value?.getTime() === slot.start.getTime() ? "selected" : ""
+              }`}
+              disabled={!slot.available}
+              onClick={() => onChange(slot.start)}
+            >
+              {formatTime(slot.start)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AppointmentPicker;
@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import { isVideo } from "../services/complaintAttachments";
+import { t } from "../i18n";
+import "./Attachments.css";
+
+function AttachmentGallery({ attachments }) {
+  const [openIndex, setOpenIndex] = useState(null);
+  const current = openIndex === null ? null : attachments[openIndex];
+
+  const showPrevious = () =>
+    setOpenIndex((i) => (i - 1 + attachments.length) % attachments.length);
+  const showNext = () => setOpenIndex((i) => (i + 1) % attachments.length);
+
+  useEffect(() => {
+    if (openIndex === null) return;
+
+    const handleKey = (e) => {
+      if (e.key === "Escape") setOpenIndex(null);
+      if (e.key === "ArrowLeft") {
+        setOpenIndex((i) => (i - 1 + attachments.length) % attachments.length);
+      }
+      if (e.key === "ArrowRight") {
+        setOpenIndex((i) => (i + 1) % attachments.length);
+      }
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [openIndex, attachments.length]);
+
+  if (!attachments || attachments.length === 0) return null;
+
+  return (
+    <>
+      <div className="attachment-thumbnails">
+        {attachments.map((attachment, index) => (
+          <button
+            key={attachment.id}
+            type="button"
+            className="attachment-thumbnail"
+            onClick={() => setOpenIndex(index)}
+          >
+            {isVideo(attachment) ? (
+              <>
+                <video src={attachment.url} muted preload="metadata" />
+                <span className="attachment-play">▶</span>
+              </>
+            ) : (
+              <img src={attachment.url} alt={attachment.file_name} />
+            )}
+          </button>
+        ))}
+      </div>
+
+      {current && (
+        <div
+          className="lightbox-overlay"
+          onClick={(e) => {
+            e.stopPropagation();
+            setOpenIndex(null);
+          }}
+        >
+          <div
+            className="lightbox-content"
+            onClick={(e) => e.stopPropagation()}
+          >
+            {isVideo(current) ? (
+              <video src={current.url} controls autoPlay />
+            ) : (
+              <img src={current.url} alt={current.file_name} />
+            )}
+            <p className="lightbox-caption">
+              {current.file_name} ({openIndex + 1} / {attachments.length})
+            </p>
+          </div>
+          {attachments.length > 1 && (
+            <>
+              <button
+                type="button"
+                className="lightbox-nav prev"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  showPrevious();
+                }}
+                aria-label={t("attachments.previous")}
+              >
+                ‹
+              </button>
+              <button
+                type="button"
+                className="lightbox-nav next"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  showNext();
+                }}
+                aria-label={t("attachments.next")}
+              >
+                ›
+              </button>
+            </>
+          )}
+          <button
+            type="button"
+            className="lightbox-close"
+            onClick={() => setOpenIndex(null)}
+            aria-label={t("attachments.close")}
+          >
+            ×
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default AttachmentGallery;
@@ -0,0 +1,94 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  ACCEPTED_TYPES,
+  MAX_ATTACHMENTS,
+  isVideo,
+  validateAttachment,
+} from "../services/complaintAttachments";
+import { t } from "../i18n";
+import "./Attachments.css";
+
+function AttachmentPicker({ files, onChange }) {
+  const [errors, setErrors] = useState([]);
+
+  const previews = useMemo(
+    () => files.map((file) => URL.createObjectURL(file)),
+    [files],
+  );
+
+  useEffect(
+    () => () => previews.forEach((url) => URL.revokeObjectURL(url)),
+    [previews],
+  );
+
+  const handleSelect = async (e) => {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = "";
+
+    const accepted = [];
+    const newErrors = [];
+    for (const file of selected) {
+      const error = await validateAttachment(file);
+      if (error) newErrors.push(error);
+      else accepted.push(file);
+    }
+
+    const room = MAX_ATTACHMENTS - files.length;
+    if (accepted.length > room) {
+      newErrors.push(t("attachments.tooMany", { count: MAX_ATTACHMENTS }));
+    }
+
+    setErrors(newErrors);
+    onChange([...files, ...accepted.slice(0, Math.max(room, 0))]);
+  };
+
+  const removeFile = (index) => {
+    onChange(files.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="attachment-picker">
+      <input
+        type="file"
+        id="attachments"
+        accept={ACCEPTED_TYPES}
+        multiple
+        onChange={handleSelect}
+        disabled={files.length >= MAX_ATTACHMENTS}
+      />
+      <p className="attachment-hint">
+        {t("attachments.hint", { count: MAX_ATTACHMENTS })}
+      </p>
+
+      {errors.map((error) => (
+        <p key={error} className="attachment-error">
+          {error}
+        </p>
+      ))}
+
+      {files.length > 0 && (
+        <div className="attachment-thumbnails">
+          {files.map((file, index) => (
+            <div key={previews[index]} className="attachment-thumbnail">
+              {isVideo(file) ? (
+                <video src={previews[index]} muted />
+              ) : (
+                <img src={previews[index]} alt={file.name} />
+              )}
+              <button
+                type="button"
+                className="attachment-remove"
+                onClick={() => removeFile(index)}
+                aria-label={t("attachments.remove", { name: file.name })}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AttachmentPicker;
@@ -0,0 +1,92 @@
+import { useEffect, useState } from "react";
+import { bikesRepository } from "../repositories";
+import { t } from "../i18n";
+import "./BikeModelCatalog.css";
+
+function BikeModelCatalog() {
+  const [models, setModels] = useState([]);
+  const [name, setName] = useState("");
+  const [warrantyMonths, setWarrantyMonths] = useState(24);
+
+  const loadModels = () =>
+    bikesRepository
+      .listModels({ activeOnly: false })
+      .then(setModels)
+      .catch((error) => console.error("Error fetching bike models:", error));
+
+  useEffect(() => {
+    loadModels();
+  }, []);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      await bikesRepository.createModel({
+        name,
+        warrantyMonths: Number(warrantyMonths),
+      });
+      setName("");
+      loadModels();
+    } catch (error) {
+      console.error("Error adding bike model:", error);
+      alert(t("bikeModels.addError"));
+    }
+  };
+
+  const toggleActive = async (model) => {
+    try {
+      await bikesRepository.setModelActive(model.id, !model.active);
+      loadModels();
+    } catch (error) {
+      console.error("Error updating bike model:", error);
+      alert(t("bikeModels.updateError"));
+    }
+  };
+
+  return (
+    <details className="bike-model-catalog">
+      <summary>{t("bikeModels.heading", { count: models.length })}</summary>
+
+      <form className="catalog-form" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t("bikeModels.namePlaceholder")}
+          required
+        />
+        <label>
+          {t("bikeModels.warrantyMonths")}
+          <input
+            type="number"
+            min="0"
+            value={warrantyMonths}
+            onChange={(e) => setWarrantyMonths(e.target.value)}
+            required
+          />
+        </label>
+        <button type="submit" className="btn-view">
+          {t("bikeModels.add")}
+        </button>
+      </form>
+
+      <ul className="catalog-list">
+        {models.map((model) => (
+          <li key={model.id} className={model.active ? "" : "inactive"}>
+            <span>{model.name}</span>
+            <span className="catalog-warranty">
+              {t("bikeModels.warranty", { months: model.warranty_months })}
+            </span>
+            <button type="button" onClick={() => toggleActive(model)}>
+              {model.active
+                ? t("bikeModels.retire")
+                : t("bikeModels.reactivate")}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+export default BikeModelCatalog;
@@ -0,0 +1,191 @@
+import { useState } from "react";
+import {
+  BULK_ACTIONS,
+  countResults,
+  describeBulkAction,
+  getBulkActionLabel,
+} from "../services/bulkActions";
+import { PRIORITIES, getPriorityLabel } from "../services/complaints";
+import {
+  STATUSES,
+  getStatusLabel,
+  requiresReason,
+} from "../services/complaintStatus";
+import { t } from "../i18n";
+import "./BulkActions.css";
+
+const DEFAULT_VALUES = {
+  status: "in-progress",
+  priority: "high",
+  assign: "",
+  note: "",
+};
+
+// Shown while requests on the page are selected. `onApply` gets
+// { action, value, reason } and resolves to whether it was applied.
+function BulkActionBar({ selectedCount, technicians, busy, onApply, onClear }) {
+  const [action, setAction] = useState("status");
+  const [values, setValues] = useState(DEFAULT_VALUES);
+  const value = values[action];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    let reason = null;
+    if (action === "status" && requiresReason(value)) {
+      reason = prompt(t("bulk.cancelReasonPrompt", { count: selectedCount }));
+      if (reason === null) return;
+    }
+    if (action === "note" && !value.trim()) {
+      alert(t("bulk.noteRequired"));
+      return;
+    }
+
+    const applied = await onApply({ action, value: value || null, reason });
+    if (applied && action === "note") setValues({ ...values, note: "" });
+  };
+
+  const setValue = (newValue) => setValues({ ...values, [action]: newValue });
+
+  return (
+    <form className="bulk-action-bar" onSubmit={handleSubmit}>
+      <strong>{t("bulk.selected", { count: selectedCount })}</strong>
+      <select
+        value={action}
+        onChange={(e) => setAction(e.target.value)}
+        aria-label={t("bulk.action")}
+      >
+        {Object.keys(BULK_ACTIONS).map((key) => (
+          <option key={key} value={key}>
+            {getBulkActionLabel(key)}
+          </option>
+        ))}
+      </select>
+
+      {action === "status" && (
+        <select
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          aria-label={t("bulk.newStatus")}
+        >
+          {STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {getStatusLabel(status)}
+            </option>
+          ))}
+        </select>
+      )}
+      {action === "priority" && (
+        <select
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          aria-label={t("bulk.newPriority")}
+        >
+          {PRIORITIES.map((priority) => (
+            <option key={priority} value={priority}>
+              {getPriorityLabel(priority)}
+            </option>
+          ))}
+        </select>
+      )}
+      {action === "assign" && (
+        <select
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          aria-label={t("company.column.technician")}
+        >
+          <option value="">{t("bulk.unassigned")}</option>
+          {technicians.map((technician) => (
+            <option key={technician.id} value={technician.id}>
+              {technician.name}
+            </option>
+          ))}
+        </select>
+      )}
+      {action === "note" && (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder={t("bulk.notePlaceholder")}
+          aria-label={t("thread.internalNote")}
+        />
+      )}
+
+      <button type="submit" className="btn-view" disabled={busy}>
+        {busy ? t("bulk.applying") : t("bulk.apply")}
+      </button>
+      <button type="button" className="btn-clear" onClick={onClear}>
+        {t("bulk.clearSelection")}
+      </button>
+    </form>
+  );
+}
+
+const ResultList = ({ results, labels }) => (
+  <ul className="bulk-result-list">
+    {results.map((result) => (
+      <li key={result.complaint_id} className={result.ok ? "ok" : "failed"}>
+        <span>{result.ok ? "✓" : "✗"}</span>
+        <span>{labels[result.complaint_id] || result.complaint_id}</span>
+        {result.error && <span className="bulk-error">{result.error}</span>}
+      </li>
+    ))}
+  </ul>
+);
+
+// Outcome of the last bulk action, row by row, with its undo.
+// bulkAction: { action, value, results, labels, undoResults }
+export function BulkActionSummary({
+  bulkAction,
+  technicians,
+  busy,
+  onUndo,
+  onDismiss,
+}) {
+  const { succeeded, failed } = countResults(bulkAction.results);
+  const undone = bulkAction.undoResults && countResults(bulkAction.undoResults);
+
+  return (
+    <div className="bulk-summary">
+      <div className="bulk-summary-header">
+        <strong>{describeBulkAction(bulkAction, technicians)}</strong>
+        <span>
+          {failed > 0
+            ? t("bulk.resultWithFailures", { succeeded, failed })
+            : t("bulk.result", { succeeded })}
+        </span>
+        {!undone && succeeded > 0 && (
+          <button className="btn-view" onClick={onUndo} disabled={busy}>
+            {t("bulk.undo")}
+          </button>
+        )}
+        <button className="btn-clear" onClick={onDismiss}>
+          {t("bulk.dismiss")}
+        </button>
+      </div>
+      <ResultList results={bulkAction.results} labels={bulkAction.labels} />
+
+      {undone && (
+        <>
+          <p className="bulk-undo-note">
+            {undone.failed > 0
+              ? t("bulk.undoneWithFailures", {
+                  succeeded: undone.succeeded,
+                  failed: undone.failed,
+                })
+              : t("bulk.undone", { succeeded: undone.succeeded })}
+          </p>
+          {undone.failed > 0 && (
+            <ResultList
+              results={bulkAction.undoResults.filter((result) => !result.ok)}
+              labels={bulkAction.labels}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BulkActionBar;
@@ -1,151 +1,582 @@
-import { useState, useEffect } from "react";
-import { supabase } from "../supabaseClient";
+import { useState, useEffect, useRef } from "react";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
+import {
+  bikesRepository,
+  bulkActionsRepository,
+  complaintsRepository,
+  paymentsRepository,
+  ratingsRepository,
+  savedViewsRepository,
+  slaRepository,
+  techniciansRepository,
+  usersRepository,
+} from "../repositories";
+import {
+  STATUSES,
+  getNextStatuses,
+  getStatusColor,
+  getStatusLabel,
+  isTerminal,
+  requiresReason,
+} from "../services/complaintStatus";
+import {
+  PAGE_SIZE,
+  countActiveFilters,
+  getIssueTypeLabel,
+  getPriorityLabel,
+  matchesFilters,
+  parseRequestQuery,
+  toRequestSearchParams,
+} from "../services/complaints";
+import { fetchComplaintAttachments } from "../services/complaintAttachments";
+import {
+  complaintsToCsvBlob,
+  complaintsToXlsxBlob,
+  downloadBlob,
+  exportFileName,
+} from "../services/requestExport";
+import {
+  canDownloadInvoice,
+  downloadInvoice,
+  downloadJobCard,
+} from "../services/serviceDocuments";
+import { formatSlot } from "../services/appointments";
+import { mergeChange, subscribeToChanges } from "../services/realtimeStore";
+import { getSlaState } from "../services/sla";
+import { formatCalendarDate, formatDate, formatDateTime, t } from "../i18n";
+import {
+  canEditQuote,
+  isQuoteApproved,
+  needsApprovedQuote,
+} from "../services/quotes";
+import { invoiceSummary } from "../services/payments";
+import {
+  formatStars,
+  getRatingLabel,
+  isLowRating,
+  needsFollowUp,
+} from "../services/ratings";
+import { formatMinutes, totalMinutes } from "../services/technicians";
+import ActivityTimeline from "./ActivityTimeline";
+import AnalyticsPanel from "./AnalyticsPanel";
+import AppointmentCalendar from "./AppointmentCalendar";
+import AttachmentGallery from "./AttachmentGallery";
+import BulkActionBar, { BulkActionSummary } from "./BulkActionBar";
+import BikeModelCatalog from "./BikeModelCatalog";
+import DeliveryLog from "./DeliveryLog";
+import SlaBadge from "./SlaBadge";
+import SlaSettings from "./SlaSettings";
+import TechnicianSelect from "./TechnicianSelect";
+import WarrantyBadge from "./WarrantyBadge";
+import MessageThread from "./MessageThread";
+import PartsCatalog from "./PartsCatalog";
+import PaymentRecorder from "./PaymentRecorder";
+import PaymentSummary, { PaymentBadge } from "./PaymentSummary";
+import QuoteEditor from "./QuoteEditor";
+import QuoteSummary from "./QuoteSummary";
+import RequestFilters from "./RequestFilters";
+import RequestImport from "./RequestImport";
+import SavedViews from "./SavedViews";
+import "./Ratings.css";
 import "./CompanyDashboard.css";
 
-function CompanyDashboard({ session }) {
+const VIEW_PATHS = {
+  requests: "/admin/requests",
+  calendar: "/admin/calendar",
+  notifications: "/admin/notifications",
+  analytics: "/admin/analytics",
+};
+
+// `view` is "requests", "calendar", "notifications" or "analytics" (from the
+// route). The table's filters, sort, page and search live in the query
+// string and the open request in the :id segment, so every view can be
+// linked to.
+function CompanyDashboard({ session, view }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { id: selectedId } = useParams();
+  const navigate = useNavigate();
+  const queryKey = searchParams.toString();
+  const query = parseRequestQuery(searchParams);
+  const { status: filter, search, sort, page } = query;
+  const basePath =
+    view === "calendar" ? VIEW_PATHS.calendar : VIEW_PATHS.requests;
+
   const [complaints, setComplaints] = useState([]);
-  const [filteredComplaints, setFilteredComplaints] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [searchInput, setSearchInput] = useState(query.search);
+  const [syncedSearch, setSyncedSearch] = useState(query.search);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [exporting, setExporting] = useState(false);
+  const [generatingDocument, setGeneratingDocument] = useState(false);
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState("pending");
-  const [selectedComplaint, setSelectedComplaint] = useState(null);
-  const [companyNotes, setCompanyNotes] = useState("");
+  const [technicians, setTechnicians] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [workLogs, setWorkLogs] = useState([]);
+  const [slaTargets, setSlaTargets] = useState({});
+  const [now, setNow] = useState(() => Date.now());
+  const [openedComplaint, setOpenedComplaint] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [bikeHistory, setBikeHistory] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkAction, setBulkAction] = useState(null);
+  const [applyingBulkAction, setApplyingBulkAction] = useState(false);
+  const selectedIdRef = useRef(null);
+  const viewRef = useRef({});
   const [stats, setStats] = useState({
     total: 0,
     pending: 0,
     inProgress: 0,
+    awaitingParts: 0,
     completed: 0,
+    overdue: 0,
   });
 
+  // The modal only shows the complaint the URL points at, never a stale one
+  // from before navigating.
+  const selectedComplaint =
+    openedComplaint?.id === selectedId ? openedComplaint : null;
+
+  // Back/forward can change the search; keep the input box in step.
+  if (query.search !== syncedSearch) {
+    setSyncedSearch(query.search);
+    setSearchInput(query.search);
+  }
+
+  const updateQuery = (changes, options) =>
+    setSearchParams(
+      toRequestSearchParams({ ...query, page: 0, ...changes }),
+      options,
+    );
+
   useEffect(() => {
-    fetchComplaints();
+    let cancelled = false;
 
-    // Subscribe to real-time changes
-    const subscription = supabase
-      .channel("company_complaints")
-      .on(
-        "postgres_changes",
-        {
-          event: "*",
-          schema: "public",
-          table: "complaints",
-        },
-        () => {
-          fetchComplaints();
-        },
-      )
-      .subscribe();
+    Promise.all([
+      complaintsRepository.listPage(
+        parseRequestQuery(new URLSearchParams(queryKey)),
+      ),
+      complaintsRepository.getStats(),
+    ])
+      .then(([result, newStats]) => {
+        if (cancelled) return;
+        setComplaints(result.rows);
+        setTotalCount(result.total);
+        setStats(newStats);
+      })
+      .catch((error) => console.error("Error fetching complaints:", error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
 
     return () => {
-      subscription.unsubscribe();
+      cancelled = true;
     };
-  }, []);
+  }, [queryKey, refreshKey]);
+
+  // Realtime handlers are registered once, so they read the current view
+  // through a ref.
+  useEffect(() => {
+    viewRef.current = {
+      query: parseRequestQuery(new URLSearchParams(queryKey)),
+      queryKey,
+      basePath,
+      ids: complaints.map((c) => c.id),
+    };
+  }, [queryKey, basePath, complaints]);
 
+  // Wait for a pause in typing before searching. Each keystroke replaces
+  // the history entry instead of adding one.
   useEffect(() => {
-    filterComplaints();
-    calculateStats();
-  }, [complaints, filter]);
+    if (searchInput === syncedSearch) return;
+    const timeout = setTimeout(
+      () => updateQuery({ search: searchInput }, { replace: true }),
+      300,
+    );
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  const refresh = () => setRefreshKey((key) => key + 1);
+
+  const changeFilter = (newFilter) => updateQuery({ status: newFilter });
+
+  const applySavedView = (viewQuery) =>
+    setSearchParams(new URLSearchParams(viewQuery));
+
+  const changeSort = (column) =>
+    updateQuery({
+      sort:
+        sort.column === column
+          ? { column, ascending: !sort.ascending }
+          : { column, ascending: column === "sla" },
+    });
+
+  const changeView = (newView) =>
+    navigate({ pathname: VIEW_PATHS[newView], search: queryKey });
+
+  const renderSortHeader = (label, column) => (
+    <th
+      className={`sortable ${sort.column === column ? "sorted" : ""}`}
+      onClick={() => changeSort(column)}
+    >
+      {label}
+      {sort.column === column && (sort.ascending ? " ▲" : " ▼")}
+    </th>
+  );
+
+  // Selections survive paging and filtering, but bulk actions only apply to
+  // the selected rows that are on screen.
+  const selectedOnPage = complaints
+    .filter((complaint) => selectedIds.includes(complaint.id))
+    .map((complaint) => complaint.id);
+  const allOnPageSelected =
+    complaints.length > 0 && selectedOnPage.length === complaints.length;
+
+  const toggleSelected = (complaintId) =>
+    setSelectedIds((current) =>
+      current.includes(complaintId)
+        ? current.filter((id) => id !== complaintId)
+        : [...current, complaintId],
+    );
+
+  // Leaves the rows picked on other pages alone.
+  const togglePageSelected = () => {
+    const pageIds = complaints.map((complaint) => complaint.id);
+    setSelectedIds((current) =>
+      allOnPageSelected
+        ? current.filter((id) => !pageIds.includes(id))
+        : [...new Set([...current, ...pageIds])],
+    );
+  };
 
-  const fetchComplaints = async () => {
+  const applyBulkAction = async (changes) => {
+    setApplyingBulkAction(true);
     try {
-      const { data, error } = await supabase
-        .from("complaints")
-        .select(
-          `
-          *,
-          users (
-            name,
-            email,
-            phone
-          )
-        `,
-        )
-        .order("created_at", { ascending: false });
-
-      if (error) throw error;
-      setComplaints(data || []);
+      const { id, results } = await bulkActionsRepository.apply(
+        selectedOnPage,
+        changes,
+      );
+      // Rows may leave the page once changed, so remember how to name them.
+      const labels = Object.fromEntries(
+        complaints
+          .filter((complaint) => selectedOnPage.includes(complaint.id))
+          .map((complaint) => [
+            complaint.id,
+            `#${complaint.id.slice(0, 8)} · ${complaint.users?.name || t("common.notAvailable")}`,
+          ]),
+      );
+      setBulkAction({ id, ...changes, results, labels });
+      refresh();
+      return true;
     } catch (error) {
-      console.error("Error fetching complaints:", error);
+      console.error("Error applying bulk action:", error);
+      alert(error.message || t("company.bulkApplyError"));
+      return false;
     } finally {
-      setLoading(false);
+      setApplyingBulkAction(false);
     }
   };
 
-  const filterComplaints = () => {
-    let filtered = complaints;
-
-    if (filter === "pending") {
-      filtered = complaints.filter((c) => c.status === "pending");
-    } else if (filter === "in-progress") {
-      filtered = complaints.filter((c) => c.status === "in-progress");
-    } else if (filter === "completed") {
-      filtered = complaints.filter((c) => c.status === "completed");
-    } else if (filter === "all") {
-      filtered = complaints;
+  const undoBulkAction = async () => {
+    setApplyingBulkAction(true);
+    try {
+      const { results } = await bulkActionsRepository.undo(bulkAction.id);
+      setBulkAction({ ...bulkAction, undoResults: results });
+      refresh();
+    } catch (error) {
+      console.error("Error undoing bulk action:", error);
+      alert(error.message || t("company.bulkUndoError"));
+    } finally {
+      setApplyingBulkAction(false);
+    }
+  };
+
+  const loadSlaTargets = () =>
+    slaRepository
+      .getTargets()
+      .then(setSlaTargets)
+      .catch((error) => console.error("Error fetching SLA targets:", error));
+
+  const updateComplaintStatus = async (complaint, newStatus) => {
+    let reason = null;
+    if (requiresReason(newStatus)) {
+      reason = prompt(t("company.cancelReasonPrompt"));
+      if (reason === null) return;
     }
 
-    setFilteredComplaints(filtered);
+    try {
+      const applied = await complaintsRepository.updateStatus(
+        complaint,
+        newStatus,
+        reason,
+      );
+      if (!applied) {
+        alert(t("company.changedElsewhere"));
+      }
+      refresh();
+    } catch (error) {
+      console.error("Error updating status:", error);
+      alert(error.message || t("company.statusError"));
+    }
   };
 
-  const calculateStats = () => {
-    const newStats = {
-      total: complaints.length,
-      pending: complaints.filter((c) => c.status === "pending").length,
-      inProgress: complaints.filter((c) => c.status === "in-progress").length,
-      completed: complaints.filter((c) => c.status === "completed").length,
-    };
-    setStats(newStats);
+  const updateAssignee = async (complaint, technicianId) => {
+    try {
+      await techniciansRepository.assign(complaint.id, technicianId);
+      if (selectedComplaint?.id === complaint.id) {
+        setOpenedComplaint({
+          ...selectedComplaint,
+          assigned_to: technicianId || null,
+        });
+      }
+      refresh();
+    } catch (error) {
+      console.error("Error assigning technician:", error);
+      alert(error.message || t("company.assignError"));
+    }
   };
 
-  const updateComplaintStatus = async (complaintId, newStatus) => {
+  const loadWorkLogs = async (complaintId) => {
     try {
-      const { error } = await supabase
-        .from("complaints")
-        .update({ status: newStatus, updated_at: new Date().toISOString() })
-        .eq("id", complaintId);
+      setWorkLogs(await techniciansRepository.listWorkLogs(complaintId));
+    } catch (error) {
+      console.error("Error fetching work logs:", error);
+    }
+  };
 
-      if (error) throw error;
-      fetchComplaints();
+  const loadThread = async (complaintId) => {
+    try {
+      const [threadMessages, threadEvents] = await Promise.all([
+        complaintsRepository.listMessages(complaintId, {
+          includeInternal: true,
+        }),
+        complaintsRepository.listEvents(complaintId),
+      ]);
+      setMessages(threadMessages);
+      setEvents(threadEvents);
     } catch (error) {
-      console.error("Error updating status:", error);
-      alert("Error updating status. Please try again.");
+      console.error("Error fetching conversation:", error);
     }
   };
 
-  const saveCompanyNotes = async (complaintId) => {
+  const sendMessage = async (body, visibility) => {
+    await complaintsRepository.addMessage({
+      complaintId: selectedComplaint.id,
+      authorId: session.user.id,
+      body,
+      visibility,
+    });
+    loadThread(selectedComplaint.id);
+  };
+
+  const loadAttachments = async (complaintId) => {
     try {
-      const { error } = await supabase
-        .from("complaints")
-        .update({
-          company_notes: companyNotes,
-          updated_at: new Date().toISOString(),
-        })
-        .eq("id", complaintId);
+      setAttachments(await fetchComplaintAttachments(complaintId));
+    } catch (error) {
+      console.error("Error fetching attachments:", error);
+    }
+  };
+
+  const loadBikeHistory = async (complaint) => {
+    if (!complaint.bike_id) return;
+    try {
+      setBikeHistory(
+        await bikesRepository.listHistory(complaint.bike_id, complaint.id),
+      );
+    } catch (error) {
+      console.error("Error fetching bike history:", error);
+    }
+  };
+
+  const openComplaintModal = (complaintId) =>
+    navigate({ pathname: `${basePath}/${complaintId}`, search: queryKey });
 
-      if (error) throw error;
+  const showComplaint = (complaint) => {
+    setOpenedComplaint(complaint);
+    setMessages([]);
+    setEvents([]);
+    setAttachments([]);
+    setBikeHistory([]);
+    setWorkLogs([]);
+    loadWorkLogs(complaint.id);
+    loadThread(complaint.id);
+    loadAttachments(complaint.id);
+    loadBikeHistory(complaint);
+  };
 
-      alert("Notes saved successfully!");
-      setSelectedComplaint(null);
-      setCompanyNotes("");
-      fetchComplaints();
+  // Job card or invoice for the open request; the job card carries every
+  // note, internal ones included.
+  const printDocument = async (kind) => {
+    setGeneratingDocument(true);
+    try {
+      if (kind === "invoice") {
+        await downloadInvoice(selectedComplaint);
+      } else {
+        await downloadJobCard(selectedComplaint, {
+          notes: messages,
+          technicianName: technicians.find(
+            (technician) => technician.id === selectedComplaint.assigned_to,
+          )?.name,
+        });
+      }
     } catch (error) {
-      console.error("Error saving notes:", error);
-      alert("Error saving notes. Please try again.");
+      console.error("Error generating PDF:", error);
+      alert(t("company.documentError"));
+    } finally {
+      setGeneratingDocument(false);
     }
   };
 
-  const openComplaintModal = (complaint) => {
-    setSelectedComplaint(complaint);
-    setCompanyNotes(complaint.company_notes || "");
+  // For completed requests without an invoice, e.g. imported ones.
+  const issueInvoice = async () => {
+    const quote = selectedComplaint.quote;
+    const amount = prompt(
+      t("company.invoiceAmountPrompt"),
+      isQuoteApproved(quote) ? String(quote.total) : "0",
+    );
+    if (amount === null) return;
+    if (amount.trim() === "" || !(Number(amount) >= 0)) {
+      alert(t("company.invoiceAmountInvalid"));
+      return;
+    }
+
+    try {
+      await paymentsRepository.issueInvoice(
+        selectedComplaint.id,
+        Number(amount),
+      );
+      reloadComplaint(selectedComplaint.id);
+    } catch (error) {
+      console.error("Error issuing invoice:", error);
+      alert(error.message || t("company.issueInvoiceError"));
+    }
   };
 
-  const getStatusColor = (status) => {
-    const colors = {
-      pending: "#f59e0b",
-      "in-progress": "#3b82f6",
-      completed: "#10b981",
-      cancelled: "#ef4444",
-    };
-    return colors[status] || "#6b7280";
+  const markFollowedUp = async () => {
+    try {
+      await ratingsRepository.markFollowedUp(selectedComplaint.rating.id);
+      reloadComplaint(selectedComplaint.id);
+    } catch (error) {
+      console.error("Error marking follow-up:", error);
+      alert(error.message || t("company.followUpError"));
+    }
+  };
+
+  // Reads the ref so the realtime handler closes onto the current view.
+  const closeComplaintModal = () =>
+    navigate({
+      pathname: viewRef.current.basePath,
+      search: viewRef.current.queryKey,
+    });
+
+  // Exports every row of the current view, not just the visible page.
+  const exportView = async (format) => {
+    setExporting(true);
+    try {
+      const rows = await complaintsRepository.listAll(query);
+      const technicianName = (id) =>
+        technicians.find((technician) => technician.id === id)?.name || "";
+      const blob =
+        format === "xlsx"
+          ? await complaintsToXlsxBlob(rows, technicianName)
+          : complaintsToCsvBlob(rows, technicianName);
+      downloadBlob(blob, exportFileName(query, format));
+    } catch (error) {
+      console.error("Error exporting service requests:", error);
+      alert(t("company.exportError"));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const loadStats = () =>
+    complaintsRepository
+      .getStats()
+      .then(setStats)
+      .catch((error) => console.error("Error fetching stats:", error));
+
+  // Merges a complaints change into the current page. Rows that start
+  // matching the filters are only pulled in on the first page of an
+  // unsearched view; elsewhere their position depends on the server-side
+  // sort and search, so they show up on the next reload.
+  const applyComplaintChange = async (payload) => {
+    const { query, ids } = viewRef.current;
+    const { search, page } = query;
+    const id = payload.eventType === "DELETE" ? payload.old.id : payload.new.id;
+    const matches =
+      payload.eventType !== "DELETE" && matchesFilters(payload.new, query);
+
+    loadStats();
+
+    if (id === selectedIdRef.current) {
+      if (payload.eventType === "DELETE") {
+        closeComplaintModal();
+      } else {
+        setOpenedComplaint((current) => ({ ...current, ...payload.new }));
+        loadThread(id);
+      }
+    }
+
+    const present = ids.includes(id);
+
+    if (present && !matches) {
+      setComplaints((current) => current.filter((c) => c.id !== id));
+      setTotalCount((count) => count - 1);
+    } else if (present) {
+      setComplaints((current) => mergeChange(current, payload));
+    } else if (!present && matches && !search) {
+      setTotalCount((count) => count + 1);
+      if (page !== 0) return;
+      try {
+        const row = await complaintsRepository.getById(id);
+        setComplaints((current) =>
+          mergeChange(current, { eventType: "INSERT", new: row }).slice(
+            0,
+            PAGE_SIZE,
+          ),
+        );
+      } catch (error) {
+        console.error("Error fetching complaint:", error);
+      }
+    }
+  };
+
+  // Quote and invoice changes do not touch the complaint row, so the
+  // request is read again with them.
+  const reloadComplaint = async (complaintId) => {
+    const isSelected = complaintId === selectedIdRef.current;
+    if (!isSelected && !viewRef.current.ids.includes(complaintId)) return;
+
+    try {
+      const complaint = await complaintsRepository.getById(complaintId);
+      if (isSelected) {
+        setOpenedComplaint(complaint);
+        loadThread(complaintId);
+      }
+      setComplaints((current) =>
+        mergeChange(current, { eventType: "UPDATE", new: complaint }),
+      );
+    } catch (error) {
+      console.error("Error fetching complaint:", error);
+    }
+  };
+
+  // Payments are merged into the invoice embedded in the request.
+  const applyPaymentChange = (payload) => {
+    const withPayment = (complaint) =>
+      complaint?.invoice?.id === payload.new.invoice_id
+        ? {
+            ...complaint,
+            invoice: {
+              ...complaint.invoice,
+              payments: mergeChange(complaint.invoice.payments || [], payload),
+            },
+          }
+        : complaint;
+
+    setComplaints((current) => current.map(withPayment));
+    setOpenedComplaint(withPayment);
   };
 
   const getPriorityColor = (priority) => {
@@ -157,8 +588,87 @@ function CompanyDashboard({ session }) {
     return colors[priority] || "#6b7280";
   };
 
+  useEffect(() => {
+    techniciansRepository
+      .listTechnicians()
+      .then(setTechnicians)
+      .catch((error) => console.error("Error fetching technicians:", error));
+    usersRepository
+      .listCustomers()
+      .then(setCustomers)
+      .catch((error) => console.error("Error fetching customers:", error));
+    loadSlaTargets();
+
+    // The user's default view opens on login, unless they followed a link
+    // to a particular one.
+    if (!queryKey) {
+      savedViewsRepository
+        .getDefaultView(session.user.id)
+        .then((defaultView) => {
+          if (defaultView) {
+            setSearchParams(new URLSearchParams(defaultView.query), {
+              replace: true,
+            });
+          }
+        })
+        .catch((error) =>
+          console.error("Error fetching the default view:", error),
+        );
+    }
+
+    // Keep the SLA countdowns current.
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+
+    const unsubscribe = subscribeToChanges(
+      "company_complaints",
+      [
+        { table: "complaints", onChange: applyComplaintChange },
+        ...["quotes", "invoices", "service_ratings"].map((table) => ({
+          table,
+          onChange: ({ eventType, new: row }) => {
+            if (eventType !== "DELETE") reloadComplaint(row.complaint_id);
+          },
+        })),
+        { table: "payments", onChange: applyPaymentChange },
+        {
+          table: "complaint_messages",
+          event: "INSERT",
+          onChange: (payload) => {
+            if (payload.new.complaint_id === selectedIdRef.current) {
+              loadThread(payload.new.complaint_id);
+            }
+          },
+        },
+      ],
+      { onResync: refresh },
+    );
+
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, []);
+
+  // Opening /admin/requests/:id (from the table, the calendar or a shared
+  // link) loads that request into the modal.
+  useEffect(() => {
+    selectedIdRef.current = selectedId || null;
+    if (!selectedId) return;
+
+    complaintsRepository
+      .getById(selectedId)
+      .then((complaint) => {
+        if (selectedIdRef.current === complaint.id) showComplaint(complaint);
+      })
+      .catch((error) => {
+        console.error("Error fetching service request:", error);
+        alert(t("company.requestNotFound"));
+        closeComplaintModal();
+      });
+  }, [selectedId]);
+
   if (loading) {
-    return <div className="loading">Loading service requests...</div>;
+    return <div className="loading">{t("company.loading")}</div>;
   }
 
   return (
@@ -166,176 +676,399 @@ function CompanyDashboard({ session }) {
       <div className="dashboard-stats">
         <div className="stat-card">
           <h3>{stats.total}</h3>
-          <p>Total Requests</p>
+          <p>{t("company.totalRequests")}</p>
         </div>
         <div className="stat-card pending">
           <h3>{stats.pending}</h3>
-          <p>Pending</p>
+          <p>{getStatusLabel("pending")}</p>
         </div>
         <div className="stat-card in-progress">
           <h3>{stats.inProgress}</h3>
-          <p>In Progress</p>
+          <p>{getStatusLabel("in-progress")}</p>
         </div>
         <div className="stat-card completed">
           <h3>{stats.completed}</h3>
-          <p>Completed</p>
+          <p>{getStatusLabel("completed")}</p>
+        </div>
+        <div className="stat-card overdue">
+          <h3>{stats.overdue}</h3>
+          <p>{t("company.overdue")}</p>
         </div>
       </div>
 
-      <div className="dashboard-controls">
-        <h2>Service Requests Management</h2>
-        <div className="filter-buttons">
-          <button
-            className={filter === "all" ? "active" : ""}
-            onClick={() => setFilter("all")}
-          >
-            All
-          </button>
-          <button
-            className={filter === "pending" ? "active" : ""}
-            onClick={() => setFilter("pending")}
-          >
-            Pending
-          </button>
-          <button
-            className={filter === "in-progress" ? "active" : ""}
-            onClick={() => setFilter("in-progress")}
-          >
-            In Progress
-          </button>
-          <button
-            className={filter === "completed" ? "active" : ""}
-            onClick={() => setFilter("completed")}
-          >
-            Completed
-          </button>
-        </div>
+      <div className="dashboard-tabs">
+        <button
+          className={view === "requests" ? "active" : ""}
+          onClick={() => changeView("requests")}
+        >
+          {t("company.tab.requests")}
+        </button>
+        <button
+          className={view === "calendar" ? "active" : ""}
+          onClick={() => changeView("calendar")}
+        >
+          {t("company.tab.calendar")}
+        </button>
+        <button
+          className={view === "analytics" ? "active" : ""}
+          onClick={() => changeView("analytics")}
+        >
+          {t("company.tab.analytics")}
+        </button>
+        <button
+          className={view === "notifications" ? "active" : ""}
+          onClick={() => changeView("notifications")}
+        >
+          {t("company.tab.notifications")}
+        </button>
       </div>
 
-      <div className="complaints-table-container">
-        {filteredComplaints.length === 0 ? (
-          <div className="empty-state">
-            <p>No {filter !== "all" ? filter : ""} service requests</p>
+      {view === "analytics" && <AnalyticsPanel />}
+
+      {view === "notifications" && <DeliveryLog />}
+
+      {view === "calendar" && (
+        <AppointmentCalendar onSelectComplaint={openComplaintModal} />
+      )}
+
+      {view === "requests" && (
+        <>
+          <div className="dashboard-controls">
+            <h2>{t("company.heading")}</h2>
+            <div className="filter-buttons">
+              {["all", ...STATUSES].map((status) => (
+                <button
+                  key={status}
+                  className={filter === status ? "active" : ""}
+                  onClick={() => changeFilter(status)}
+                >
+                  {status === "all"
+                    ? t("company.allStatuses")
+                    : getStatusLabel(status)}
+                </button>
+              ))}
+            </div>
           </div>
-        ) : (
-          <table className="complaints-table">
-            <thead>
-              <tr>
-                <th>ID</th>
-                <th>Customer</th>
-                <th>Contact</th>
-                <th>Model</th>
-                <th>Issue Type</th>
-                <th>Priority</th>
-                <th>Status</th>
-                <th>Date</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {filteredComplaints.map((complaint) => (
-                <tr key={complaint.id}>
-                  <td className="id-cell">#{complaint.id.slice(0, 8)}</td>
-                  <td>{complaint.users?.name || "N/A"}</td>
-                  <td>
-                    <div className="contact-info">
-                      <div>{complaint.users?.email}</div>
-                      <div className="phone">{complaint.users?.phone}</div>
-                    </div>
-                  </td>
-                  <td>{complaint.bicycle_model}</td>
-                  <td>
-                    <span className="issue-badge">{complaint.issue_type}</span>
-                  </td>
-                  <td>
-                    <span
-                      className="priority-badge"
-                      style={{
-                        backgroundColor: getPriorityColor(complaint.priority),
-                      }}
-                    >
-                      {complaint.priority}
-                    </span>
-                  </td>
-                  <td>
-                    <select
-                      className="status-select"
-                      value={complaint.status}
-                      onChange={(e) =>
-                        updateComplaintStatus(complaint.id, e.target.value)
-                      }
-                      style={{
-                        backgroundColor: getStatusColor(complaint.status),
-                      }}
-                    >
-                      <option value="pending">Pending</option>
-                      <option value="in-progress">In Progress</option>
-                      <option value="completed">Completed</option>
-                      <option value="cancelled">Cancelled</option>
-                    </select>
-                  </td>
-                  <td className="date-cell">
-                    {new Date(complaint.created_at).toLocaleDateString()}
-                  </td>
-                  <td>
-                    <button
-                      className="btn-view"
-                      onClick={() => openComplaintModal(complaint)}
+
+          <SavedViews
+            userId={session.user.id}
+            query={query}
+            onApply={applySavedView}
+          />
+
+          <RequestFilters
+            query={query}
+            technicians={technicians}
+            customers={customers}
+            onChange={updateQuery}
+          />
+
+          <div className="table-search">
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder={t("company.searchPlaceholder")}
+            />
+            <button
+              className="btn-view"
+              disabled={exporting || totalCount === 0}
+              onClick={() => exportView("csv")}
+            >
+              {t("company.exportCsv")}
+            </button>
+            <button
+              className="btn-view"
+              disabled={exporting || totalCount === 0}
+              onClick={() => exportView("xlsx")}
+            >
+              {t("company.exportXlsx")}
+            </button>
+          </div>
+
+          {bulkAction && (
+            <BulkActionSummary
+              bulkAction={bulkAction}
+              technicians={technicians}
+              busy={applyingBulkAction}
+              onUndo={undoBulkAction}
+              onDismiss={() => setBulkAction(null)}
+            />
+          )}
+
+          {selectedOnPage.length > 0 && (
+            <BulkActionBar
+              selectedCount={selectedOnPage.length}
+              technicians={technicians}
+              busy={applyingBulkAction}
+              onApply={applyBulkAction}
+              onClear={() => setSelectedIds([])}
+            />
+          )}
+
+          <div className="complaints-table-container">
+            {complaints.length === 0 ? (
+              <div className="empty-state">
+                <p>
+                  {filter === "all"
+                    ? t("company.empty")
+                    : t("company.emptyStatus", {
+                        status: getStatusLabel(filter).toLowerCase(),
+                      })}
+                </p>
+                {search && (
+                  <p className="empty-subtitle">
+                    {t("company.emptySearchHint", { search })}
+                  </p>
+                )}
+                {countActiveFilters(query) > 0 && (
+                  <p className="empty-subtitle">
+                    {t("company.emptyFiltersHint")}
+                  </p>
+                )}
+              </div>
+            ) : (
+              <table className="complaints-table">
+                <thead>
+                  <tr>
+                    <th className="select-cell">
+                      <input
+                        type="checkbox"
+                        checked={allOnPageSelected}
+                        ref={(input) => {
+                          if (input) {
+                            input.indeterminate =
+                              selectedOnPage.length > 0 && !allOnPageSelected;
+                          }
+                        }}
+                        onChange={togglePageSelected}
+                        aria-label={t("company.selectAll")}
+                      />
+                    </th>
+                    <th>{t("company.column.id")}</th>
+                    <th>{t("company.column.customer")}</th>
+                    <th>{t("company.column.contact")}</th>
+                    {renderSortHeader(t("company.column.model"), "model")}
+                    <th>{t("company.column.issueType")}</th>
+                    {renderSortHeader(t("company.column.priority"), "priority")}
+                    {renderSortHeader(t("company.column.status"), "status")}
+                    {renderSortHeader(t("company.column.sla"), "sla")}
+                    <th>{t("company.column.technician")}</th>
+                    <th>{t("company.column.payment")}</th>
+                    {renderSortHeader(t("company.column.date"), "date")}
+                    <th>{t("company.column.actions")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {complaints.map((complaint) => (
+                    <tr
+                      key={complaint.id}
+                      className={[
+                        getSlaState(complaint, slaTargets, now)?.breached &&
+                          "row-breached",
+                        selectedIds.includes(complaint.id) && "row-selected",
+                      ]
+                        .filter(Boolean)
+                        .join(" ")}
                     >
-                      View Details
-                    </button>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        )}
-      </div>
+                      <td className="select-cell">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(complaint.id)}
+                          onChange={() => toggleSelected(complaint.id)}
+                          aria-label={t("company.selectRequest", {
+                            id: complaint.id.slice(0, 8),
+                          })}
+                        />
+                      </td>
+                      <td className="id-cell">#{complaint.id.slice(0, 8)}</td>
+                      <td>
+                        {complaint.users?.name || t("common.notAvailable")}
+                      </td>
+                      <td>
+                        <div className="contact-info">
+                          <div>{complaint.users?.email}</div>
+                          <div className="phone">{complaint.users?.phone}</div>
+                        </div>
+                      </td>
+                      <td>{complaint.bicycle_model}</td>
+                      <td>
+                        <span className="issue-badge">
+                          {getIssueTypeLabel(complaint.issue_type)}
+                        </span>
+                      </td>
+                      <td>
+                        <span
+                          className="priority-badge"
+                          style={{
+                            backgroundColor: getPriorityColor(
+                              complaint.priority,
+                            ),
+                          }}
+                        >
+                          {getPriorityLabel(complaint.priority)}
+                        </span>
+                      </td>
+                      <td>
+                        <select
+                          className="status-select"
+                          value={complaint.status}
+                          onChange={(e) =>
+                            updateComplaintStatus(complaint, e.target.value)
+                          }
+                          disabled={isTerminal(complaint.status)}
+                          style={{
+                            backgroundColor: getStatusColor(complaint.status),
+                          }}
+                        >
+                          {[
+                            complaint.status,
+                            ...getNextStatuses(complaint.status),
+                          ].map((status) => (
+                            <option
+                              key={status}
+                              value={status}
+                              disabled={needsApprovedQuote(complaint, status)}
+                            >
+                              {needsApprovedQuote(complaint, status)
+                                ? t("company.needsApprovedQuote", {
+                                    status: getStatusLabel(status),
+                                  })
+                                : getStatusLabel(status)}
+                            </option>
+                          ))}
+                        </select>
+                        {complaint.rework_count > 0 && (
+                          <span
+                            className="rework-badge"
+                            title={t("company.reopened", {
+                              count: complaint.rework_count,
+                            })}
+                          >
+                            {t("common.rework")}
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        <SlaBadge
+                          sla={getSlaState(complaint, slaTargets, now)}
+                        />
+                      </td>
+                      <td>
+                        <TechnicianSelect
+                          technicians={technicians}
+                          value={complaint.assigned_to}
+                          disabled={isTerminal(complaint.status)}
+                          onChange={(technicianId) =>
+                            updateAssignee(complaint, technicianId)
+                          }
+                        />
+                      </td>
+                      <td>
+                        {complaint.invoice ? (
+                          <PaymentBadge invoice={complaint.invoice} />
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                      <td className="date-cell">
+                        {formatDate(complaint.created_at)}
+                      </td>
+                      <td>
+                        <button
+                          className="btn-view"
+                          onClick={() => openComplaintModal(complaint.id)}
+                        >
+                          {t("company.viewDetails")}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {totalCount > PAGE_SIZE && (
+            <div className="pagination">
+              <button
+                className="btn-view"
+                disabled={page === 0}
+                onClick={() => updateQuery({ page: page - 1 })}
+              >
+                {t("company.previousPage")}
+              </button>
+              <span>
+                {t("company.pageRange", {
+                  first: page * PAGE_SIZE + 1,
+                  last: Math.min((page + 1) * PAGE_SIZE, totalCount),
+                  total: totalCount,
+                })}
+              </span>
+              <button
+                className="btn-view"
+                disabled={(page + 1) * PAGE_SIZE >= totalCount}
+                onClick={() => updateQuery({ page: page + 1 })}
+              >
+                {t("company.nextPage")}
+              </button>
+            </div>
+          )}
+
+          <SlaSettings
+            key={JSON.stringify(slaTargets)}
+            targets={slaTargets}
+            onSaved={loadSlaTargets}
+          />
+          <RequestImport onImported={refresh} />
+          <BikeModelCatalog />
+          <PartsCatalog />
+        </>
+      )}
 
       {selectedComplaint && (
-        <div
-          className="modal-overlay"
-          onClick={() => setSelectedComplaint(null)}
-        >
+        <div className="modal-overlay" onClick={closeComplaintModal}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h3>Service Request Details</h3>
-              <button
-                className="modal-close"
-                onClick={() => setSelectedComplaint(null)}
-              >
+              <h3>{t("company.details")}</h3>
+              <button className="modal-close" onClick={closeComplaintModal}>
                 ×
               </button>
             </div>
 
             <div className="modal-body">
               <div className="detail-section">
-                <h4>Customer Information</h4>
+                <h4>{t("company.customerInformation")}</h4>
                 <p>
-                  <strong>Name:</strong> {selectedComplaint.users?.name}
+                  <strong>{t("company.name")}</strong>{" "}
+                  {selectedComplaint.users?.name}
                 </p>
                 <p>
-                  <strong>Email:</strong> {selectedComplaint.users?.email}
+                  <strong>{t("company.email")}</strong>{" "}
+                  {selectedComplaint.users?.email}
                 </p>
                 <p>
-                  <strong>Phone:</strong> {selectedComplaint.users?.phone}
+                  <strong>{t("company.phone")}</strong>{" "}
+                  {selectedComplaint.users?.phone}
                 </p>
               </div>
 
               <div className="detail-section">
-                <h4>Request Details</h4>
+                <h4>{t("company.requestDetails")}</h4>
                 <p>
-                  <strong>Request ID:</strong> #{selectedComplaint.id}
+                  <strong>{t("company.requestId")}</strong> #
+                  {selectedComplaint.id}
                 </p>
                 <p>
-                  <strong>Bicycle Model:</strong>{" "}
+                  <strong>{t("company.bicycleModel")}</strong>{" "}
                   {selectedComplaint.bicycle_model}
                 </p>
                 <p>
-                  <strong>Issue Type:</strong> {selectedComplaint.issue_type}
+                  <strong>{t("company.issueType")}</strong>{" "}
+                  {getIssueTypeLabel(selectedComplaint.issue_type)}
                 </p>
                 <p>
-                  <strong>Priority:</strong>{" "}
+                  <strong>{t("company.priority")}</strong>{" "}
                   <span
                     className="priority-badge"
                     style={{
@@ -344,52 +1077,274 @@ function CompanyDashboard({ session }) {
                       ),
                     }}
                   >
-                    {selectedComplaint.priority}
+                    {getPriorityLabel(selectedComplaint.priority)}
                   </span>
+                  {selectedComplaint.escalated_at && (
+                    <span className="escalated-note">
+                      {" "}
+                      {t("company.escalated", {
+                        date: formatDateTime(selectedComplaint.escalated_at),
+                      })}
+                    </span>
+                  )}
                 </p>
                 <p>
-                  <strong>Status:</strong>{" "}
+                  <strong>{t("company.sla")}</strong>{" "}
+                  <SlaBadge
+                    sla={getSlaState(selectedComplaint, slaTargets, now)}
+                  />
+                </p>
+                <p>
+                  <strong>{t("company.status")}</strong>{" "}
                   <span
                     className="status-badge"
                     style={{
                       backgroundColor: getStatusColor(selectedComplaint.status),
                     }}
                   >
-                    {selectedComplaint.status}
+                    {getStatusLabel(selectedComplaint.status)}
                   </span>
                 </p>
+                {selectedComplaint.cancellation_reason && (
+                  <p>
+                    <strong>{t("company.cancellationReason")}</strong>{" "}
+                    {selectedComplaint.cancellation_reason}
+                  </p>
+                )}
+                <p>
+                  <strong>{t("company.submitted")}</strong>{" "}
+                  {formatDateTime(selectedComplaint.created_at)}
+                </p>
+                <p>
+                  <strong>{t("company.technician")}</strong>{" "}
+                  <TechnicianSelect
+                    technicians={technicians}
+                    value={selectedComplaint.assigned_to}
+                    disabled={isTerminal(selectedComplaint.status)}
+                    onChange={(technicianId) =>
+                      updateAssignee(selectedComplaint, technicianId)
+                    }
+                  />
+                </p>
                 <p>
-                  <strong>Submitted:</strong>{" "}
-                  {new Date(selectedComplaint.created_at).toLocaleString()}
+                  <strong>{t("company.timeLogged")}</strong>{" "}
+                  {formatMinutes(totalMinutes(workLogs))}
+                  {workLogs.some((log) => !log.ended_at) &&
+                    t("company.timerRunning")}
                 </p>
                 <p>
-                  <strong>Last Updated:</strong>{" "}
-                  {new Date(selectedComplaint.updated_at).toLocaleString()}
+                  <strong>{t("company.dropOff")}</strong>{" "}
+                  {selectedComplaint.appointment
+                    ? formatSlot(selectedComplaint.appointment.slot_start)
+                    : t("company.notBooked")}
+                </p>
+                <p>
+                  <strong>{t("company.lastUpdated")}</strong>{" "}
+                  {formatDateTime(selectedComplaint.updated_at)}
                 </p>
               </div>
 
+              {selectedComplaint.bike && (
+                <div className="detail-section">
+                  <h4>{t("company.bike")}</h4>
+                  <p>
+                    <strong>{t("company.serialNumber")}</strong>{" "}
+                    <span className="serial-number">
+                      {selectedComplaint.bike.serial_number}
+                    </span>
+                  </p>
+                  <p>
+                    <strong>{t("company.purchased")}</strong>{" "}
+                    {formatCalendarDate(selectedComplaint.bike.purchase_date)}
+                  </p>
+                  <p>
+                    <strong>{t("company.warranty")}</strong>{" "}
+                    <WarrantyBadge bike={selectedComplaint.bike} />{" "}
+                    {t("company.warrantyUntil", {
+                      date: formatCalendarDate(
+                        selectedComplaint.bike.warranty_end_date,
+                      ),
+                    })}
+                  </p>
+                  <strong>{t("company.previousRequests")}</strong>
+                  {bikeHistory.length === 0 ? (
+                    <p className="bike-history-empty">
+                      {t("company.noPreviousRequests")}
+                    </p>
+                  ) : (
+                    <ul className="bike-history">
+                      {bikeHistory.map((previous) => (
+                        <li key={previous.id}>
+                          <span className="id-cell">
+                            #{previous.id.slice(0, 8)}
+                          </span>
+                          <span>{getIssueTypeLabel(previous.issue_type)}</span>
+                          <span
+                            className="status-badge"
+                            style={{
+                              backgroundColor: getStatusColor(previous.status),
+                            }}
+                          >
+                            {getStatusLabel(previous.status)}
+                          </span>
+                          <span className="date-cell">
+                            {formatDate(previous.created_at)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
               <div className="detail-section">
-                <h4>Issue Description</h4>
+                <h4>{t("company.issueDescription")}</h4>
                 <p className="description-text">
                   {selectedComplaint.description}
                 </p>
               </div>
 
+              {attachments.length > 0 && (
+                <div className="detail-section">
+                  <h4>{t("company.photosVideos")}</h4>
+                  <AttachmentGallery attachments={attachments} />
+                </div>
+              )}
+
+              <div className="detail-section">
+                <h4>{t("company.quote")}</h4>
+                {selectedComplaint.quote ? (
+                  <QuoteSummary quote={selectedComplaint.quote} />
+                ) : (
+                  <p className="quote-none">{t("company.noQuote")}</p>
+                )}
+                {canEditQuote(selectedComplaint) &&
+                  (selectedComplaint.quote ? (
+                    <details className="quote-revise">
+                      <summary>{t("company.reviseQuote")}</summary>
+                      <QuoteEditor
+                        key={selectedComplaint.quote.updated_at}
+                        complaint={selectedComplaint}
+                        onSaved={() => reloadComplaint(selectedComplaint.id)}
+                      />
+                    </details>
+                  ) : (
+                    <QuoteEditor
+                      key={selectedComplaint.id}
+                      complaint={selectedComplaint}
+                      onSaved={() => reloadComplaint(selectedComplaint.id)}
+                    />
+                  ))}
+              </div>
+
               <div className="detail-section">
-                <h4>Company Notes</h4>
-                <textarea
-                  className="notes-textarea"
-                  value={companyNotes}
-                  onChange={(e) => setCompanyNotes(e.target.value)}
-                  placeholder="Add internal notes about this service request..."
-                  rows="4"
+                <h4>{t("company.conversation")}</h4>
+                <MessageThread
+                  key={selectedComplaint.id}
+                  messages={messages}
+                  currentUserId={session.user.id}
+                  onSend={sendMessage}
+                  allowInternal
                 />
-                <button
-                  className="btn-save-notes"
-                  onClick={() => saveCompanyNotes(selectedComplaint.id)}
-                >
-                  Save Notes
-                </button>
+              </div>
+
+              {(selectedComplaint.invoice ||
+                selectedComplaint.status === "completed") && (
+                <div className="detail-section">
+                  <h4>{t("company.payment")}</h4>
+                  {selectedComplaint.invoice ? (
+                    <PaymentSummary invoice={selectedComplaint.invoice}>
+                      <PaymentRecorder
+                        key={invoiceSummary(selectedComplaint.invoice).balance}
+                        invoice={selectedComplaint.invoice}
+                        onSaved={() => reloadComplaint(selectedComplaint.id)}
+                      />
+                    </PaymentSummary>
+                  ) : (
+                    <button className="btn-view" onClick={issueInvoice}>
+                      {t("company.issueInvoice")}
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {(selectedComplaint.rating ||
+                selectedComplaint.rework_count > 0) && (
+                <div className="detail-section">
+                  <h4>{t("company.feedback")}</h4>
+                  {selectedComplaint.rating ? (
+                    <>
+                      <p>
+                        <span
+                          className="stars"
+                          title={getRatingLabel(
+                            selectedComplaint.rating.rating,
+                          )}
+                        >
+                          {formatStars(selectedComplaint.rating.rating)}
+                        </span>{" "}
+                        {getRatingLabel(selectedComplaint.rating.rating)}
+                      </p>
+                      {selectedComplaint.rating.comment && (
+                        <p className="feedback-comment">
+                          "{selectedComplaint.rating.comment}"
+                        </p>
+                      )}
+                      {isLowRating(selectedComplaint.rating) &&
+                        (needsFollowUp(selectedComplaint.rating) ? (
+                          <button className="btn-view" onClick={markFollowedUp}>
+                            {t("company.markFollowedUp")}
+                          </button>
+                        ) : (
+                          <p className="feedback-hint">
+                            {t("company.followedUp", {
+                              date: formatDateTime(
+                                selectedComplaint.rating.followed_up_at,
+                              ),
+                            })}
+                          </p>
+                        ))}
+                    </>
+                  ) : (
+                    <p className="feedback-hint">{t("company.notRated")}</p>
+                  )}
+                  {selectedComplaint.rework_count > 0 && (
+                    <p>
+                      <span className="rework-badge">{t("common.rework")}</span>{" "}
+                      {t("company.reworkSummary", {
+                        count: selectedComplaint.rework_count,
+                        date: formatDateTime(selectedComplaint.reopened_at),
+                      })}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              <div className="detail-section">
+                <h4>{t("company.documents")}</h4>
+                <div className="document-actions">
+                  <button
+                    className="btn-view"
+                    onClick={() => printDocument("job-card")}
+                    disabled={generatingDocument}
+                  >
+                    {t("company.downloadJobCard")}
+                  </button>
+                  {canDownloadInvoice(selectedComplaint) && (
+                    <button
+                      className="btn-view"
+                      onClick={() => printDocument("invoice")}
+                      disabled={generatingDocument}
+                    >
+                      {t("common.downloadInvoice")}
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="detail-section">
+                <h4>{t("common.activity")}</h4>
+                <ActivityTimeline events={events} showDetails />
               </div>
             </div>
           </div>
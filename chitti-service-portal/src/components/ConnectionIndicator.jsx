@@ -0,0 +1,19 @@
+import useConnectionStatus from "../hooks/useConnectionStatus";
+import { t } from "../i18n";
+import "./ConnectionIndicator.css";
+
+function ConnectionIndicator() {
+  const status = useConnectionStatus();
+
+  return (
+    <span
+      className={`connection-indicator ${status}`}
+      title={t("connection.title")}
+    >
+      <span className="connection-dot" />
+      {t(`connection.${status}`)}
+    </span>
+  );
+}
+
+export default ConnectionIndicator;
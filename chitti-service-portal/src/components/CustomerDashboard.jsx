@@ -1,13 +1,80 @@
-import { useState, useEffect } from "react";
-import { supabase } from "../supabaseClient";
+import { useState, useEffect, useRef } from "react";
+import { Link, useMatch, useNavigate, useParams } from "react-router-dom";
+import {
+  appointmentsRepository,
+  bikesRepository,
+  complaintsRepository,
+  quotesRepository,
+} from "../repositories";
+import { getStatusColor, getStatusLabel } from "../services/complaintStatus";
+import { filterCustomerEvents } from "../services/complaintEvents";
+import { MESSAGE_VISIBILITY } from "../services/complaintMessages";
+import {
+  fetchComplaintAttachments,
+  uploadComplaintAttachments,
+} from "../services/complaintAttachments";
+import { formatBikeLabel } from "../services/bikes";
+import {
+  ISSUE_TYPES,
+  PRIORITIES,
+  customerCanEdit,
+  getIssueTypeLabel,
+  getPriorityLabel,
+} from "../services/complaints";
+import { formatSlot } from "../services/appointments";
+import { isTerminal } from "../services/complaintStatus";
+import {
+  canDownloadInvoice,
+  downloadInvoice,
+} from "../services/serviceDocuments";
+import { invoiceSummary } from "../services/payments";
+import { mergeChange, subscribeToChanges } from "../services/realtimeStore";
+import {
+  fetchQueuedSubmissions,
+  fetchSnapshot,
+  isOfflineError,
+  queueSubmission,
+  removeQueuedSubmission,
+  saveSnapshot,
+  syncQueuedSubmissions,
+} from "../services/offlineQueue";
+import { groupByComplaint } from "../services/utils";
+import { formatDate, t } from "../i18n";
+import ActivityTimeline from "./ActivityTimeline";
+import AppointmentPicker from "./AppointmentPicker";
+import AttachmentGallery from "./AttachmentGallery";
+import AttachmentPicker from "./AttachmentPicker";
+import MessageThread from "./MessageThread";
+import MyBikes from "./MyBikes";
+import NotificationPreferences from "./NotificationPreferences";
+import PayOnlineForm from "./PayOnlineForm";
+import PaymentSummary from "./PaymentSummary";
+import QuoteSummary from "./QuoteSummary";
+import RequestEditForm from "./RequestEditForm";
+import ServiceFeedback from "./ServiceFeedback";
 import "./CustomerDashboard.css";
 
 function CustomerDashboard({ session }) {
   const [complaints, setComplaints] = useState([]);
+  const [eventsByComplaint, setEventsByComplaint] = useState({});
+  const [messagesByComplaint, setMessagesByComplaint] = useState({});
+  const [attachmentsByComplaint, setAttachmentsByComplaint] = useState({});
+  const [attachmentFiles, setAttachmentFiles] = useState([]);
+  const [dropOffSlot, setDropOffSlot] = useState(null);
+  const [bookingFor, setBookingFor] = useState(null);
+  const [bookingSlot, setBookingSlot] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [bikes, setBikes] = useState([]);
+  const [bikeModels, setBikeModels] = useState([]);
+  const complaintIdsRef = useRef([]);
   const [loading, setLoading] = useState(true);
-  const [showForm, setShowForm] = useState(false);
+  const { id: selectedId } = useParams();
+  const showForm = useMatch("/requests/new") !== null;
+  const navigate = useNavigate();
+  const [queuedSubmissions, setQueuedSubmissions] = useState([]);
+  const [offline, setOffline] = useState(false);
   const [formData, setFormData] = useState({
-    bicycle_model: "",
+    bike_id: "",
     issue_type: "",
     description: "",
     priority: "medium",
@@ -15,81 +82,482 @@ function CustomerDashboard({ session }) {
 
   useEffect(() => {
     fetchComplaints();
+    fetchBikes();
+    loadQueue();
+    syncQueue();
 
-    // Subscribe to changes in complaints
-    const subscription = supabase
-      .channel("customer_complaints")
-      .on(
-        "postgres_changes",
+    const handleOnline = () => {
+      syncQueue();
+      fetchComplaints();
+    };
+    window.addEventListener("online", handleOnline);
+
+    // Apply changes as they arrive; only rows we have not seen yet (and their
+    // joined bike/appointment) are read back from the server.
+    const unsubscribe = subscribeToChanges(
+      "customer_complaints",
+      [
         {
-          event: "*",
-          schema: "public",
           table: "complaints",
           filter: `user_id=eq.${session.user.id}`,
+          onChange: applyComplaintChange,
         },
-        () => {
-          fetchComplaints();
+        {
+          table: "complaint_messages",
+          event: "INSERT",
+          onChange: applyNewMessage,
         },
-      )
-      .subscribe();
+        {
+          table: "appointments",
+          filter: `customer_id=eq.${session.user.id}`,
+          onChange: applyAppointmentChange,
+        },
+        { table: "quotes", onChange: applyEmbeddedChange },
+        { table: "invoices", onChange: applyEmbeddedChange },
+        { table: "service_ratings", onChange: applyEmbeddedChange },
+        { table: "payments", onChange: applyPaymentChange },
+      ],
+      { onResync: fetchComplaints },
+    );
 
     return () => {
-      subscription.unsubscribe();
+      window.removeEventListener("online", handleOnline);
+      unsubscribe();
     };
   }, [session.user.id]);
 
   const fetchComplaints = async () => {
     try {
-      const { data, error } = await supabase
-        .from("complaints")
-        .select("*")
-        .eq("user_id", session.user.id)
-        .order("created_at", { ascending: false });
-
-      if (error) throw error;
-      setComplaints(data || []);
+      const data = await complaintsRepository.listByCustomer(session.user.id);
+      setComplaints(data);
+      setOffline(false);
+      saveSnapshot(`complaints:${session.user.id}`, data).catch((error) =>
+        console.error("Error saving offline copy:", error),
+      );
+
+      const ids = data.map((c) => c.id);
+      complaintIdsRef.current = ids;
+      const [events, attachments] = await Promise.all([
+        complaintsRepository.listEvents(ids),
+        fetchComplaintAttachments(ids),
+        fetchMessages(ids),
+      ]);
+      setEventsByComplaint(groupByComplaint(filterCustomerEvents(events)));
+      setAttachmentsByComplaint(groupByComplaint(attachments));
     } catch (error) {
       console.error("Error fetching complaints:", error);
+      if (isOfflineError(error)) {
+        setOffline(true);
+        const snapshot = await fetchSnapshot(
+          `complaints:${session.user.id}`,
+        ).catch(() => null);
+        if (snapshot) setComplaints(snapshot);
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setLoading(true);
+  const fetchComplaintDetails = async (complaintId) => {
+    const [events, attachments] = await Promise.all([
+      complaintsRepository.listEvents(complaintId),
+      fetchComplaintAttachments(complaintId),
+    ]);
+    setEventsByComplaint((current) => ({
+      ...current,
+      [complaintId]: filterCustomerEvents(events),
+    }));
+    setAttachmentsByComplaint((current) => ({
+      ...current,
+      [complaintId]: attachments,
+    }));
+  };
 
+  const applyComplaintChange = async (payload) => {
     try {
-      const { error } = await supabase.from("complaints").insert([
-        {
-          user_id: session.user.id,
-          bicycle_model: formData.bicycle_model,
-          issue_type: formData.issue_type,
-          description: formData.description,
-          priority: formData.priority,
-          status: "pending",
-        },
+      if (payload.eventType === "INSERT") {
+        const data = await complaintsRepository.getById(payload.new.id);
+        setComplaints((current) =>
+          mergeChange(current, { ...payload, new: data }),
+        );
+        complaintIdsRef.current = [data.id, ...complaintIdsRef.current];
+      } else {
+        setComplaints((current) => mergeChange(current, payload));
+      }
+
+      if (payload.eventType === "DELETE") {
+        complaintIdsRef.current = complaintIdsRef.current.filter(
+          (id) => id !== payload.old.id,
+        );
+      } else {
+        // Status changes add timeline entries on the server.
+        await fetchComplaintDetails(payload.new.id);
+      }
+    } catch (error) {
+      console.error("Error applying complaint change:", error);
+    }
+  };
+
+  const applyNewMessage = async ({ new: row }) => {
+    if (
+      row.visibility !== MESSAGE_VISIBILITY.PUBLIC ||
+      !complaintIdsRef.current.includes(row.complaint_id)
+    ) {
+      return;
+    }
+
+    try {
+      const message = await complaintsRepository.getMessage(row.id);
+      setMessagesByComplaint((current) => {
+        const thread = current[message.complaint_id] || [];
+        if (thread.some((m) => m.id === message.id)) return current;
+        return { ...current, [message.complaint_id]: [...thread, message] };
+      });
+    } catch (error) {
+      console.error("Error fetching message:", error);
+    }
+  };
+
+  // Appointment deletes only carry the primary key, so they are matched
+  // by appointment id rather than complaint id.
+  const applyAppointmentChange = ({ eventType, new: row, old }) => {
+    setComplaints((current) =>
+      current.map((complaint) => {
+        if (eventType === "DELETE") {
+          return complaint.appointment?.id === old.id
+            ? { ...complaint, appointment: null }
+            : complaint;
+        }
+        return complaint.id === row.complaint_id
+          ? {
+              ...complaint,
+              appointment: { id: row.id, slot_start: row.slot_start },
+            }
+          : complaint;
+      }),
+    );
+  };
+
+  // Quotes, invoices and ratings are embedded in the complaint row, so the
+  // complaint is read again; its timeline gains the new events at the same
+  // time.
+  const applyEmbeddedChange = async ({ eventType, new: row }) => {
+    if (
+      eventType === "DELETE" ||
+      !complaintIdsRef.current.includes(row.complaint_id)
+    ) {
+      return;
+    }
+
+    try {
+      const complaint = await complaintsRepository.getById(row.complaint_id);
+      setComplaints((current) =>
+        mergeChange(current, { eventType: "UPDATE", new: complaint }),
+      );
+      await fetchComplaintDetails(complaint.id);
+    } catch (error) {
+      console.error("Error applying request change:", error);
+    }
+  };
+
+  // Payments only name their invoice, so they are merged into whichever
+  // request carries it.
+  const applyPaymentChange = (payload) =>
+    setComplaints((current) =>
+      current.map((complaint) =>
+        complaint.invoice?.id === payload.new.invoice_id
+          ? {
+              ...complaint,
+              invoice: {
+                ...complaint.invoice,
+                payments: mergeChange(
+                  complaint.invoice.payments || [],
+                  payload,
+                ),
+              },
+            }
+          : complaint,
+      ),
+    );
+
+  const fetchBikes = async () => {
+    try {
+      const [customerBikes, models] = await Promise.all([
+        bikesRepository.listByOwner(session.user.id),
+        bikesRepository.listModels(),
       ]);
+      setBikes(customerBikes);
+      setBikeModels(models);
+      saveSnapshot(`bikes:${session.user.id}`, { customerBikes, models }).catch(
+        (error) => console.error("Error saving offline copy:", error),
+      );
+    } catch (error) {
+      console.error("Error fetching bikes:", error);
+      if (isOfflineError(error)) {
+        const snapshot = await fetchSnapshot(`bikes:${session.user.id}`).catch(
+          () => null,
+        );
+        if (snapshot) {
+          setBikes(snapshot.customerBikes);
+          setBikeModels(snapshot.models);
+        }
+      }
+    }
+  };
+
+  const loadQueue = () =>
+    fetchQueuedSubmissions(session.user.id)
+      .then(setQueuedSubmissions)
+      .catch((error) => console.error("Error reading offline queue:", error));
+
+  // Creates the request, then uploads its attachments and books the
+  // drop-off. Those two are best effort: their failures come back as
+  // messages for the customer instead of failing the whole submission,
+  // unless the connection dropped. Each finished step goes through
+  // `saveProgress`, so when a submission is queued or retried after that
+  // only the unfinished steps run again and the request is not created
+  // twice.
+  const sendSubmission = async (submission, saveProgress) => {
+    const { values, files, dropOffSlot } = submission;
+    const warnings = [];
 
-      if (error) throw error;
+    let { complaintId } = submission;
+    if (!complaintId) {
+      complaintId = (await complaintsRepository.create(values)).id;
+      await saveProgress({ complaintId });
+    }
+
+    if (!submission.attachmentsUploaded) {
+      try {
+        await uploadComplaintAttachments({
+          complaintId,
+          uploaderId: session.user.id,
+          files,
+        });
+        await saveProgress({ attachmentsUploaded: true });
+      } catch (uploadError) {
+        if (isOfflineError(uploadError)) throw uploadError;
+        console.error("Error uploading attachments:", uploadError);
+        warnings.push(t("customer.attachmentsFailed"));
+      }
+    }
 
-      setShowForm(false);
+    if (dropOffSlot && !submission.dropOffBooked) {
+      try {
+        await appointmentsRepository.book(complaintId, new Date(dropOffSlot));
+        await saveProgress({ dropOffBooked: true });
+      } catch (bookingError) {
+        if (isOfflineError(bookingError)) throw bookingError;
+        console.error("Error booking drop-off:", bookingError);
+        warnings.push(
+          t("customer.dropOffFailed", { error: bookingError.message }),
+        );
+      }
+    }
+
+    return warnings;
+  };
+
+  const syncQueue = async () => {
+    try {
+      const sent = await syncQueuedSubmissions(
+        session.user.id,
+        (submission, saveProgress) =>
+          sendSubmission(submission, saveProgress).then((warnings) =>
+            warnings.forEach((warning) => console.warn(warning)),
+          ),
+      );
+      if (sent.length > 0) fetchComplaints();
+    } catch (error) {
+      console.error("Error syncing offline requests:", error);
+    } finally {
+      loadQueue();
+    }
+  };
+
+  const discardQueuedSubmission = async (submission) => {
+    if (!confirm(t("customer.discardConfirm"))) return;
+    try {
+      await removeQueuedSubmission(submission.id);
+      loadQueue();
+    } catch (error) {
+      console.error("Error discarding queued request:", error);
+    }
+  };
+
+  const fetchMessages = async (complaintIds) => {
+    try {
+      const messages = await complaintsRepository.listMessages(complaintIds);
+      setMessagesByComplaint(groupByComplaint(messages));
+    } catch (error) {
+      console.error("Error fetching messages:", error);
+    }
+  };
+
+  const sendReply = async (complaintId, body) => {
+    await complaintsRepository.addMessage({
+      complaintId,
+      authorId: session.user.id,
+      body,
+    });
+    fetchMessages(complaintIdsRef.current);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const bike = bikes.find((b) => b.id === formData.bike_id);
+    const submission = {
+      values: {
+        user_id: session.user.id,
+        bike_id: bike.id,
+        bicycle_model: bike.model?.name,
+        issue_type: formData.issue_type,
+        description: formData.description,
+        priority: formData.priority,
+      },
+      files: attachmentFiles,
+      dropOffSlot: dropOffSlot?.toISOString() || null,
+    };
+
+    const resetForm = () => {
+      navigate("/requests");
+      setAttachmentFiles([]);
+      setDropOffSlot(null);
       setFormData({
-        bicycle_model: "",
+        bike_id: "",
         issue_type: "",
         description: "",
         priority: "medium",
       });
-      alert("Service request submitted successfully!");
+    };
+
+    const queueOffline = async () => {
+      try {
+        await queueSubmission({ userId: session.user.id, ...submission });
+        resetForm();
+        loadQueue();
+        alert(t("customer.queuedOffline"));
+      } catch (queueError) {
+        console.error("Error queueing request:", queueError);
+        alert(t("customer.queueError"));
+      }
+    };
+
+    try {
+      if (!navigator.onLine) {
+        await queueOffline();
+        return;
+      }
+
+      // Progress is kept on `submission`, which queueOffline() stores if
+      // the connection drops part way.
+      const warnings = await sendSubmission(submission, async (changes) => {
+        Object.assign(submission, changes);
+      });
+      warnings.forEach((warning) => alert(warning));
+
+      resetForm();
+      alert(t("customer.submitted"));
       fetchComplaints();
     } catch (error) {
-      console.error("Error submitting complaint:", error);
-      alert("Error submitting request. Please try again.");
+      if (isOfflineError(error)) {
+        await queueOffline();
+      } else {
+        console.error("Error submitting complaint:", error);
+        alert(t("customer.submitError"));
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const confirmBooking = async (complaintId) => {
+    try {
+      await appointmentsRepository.book(complaintId, bookingSlot);
+      setBookingFor(null);
+      setBookingSlot(null);
+      fetchComplaints();
+    } catch (error) {
+      console.error("Error booking drop-off:", error);
+      alert(error.message || t("customer.bookingError"));
+    }
+  };
+
+  const handleCancelBooking = async (appointment) => {
+    if (!confirm(t("customer.cancelBookingConfirm"))) return;
+    try {
+      await appointmentsRepository.cancel(appointment.id);
+      fetchComplaints();
+    } catch (error) {
+      console.error("Error cancelling drop-off:", error);
+      alert(t("customer.cancelBookingError"));
+    }
+  };
+
+  // Also frees the drop-off slot; the request is gone from the workshop's
+  // queue either way.
+  const cancelRequest = async (complaint) => {
+    const reason = prompt(t("customer.cancelReasonPrompt"));
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert(t("customer.cancelReasonRequired"));
+      return;
+    }
+
+    try {
+      const updated = await complaintsRepository.updateStatus(
+        complaint,
+        "cancelled",
+        reason,
+      );
+      if (!updated) {
+        alert(t("customer.cancelTooLate"));
+      } else if (complaint.appointment) {
+        await appointmentsRepository
+          .cancel(complaint.appointment.id)
+          .catch((error) => console.error("Error cancelling drop-off:", error));
+      }
+      fetchComplaints();
+    } catch (error) {
+      console.error("Error cancelling request:", error);
+      alert(error.message || t("customer.cancelError"));
+    }
+  };
+
+  const decideQuote = async (complaint, approve) => {
+    let reason = null;
+    if (approve) {
+      if (!confirm(t("customer.approveQuoteConfirm"))) return;
+    } else {
+      reason = prompt(t("customer.declineQuotePrompt"));
+      if (reason === null) return;
+    }
+
+    try {
+      await quotesRepository.decideQuote(complaint.quote.id, approve, reason);
+      fetchComplaints();
+    } catch (error) {
+      console.error("Error answering quote:", error);
+      alert(error.message || t("customer.quoteError"));
+    }
+  };
+
+  const handleDownloadInvoice = async (complaint) => {
+    try {
+      await downloadInvoice(complaint);
+    } catch (error) {
+      console.error("Error generating invoice:", error);
+      alert(t("customer.invoiceError"));
+    }
+  };
+
+  const openBooking = (complaintId) => {
+    setBookingFor(bookingFor === complaintId ? null : complaintId);
+    setBookingSlot(null);
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -97,16 +565,6 @@ function CustomerDashboard({ session }) {
     });
   };
 
-  const getStatusColor = (status) => {
-    const colors = {
-      pending: "#f59e0b",
-      "in-progress": "#3b82f6",
-      completed: "#10b981",
-      cancelled: "#ef4444",
-    };
-    return colors[status] || "#6b7280";
-  };
-
   const getPriorityColor = (priority) => {
     const colors = {
       low: "#10b981",
@@ -117,37 +575,63 @@ function CustomerDashboard({ session }) {
   };
 
   if (loading && complaints.length === 0) {
-    return <div className="loading">Loading your service requests...</div>;
+    return <div className="loading">{t("customer.loading")}</div>;
   }
 
+  const visibleComplaints = selectedId
+    ? complaints.filter((complaint) => complaint.id === selectedId)
+    : complaints;
+  const visibleQueue = selectedId ? [] : queuedSubmissions;
+
   return (
     <div className="customer-dashboard">
+      <MyBikes
+        session={session}
+        bikes={bikes}
+        models={bikeModels}
+        onChange={fetchBikes}
+      />
+
+      <NotificationPreferences session={session} />
+
       <div className="dashboard-header">
-        <h2>My Service Requests</h2>
-        <button className="btn-primary" onClick={() => setShowForm(!showForm)}>
-          {showForm ? "Cancel" : "+ New Service Request"}
+        <h2>{t("customer.heading")}</h2>
+        <button
+          className="btn-primary"
+          onClick={() => navigate(showForm ? "/requests" : "/requests/new")}
+        >
+          {showForm ? t("common.cancel") : t("customer.newRequest")}
         </button>
       </div>
 
       {showForm && (
         <div className="complaint-form-container">
-          <h3>Submit Service Request</h3>
+          <h3>{t("customer.formTitle")}</h3>
           <form onSubmit={handleSubmit} className="complaint-form">
             <div className="form-group">
-              <label htmlFor="bicycle_model">Bicycle Model *</label>
-              <input
-                type="text"
-                id="bicycle_model"
-                name="bicycle_model"
-                value={formData.bicycle_model}
+              <label htmlFor="bike_id">{t("customer.bike")}</label>
+              <select
+                id="bike_id"
+                name="bike_id"
+                value={formData.bike_id}
                 onChange={handleChange}
-                placeholder="e.g., EV-Sport 2024"
                 required
-              />
+              >
+                <option value="">
+                  {bikes.length === 0
+                    ? t("customer.registerBikeFirst")
+                    : t("customer.selectBike")}
+                </option>
+                {bikes.map((bike) => (
+                  <option key={bike.id} value={bike.id}>
+                    {formatBikeLabel(bike)}
+                  </option>
+                ))}
+              </select>
             </div>
 
             <div className="form-group">
-              <label htmlFor="issue_type">Issue Type *</label>
+              <label htmlFor="issue_type">{t("customer.issueType")}</label>
               <select
                 id="issue_type"
                 name="issue_type"
@@ -155,19 +639,17 @@ function CustomerDashboard({ session }) {
                 onChange={handleChange}
                 required
               >
-                <option value="">Select issue type</option>
-                <option value="battery">Battery Issue</option>
-                <option value="motor">Motor Problem</option>
-                <option value="brakes">Brake System</option>
-                <option value="electrical">Electrical System</option>
-                <option value="mechanical">Mechanical Issue</option>
-                <option value="display">Display/Controls</option>
-                <option value="other">Other</option>
+                <option value="">{t("customer.selectIssueType")}</option>
+                {ISSUE_TYPES.map(({ value }) => (
+                  <option key={value} value={value}>
+                    {getIssueTypeLabel(value)}
+                  </option>
+                ))}
               </select>
             </div>
 
             <div className="form-group">
-              <label htmlFor="priority">Priority *</label>
+              <label htmlFor="priority">{t("customer.priority")}</label>
               <select
                 id="priority"
                 name="priority"
@@ -175,48 +657,158 @@ function CustomerDashboard({ session }) {
                 onChange={handleChange}
                 required
               >
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
+                {PRIORITIES.map((priority) => (
+                  <option key={priority} value={priority}>
+                    {getPriorityLabel(priority)}
+                  </option>
+                ))}
               </select>
             </div>
 
             <div className="form-group">
-              <label htmlFor="description">Description *</label>
+              <label htmlFor="description">{t("customer.description")}</label>
               <textarea
                 id="description"
                 name="description"
                 value={formData.description}
                 onChange={handleChange}
-                placeholder="Please describe the issue in detail..."
+                placeholder={t("customer.descriptionPlaceholder")}
                 rows="4"
                 required
               />
             </div>
 
+            <div className="form-group">
+              <label htmlFor="attachments">{t("customer.attachments")}</label>
+              <AttachmentPicker
+                files={attachmentFiles}
+                onChange={setAttachmentFiles}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>{t("customer.dropOffTime")}</label>
+              <AppointmentPicker
+                value={dropOffSlot}
+                onChange={setDropOffSlot}
+              />
+            </div>
+
             <button type="submit" className="btn-submit" disabled={loading}>
-              {loading ? "Submitting..." : "Submit Request"}
+              {loading ? t("customer.submitting") : t("customer.submit")}
             </button>
           </form>
         </div>
       )}
 
+      {offline && (
+        <div className="offline-banner">{t("customer.offlineBanner")}</div>
+      )}
+
+      {selectedId && (
+        <Link to="/requests" className="back-link">
+          {t("customer.allRequests")}
+        </Link>
+      )}
+
       <div className="complaints-list">
-        {complaints.length === 0 ? (
+        {selectedId && visibleComplaints.length === 0 ? (
+          <div className="empty-state">
+            <p>{t("customer.notFound")}</p>
+            <p className="empty-subtitle">{t("customer.notFoundHint")}</p>
+          </div>
+        ) : visibleComplaints.length === 0 && visibleQueue.length === 0 ? (
           <div className="empty-state">
-            <p>No service requests yet</p>
-            <p className="empty-subtitle">
-              Click "New Service Request" to submit your first request
-            </p>
+            <p>{t("customer.empty")}</p>
+            <p className="empty-subtitle">{t("customer.emptyHint")}</p>
           </div>
         ) : (
           <div className="complaints-grid">
-            {complaints.map((complaint) => (
-              <div key={complaint.id} className="complaint-card">
+            {visibleQueue.map((submission) => (
+              <div
+                key={submission.id}
+                className="complaint-card complaint-card-queued"
+              >
                 <div className="complaint-header">
                   <span className="complaint-id">
-                    #{complaint.id.slice(0, 8)}
+                    {t("customer.notSentYet")}
                   </span>
+                  <div className="complaint-badges">
+                    <span className="badge badge-pending-sync">
+                      {submission.error
+                        ? t("customer.syncFailed")
+                        : t("customer.pendingSync")}
+                    </span>
+                    <span
+                      className="badge badge-priority"
+                      style={{
+                        backgroundColor: getPriorityColor(
+                          submission.values.priority,
+                        ),
+                      }}
+                    >
+                      {getPriorityLabel(submission.values.priority)}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="complaint-body">
+                  <h4>{submission.values.bicycle_model}</h4>
+                  <p className="issue-type">
+                    <strong>{t("customer.issue")}</strong>{" "}
+                    {getIssueTypeLabel(submission.values.issue_type)}
+                  </p>
+                  <p className="description">{submission.values.description}</p>
+                  {submission.files.length > 0 && (
+                    <p className="queued-note">
+                      {t("customer.queuedAttachments", {
+                        count: submission.files.length,
+                      })}
+                    </p>
+                  )}
+                  {submission.dropOffSlot && (
+                    <p className="queued-note">
+                      {t("customer.queuedDropOff", {
+                        slot: formatSlot(submission.dropOffSlot),
+                      })}
+                    </p>
+                  )}
+                  {submission.error ? (
+                    <p className="queued-error">
+                      {t("customer.couldNotSend", { error: submission.error })}
+                      <button
+                        type="button"
+                        className="btn-discard"
+                        onClick={() => discardQueuedSubmission(submission)}
+                      >
+                        {t("customer.discard")}
+                      </button>
+                    </p>
+                  ) : (
+                    <p className="queued-note">
+                      {t("customer.willSendOnline")}
+                    </p>
+                  )}
+                </div>
+
+                <div className="complaint-footer">
+                  <span className="date">
+                    {t("customer.saved", {
+                      date: formatDate(submission.queuedAt),
+                    })}
+                  </span>
+                </div>
+              </div>
+            ))}
+            {visibleComplaints.map((complaint) => (
+              <div key={complaint.id} className="complaint-card">
+                <div className="complaint-header">
+                  <Link
+                    to={`/requests/${complaint.id}`}
+                    className="complaint-id"
+                  >
+                    #{complaint.id.slice(0, 8)}
+                  </Link>
                   <div className="complaint-badges">
                     <span
                       className="badge badge-status"
@@ -224,45 +816,197 @@ function CustomerDashboard({ session }) {
                         backgroundColor: getStatusColor(complaint.status),
                       }}
                     >
-                      {complaint.status}
+                      {getStatusLabel(complaint.status)}
                     </span>
+                    {complaint.rework_count > 0 && (
+                      <span className="rework-badge">{t("common.rework")}</span>
+                    )}
                     <span
                       className="badge badge-priority"
                       style={{
                         backgroundColor: getPriorityColor(complaint.priority),
                       }}
                     >
-                      {complaint.priority}
+                      {getPriorityLabel(complaint.priority)}
                     </span>
                   </div>
                 </div>
 
                 <div className="complaint-body">
                   <h4>{complaint.bicycle_model}</h4>
-                  <p className="issue-type">
-                    <strong>Issue:</strong> {complaint.issue_type}
-                  </p>
-                  <p className="description">{complaint.description}</p>
+                  {complaint.bike?.serial_number && (
+                    <p className="bike-serial-number">
+                      {t("customer.serial", {
+                        serial: complaint.bike.serial_number,
+                      })}
+                    </p>
+                  )}
+                  {editingId === complaint.id ? (
+                    <RequestEditForm
+                      complaint={complaint}
+                      onDone={() => setEditingId(null)}
+                      onSaved={fetchComplaints}
+                    />
+                  ) : (
+                    <>
+                      <p className="issue-type">
+                        <strong>{t("customer.issue")}</strong>{" "}
+                        {getIssueTypeLabel(complaint.issue_type)}
+                      </p>
+                      <p className="description">{complaint.description}</p>
+                      {customerCanEdit(complaint) && (
+                        <div className="request-actions">
+                          <button onClick={() => setEditingId(complaint.id)}>
+                            {t("customer.editRequest")}
+                          </button>
+                          <button
+                            className="btn-cancel-request"
+                            onClick={() => cancelRequest(complaint)}
+                          >
+                            {t("customer.cancelRequest")}
+                          </button>
+                        </div>
+                      )}
+                    </>
+                  )}
+
+                  <AttachmentGallery
+                    attachments={attachmentsByComplaint[complaint.id] || []}
+                  />
+
+                  {complaint.quote && (
+                    <QuoteSummary quote={complaint.quote}>
+                      {complaint.quote.status === "pending" &&
+                        !isTerminal(complaint.status) && (
+                          <div className="quote-actions">
+                            <button
+                              className="btn-approve"
+                              onClick={() => decideQuote(complaint, true)}
+                            >
+                              {t("customer.approveQuote")}
+                            </button>
+                            <button
+                              className="btn-decline"
+                              onClick={() => decideQuote(complaint, false)}
+                            >
+                              {t("customer.declineQuote")}
+                            </button>
+                          </div>
+                        )}
+                    </QuoteSummary>
+                  )}
+
+                  {complaint.invoice && (
+                    <PaymentSummary invoice={complaint.invoice}>
+                      {invoiceSummary(complaint.invoice).payable > 0 && (
+                        <PayOnlineForm
+                          key={invoiceSummary(complaint.invoice).payable}
+                          complaint={complaint}
+                        />
+                      )}
+                    </PaymentSummary>
+                  )}
+
+                  <ServiceFeedback
+                    key={complaint.rating?.updated_at || complaint.status}
+                    complaint={complaint}
+                    onChange={fetchComplaints}
+                  />
+
+                  {!isTerminal(complaint.status) && (
+                    <div className="appointment-info">
+                      <span>
+                        <strong>{t("customer.dropOff")}</strong>{" "}
+                        {complaint.appointment
+                          ? formatSlot(complaint.appointment.slot_start)
+                          : t("customer.notBookedYet")}
+                      </span>
+                      <div className="appointment-actions">
+                        <button onClick={() => openBooking(complaint.id)}>
+                          {bookingFor === complaint.id
+                            ? t("customer.closeBooking")
+                            : complaint.appointment
+                              ? t("customer.reschedule")
+                              : t("customer.bookDropOff")}
+                        </button>
+                        {complaint.appointment && (
+                          <button
+                            onClick={() =>
+                              handleCancelBooking(complaint.appointment)
+                            }
+                          >
+                            {t("common.cancel")}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {bookingFor === complaint.id && (
+                    <div className="appointment-booking">
+                      <AppointmentPicker
+                        value={bookingSlot}
+                        onChange={setBookingSlot}
+                      />
+                      <button
+                        className="btn-submit"
+                        disabled={!bookingSlot}
+                        onClick={() => confirmBooking(complaint.id)}
+                      >
+                        {t("customer.confirmDropOff")}
+                      </button>
+                    </div>
+                  )}
 
-                  {complaint.company_notes && (
-                    <div className="company-notes">
-                      <strong>Company Notes:</strong>
-                      <p>{complaint.company_notes}</p>
+                  {complaint.cancellation_reason && (
+                    <div className="cancellation-reason">
+                      <strong>{t("customer.cancellationReason")}</strong>
+                      <p>{complaint.cancellation_reason}</p>
                     </div>
                   )}
                 </div>
 
+                <details className="complaint-messages">
+                  <summary>
+                    {t("customer.messages", {
+                      count: (messagesByComplaint[complaint.id] || []).length,
+                    })}
+                  </summary>
+                  <MessageThread
+                    messages={messagesByComplaint[complaint.id] || []}
+                    currentUserId={session.user.id}
+                    onSend={(body) => sendReply(complaint.id, body)}
+                  />
+                </details>
+
+                <details className="complaint-activity">
+                  <summary>{t("common.activity")}</summary>
+                  <ActivityTimeline
+                    events={eventsByComplaint[complaint.id] || []}
+                  />
+                </details>
+
                 <div className="complaint-footer">
                   <span className="date">
-                    Submitted:{" "}
-                    {new Date(complaint.created_at).toLocaleDateString()}
+                    {t("customer.submittedOn", {
+                      date: formatDate(complaint.created_at),
+                    })}
                   </span>
                   {complaint.updated_at !== complaint.created_at && (
                     <span className="date">
-                      Updated:{" "}
-                      {new Date(complaint.updated_at).toLocaleDateString()}
+                      {t("customer.updatedOn", {
+                        date: formatDate(complaint.updated_at),
+                      })}
                     </span>
                   )}
+                  {canDownloadInvoice(complaint) && (
+                    <button
+                      className="btn-invoice"
+                      onClick={() => handleDownloadInvoice(complaint)}
+                    >
+                      {t("common.downloadInvoice")}
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -0,0 +1,148 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { notificationsRepository } from "../repositories";
+import { getNotificationKindLabel } from "../notifications/templates";
+import { PAGE_SIZE } from "../services/complaints";
+import { formatDateTime, t } from "../i18n";
+import "./DeliveryLog.css";
+
+// Staff view of every email/SMS the notification worker has sent or failed
+// to send, newest first.
+function DeliveryLog() {
+  const [deliveries, setDeliveries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    notificationsRepository
+      .listDeliveries({ page })
+      .then(({ rows, total }) => {
+        setDeliveries(rows);
+        setTotal(total);
+      })
+      .catch((error) =>
+        console.error("Error fetching notification deliveries:", error),
+      )
+      .finally(() => setLoading(false));
+  }, [page]);
+
+  if (loading) return <div className="loading">{t("deliveries.loading")}</div>;
+
+  return (
+    <div className="delivery-log">
+      <h2>{t("deliveries.heading")}</h2>
+
+      {deliveries.length === 0 ? (
+        <div className="empty-state">{t("deliveries.empty")}</div>
+      ) : (
+        <div className="table-container">
+          <table className="complaints-table">
+            <thead>
+              <tr>
+                <th>{t("deliveries.column.sent")}</th>
+                <th>{t("company.column.customer")}</th>
+                <th>{t("deliveries.column.request")}</th>
+                <th>{t("deliveries.column.notification")}</th>
+                <th>{t("deliveries.column.channel")}</th>
+                <th>{t("deliveries.column.recipient")}</th>
+                <th>{t("company.column.status")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map((delivery) => (
+                <DeliveryRow
+                  key={delivery.id}
+                  delivery={delivery}
+                  expanded={expandedId === delivery.id}
+                  onToggle={() =>
+                    setExpandedId(
+                      expandedId === delivery.id ? null : delivery.id,
+                    )
+                  }
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="pagination">
+          <button
+            className="btn-view"
+            disabled={page === 0}
+            onClick={() => setPage(page - 1)}
+          >
+            {t("company.previousPage")}
+          </button>
+          <span>
+            {t("company.pageRange", {
+              first: page * PAGE_SIZE + 1,
+              last: Math.min((page + 1) * PAGE_SIZE, total),
+              total,
+            })}
+          </span>
+          <button
+            className="btn-view"
+            disabled={(page + 1) * PAGE_SIZE >= total}
+            onClick={() => setPage(page + 1)}
+          >
+            {t("company.nextPage")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DeliveryRow({ delivery, expanded, onToggle }) {
+  return (
+    <>
+      <tr className="delivery-row" onClick={onToggle}>
+        <td>{formatDateTime(delivery.created_at)}</td>
+        <td>{delivery.customer?.name || "—"}</td>
+        <td className="id-cell">
+          <Link
+            to={`/admin/requests/${delivery.complaint_id}`}
+            onClick={(e) => e.stopPropagation()}
+          >
+            #{delivery.complaint_id.slice(0, 8)}
+          </Link>
+        </td>
+        <td>{getNotificationKindLabel(delivery.kind)}</td>
+        <td className="delivery-channel">
+          {t(`deliveries.channel.${delivery.channel}`)}
+        </td>
+        <td>{delivery.recipient}</td>
+        <td>
+          <span
+            className={`delivery-status ${delivery.status}`}
+            title={delivery.error || undefined}
+          >
+            {t(`deliveries.status.${delivery.status}`)}
+          </span>
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="delivery-body">
+          <td colSpan={7}>
+            {delivery.subject && <strong>{delivery.subject}</strong>}
+            <pre>{delivery.body}</pre>
+            {delivery.error && (
+              <p className="delivery-error">
+                {t("deliveries.error", { error: delivery.error })}
+              </p>
+            )}
+            <p className="delivery-provider">
+              {t("deliveries.sentVia", { provider: delivery.provider })}
+            </p>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+export default DeliveryLog;
@@ -0,0 +1,68 @@
+import { usersRepository } from "../repositories";
+import { LANGUAGES, deviceTimeZone, getLocale, setLocale, t } from "../i18n";
+import useLocale from "../hooks/useLocale";
+import "./LocaleSwitcher.css";
+
+const TIME_ZONES = Intl.supportedValuesOf?.("timeZone") || [];
+
+// Language and time zone pickers. The choice is remembered on this device;
+// for a signed-in user (`userId`) it is also saved to their settings, so it
+// follows them to other devices.
+function LocaleSwitcher({ userId, showTimeZone = true }) {
+  const locale = useLocale();
+
+  const change = async (changes) => {
+    setLocale(changes);
+    if (!userId) return;
+
+    const { language, timeZone } = getLocale();
+    try {
+      await usersRepository.saveSettings(userId, {
+        language,
+        time_zone: timeZone,
+      });
+    } catch (error) {
+      console.error("Error saving language settings:", error);
+      alert(t("locale.saveError"));
+    }
+  };
+
+  return (
+    <div className="locale-switcher">
+      <select
+        value={locale.language}
+        onChange={(e) => change({ language: e.target.value })}
+        aria-label={t("locale.language")}
+      >
+        {LANGUAGES.map(({ code, name }) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+
+      {showTimeZone && (
+        <select
+          value={locale.timeZone || ""}
+          onChange={(e) => change({ timeZone: e.target.value || null })}
+          aria-label={t("locale.timeZone")}
+        >
+          <option value="">
+            {t("locale.deviceTimeZone", { timeZone: deviceTimeZone() })}
+          </option>
+          {/* A saved zone this browser lists under another name. */}
+          {locale.timeZone && !TIME_ZONES.includes(locale.timeZone) && (
+            <option value={locale.timeZone}>{locale.timeZone}</option>
+          )}
+          {TIME_ZONES.map((timeZone) => (
+            <option key={timeZone} value={timeZone}>
+              {timeZone}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
+
+export default LocaleSwitcher;
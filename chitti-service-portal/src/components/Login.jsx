@@ -1,5 +1,8 @@
 import { useState } from "react";
-import { supabase } from "../supabaseClient";
+import { isDemoBackend, usersRepository } from "../repositories";
+import { DEMO_ACCOUNTS, DEMO_PASSWORD } from "../repositories/memory/seed";
+import { t } from "../i18n";
+import LocaleSwitcher from "./LocaleSwitcher";
 import "./Login.css";
 
 function Login() {
@@ -17,12 +20,7 @@ function Login() {
     setError(null);
 
     try {
-      const { error } = await supabase.auth.signInWithPassword({
-        email,
-        password,
-      });
-
-      if (error) throw error;
+      await usersRepository.signIn({ email, password });
     } catch (error) {
       setError(error.message);
     } finally {
@@ -36,32 +34,9 @@ function Login() {
     setError(null);
 
     try {
-      // Sign up the user
-      const { data: authData, error: signUpError } = await supabase.auth.signUp(
-        {
-          email,
-          password,
-        },
-      );
-
-      if (signUpError) throw signUpError;
-
-      // Insert user data into users table
-      if (authData.user) {
-        const { error: insertError } = await supabase.from("users").insert([
-          {
-            id: authData.user.id,
-            email: email,
-            name: name,
-            phone: phone,
-            role: "customer",
-          },
-        ]);
-
-        if (insertError) throw insertError;
-      }
-
-      alert("Account created successfully! Please login.");
+      await usersRepository.signUp({ email, password, name, phone });
+
+      alert(t("login.accountCreated"));
       setIsSignUp(false);
       setName("");
       setPhone("");
@@ -75,9 +50,11 @@ function Login() {
   return (
     <div className="login-container">
       <div className="login-box">
+        <LocaleSwitcher showTimeZone={false} />
+
         <div className="login-header">
-          <h1>⚡ EV Bicycle Service</h1>
-          <p>{isSignUp ? "Create your account" : "Sign in to your account"}</p>
+          <h1>⚡ {t("login.title")}</h1>
+          <p>{isSignUp ? t("login.createAccount") : t("login.signInPrompt")}</p>
         </div>
 
         {error && <div className="error-message">{error}</div>}
@@ -86,22 +63,22 @@ function Login() {
           {isSignUp && (
             <>
               <div className="form-group">
-                <label htmlFor="name">Full Name</label>
+                <label htmlFor="name">{t("login.fullName")}</label>
                 <input
                   id="name"
                   type="text"
-                  placeholder="Enter your name"
+                  placeholder={t("login.namePlaceholder")}
                   value={name}
                   onChange={(e) => setName(e.target.value)}
                   required
                 />
               </div>
               <div className="form-group">
-                <label htmlFor="phone">Phone Number</label>
+                <label htmlFor="phone">{t("login.phone")}</label>
                 <input
                   id="phone"
                   type="tel"
-                  placeholder="Enter your phone number"
+                  placeholder={t("login.phonePlaceholder")}
                   value={phone}
                   onChange={(e) => setPhone(e.target.value)}
                   required
@@ -111,11 +88,11 @@ function Login() {
           )}
 
           <div className="form-group">
-            <label htmlFor="email">Email</label>
+            <label htmlFor="email">{t("login.email")}</label>
             <input
               id="email"
               type="email"
-              placeholder="Enter your email"
+              placeholder={t("login.emailPlaceholder")}
               value={email}
               onChange={(e) => setEmail(e.target.value)}
               required
@@ -123,11 +100,11 @@ function Login() {
           </div>
 
           <div className="form-group">
-            <label htmlFor="password">Password</label>
+            <label htmlFor="password">{t("login.password")}</label>
             <input
               id="password"
               type="password"
-              placeholder="Enter your password"
+              placeholder={t("login.passwordPlaceholder")}
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               required
@@ -135,7 +112,11 @@ function Login() {
           </div>
 
           <button type="submit" className="btn-primary" disabled={loading}>
-            {loading ? "Loading..." : isSignUp ? "Sign Up" : "Sign In"}
+            {loading
+              ? t("common.loading")
+              : isSignUp
+                ? t("login.signUp")
+                : t("login.signIn")}
           </button>
         </form>
 
@@ -147,18 +128,26 @@ function Login() {
               setError(null);
             }}
           >
-            {isSignUp
-              ? "Already have an account? Sign in"
-              : "Don't have an account? Sign up"}
+            {isSignUp ? t("login.haveAccount") : t("login.noAccount")}
           </button>
         </div>
 
         <div className="demo-credentials">
           <p>
-            <strong>Demo Credentials:</strong>
+            <strong>{t("login.demoCredentials")}</strong>
           </p>
-          <p>Company: company@evbikes.com / password123</p>
-          <p>Customer: customer@example.com / password123</p>
+          {isDemoBackend ? (
+            DEMO_ACCOUNTS.map((account) => (
+              <p key={account.email}>
+                {t(`role.${account.role}`)}: {account.email} / {DEMO_PASSWORD}
+              </p>
+            ))
+          ) : (
+            <>
+              <p>{t("role.company")}: company@evbikes.com / password123</p>
+              <p>{t("role.customer")}: customer@example.com / password123</p>
+            </>
+          )}
         </div>
       </div>
     </div>
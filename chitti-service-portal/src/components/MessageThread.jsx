@@ -0,0 +1,101 @@
+import { useState } from "react";
+import { MESSAGE_VISIBILITY } from "../services/complaintMessages";
+import { formatDateTime, t } from "../i18n";
+import "./MessageThread.css";
+
+function MessageThread({ messages, currentUserId, onSend, allowInternal }) {
+  const [body, setBody] = useState("");
+  const [visibility, setVisibility] = useState(
+    allowInternal ? MESSAGE_VISIBILITY.INTERNAL : MESSAGE_VISIBILITY.PUBLIC,
+  );
+  const [sending, setSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSending(true);
+    try {
+      await onSend(body, visibility);
+      setBody("");
+    } catch (error) {
+      console.error("Error sending message:", error);
+      alert(t("thread.sendError"));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="message-thread">
+      {messages.length === 0 ? (
+        <p className="thread-empty">{t("thread.empty")}</p>
+      ) : (
+        <ul className="thread-messages">
+          {messages.map((message) => (
+            <li
+              key={message.id}
+              className={`thread-message ${message.visibility} ${
+                message.author_id === currentUserId ? "own" : ""
+              }`}
+            >
+              <div className="thread-meta">
+                <span className="thread-author">
+                  {message.author?.name || t("thread.staff")}
+                </span>
+                {message.visibility === MESSAGE_VISIBILITY.INTERNAL && (
+                  <span className="thread-internal-badge">
+                    {t("thread.internal")}
+                  </span>
+                )}
+                <span className="thread-date">
+                  {formatDateTime(message.created_at)}
+                </span>
+              </div>
+              <p className="thread-body">{message.body}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="thread-form" onSubmit={handleSubmit}>
+        <textarea
+          className="thread-input"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          placeholder={
+            visibility === MESSAGE_VISIBILITY.INTERNAL
+              ? t("thread.internalPlaceholder")
+              : t("thread.messagePlaceholder")
+          }
+          rows="3"
+        />
+        <div className="thread-actions">
+          {allowInternal && (
+            <select
+              className="thread-visibility"
+              value={visibility}
+              onChange={(e) => setVisibility(e.target.value)}
+            >
+              <option value={MESSAGE_VISIBILITY.INTERNAL}>
+                {t("thread.internalNote")}
+              </option>
+              <option value={MESSAGE_VISIBILITY.PUBLIC}>
+                {t("thread.toCustomer")}
+              </option>
+            </select>
+          )}
+          <button
+            type="submit"
+            className="btn-send-message"
+            disabled={sending || !body.trim()}
+          >
+            {sending ? t("thread.sending") : t("thread.send")}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default MessageThread;
@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { deliverMockWebhook, mockGateway } from "../services/onlinePayments";
+import { formatMoney } from "../services/quotes";
+import { t } from "../i18n";
+import "./Payments.css";
+
+const WEBHOOK_DELAY_MS = 5000;
+
+// How the webhook reaches the app, to exercise the ways a real one can:
+// before the customer is back, after, or not at all (the payment then
+// stays pending). Labels are message keys.
+const WEBHOOK_TIMINGS = {
+  immediate: "mockCheckout.timing.immediate",
+  delayed: "mockCheckout.timing.delayed",
+  never: "mockCheckout.timing.never",
+};
+
+// Stands in for a provider's hosted checkout page. Instead of taking card
+// details it lets you pick the outcome, then signs and sends the webhook
+// the provider would send.
+function MockGatewayCheckout() {
+  const [params] = useSearchParams();
+  const navigate = useNavigate();
+  const [timing, setTiming] = useState("immediate");
+  const [processing, setProcessing] = useState(false);
+
+  const paymentId = params.get("payment");
+  // Only paths inside the portal, so the page cannot be used to send
+  // people elsewhere.
+  const returnTo = params.get("return");
+  const returnUrl =
+    returnTo?.startsWith("/") && !returnTo.startsWith("//") ? returnTo : "/";
+
+  const finish = async (outcome, error) => {
+    setProcessing(true);
+    try {
+      const webhook = await mockGateway.createWebhook({
+        paymentId,
+        outcome,
+        error,
+      });
+      const deliver = () =>
+        deliverMockWebhook(webhook).catch((deliveryError) =>
+          console.error("Error delivering mock webhook:", deliveryError),
+        );
+
+      if (timing === "immediate") await deliver();
+      else if (timing === "delayed") setTimeout(deliver, WEBHOOK_DELAY_MS);
+      navigate(returnUrl);
+    } catch (error) {
+      console.error("Error completing mock checkout:", error);
+      alert(t("mockCheckout.error"));
+      setProcessing(false);
+    }
+  };
+
+  if (!paymentId) {
+    return (
+      <div className="mock-checkout">
+        <h2>{t("mockCheckout.heading")}</h2>
+        <p className="mock-checkout-note">{t("mockCheckout.noPayment")}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mock-checkout">
+      <h2>{t("mockCheckout.heading")}</h2>
+      <p className="mock-checkout-note">{t("mockCheckout.note")}</p>
+
+      <div>{params.get("description")}</div>
+      <div className="mock-checkout-amount">
+        {formatMoney(params.get("amount"))}
+      </div>
+
+      <label>
+        {t("mockCheckout.sendWebhook")}
+        <select value={timing} onChange={(e) => setTiming(e.target.value)}>
+          {Object.entries(WEBHOOK_TIMINGS).map(([value, labelKey]) => (
+            <option key={value} value={value}>
+              {t(labelKey, { seconds: WEBHOOK_DELAY_MS / 1000 })}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="mock-checkout-actions">
+        <button
+          type="button"
+          className="btn-pay"
+          disabled={processing}
+          onClick={() => finish("succeeded")}
+        >
+          {t("mockCheckout.pay")}
+        </button>
+        <button
+          type="button"
+          disabled={processing}
+          onClick={() => finish("failed", "Card declined by the issuer")}
+        >
+          {t("mockCheckout.decline")}
+        </button>
+        <button
+          type="button"
+          disabled={processing}
+          onClick={() => finish("failed", "Checkout cancelled")}
+        >
+          {t("common.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default MockGatewayCheckout;
@@ -0,0 +1,162 @@
+import { useState } from "react";
+import { bikesRepository } from "../repositories";
+import { defaultWarrantyEnd } from "../services/bikes";
+import { formatCalendarDate, t } from "../i18n";
+import WarrantyBadge from "./WarrantyBadge";
+import "./MyBikes.css";
+
+const emptyForm = {
+  model_id: "",
+  serial_number: "",
+  purchase_date: "",
+  warranty_end_date: "",
+};
+
+function MyBikes({ session, bikes, models, onChange }) {
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [warrantyEdited, setWarrantyEdited] = useState(false);
+
+  const handleChange = (e) => {
+    const next = { ...formData, [e.target.name]: e.target.value };
+
+    // Suggest a warranty end date from the model's warranty period until
+    // the customer enters their own.
+    if (e.target.name === "warranty_end_date") {
+      setWarrantyEdited(true);
+    } else if (!warrantyEdited) {
+      const model = models.find((m) => m.id === next.model_id);
+      next.warranty_end_date = model
+        ? defaultWarrantyEnd(next.purchase_date, model.warranty_months)
+        : "";
+    }
+
+    setFormData(next);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      await bikesRepository.register({
+        ownerId: session.user.id,
+        modelId: formData.model_id,
+        serialNumber: formData.serial_number,
+        purchaseDate: formData.purchase_date,
+        warrantyEndDate: formData.warranty_end_date,
+      });
+      setFormData(emptyForm);
+      setWarrantyEdited(false);
+      setShowForm(false);
+      onChange();
+    } catch (error) {
+      console.error("Error registering bike:", error);
+      alert(error.message || t("bikes.registerError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="my-bikes">
+      <div className="my-bikes-header">
+        <h3>{t("bikes.heading")}</h3>
+        <button
+          className="btn-secondary"
+          onClick={() => setShowForm(!showForm)}
+        >
+          {showForm ? t("common.cancel") : t("bikes.register")}
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bike-form">
+          <div className="form-group">
+            <label htmlFor="model_id">{t("bikes.model")}</label>
+            <select
+              id="model_id"
+              name="model_id"
+              value={formData.model_id}
+              onChange={handleChange}
+              required
+            >
+              <option value="">{t("bikes.selectModel")}</option>
+              {models.map((model) => (
+                <option key={model.id} value={model.id}>
+                  {model.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="serial_number">{t("bikes.serial")}</label>
+            <input
+              type="text"
+              id="serial_number"
+              name="serial_number"
+              value={formData.serial_number}
+              onChange={handleChange}
+              placeholder={t("bikes.serialPlaceholder")}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="purchase_date">{t("bikes.purchaseDate")}</label>
+            <input
+              type="date"
+              id="purchase_date"
+              name="purchase_date"
+              value={formData.purchase_date}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="warranty_end_date">{t("bikes.warrantyEnd")}</label>
+            <input
+              type="date"
+              id="warranty_end_date"
+              name="warranty_end_date"
+              value={formData.warranty_end_date}
+              min={formData.purchase_date || undefined}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <button type="submit" className="btn-submit" disabled={saving}>
+            {saving ? t("common.saving") : t("bikes.submit")}
+          </button>
+        </form>
+      )}
+
+      {bikes.length === 0 ? (
+        <p className="my-bikes-empty">{t("bikes.empty")}</p>
+      ) : (
+        <ul className="bike-list">
+          {bikes.map((bike) => (
+            <li key={bike.id} className="bike-item">
+              <div>
+                <strong>{bike.model?.name}</strong>
+                <div className="bike-serial">{bike.serial_number}</div>
+              </div>
+              <WarrantyBadge bike={bike} />
+              <span className="bike-warranty-date">
+                {t("bikes.warrantyUntil", {
+                  date: formatCalendarDate(bike.warranty_end_date),
+                })}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default MyBikes;
@@ -0,0 +1,171 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { inboxRepository } from "../repositories";
+import { INBOX_LIMIT, describeInboxItem } from "../services/inbox";
+import { mergeChange, subscribeToChanges } from "../services/realtimeStore";
+import { requestPathFor } from "../services/routes";
+import { formatDateTime, t } from "../i18n";
+import "./NotificationBell.css";
+
+function NotificationBell({ session, role }) {
+  const [items, setItems] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+  const userId = session.user.id;
+
+  const fetchInbox = () =>
+    Promise.all([
+      inboxRepository.list(userId),
+      inboxRepository.countUnread(userId),
+    ])
+      .then(([rows, count]) => {
+        setItems(rows);
+        setUnreadCount(count);
+      })
+      .catch((error) => console.error("Error fetching notifications:", error));
+
+  // The unread total can include rows older than the listed ones, so it is
+  // read back from the server instead of being counted from `items`.
+  const applyInboxChange = (payload) => {
+    setItems((current) =>
+      payload.eventType === "INSERT"
+        ? [
+            payload.new,
+            ...current.filter((item) => item.id !== payload.new.id),
+          ].slice(0, INBOX_LIMIT)
+        : mergeChange(current, payload),
+    );
+    inboxRepository
+      .countUnread(userId)
+      .then(setUnreadCount)
+      .catch((error) => console.error("Error counting notifications:", error));
+  };
+
+  useEffect(() => {
+    fetchInbox();
+
+    const unsubscribe = subscribeToChanges(
+      "inbox",
+      [
+        {
+          table: "user_notifications",
+          filter: `user_id=eq.${userId}`,
+          onChange: applyInboxChange,
+        },
+      ],
+      { onResync: fetchInbox },
+    );
+
+    return unsubscribe;
+  }, [userId]);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const closeOnOutsideClick = (event) => {
+      if (!containerRef.current?.contains(event.target)) setOpen(false);
+    };
+    const closeOnEscape = (event) => {
+      if (event.key === "Escape") setOpen(false);
+    };
+
+    document.addEventListener("mousedown", closeOnOutsideClick);
+    document.addEventListener("keydown", closeOnEscape);
+    return () => {
+      document.removeEventListener("mousedown", closeOnOutsideClick);
+      document.removeEventListener("keydown", closeOnEscape);
+    };
+  }, [open]);
+
+  const markRead = (ids) => {
+    const now = new Date().toISOString();
+    setItems((current) =>
+      current.map((item) =>
+        ids.includes(item.id) && !item.read_at
+          ? { ...item, read_at: now }
+          : item,
+      ),
+    );
+  };
+
+  const openItem = async (item) => {
+    setOpen(false);
+    navigate(requestPathFor(role, item.complaint_id));
+    if (item.read_at) return;
+
+    markRead([item.id]);
+    setUnreadCount((count) => Math.max(count - 1, 0));
+    try {
+      await inboxRepository.markRead([item.id]);
+    } catch (error) {
+      console.error("Error marking notification read:", error);
+      fetchInbox();
+    }
+  };
+
+  const markAllRead = async () => {
+    markRead(items.map((item) => item.id));
+    setUnreadCount(0);
+    try {
+      await inboxRepository.markAllRead(userId);
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+      fetchInbox();
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        className="bell-button"
+        onClick={() => setOpen(!open)}
+        aria-label={t("notifications.bellLabel", { count: unreadCount })}
+        aria-expanded={open}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="bell-badge">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="bell-dropdown">
+          <div className="bell-dropdown-header">
+            <strong>{t("notifications.heading")}</strong>
+            <button
+              className="bell-mark-all"
+              onClick={markAllRead}
+              disabled={unreadCount === 0}
+            >
+              {t("notifications.markAllRead")}
+            </button>
+          </div>
+
+          {items.length === 0 ? (
+            <p className="bell-empty">{t("notifications.empty")}</p>
+          ) : (
+            <ul className="bell-list">
+              {items.map((item) => (
+                <li key={item.id}>
+                  <button
+                    className={`bell-item ${item.read_at ? "" : "unread"}`}
+                    onClick={() => openItem(item)}
+                  >
+                    <span>{describeInboxItem(item)}</span>
+                    <small>{formatDateTime(item.created_at)}</small>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,69 @@
+import { useEffect, useState } from "react";
+import { notificationsRepository } from "../repositories";
+import { t } from "../i18n";
+import "./NotificationPreferences.css";
+
+const CHANNEL_OPTIONS = [
+  { field: "email_enabled", channel: "email" },
+  { field: "sms_enabled", channel: "sms" },
+];
+
+function NotificationPreferences({ session }) {
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    notificationsRepository
+      .getPreferences(session.user.id)
+      .then(setPreferences)
+      .catch((error) =>
+        console.error("Error fetching notification preferences:", error),
+      );
+  }, [session.user.id]);
+
+  const toggle = async (field) => {
+    const previous = preferences;
+    const next = { ...preferences, [field]: !preferences[field] };
+    setPreferences(next);
+    setSaving(true);
+
+    try {
+      await notificationsRepository.savePreferences(session.user.id, next);
+    } catch (error) {
+      console.error("Error saving notification preferences:", error);
+      alert(t("notifications.saveError"));
+      setPreferences(previous);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <details className="notification-preferences">
+      <summary>{t("notifications.settings")}</summary>
+      <p className="notification-preferences-intro">
+        {t("notifications.intro")}
+      </p>
+      {preferences ? (
+        CHANNEL_OPTIONS.map(({ field, channel }) => (
+          <label key={field} className="notification-channel">
+            <input
+              type="checkbox"
+              checked={preferences[field]}
+              disabled={saving}
+              onChange={() => toggle(field)}
+            />
+            <span>
+              <strong>{t(`notifications.${channel}`)}</strong>{" "}
+              {t(`notifications.${channel}Hint`)}
+            </span>
+          </label>
+        ))
+      ) : (
+        <p className="notification-preferences-intro">{t("common.loading")}</p>
+      )}
+    </details>
+  );
+}
+
+export default NotificationPreferences;
@@ -0,0 +1,186 @@
+import { useEffect, useState } from "react";
+import { quotesRepository } from "../repositories";
+import { mergeChange, subscribeToChanges } from "../services/realtimeStore";
+import { formatMoney } from "../services/quotes";
+import { t } from "../i18n";
+import "./Quotes.css";
+
+const LOW_STOCK = 3;
+
+const EMPTY_PART = { sku: "", name: "", unitPrice: "", stock: 0 };
+
+// Prices and stock levels are edited in place and saved when the field
+// loses focus. Stock follows approved quotes live.
+function PartsCatalog() {
+  const [parts, setParts] = useState([]);
+  const [newPart, setNewPart] = useState(EMPTY_PART);
+
+  const loadParts = () =>
+    quotesRepository
+      .listParts({ activeOnly: false })
+      .then(setParts)
+      .catch((error) => console.error("Error fetching parts:", error));
+
+  useEffect(() => {
+    loadParts();
+
+    return subscribeToChanges(
+      "parts_catalog",
+      [
+        {
+          table: "parts",
+          onChange: (payload) =>
+            setParts((current) => mergeChange(current, payload)),
+        },
+      ],
+      { onResync: loadParts },
+    );
+  }, []);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      await quotesRepository.createPart({
+        sku: newPart.sku,
+        name: newPart.name,
+        unitPrice: Number(newPart.unitPrice),
+        stock: Number(newPart.stock),
+      });
+      setNewPart(EMPTY_PART);
+      loadParts();
+    } catch (error) {
+      console.error("Error adding part:", error);
+      alert(error.message || t("parts.addError"));
+    }
+  };
+
+  const updatePart = async (part, changes) => {
+    try {
+      await quotesRepository.updatePart(part.id, changes);
+      loadParts();
+    } catch (error) {
+      console.error("Error updating part:", error);
+      alert(t("parts.updateError"));
+    }
+  };
+
+  const saveNumber = (part, column, value) => {
+    const number = Number(value);
+    if (value === "" || Number.isNaN(number) || number === part[column]) {
+      return;
+    }
+    updatePart(part, { [column]: number });
+  };
+
+  const updateNewPart = (e) =>
+    setNewPart({ ...newPart, [e.target.name]: e.target.value });
+
+  return (
+    <details className="parts-catalog">
+      <summary>{t("parts.heading", { count: parts.length })}</summary>
+
+      <form className="catalog-form" onSubmit={handleAdd}>
+        <input
+          type="text"
+          name="sku"
+          className="parts-sku"
+          value={newPart.sku}
+          onChange={updateNewPart}
+          placeholder={t("parts.sku")}
+          required
+        />
+        <input
+          type="text"
+          name="name"
+          value={newPart.name}
+          onChange={updateNewPart}
+          placeholder={t("parts.namePlaceholder")}
+          required
+        />
+        <label>
+          {t("parts.price")}
+          <input
+            type="number"
+            name="unitPrice"
+            min="0"
+            step="0.01"
+            value={newPart.unitPrice}
+            onChange={updateNewPart}
+            required
+          />
+        </label>
+        <label>
+          {t("parts.inStock")}
+          <input
+            type="number"
+            name="stock"
+            min="0"
+            value={newPart.stock}
+            onChange={updateNewPart}
+            required
+          />
+        </label>
+        <button type="submit" className="btn-view">
+          {t("parts.add")}
+        </button>
+      </form>
+
+      <table className="parts-table">
+        <thead>
+          <tr>
+            <th>{t("parts.sku")}</th>
+            <th>{t("quoteEditor.part")}</th>
+            <th>{t("parts.price")}</th>
+            <th>{t("parts.inStock")}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {parts.map((part) => (
+            <tr key={part.id} className={part.active ? "" : "inactive"}>
+              <td className="parts-sku">{part.sku}</td>
+              <td>{part.name}</td>
+              <td>
+                <input
+                  key={part.unit_price}
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  defaultValue={part.unit_price}
+                  onBlur={(e) => saveNumber(part, "unit_price", e.target.value)}
+                  title={formatMoney(part.unit_price)}
+                />
+              </td>
+              <td>
+                <input
+                  key={part.stock}
+                  type="number"
+                  defaultValue={part.stock}
+                  onBlur={(e) => saveNumber(part, "stock", e.target.value)}
+                />
+                {part.stock < 0 && (
+                  <span className="parts-stock backordered">
+                    {t("parts.backordered", { count: -part.stock })}
+                  </span>
+                )}
+                {part.stock >= 0 && part.stock < LOW_STOCK && (
+                  <span className="parts-stock low">{t("parts.low")}</span>
+                )}
+              </td>
+              <td>
+                <button
+                  type="button"
+                  onClick={() => updatePart(part, { active: !part.active })}
+                >
+                  {part.active ? t("parts.retire") : t("parts.reactivate")}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
+
+export default PartsCatalog;
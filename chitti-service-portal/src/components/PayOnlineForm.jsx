@@ -0,0 +1,53 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { invoiceSummary } from "../services/payments";
+import { startOnlinePayment } from "../services/onlinePayments";
+import { t } from "../i18n";
+import "./Payments.css";
+
+// Sends the customer to the payment gateway for all or part of the
+// balance not already in an open checkout. The parent remounts it (via
+// `key`) when that amount changes.
+function PayOnlineForm({ complaint }) {
+  const { payable } = invoiceSummary(complaint.invoice);
+  const [amount, setAmount] = useState(String(payable));
+  const [starting, setStarting] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setStarting(true);
+    try {
+      const checkoutUrl = await startOnlinePayment(complaint, Number(amount));
+      // The mock gateway's checkout is a page of this app.
+      if (checkoutUrl.startsWith("/")) navigate(checkoutUrl);
+      else window.location.assign(checkoutUrl);
+    } catch (error) {
+      console.error("Error starting payment:", error);
+      alert(error.message || t("payOnline.error"));
+      setStarting(false);
+    }
+  };
+
+  return (
+    <form className="payment-pay" onSubmit={handleSubmit}>
+      <label htmlFor={`pay-${complaint.id}`}>{t("payOnline.amount")}</label>
+      <input
+        id={`pay-${complaint.id}`}
+        type="number"
+        min="0.01"
+        max={payable}
+        step="0.01"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        required
+      />
+      <button type="submit" className="btn-pay" disabled={starting}>
+        {starting ? t("payOnline.redirecting") : t("payOnline.submit")}
+      </button>
+    </form>
+  );
+}
+
+export default PayOnlineForm;
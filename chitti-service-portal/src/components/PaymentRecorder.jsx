@@ -0,0 +1,96 @@
+import { useState } from "react";
+import { paymentsRepository } from "../repositories";
+import {
+  DESK_PAYMENT_METHODS,
+  getPaymentMethodLabel,
+  invoiceSummary,
+} from "../services/payments";
+import { t } from "../i18n";
+import "./Payments.css";
+
+// Front-desk form for payments and refunds taken outside the online
+// checkout. The amount starts at what can still be paid (or refunded).
+function PaymentRecorder({ invoice, onSaved }) {
+  const { balance, paid, refunded } = invoiceSummary(invoice);
+  const refundable = paid - refunded;
+  const [kind, setKind] = useState(balance > 0 ? "payment" : "refund");
+  const [amount, setAmount] = useState(
+    String(kind === "payment" ? balance : refundable),
+  );
+  const [method, setMethod] = useState("cash");
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const changeKind = (e) => {
+    setKind(e.target.value);
+    setAmount(String(e.target.value === "payment" ? balance : refundable));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setSaving(true);
+    try {
+      await paymentsRepository.recordPayment(invoice.id, {
+        kind,
+        amount: Number(amount),
+        method,
+        note,
+      });
+      setNote("");
+      onSaved();
+    } catch (error) {
+      console.error("Error recording payment:", error);
+      alert(error.message || t("paymentRecorder.error"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (balance <= 0 && refundable <= 0) return null;
+
+  return (
+    <form className="payment-form" onSubmit={handleSubmit}>
+      <select value={kind} onChange={changeKind}>
+        {balance > 0 && (
+          <option value="payment">{t("paymentRecorder.payment")}</option>
+        )}
+        {refundable > 0 && (
+          <option value="refund">{t("paymentRecorder.refund")}</option>
+        )}
+      </select>
+      <input
+        type="number"
+        aria-label={t("payOnline.amount")}
+        min="0.01"
+        max={kind === "payment" ? balance : refundable}
+        step="0.01"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        required
+      />
+      <select value={method} onChange={(e) => setMethod(e.target.value)}>
+        {DESK_PAYMENT_METHODS.map((option) => (
+          <option key={option} value={option}>
+            {getPaymentMethodLabel(option)}
+          </option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder={t("paymentRecorder.notePlaceholder")}
+      />
+      <button type="submit" className="btn-view" disabled={saving}>
+        {saving
+          ? t("common.saving")
+          : kind === "payment"
+            ? t("paymentRecorder.recordPayment")
+            : t("paymentRecorder.recordRefund")}
+      </button>
+    </form>
+  );
+}
+
+export default PaymentRecorder;
@@ -0,0 +1,109 @@
+import {
+  getPaymentMethodLabel,
+  getPaymentStatusLabel,
+  invoiceSummary,
+  isExpiredCheckout,
+  sortedPayments,
+} from "../services/payments";
+import { formatMoney } from "../services/quotes";
+import { formatDate, t } from "../i18n";
+import "./Payments.css";
+
+export function PaymentBadge({ invoice }) {
+  const { status } = invoiceSummary(invoice);
+  return (
+    <span className={`payment-status payment-status-${status}`}>
+      {getPaymentStatusLabel(status)}
+    </span>
+  );
+}
+
+const describePayment = (payment) => {
+  const method = getPaymentMethodLabel(payment.method);
+  if (payment.kind === "refund") return t("payment.refund", { method });
+  return t("payment.payment", { method });
+};
+
+const PAYMENT_ROW_STATUS = {
+  pending: "payment.processing",
+  failed: "payment.failed",
+};
+
+const rowStatusKey = (payment) =>
+  isExpiredCheckout(payment)
+    ? "payment.expired"
+    : PAYMENT_ROW_STATUS[payment.status];
+
+// An invoice with what has been paid against it. `children` (e.g. the
+// customer's pay form) render below the payment list.
+function PaymentSummary({ invoice, children }) {
+  const { amount, paid, refunded, balance, pending } = invoiceSummary(invoice);
+  const payments = sortedPayments(invoice);
+
+  return (
+    <div className="payment-summary">
+      <div className="payment-summary-header">
+        <PaymentBadge invoice={invoice} />
+        <span className="payment-date">
+          {t("payment.invoiced", { date: formatDate(invoice.created_at) })}
+        </span>
+      </div>
+
+      <dl className="payment-totals">
+        <dt>{t("payment.amountDue")}</dt>
+        <dd>{formatMoney(amount)}</dd>
+        <dt>{t("payment.paid")}</dt>
+        <dd>{formatMoney(paid)}</dd>
+        {refunded > 0 && (
+          <>
+            <dt>{t("payment.refunded")}</dt>
+            <dd>{formatMoney(refunded)}</dd>
+          </>
+        )}
+        <dt>{t("payment.balance")}</dt>
+        <dd className="payment-balance">{formatMoney(Math.max(balance, 0))}</dd>
+      </dl>
+
+      {pending > 0 && (
+        <p className="payment-pending">
+          {t("payment.pendingNotice", { amount: formatMoney(pending) })}
+        </p>
+      )}
+
+      {payments.length > 0 && (
+        <ul className="payment-list">
+          {payments.map((payment) => (
+            <li
+              key={payment.id}
+              className={`payment-row payment-row-${payment.status}`}
+            >
+              <span>
+                {describePayment(payment)}
+                {rowStatusKey(payment) && (
+                  <em> – {t(rowStatusKey(payment))}</em>
+                )}
+                {payment.status === "failed" && payment.error && (
+                  <span className="payment-error">{payment.error}</span>
+                )}
+                {payment.note && (
+                  <span className="payment-note">{payment.note}</span>
+                )}
+              </span>
+              <span className="payment-amount">
+                {payment.kind === "refund" ? "−" : ""}
+                {formatMoney(payment.amount)}
+              </span>
+              <span className="payment-date">
+                {formatDate(payment.created_at)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {children}
+    </div>
+  );
+}
+
+export default PaymentSummary;
@@ -0,0 +1,225 @@
+import { useEffect, useState } from "react";
+import { quotesRepository } from "../repositories";
+import {
+  DEFAULT_LABOR_RATE,
+  DEFAULT_TAX_RATE,
+  formatMoney,
+  quoteTotals,
+  sortedQuoteLines,
+} from "../services/quotes";
+import { t } from "../i18n";
+import "./Quotes.css";
+
+// Builds a quote from catalog parts and labor and sends it to the customer.
+// Starts from the current quote when revising one; the parent remounts it
+// (via `key`) when the quote changes underneath.
+function QuoteEditor({ complaint, onSaved }) {
+  const quote = complaint.quote;
+  const [parts, setParts] = useState([]);
+  const [lines, setLines] = useState(() =>
+    sortedQuoteLines(quote)
+      .filter((line) => line.part_id)
+      .map((line) => ({ partId: line.part_id, quantity: line.quantity })),
+  );
+  const [pricing, setPricing] = useState({
+    hours: quote?.labor_hours ?? 0,
+    rate: quote?.labor_rate ?? DEFAULT_LABOR_RATE,
+    tax: quote?.tax_rate ?? DEFAULT_TAX_RATE,
+  });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    quotesRepository
+      .listParts()
+      .then(setParts)
+      .catch((error) => console.error("Error fetching parts:", error));
+  }, []);
+
+  const partFor = (partId) => parts.find((part) => part.id === partId);
+
+  const totals = quoteTotals({
+    lines: lines.map((line) => ({
+      quantity: line.quantity,
+      unit_price: partFor(line.partId)?.unit_price || 0,
+    })),
+    labor_hours: pricing.hours,
+    labor_rate: pricing.rate,
+    tax_rate: pricing.tax,
+  });
+
+  const updateLine = (index, changes) =>
+    setLines(
+      lines.map((line, i) => (i === index ? { ...line, ...changes } : line)),
+    );
+
+  const updatePricing = (e) =>
+    setPricing({ ...pricing, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (lines.some((line) => !line.partId)) {
+      alert(t("quoteEditor.emptyLines"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await quotesRepository.saveQuote(complaint.id, {
+        laborHours: Number(pricing.hours),
+        laborRate: Number(pricing.rate),
+        taxRate: Number(pricing.tax),
+        lines: lines.map((line) => ({
+          partId: line.partId,
+          quantity: Number(line.quantity),
+        })),
+      });
+      onSaved();
+    } catch (error) {
+      console.error("Error saving quote:", error);
+      alert(error.message || t("quoteEditor.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="quote-editor" onSubmit={handleSubmit}>
+      <table className="quote-table">
+        <thead>
+          <tr>
+            <th>{t("quoteEditor.part")}</th>
+            <th>{t("quote.quantity")}</th>
+            <th>{t("quote.amount")}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((line, index) => {
+            const part = partFor(line.partId);
+            return (
+              <tr key={index}>
+                <td>
+                  <select
+                    value={line.partId}
+                    onChange={(e) =>
+                      updateLine(index, { partId: e.target.value })
+                    }
+                  >
+                    <option value="">{t("quoteEditor.choosePart")}</option>
+                    {parts.map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.name} ({option.sku}) –{" "}
+                        {formatMoney(option.unit_price)}
+                      </option>
+                    ))}
+                  </select>
+                  {part && part.stock < line.quantity && (
+                    <span className="quote-stock-warning">
+                      {part.stock > 0
+                        ? t("quoteEditor.lowStock", { count: part.stock })
+                        : t("quoteEditor.outOfStock")}
+                    </span>
+                  )}
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    value={line.quantity}
+                    onChange={(e) =>
+                      updateLine(index, { quantity: e.target.value })
+                    }
+                    required
+                  />
+                </td>
+                <td>{formatMoney((part?.unit_price || 0) * line.quantity)}</td>
+                <td>
+                  <button
+                    type="button"
+                    className="quote-remove-line"
+                    onClick={() =>
+                      setLines(lines.filter((_, i) => i !== index))
+                    }
+                    title={t("quoteEditor.removeLine")}
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <button
+        type="button"
+        className="quote-add-line"
+        onClick={() => setLines([...lines, { partId: "", quantity: 1 }])}
+      >
+        {t("quoteEditor.addPart")}
+      </button>
+
+      <div className="quote-labor">
+        <label>
+          {t("quoteEditor.laborHours")}
+          <input
+            type="number"
+            name="hours"
+            min="0"
+            step="0.25"
+            value={pricing.hours}
+            onChange={updatePricing}
+            required
+          />
+        </label>
+        <label>
+          {t("quoteEditor.rate")}
+          <input
+            type="number"
+            name="rate"
+            min="0"
+            step="0.01"
+            value={pricing.rate}
+            onChange={updatePricing}
+            required
+          />
+        </label>
+        <label>
+          {t("quoteEditor.taxRate")}
+          <input
+            type="number"
+            name="tax"
+            min="0"
+            max="100"
+            step="0.01"
+            value={pricing.tax}
+            onChange={updatePricing}
+            required
+          />
+        </label>
+      </div>
+
+      <dl className="quote-totals">
+        <dt>{t("quoteEditor.parts")}</dt>
+        <dd>{formatMoney(totals.partsTotal)}</dd>
+        <dt>{t("quote.labor")}</dt>
+        <dd>{formatMoney(totals.laborTotal)}</dd>
+        <dt>{t("quoteEditor.tax")}</dt>
+        <dd>{formatMoney(totals.taxAmount)}</dd>
+        <dt>{t("quote.total")}</dt>
+        <dd className="quote-total">{formatMoney(totals.total)}</dd>
+      </dl>
+
+      <button type="submit" className="btn-view" disabled={saving}>
+        {saving
+          ? t("thread.sending")
+          : quote
+            ? t("quoteEditor.sendRevised")
+            : t("quoteEditor.send")}
+      </button>
+    </form>
+  );
+}
+
+export default QuoteEditor;
@@ -0,0 +1,79 @@
+import {
+  formatMoney,
+  getQuoteStatusLabel,
+  quoteTotals,
+  sortedQuoteLines,
+} from "../services/quotes";
+import { formatDate, t } from "../i18n";
+import "./Quotes.css";
+
+// A read-only quote. `children` (e.g. the customer's approve/decline
+// buttons) render below the totals.
+function QuoteSummary({ quote, children }) {
+  const lines = sortedQuoteLines(quote);
+  const { laborTotal } = quoteTotals({ ...quote, lines });
+
+  return (
+    <div className="quote-summary">
+      <div className="quote-summary-header">
+        <span className={`quote-status quote-status-${quote.status}`}>
+          {getQuoteStatusLabel(quote.status)}
+        </span>
+        <span className="quote-date">{formatDate(quote.updated_at)}</span>
+      </div>
+
+      <table className="quote-table">
+        <thead>
+          <tr>
+            <th>{t("quote.item")}</th>
+            <th>{t("quote.quantity")}</th>
+            <th>{t("quote.unitPrice")}</th>
+            <th>{t("quote.amount")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((line) => (
+            <tr key={line.id}>
+              <td>{line.name}</td>
+              <td>{line.quantity}</td>
+              <td>{formatMoney(line.unit_price)}</td>
+              <td>{formatMoney(line.quantity * line.unit_price)}</td>
+            </tr>
+          ))}
+          {Number(quote.labor_hours) > 0 && (
+            <tr>
+              <td>{t("quote.labor")}</td>
+              <td>{t("quote.hours", { hours: quote.labor_hours })}</td>
+              <td>{formatMoney(quote.labor_rate)}</td>
+              <td>{formatMoney(laborTotal)}</td>
+            </tr>
+          )}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan="3">{t("quote.subtotal")}</td>
+            <td>{formatMoney(quote.subtotal)}</td>
+          </tr>
+          <tr>
+            <td colSpan="3">{t("quote.tax", { rate: quote.tax_rate })}</td>
+            <td>{formatMoney(quote.tax_amount)}</td>
+          </tr>
+          <tr className="quote-total">
+            <td colSpan="3">{t("quote.total")}</td>
+            <td>{formatMoney(quote.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      {quote.status === "declined" && quote.decline_reason && (
+        <p className="quote-decline-reason">
+          <strong>{t("quote.declined")}</strong> {quote.decline_reason}
+        </p>
+      )}
+
+      {children}
+    </div>
+  );
+}
+
+export default QuoteSummary;
@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { complaintsRepository } from "../repositories";
+import {
+  ISSUE_TYPES,
+  PRIORITIES,
+  changedFields,
+  getIssueTypeLabel,
+  getPriorityLabel,
+} from "../services/complaints";
+import { t } from "../i18n";
+
+// Lets the customer fix a pending request in place. `onDone` closes the
+// form; `onSaved` reloads the requests.
+function RequestEditForm({ complaint, onDone, onSaved }) {
+  const [values, setValues] = useState({
+    issue_type: complaint.issue_type,
+    priority: complaint.priority,
+    description: complaint.description,
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) =>
+    setValues({ ...values, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (Object.keys(changedFields(complaint, values)).length === 0) {
+      onDone();
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const updated = await complaintsRepository.updateDetails(
+        complaint,
+        values,
+      );
+      if (!updated) {
+        alert(t("requestEdit.tooLate"));
+      }
+      onDone();
+      onSaved();
+    } catch (error) {
+      console.error("Error updating request:", error);
+      alert(error.message || t("requestEdit.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="request-edit" onSubmit={handleSubmit}>
+      <div className="form-group">
+        <label htmlFor={`issue-${complaint.id}`}>
+          {t("requestEdit.issueType")}
+        </label>
+        <select
+          id={`issue-${complaint.id}`}
+          name="issue_type"
+          value={values.issue_type}
+          onChange={handleChange}
+          required
+        >
+          {ISSUE_TYPES.map(({ value }) => (
+            <option key={value} value={value}>
+              {getIssueTypeLabel(value)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor={`priority-${complaint.id}`}>
+          {t("requestEdit.priority")}
+        </label>
+        <select
+          id={`priority-${complaint.id}`}
+          name="priority"
+          value={values.priority}
+          onChange={handleChange}
+        >
+          {PRIORITIES.map((priority) => (
+            <option key={priority} value={priority}>
+              {getPriorityLabel(priority)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor={`description-${complaint.id}`}>
+          {t("requestEdit.description")}
+        </label>
+        <textarea
+          id={`description-${complaint.id}`}
+          name="description"
+          value={values.description}
+          onChange={handleChange}
+          rows="4"
+          required
+        />
+      </div>
+
+      <div className="request-actions">
+        <button type="submit" className="btn-submit" disabled={saving}>
+          {saving ? t("common.saving") : t("requestEdit.save")}
+        </button>
+        <button type="button" onClick={onDone}>
+          {t("requestEdit.discard")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default RequestEditForm;
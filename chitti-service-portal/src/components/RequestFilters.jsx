@@ -0,0 +1,163 @@
+import {
+  CREATED_PRESETS,
+  FILTER_DEFAULTS,
+  ISSUE_TYPES,
+  PRIORITIES,
+  countActiveFilters,
+  getIssueTypeLabel,
+  getPriorityLabel,
+} from "../services/complaints";
+import { t } from "../i18n";
+import "./RequestFilters.css";
+
+// The company table's filters besides status and search. `onChange` gets
+// the changed query fields.
+function RequestFilters({ query, technicians, customers, onChange }) {
+  const activeCount = countActiveFilters(query);
+
+  // The model filter applies once the user is done typing.
+  const commitModel = (e) => {
+    const model = e.target.value.trim();
+    if (model !== query.model) onChange({ model });
+  };
+
+  return (
+    <div className="request-filters">
+      <label>
+        {t("filters.technician")}
+        <select
+          value={query.assignee}
+          onChange={(e) => onChange({ assignee: e.target.value })}
+        >
+          <option value="all">{t("filters.allTechnicians")}</option>
+          <option value="unassigned">{t("filters.unassigned")}</option>
+          {technicians.map((technician) => (
+            <option key={technician.id} value={technician.id}>
+              {technician.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        {t("filters.priority")}
+        <select
+          value={query.priority}
+          onChange={(e) => onChange({ priority: e.target.value })}
+        >
+          <option value="all">{t("filters.allPriorities")}</option>
+          {PRIORITIES.map((priority) => (
+            <option key={priority} value={priority}>
+              {getPriorityLabel(priority)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        {t("filters.issueType")}
+        <select
+          value={query.issueType}
+          onChange={(e) => onChange({ issueType: e.target.value })}
+        >
+          <option value="all">{t("filters.allIssueTypes")}</option>
+          {ISSUE_TYPES.map(({ value }) => (
+            <option key={value} value={value}>
+              {getIssueTypeLabel(value)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        {t("filters.model")}
+        <input
+          // Remounted when the URL changes, e.g. on back/forward.
+          key={query.model}
+          type="search"
+          defaultValue={query.model}
+          placeholder={t("filters.modelPlaceholder")}
+          onBlur={commitModel}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commitModel(e);
+          }}
+        />
+      </label>
+
+      <label>
+        {t("filters.customer")}
+        <select
+          value={query.customer}
+          onChange={(e) => onChange({ customer: e.target.value })}
+        >
+          <option value="all">{t("filters.allCustomers")}</option>
+          {/* A customer from a link who is not in the list yet. */}
+          {query.customer !== "all" &&
+            !customers.some((customer) => customer.id === query.customer) && (
+              <option value={query.customer}>
+                {t("filters.selectedCustomer")}
+              </option>
+            )}
+          {customers.map((customer) => (
+            <option key={customer.id} value={customer.id}>
+              {customer.name || customer.email}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        {t("filters.submitted")}
+        <select
+          value={query.days}
+          onChange={(e) =>
+            onChange({ days: Number(e.target.value), from: "", to: "" })
+          }
+        >
+          <option value={0}>
+            {query.from || query.to
+              ? t("filters.customDates")
+              : t("filters.anyTime")}
+          </option>
+          {CREATED_PRESETS.map(({ days, label }) => (
+            <option key={days} value={days}>
+              {t(`filters.preset.${days}`, { defaultValue: label })}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        {t("filters.from")}
+        <input
+          type="date"
+          value={query.days ? "" : query.from}
+          max={query.to || undefined}
+          onChange={(e) => onChange({ days: 0, from: e.target.value })}
+        />
+      </label>
+
+      <label>
+        {t("filters.to")}
+        <input
+          type="date"
+          value={query.days ? "" : query.to}
+          min={query.from || undefined}
+          onChange={(e) => onChange({ days: 0, to: e.target.value })}
+        />
+      </label>
+
+      {activeCount > 0 && (
+        <button
+          type="button"
+          className="btn-link"
+          onClick={() => onChange(FILTER_DEFAULTS)}
+        >
+          {t("filters.clear", { count: activeCount })}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default RequestFilters;
@@ -0,0 +1,253 @@
+import { useState } from "react";
+import { complaintsRepository, usersRepository } from "../repositories";
+import { getStatusLabel } from "../services/complaintStatus";
+import { getIssueTypeLabel } from "../services/complaints";
+import {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  getImportFieldLabel,
+  guessMapping,
+  readSpreadsheet,
+  validateImportRows,
+} from "../services/requestImport";
+import { t } from "../i18n";
+import "./RequestImport.css";
+
+// Migrates legacy requests from a spreadsheet: pick a file, map its columns,
+// check every row (dry run), then import the rows that passed.
+function RequestImport({ onImported }) {
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setBusy(true);
+    setMessage(null);
+    setPreview(null);
+    try {
+      const data = await readSpreadsheet(file);
+      if (data.rows.length === 0) {
+        setSheet(null);
+        setMessage({
+          type: "error",
+          text: t("import.noRows", { file: file.name }),
+        });
+      } else if (data.rows.length > MAX_IMPORT_ROWS) {
+        setSheet(null);
+        setMessage({
+          type: "error",
+          text: t("import.tooManyRows", {
+            file: file.name,
+            count: data.rows.length,
+            max: MAX_IMPORT_ROWS,
+          }),
+        });
+      } else {
+        setSheet({ ...data, fileName: file.name });
+        setMapping(guessMapping(data.headers));
+      }
+    } catch (error) {
+      console.error("Error reading spreadsheet:", error);
+      setMessage({
+        type: "error",
+        text: t("import.readError", { file: file.name }),
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const changeMapping = (field, column) => {
+    setMapping({ ...mapping, [field]: Number(column) });
+    setPreview(null);
+  };
+
+  const runDryRun = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const emails =
+        mapping.customer_email >= 0
+          ? sheet.rows
+              .map((row) => String(row[mapping.customer_email] ?? "").trim())
+              .filter(Boolean)
+          : [];
+      const customerEmails = await usersRepository.findCustomerEmails(emails);
+      setPreview(validateImportRows(sheet.rows, mapping, customerEmails));
+    } catch (error) {
+      console.error("Error checking import rows:", error);
+      setMessage({ type: "error", text: t("import.checkError") });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const validRows = preview?.filter((row) => row.errors.length === 0) || [];
+  const invalidCount = (preview?.length || 0) - validRows.length;
+
+  const runImport = async () => {
+    const question = t("import.confirm", { count: validRows.length });
+    const skipped = invalidCount
+      ? ` ${t("import.confirmSkipped", { count: invalidCount })}`
+      : "";
+    if (!confirm(`${question}${skipped}`)) return;
+
+    setBusy(true);
+    try {
+      const count = await complaintsRepository.importComplaints(
+        validRows.map((row) => row.values),
+      );
+      setSheet(null);
+      setPreview(null);
+      setMessage({
+        type: "success",
+        text: t("import.imported", { count, file: sheet.fileName }),
+      });
+      onImported();
+    } catch (error) {
+      console.error("Error importing service requests:", error);
+      setMessage({
+        type: "error",
+        text: t("import.importError", { error: error.message }),
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <details className="request-import">
+      <summary>{t("import.heading")}</summary>
+
+      <p className="request-import-intro">{t("import.intro")}</p>
+
+      <input
+        type="file"
+        accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        onChange={handleFile}
+        disabled={busy}
+      />
+
+      {message && (
+        <p className={`request-import-message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+
+      {sheet && (
+        <>
+          <h4>
+            {t("import.mapColumns", {
+              file: sheet.fileName,
+              count: sheet.rows.length,
+            })}
+          </h4>
+          <table className="import-mapping">
+            <tbody>
+              {IMPORT_FIELDS.map((field) => (
+                <tr key={field.key}>
+                  <th>
+                    {getImportFieldLabel(field)}
+                    {field.required && " *"}
+                  </th>
+                  <td>
+                    <select
+                      value={mapping[field.key]}
+                      onChange={(e) => changeMapping(field.key, e.target.value)}
+                    >
+                      <option value={-1}>{t("import.notInFile")}</option>
+                      {sheet.headers.map((header, index) => (
+                        <option key={index} value={index}>
+                          {header || t("import.column", { number: index + 1 })}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <button className="btn-view" onClick={runDryRun} disabled={busy}>
+            {t("import.dryRun")}
+          </button>
+        </>
+      )}
+
+      {sheet && preview && (
+        <>
+          <p className="import-summary">
+            {t("import.readyRows", { count: validRows.length })}
+            {invalidCount > 0 && (
+              <>
+                {" "}
+                <strong className="import-invalid">
+                  {t("import.invalidRows", { count: invalidCount })}
+                </strong>
+              </>
+            )}
+          </p>
+
+          <div className="import-preview">
+            <table>
+              <thead>
+                <tr>
+                  <th>{t("import.column.row")}</th>
+                  <th>{t("company.column.customer")}</th>
+                  <th>{t("company.column.model")}</th>
+                  <th>{t("company.column.issueType")}</th>
+                  <th>{t("company.column.status")}</th>
+                  <th>{t("import.column.result")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map(({ rowNumber, values, errors }) => (
+                  <tr
+                    key={rowNumber}
+                    className={errors.length ? "invalid" : "valid"}
+                  >
+                    <td>{rowNumber}</td>
+                    <td>{values.customer_email}</td>
+                    <td>{values.bicycle_model}</td>
+                    <td>
+                      {values.issue_type &&
+                        getIssueTypeLabel(values.issue_type)}
+                    </td>
+                    <td>{values.status && getStatusLabel(values.status)}</td>
+                    <td>
+                      {errors.length ? (
+                        <ul>
+                          {errors.map((error) => (
+                            <li key={error}>{error}</li>
+                          ))}
+                        </ul>
+                      ) : (
+                        t("import.ok")
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            className="btn-view"
+            onClick={runImport}
+            disabled={busy || validRows.length === 0}
+          >
+            {t("import.submit", { count: validRows.length })}
+          </button>
+        </>
+      )}
+    </details>
+  );
+}
+
+export default RequestImport;
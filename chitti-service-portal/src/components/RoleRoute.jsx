@@ -0,0 +1,26 @@
+import { Navigate, useLocation, useParams } from "react-router-dom";
+import { homePathFor, requestPathFor } from "../services/routes";
+
+// Renders `children` only for the roles in `allow`. Everyone else goes to
+// their own dashboard, opened on the same request when the URL names one,
+// so a shared /requests/:id link works for every role. The query string
+// (e.g. the request table's filters) comes along.
+function RoleRoute({ role, allow, children }) {
+  const { id } = useParams();
+  const { search } = useLocation();
+
+  if (allow.includes(role)) return children;
+
+  return (
+    <Navigate
+      to={{
+        pathname:
+          id && id !== "new" ? requestPathFor(role, id) : homePathFor(role),
+        search,
+      }}
+      replace
+    />
+  );
+}
+
+export default RoleRoute;
@@ -0,0 +1,170 @@
+import { useEffect, useState } from "react";
+import { savedViewsRepository } from "../repositories";
+import { findCurrentView, toViewQuery } from "../services/savedViews";
+import { t } from "../i18n";
+import "./RequestFilters.css";
+
+// Named request table views: the user's own, which they can share with
+// the team, and the ones teammates shared. `onApply` gets the view's query
+// string.
+function SavedViews({ userId, query, onApply }) {
+  const [views, setViews] = useState([]);
+  const [defaultViewId, setDefaultViewId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    Promise.all([
+      savedViewsRepository.listViews(),
+      savedViewsRepository.getDefaultView(userId),
+    ])
+      .then(([newViews, defaultView]) => {
+        setViews(newViews);
+        setDefaultViewId(defaultView?.id || null);
+      })
+      .catch((error) => console.error("Error fetching saved views:", error));
+  }, [userId, refreshKey]);
+
+  const reload = () => setRefreshKey((key) => key + 1);
+
+  const currentView = findCurrentView(views, query, userId);
+  const isOwn = currentView?.owner_id === userId;
+  const ownViews = views.filter((view) => view.owner_id === userId);
+  const sharedViews = views.filter((view) => view.owner_id !== userId);
+
+  const optionLabel = (view, detail) =>
+    [
+      view.id === defaultViewId
+        ? t("savedViews.opensOnLogin", { name: view.name })
+        : view.name,
+      detail,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+  const run = async (action, message) => {
+    try {
+      await action();
+      reload();
+    } catch (error) {
+      console.error("Error updating saved views:", error);
+      alert(error.message || message);
+    }
+  };
+
+  const saveView = () => {
+    const name = prompt(
+      t("savedViews.namePrompt"),
+      isOwn ? currentView.name : "",
+    );
+    if (!name?.trim()) return;
+    if (
+      ownViews.some((view) => view.name === name.trim()) &&
+      !confirm(t("savedViews.confirmReplace", { name: name.trim() }))
+    ) {
+      return;
+    }
+    run(
+      () =>
+        savedViewsRepository.saveView(userId, {
+          name,
+          query: toViewQuery(query),
+        }),
+      t("savedViews.saveError"),
+    );
+  };
+
+  const deleteView = () => {
+    if (!confirm(t("savedViews.confirmDelete", { name: currentView.name }))) {
+      return;
+    }
+    run(
+      () => savedViewsRepository.deleteView(currentView.id),
+      t("savedViews.deleteError"),
+    );
+  };
+
+  return (
+    <div className="saved-views">
+      <select
+        value={currentView?.id || ""}
+        onChange={(e) =>
+          onApply(views.find((view) => view.id === e.target.value).query)
+        }
+        aria-label={t("savedViews.label")}
+      >
+        <option value="" disabled>
+          {views.length ? t("savedViews.choose") : t("savedViews.none")}
+        </option>
+        {ownViews.length > 0 && (
+          <optgroup label={t("savedViews.mine")}>
+            {ownViews.map((view) => (
+              <option key={view.id} value={view.id}>
+                {optionLabel(view, view.shared && t("savedViews.shared"))}
+              </option>
+            ))}
+          </optgroup>
+        )}
+        {sharedViews.length > 0 && (
+          <optgroup label={t("savedViews.team")}>
+            {sharedViews.map((view) => (
+              <option key={view.id} value={view.id}>
+                {optionLabel(view, view.owner?.name)}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      <button className="btn-view" onClick={saveView}>
+        {isOwn ? t("savedViews.saveAs") : t("savedViews.save")}
+      </button>
+
+      {isOwn && (
+        <>
+          <button
+            className="btn-link"
+            onClick={() =>
+              run(
+                () =>
+                  savedViewsRepository.setShared(
+                    currentView.id,
+                    !currentView.shared,
+                  ),
+                t("savedViews.shareError"),
+              )
+            }
+          >
+            {currentView.shared
+              ? t("savedViews.stopSharing")
+              : t("savedViews.share")}
+          </button>
+          <button className="btn-link" onClick={deleteView}>
+            {t("savedViews.delete")}
+          </button>
+        </>
+      )}
+
+      {currentView && (
+        <button
+          className="btn-link"
+          onClick={() =>
+            run(
+              () =>
+                savedViewsRepository.setDefaultView(
+                  userId,
+                  currentView.id === defaultViewId ? null : currentView.id,
+                ),
+              t("savedViews.defaultError"),
+            )
+          }
+        >
+          {currentView.id === defaultViewId
+            ? t("savedViews.clearDefault")
+            : t("savedViews.setDefault")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default SavedViews;
@@ -0,0 +1,146 @@
+import { useState } from "react";
+import { ratingsRepository } from "../repositories";
+import {
+  REWORK_WINDOW_DAYS,
+  canRate,
+  canReopen,
+  formatStars,
+  getRatingLabel,
+} from "../services/ratings";
+import { t } from "../i18n";
+import "./Ratings.css";
+
+// Star picker; `value` is 0 until a star is chosen.
+function StarInput({ value, onChange }) {
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || value;
+
+  return (
+    <div className="star-input" onMouseLeave={() => setHovered(0)}>
+      {[1, 2, 3, 4, 5].map((stars) => (
+        <button
+          key={stars}
+          type="button"
+          className={stars <= shown ? "star filled" : "star"}
+          onClick={() => onChange(stars)}
+          onMouseEnter={() => setHovered(stars)}
+          aria-label={`${stars} – ${getRatingLabel(stars)}`}
+          aria-pressed={stars === value}
+        >
+          ★
+        </button>
+      ))}
+      <span className="star-label">{getRatingLabel(shown)}</span>
+    </div>
+  );
+}
+
+// The customer's rating of a completed request and the way to send it back
+// as a rework. Renders nothing for requests that are not completed.
+function ServiceFeedback({ complaint, onChange }) {
+  const existing = complaint.rating;
+  const [editing, setEditing] = useState(false);
+  const [rating, setRating] = useState(existing?.rating || 0);
+  const [comment, setComment] = useState(existing?.comment || "");
+  const [saving, setSaving] = useState(false);
+
+  if (!canRate(complaint)) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      alert(t("feedback.chooseRating"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await ratingsRepository.rate(complaint.id, rating, comment);
+      setEditing(false);
+      onChange();
+    } catch (error) {
+      console.error("Error saving rating:", error);
+      alert(error.message || t("feedback.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReopen = async () => {
+    const reason = prompt(t("feedback.reopenPrompt"));
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert(t("feedback.reopenReasonRequired"));
+      return;
+    }
+
+    try {
+      await ratingsRepository.reopen(complaint.id, reason);
+      onChange();
+    } catch (error) {
+      console.error("Error reopening request:", error);
+      alert(error.message || t("feedback.reopenError"));
+    }
+  };
+
+  return (
+    <div className="service-feedback">
+      {existing && !editing ? (
+        <div className="feedback-given">
+          <span className="stars" title={getRatingLabel(existing.rating)}>
+            {formatStars(existing.rating)}
+          </span>
+          {existing.comment && (
+            <p className="feedback-comment">"{existing.comment}"</p>
+          )}
+          <button
+            type="button"
+            className="btn-link"
+            onClick={() => setEditing(true)}
+          >
+            {t("feedback.changeRating")}
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <strong>{t("feedback.heading")}</strong>
+          <StarInput value={rating} onChange={setRating} />
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder={t("feedback.commentPlaceholder")}
+            rows="2"
+          />
+          <div className="feedback-actions">
+            <button type="submit" className="btn-view" disabled={saving}>
+              {saving ? t("common.saving") : t("feedback.submit")}
+            </button>
+            {editing && (
+              <button
+                type="button"
+                className="btn-link"
+                onClick={() => setEditing(false)}
+              >
+                {t("common.cancel")}
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {canReopen(complaint) && (
+        <p className="feedback-rework">
+          {t("feedback.stillThere")}{" "}
+          <button type="button" className="btn-link" onClick={handleReopen}>
+            {t("feedback.notResolved")}
+          </button>{" "}
+          <span className="feedback-hint">
+            {t("feedback.reworkWindow", { days: REWORK_WINDOW_DAYS })}
+          </span>
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ServiceFeedback;
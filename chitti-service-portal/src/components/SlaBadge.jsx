@@ -0,0 +1,22 @@
+import { formatDuration } from "../services/sla";
+import { t } from "../i18n";
+
+// Time left (or overdue) against the current SLA target of a request.
+function SlaBadge({ sla }) {
+  if (!sla) return <span className="sla-badge none">—</span>;
+
+  return (
+    <span className={`sla-badge ${sla.breached ? "breached" : "ok"}`}>
+      {t(
+        sla.breached
+          ? "sla.overdue"
+          : sla.kind === "response"
+            ? "sla.toRespond"
+            : "sla.toResolve",
+        { duration: formatDuration(sla.remaining) },
+      )}
+    </span>
+  );
+}
+
+export default SlaBadge;
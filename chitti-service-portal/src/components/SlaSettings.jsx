@@ -0,0 +1,96 @@
+import { useState } from "react";
+import { slaRepository } from "../repositories";
+import { getPriorityLabel } from "../services/complaints";
+import { t } from "../i18n";
+import "./SlaSettings.css";
+
+const PRIORITIES = ["high", "medium", "low"];
+
+function SlaSettings({ targets, onSaved }) {
+  const [draft, setDraft] = useState(targets);
+  const [saving, setSaving] = useState(false);
+
+  const updateTarget = (priority, field, value) => {
+    setDraft({
+      ...draft,
+      [priority]: { ...draft[priority], [field]: Number(value) },
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (
+      PRIORITIES.some(
+        (p) => draft[p] && draft[p].resolution_hours < draft[p].response_hours,
+      )
+    ) {
+      alert(t("slaSettings.invalid"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await slaRepository.saveTargets(draft);
+      alert(t("slaSettings.saved"));
+      onSaved();
+    } catch (error) {
+      console.error("Error saving SLA targets:", error);
+      alert(t("slaSettings.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <details className="sla-settings">
+      <summary>{t("slaSettings.heading")}</summary>
+
+      <form onSubmit={handleSave}>
+        <table className="sla-table">
+          <thead>
+            <tr>
+              <th>{t("company.column.priority")}</th>
+              <th>{t("slaSettings.respondWithin")}</th>
+              <th>{t("slaSettings.resolveWithin")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {PRIORITIES.filter((p) => draft[p]).map((priority) => (
+              <tr key={priority}>
+                <td className="sla-priority">{getPriorityLabel(priority)}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    value={draft[priority].response_hours}
+                    onChange={(e) =>
+                      updateTarget(priority, "response_hours", e.target.value)
+                    }
+                    required
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    value={draft[priority].resolution_hours}
+                    onChange={(e) =>
+                      updateTarget(priority, "resolution_hours", e.target.value)
+                    }
+                    required
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button type="submit" className="btn-view" disabled={saving}>
+          {saving ? t("common.saving") : t("slaSettings.save")}
+        </button>
+      </form>
+    </details>
+  );
+}
+
+export default SlaSettings;
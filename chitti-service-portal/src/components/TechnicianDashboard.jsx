@@ -0,0 +1,379 @@
+import { useState, useEffect, useRef } from "react";
+import { Link, useParams } from "react-router-dom";
+import { complaintsRepository, techniciansRepository } from "../repositories";
+import {
+  getStatusColor,
+  getStatusLabel,
+  isTerminal,
+} from "../services/complaintStatus";
+import { fetchComplaintAttachments } from "../services/complaintAttachments";
+import { formatSlot } from "../services/appointments";
+import { getIssueTypeLabel, getPriorityLabel } from "../services/complaints";
+import {
+  formatMinutes,
+  logManualTime,
+  stopWorkLog,
+  totalMinutes,
+} from "../services/technicians";
+import { mergeChange, subscribeToChanges } from "../services/realtimeStore";
+import { needsApprovedQuote } from "../services/quotes";
+import { groupByComplaint } from "../services/utils";
+import { formatDate, formatTime, t } from "../i18n";
+import AttachmentGallery from "./AttachmentGallery";
+import "./Ratings.css";
+import "./TechnicianDashboard.css";
+
+function TechnicianDashboard({ session }) {
+  const [jobs, setJobs] = useState([]);
+  const [logsByJob, setLogsByJob] = useState({});
+  const [attachmentsByJob, setAttachmentsByJob] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [showCompleted, setShowCompleted] = useState(false);
+  const { id: selectedId } = useParams();
+  const [manualTime, setManualTime] = useState({});
+  const jobIdsRef = useRef([]);
+
+  useEffect(() => {
+    fetchJobs();
+
+    // Jobs assigned by the company arrive as UPDATEs of rows this
+    // technician has not seen yet, so those are read back with their joins.
+    const unsubscribe = subscribeToChanges(
+      "technician_jobs",
+      [
+        {
+          table: "complaints",
+          filter: `assigned_to=eq.${session.user.id}`,
+          onChange: applyJobChange,
+        },
+        {
+          table: "quotes",
+          onChange: ({ eventType, new: row }) => {
+            if (eventType === "DELETE") return;
+            if (jobIdsRef.current.includes(row.complaint_id)) {
+              setJobs((current) =>
+                current.map((job) =>
+                  job.id === row.complaint_id
+                    ? { ...job, quote: { status: row.status } }
+                    : job,
+                ),
+              );
+            }
+          },
+        },
+      ],
+      { onResync: fetchJobs },
+    );
+
+    return unsubscribe;
+  }, [session.user.id]);
+
+  const fetchJobs = async () => {
+    try {
+      const data = await techniciansRepository.listAssigned(session.user.id);
+      setJobs(data);
+
+      const ids = data.map((job) => job.id);
+      jobIdsRef.current = ids;
+      const [logs, attachments] = await Promise.all([
+        techniciansRepository.listWorkLogs(ids),
+        fetchComplaintAttachments(ids),
+      ]);
+      setLogsByJob(groupByComplaint(logs));
+      setAttachmentsByJob(groupByComplaint(attachments));
+    } catch (error) {
+      console.error("Error fetching assigned jobs:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyJobChange = async (payload) => {
+    const id = payload.eventType === "DELETE" ? payload.old.id : payload.new.id;
+
+    if (
+      payload.eventType === "DELETE" ||
+      payload.new.assigned_to !== session.user.id
+    ) {
+      jobIdsRef.current = jobIdsRef.current.filter((jobId) => jobId !== id);
+      setJobs((current) => current.filter((job) => job.id !== id));
+      return;
+    }
+
+    if (jobIdsRef.current.includes(id)) {
+      setJobs((current) => mergeChange(current, payload));
+      return;
+    }
+
+    try {
+      const [job, logs, attachments] = await Promise.all([
+        complaintsRepository.getById(id),
+        techniciansRepository.listWorkLogs(id),
+        fetchComplaintAttachments(id),
+      ]);
+      jobIdsRef.current = [...jobIdsRef.current, id];
+      setJobs((current) => [...current.filter((j) => j.id !== id), job]);
+      setLogsByJob((current) => ({ ...current, [id]: logs }));
+      setAttachmentsByJob((current) => ({ ...current, [id]: attachments }));
+    } catch (error) {
+      console.error("Error fetching assigned job:", error);
+    }
+  };
+
+  const openLogFor = (jobId) =>
+    (logsByJob[jobId] || []).find(
+      (log) => !log.ended_at && log.technician_id === session.user.id,
+    );
+
+  const runAction = async (action, errorMessage) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      alert(error.message || errorMessage);
+    } finally {
+      fetchJobs();
+    }
+  };
+
+  const startWork = (job) =>
+    runAction(async () => {
+      if (job.status !== "in-progress") {
+        await complaintsRepository.updateStatus(job, "in-progress");
+      }
+      await techniciansRepository.startWorkLog(job.id, session.user.id);
+    }, t("technician.startError"));
+
+  const stopTimer = (job) =>
+    runAction(async () => {
+      const note = prompt(t("technician.workNotePrompt"));
+      await stopWorkLog(openLogFor(job.id), note);
+    }, t("technician.stopError"));
+
+  const moveTo = (job, status) =>
+    runAction(async () => {
+      const openLog = openLogFor(job.id);
+      if (openLog) await stopWorkLog(openLog);
+      await complaintsRepository.updateStatus(job, status);
+    }, t("technician.updateError"));
+
+  const submitManualTime = (e, job) => {
+    e.preventDefault();
+    const entry = manualTime[job.id] || {};
+    runAction(async () => {
+      await logManualTime({
+        complaintId: job.id,
+        technicianId: session.user.id,
+        minutes: Number(entry.minutes),
+        note: entry.note,
+      });
+      setManualTime({ ...manualTime, [job.id]: {} });
+    }, t("technician.logTimeError"));
+  };
+
+  const updateManualTime = (jobId, field, value) => {
+    setManualTime({
+      ...manualTime,
+      [jobId]: { ...manualTime[jobId], [field]: value },
+    });
+  };
+
+  if (loading) {
+    return <div className="loading">{t("technician.loading")}</div>;
+  }
+
+  const visibleJobs = selectedId
+    ? jobs.filter((job) => job.id === selectedId)
+    : jobs.filter((job) => isTerminal(job.status) === showCompleted);
+
+  return (
+    <div className="technician-dashboard">
+      <div className="dashboard-header">
+        <h2>{t("technician.heading")}</h2>
+        <div className="filter-buttons">
+          <button
+            className={!showCompleted ? "active" : ""}
+            onClick={() => setShowCompleted(false)}
+          >
+            {t("technician.active", {
+              count: jobs.filter((job) => !isTerminal(job.status)).length,
+            })}
+          </button>
+          <button
+            className={showCompleted ? "active" : ""}
+            onClick={() => setShowCompleted(true)}
+          >
+            {t("technician.closed")}
+          </button>
+        </div>
+      </div>
+
+      {selectedId && (
+        <Link to="/jobs" className="back-link">
+          {t("technician.allJobs")}
+        </Link>
+      )}
+
+      {visibleJobs.length === 0 ? (
+        <div className="empty-state">
+          <p>
+            {selectedId
+              ? t("technician.notAssigned")
+              : showCompleted
+                ? t("technician.noClosedJobs")
+                : t("technician.noJobs")}
+          </p>
+        </div>
+      ) : (
+        <div className="jobs-list">
+          {visibleJobs.map((job) => {
+            const logs = logsByJob[job.id] || [];
+            const openLog = openLogFor(job.id);
+
+            return (
+              <div key={job.id} className="job-card">
+                <div className="job-header">
+                  <Link to={`/jobs/${job.id}`} className="job-id">
+                    #{job.id.slice(0, 8)}
+                  </Link>
+                  <span
+                    className="status-badge"
+                    style={{ backgroundColor: getStatusColor(job.status) }}
+                  >
+                    {getStatusLabel(job.status)}
+                  </span>
+                  {job.rework_count > 0 && (
+                    <span className="rework-badge">{t("common.rework")}</span>
+                  )}
+                </div>
+
+                <h4>
+                  {job.bicycle_model}
+                  {job.bike?.serial_number && (
+                    <span className="job-serial">
+                      {" "}
+                      · {job.bike.serial_number}
+                    </span>
+                  )}
+                </h4>
+                <p>
+                  <strong>{t("company.issueType")}</strong>{" "}
+                  {getIssueTypeLabel(job.issue_type)} ·{" "}
+                  <strong>{t("company.priority")}</strong>{" "}
+                  {getPriorityLabel(job.priority)}
+                </p>
+                <p>
+                  <strong>{t("technician.customer")}</strong> {job.users?.name}{" "}
+                  · {job.users?.phone}
+                </p>
+                {job.appointment && (
+                  <p>
+                    <strong>{t("company.dropOff")}</strong>{" "}
+                    {formatSlot(job.appointment.slot_start)}
+                  </p>
+                )}
+                <p className="job-description">{job.description}</p>
+
+                <AttachmentGallery
+                  attachments={attachmentsByJob[job.id] || []}
+                />
+
+                {!isTerminal(job.status) && (
+                  <div className="job-actions">
+                    {openLog ? (
+                      <button
+                        className="btn-job stop"
+                        onClick={() => stopTimer(job)}
+                      >
+                        {t("technician.stopTimer", {
+                          time: formatTime(openLog.started_at),
+                        })}
+                      </button>
+                    ) : (
+                      <button
+                        className="btn-job start"
+                        onClick={() => startWork(job)}
+                        disabled={needsApprovedQuote(job, "in-progress")}
+                      >
+                        {t("technician.startWork")}
+                      </button>
+                    )}
+                    {needsApprovedQuote(job, "in-progress") && (
+                      <span className="job-hint">
+                        {t("technician.quoteRequired")}
+                      </span>
+                    )}
+                    {job.status === "in-progress" && (
+                      <>
+                        <button
+                          className="btn-job parts"
+                          onClick={() => moveTo(job, "awaiting-parts")}
+                        >
+                          {t("technician.awaitingParts")}
+                        </button>
+                        <button
+                          className="btn-job finish"
+                          onClick={() => moveTo(job, "completed")}
+                        >
+                          {t("technician.finish")}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                <div className="job-time">
+                  <strong>{t("company.timeLogged")}</strong>{" "}
+                  {formatMinutes(totalMinutes(logs))}
+                  {logs.length > 0 && (
+                    <ul className="work-logs">
+                      {logs
+                        .filter((log) => log.ended_at)
+                        .map((log) => (
+                          <li key={log.id}>
+                            {formatDate(log.started_at)} ·{" "}
+                            {formatMinutes(log.minutes)}
+                            {log.note && ` · ${log.note}`}
+                          </li>
+                        ))}
+                    </ul>
+                  )}
+                  {!isTerminal(job.status) && (
+                    <form
+                      className="manual-time-form"
+                      onSubmit={(e) => submitManualTime(e, job)}
+                    >
+                      <input
+                        type="number"
+                        min="1"
+                        placeholder={t("technician.minutesPlaceholder")}
+                        value={manualTime[job.id]?.minutes || ""}
+                        onChange={(e) =>
+                          updateManualTime(job.id, "minutes", e.target.value)
+                        }
+                        required
+                      />
+                      <input
+                        type="text"
+                        placeholder={t("paymentRecorder.notePlaceholder")}
+                        value={manualTime[job.id]?.note || ""}
+                        onChange={(e) =>
+                          updateManualTime(job.id, "note", e.target.value)
+                        }
+                      />
+                      <button type="submit" className="btn-job">
+                        {t("technician.logTime")}
+                      </button>
+                    </form>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TechnicianDashboard;
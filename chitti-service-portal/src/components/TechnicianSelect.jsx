@@ -0,0 +1,21 @@
+import { t } from "../i18n";
+
+function TechnicianSelect({ technicians, value, onChange, disabled }) {
+  return (
+    <select
+      className="technician-select"
+      value={value || ""}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.value || null)}
+    >
+      <option value="">{t("filters.unassigned")}</option>
+      {technicians.map((technician) => (
+        <option key={technician.id} value={technician.id}>
+          {technician.name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default TechnicianSelect;
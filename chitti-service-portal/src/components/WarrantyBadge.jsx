@@ -0,0 +1,15 @@
+import { isInWarranty } from "../services/bikes";
+import { t } from "../i18n";
+import "./WarrantyBadge.css";
+
+function WarrantyBadge({ bike }) {
+  const inWarranty = isInWarranty(bike);
+
+  return (
+    <span className={`warranty-badge ${inWarranty ? "in" : "out"}`}>
+      {inWarranty ? t("warranty.in") : t("warranty.out")}
+    </span>
+  );
+}
+
+export default WarrantyBadge;
@@ -0,0 +1,138 @@
+import { useState } from "react";
+import { appointmentsRepository } from "../repositories";
+import { formatWeekday } from "../services/appointments";
+import { t } from "../i18n";
+import "./Appointments.css";
+
+function WorkshopSettings({ config, onSaved }) {
+  const [settings, setSettings] = useState(config.settings);
+  const [hours, setHours] = useState(config.hours);
+  const [saving, setSaving] = useState(false);
+
+  const updateSetting = (e) => {
+    setSettings({ ...settings, [e.target.name]: Number(e.target.value) });
+  };
+
+  const updateDay = (weekday, changes) => {
+    setHours(
+      hours.map((day) =>
+        day.weekday === weekday ? { ...day, ...changes } : day,
+      ),
+    );
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (hours.some((day) => day.is_open && day.closes_at <= day.opens_at)) {
+      alert(t("workshop.invalidHours"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await appointmentsRepository.saveWorkshopConfig({ settings, hours });
+      alert(t("workshop.saved"));
+      onSaved();
+    } catch (error) {
+      console.error("Error saving workshop settings:", error);
+      alert(t("workshop.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <details className="workshop-settings">
+      <summary>{t("workshop.heading")}</summary>
+
+      <form onSubmit={handleSave}>
+        <div className="workshop-settings-grid">
+          <label>
+            {t("workshop.dailyCapacity")}
+            <input
+              type="number"
+              name="daily_capacity"
+              min="1"
+              value={settings.daily_capacity}
+              onChange={updateSetting}
+              required
+            />
+          </label>
+          <label>
+            {t("workshop.slotCapacity")}
+            <input
+              type="number"
+              name="slot_capacity"
+              min="1"
+              value={settings.slot_capacity}
+              onChange={updateSetting}
+              required
+            />
+          </label>
+          <label>
+            {t("workshop.slotMinutes")}
+            <input
+              type="number"
+              name="slot_minutes"
+              min="10"
+              max="240"
+              step="5"
+              value={settings.slot_minutes}
+              onChange={updateSetting}
+              required
+            />
+          </label>
+        </div>
+
+        <table className="workshop-hours">
+          <tbody>
+            {hours.map((day) => (
+              <tr key={day.weekday}>
+                <td>{formatWeekday(day.weekday)}</td>
+                <td>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={day.is_open}
+                      onChange={(e) =>
+                        updateDay(day.weekday, { is_open: e.target.checked })
+                      }
+                    />{" "}
+                    {t("workshop.open")}
+                  </label>
+                </td>
+                <td>
+                  <input
+                    type="time"
+                    value={day.opens_at.slice(0, 5)}
+                    disabled={!day.is_open}
+                    onChange={(e) =>
+                      updateDay(day.weekday, { opens_at: e.target.value })
+                    }
+                  />
+                </td>
+                <td>
+                  <input
+                    type="time"
+                    value={day.closes_at.slice(0, 5)}
+                    disabled={!day.is_open}
+                    onChange={(e) =>
+                      updateDay(day.weekday, { closes_at: e.target.value })
+                    }
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <button type="submit" className="btn-view" disabled={saving}>
+          {saving ? t("common.saving") : t("workshop.save")}
+        </button>
+      </form>
+    </details>
+  );
+}
+
+export default WorkshopSettings;
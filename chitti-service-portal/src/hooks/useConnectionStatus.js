@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from "react";
+import {
+  getConnectionStatus,
+  subscribeConnectionStatus,
+} from "../services/realtimeStore";
+
+export default function useConnectionStatus() {
+  return useSyncExternalStore(subscribeConnectionStatus, getConnectionStatus);
+}
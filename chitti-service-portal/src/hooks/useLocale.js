@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from "react";
+import { getLocale, subscribeLocale } from "../i18n";
+
+export default function useLocale() {
+  return useSyncExternalStore(subscribeLocale, getLocale);
+}
@@ -0,0 +1,151 @@
+// Explicit extensions: the status and quote helpers import this module, and
+// the Node notification worker loads those directly.
+import en from "./messages/en.js";
+import hi from "./messages/hi.js";
+import kn from "./messages/kn.js";
+
+// Message catalogs and locale-aware formatting. English is the source
+// catalog; a key another catalog leaves out falls back to it, and a key no
+// catalog has falls back to its `defaultValue` or the key itself.
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGES = [
+  { code: "en", name: "English" },
+  { code: "hi", name: "हिन्दी" },
+  { code: "kn", name: "ಕನ್ನಡ" },
+];
+
+const CATALOGS = { en, hi, kn };
+
+const STORAGE_KEY = "chitti-locale";
+const storage = typeof localStorage === "undefined" ? null : localStorage;
+const browserLanguages =
+  typeof navigator === "undefined" ? [] : navigator.languages || [];
+const listeners = new Set();
+
+const baseLanguage = (tag) => tag.split("-")[0].toLowerCase();
+
+export const isLanguage = (code) => Object.hasOwn(CATALOGS, code);
+
+export const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const deviceTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Keeps the region of a matching browser language, e.g. "en-IN" rather than
+// "en", so dates and numbers follow local conventions.
+export const intlLocale = (language = locale.language) =>
+  browserLanguages.find((tag) => baseLanguage(tag) === language) || language;
+
+// timeZone null means the device's.
+const createLocale = ({ language, timeZone }) => ({
+  language: isLanguage(language)
+    ? language
+    : browserLanguages.map(baseLanguage).find(isLanguage) || DEFAULT_LANGUAGE,
+  timeZone: timeZone && isTimeZone(timeZone) ? timeZone : null,
+});
+
+const readStoredLocale = () => {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+let locale = createLocale(readStoredLocale());
+
+const applyDocumentLanguage = () => {
+  if (typeof document !== "undefined") {
+    document.documentElement.lang = locale.language;
+  }
+};
+applyDocumentLanguage();
+
+export const getLocale = () => locale;
+
+export const subscribeLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// changes: { language, timeZone }, either may be left out. The choice is
+// remembered on this device; signed-in users also save it to their settings.
+export const setLocale = (changes) => {
+  const next = createLocale({ ...locale, ...changes });
+  if (next.language === locale.language && next.timeZone === locale.timeZone) {
+    return;
+  }
+
+  locale = next;
+  storage?.setItem(STORAGE_KEY, JSON.stringify(locale));
+  applyDocumentLanguage();
+  listeners.forEach((listener) => listener());
+};
+
+const findMessage = (language, key, count) => {
+  const catalog = CATALOGS[language];
+  if (count === undefined) return catalog[key];
+  const form = new Intl.PluralRules(intlLocale(language)).select(count);
+  return catalog[`${key}_${form}`] ?? catalog[`${key}_other`];
+};
+
+// params fill {name} placeholders. A numeric `count` picks the plural form,
+// "key_one", "key_other" and so on, as Intl.PluralRules names them.
+export const translate = (language, key, params = {}) => {
+  const message =
+    findMessage(language, key, params.count) ??
+    findMessage(DEFAULT_LANGUAGE, key, params.count) ??
+    params.defaultValue ??
+    key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name]),
+  );
+};
+
+export const t = (key, params) => translate(locale.language, key, params);
+
+// options are Intl.DateTimeFormat options, plus `language` to format in
+// another language than the user's. Without any style options the
+// formatter's default style applies.
+const dateTimeFormat = (
+  { language, timeZone = locale.timeZone || undefined, ...style },
+  defaultStyle,
+) =>
+  new Intl.DateTimeFormat(intlLocale(language), {
+    timeZone,
+    ...(Object.keys(style).length > 0 ? style : defaultStyle),
+  });
+
+export const formatDate = (value, options = {}) =>
+  value
+    ? dateTimeFormat(options, { dateStyle: "medium" }).format(new Date(value))
+    : "";
+
+export const formatDateTime = (value, options = {}) =>
+  value
+    ? dateTimeFormat(options, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      }).format(new Date(value))
+    : "";
+
+export const formatTime = (value, options = {}) =>
+  value
+    ? dateTimeFormat(options, { timeStyle: "short" }).format(new Date(value))
+    : "";
+
+// For date-only values ("YYYY-MM-DD"), which name a day rather than an
+// instant: formatted in UTC so no time zone shifts them to a neighbour.
+export const formatCalendarDate = (dateOnly, options = {}) =>
+  dateOnly
+    ? formatDate(`${dateOnly}T00:00:00Z`, { ...options, timeZone: "UTC" })
+    : "";
@@ -0,0 +1,666 @@
+// English, the source catalog. Status, priority, issue type, quote status,
+// payment and rating names are not repeated here: their English lives next
+// to the values in src/services, and the other catalogs translate them as
+// status.*, priority.*, issueType.*, quoteStatus.*, paymentStatus.*,
+// paymentMethod.*, rating.*, notificationKind.*, importField.* and
+// bulkAction.*.
+export default {
+  "app.title": "EV Bicycle Service Portal",
+  "app.logout": "Logout",
+  "app.userInfo": "{email} ({role})",
+
+  "role.customer": "Customer",
+  "role.company": "Company",
+  "role.technician": "Technician",
+
+  "locale.language": "Language",
+  "locale.timeZone": "Time zone",
+  "locale.deviceTimeZone": "Device time zone ({timeZone})",
+  "locale.saveError": "Error saving your language settings. Please try again.",
+
+  "common.loading": "Loading...",
+  "common.saving": "Saving...",
+  "common.cancel": "Cancel",
+  "common.notAvailable": "N/A",
+  "common.rework": "Rework",
+  "common.activity": "Activity",
+  "common.downloadInvoice": "Download invoice (PDF)",
+
+  "login.title": "EV Bicycle Service",
+  "login.createAccount": "Create your account",
+  "login.signInPrompt": "Sign in to your account",
+  "login.fullName": "Full Name",
+  "login.namePlaceholder": "Enter your name",
+  "login.phone": "Phone Number",
+  "login.phonePlaceholder": "Enter your phone number",
+  "login.email": "Email",
+  "login.emailPlaceholder": "Enter your email",
+  "login.password": "Password",
+  "login.passwordPlaceholder": "Enter your password",
+  "login.signUp": "Sign Up",
+  "login.signIn": "Sign In",
+  "login.accountCreated": "Account created successfully! Please login.",
+  "login.haveAccount": "Already have an account? Sign in",
+  "login.noAccount": "Don't have an account? Sign up",
+  "login.demoCredentials": "Demo Credentials:",
+
+  "customer.loading": "Loading your service requests...",
+  "customer.heading": "My Service Requests",
+  "customer.newRequest": "+ New Service Request",
+  "customer.formTitle": "Submit Service Request",
+  "customer.bike": "Bike *",
+  "customer.registerBikeFirst": "Register a bike under My Bikes first",
+  "customer.selectBike": "Select your bike",
+  "customer.issueType": "Issue Type *",
+  "customer.selectIssueType": "Select issue type",
+  "customer.priority": "Priority *",
+  "customer.description": "Description *",
+  "customer.descriptionPlaceholder": "Please describe the issue in detail...",
+  "customer.attachments": "Photos / Videos",
+  "customer.dropOffTime": "Drop-off Time (optional)",
+  "customer.submitting": "Submitting...",
+  "customer.submit": "Submit Request",
+  "customer.offlineBanner":
+    "You're offline. Showing your requests as of the last sync.",
+  "customer.allRequests": "← All requests",
+  "customer.notFound": "Request not found",
+  "customer.notFoundHint":
+    "It may have been removed, or it belongs to another account.",
+  "customer.empty": "No service requests yet",
+  "customer.emptyHint":
+    'Click "New Service Request" to submit your first request',
+  "customer.notSentYet": "Not sent yet",
+  "customer.syncFailed": "Sync failed",
+  "customer.pendingSync": "Pending sync",
+  "customer.issue": "Issue:",
+  "customer.queuedAttachments_one": "{count} attachment will be uploaded",
+  "customer.queuedAttachments_other": "{count} attachments will be uploaded",
+  "customer.queuedDropOff": "Drop-off requested for {slot}",
+  "customer.couldNotSend": "Could not be sent: {error}",
+  "customer.discard": "Discard",
+  "customer.willSendOnline":
+    "Will be sent automatically when you're back online.",
+  "customer.saved": "Saved: {date}",
+  "customer.serial": "Serial: {serial}",
+  "customer.editRequest": "Edit request",
+  "customer.cancelRequest": "Cancel request",
+  "customer.approveQuote": "Approve quote",
+  "customer.declineQuote": "Decline",
+  "customer.dropOff": "Drop-off:",
+  "customer.notBookedYet": "Not booked yet",
+  "customer.closeBooking": "Close",
+  "customer.reschedule": "Reschedule",
+  "customer.bookDropOff": "Book drop-off",
+  "customer.confirmDropOff": "Confirm Drop-off",
+  "customer.cancellationReason": "Cancellation Reason:",
+  "customer.messages": "Messages ({count})",
+  "customer.submittedOn": "Submitted: {date}",
+  "customer.updatedOn": "Updated: {date}",
+  "customer.attachmentsFailed":
+    "Your request was submitted, but some attachments could not be uploaded.",
+  "customer.dropOffFailed":
+    "Your request was submitted, but the drop-off could not be booked: {error}. You can pick another time from the request card.",
+  "customer.discardConfirm": "Discard this unsent request?",
+  "customer.queuedOffline":
+    "You're offline. Your request has been saved and will be sent automatically when the connection returns.",
+  "customer.queueError": "Error saving your request offline. Please try again.",
+  "customer.submitted": "Service request submitted successfully!",
+  "customer.submitError": "Error submitting request. Please try again.",
+  "customer.bookingError": "Error booking drop-off. Please try again.",
+  "customer.cancelBookingConfirm": "Cancel your drop-off appointment?",
+  "customer.cancelBookingError": "Error cancelling drop-off. Please try again.",
+  "customer.cancelReasonPrompt": "Why do you want to cancel this request?",
+  "customer.cancelReasonRequired": "Please tell us why you are cancelling.",
+  "customer.cancelTooLate":
+    "The workshop has already started on this request, so it can no longer be cancelled.",
+  "customer.cancelError": "Error cancelling the request. Please try again.",
+  "customer.approveQuoteConfirm":
+    "Approve this quote? The workshop will start the work.",
+  "customer.declineQuotePrompt": "Why are you declining this quote? (optional)",
+  "customer.quoteError": "Error answering the quote. Please try again.",
+  "customer.invoiceError": "Error generating your invoice. Please try again.",
+
+  "company.loading": "Loading service requests...",
+  "company.totalRequests": "Total Requests",
+  "company.overdue": "Overdue",
+  "company.tab.requests": "Requests",
+  "company.tab.calendar": "Drop-off Calendar",
+  "company.tab.analytics": "Analytics",
+  "company.tab.notifications": "Notifications",
+  "company.heading": "Service Requests Management",
+  "company.allStatuses": "All",
+  "company.searchPlaceholder":
+    "Search by customer name, email, phone, request ID or description...",
+  "company.exportCsv": "Export CSV",
+  "company.exportXlsx": "Export XLSX",
+  "company.empty": "No service requests",
+  "company.emptyStatus": "No {status} service requests",
+  "company.emptySearchHint": 'Nothing matches "{search}".',
+  "company.emptyFiltersHint": "Try clearing some filters.",
+  "company.selectAll": "Select all requests on this page",
+  "company.selectRequest": "Select request #{id}",
+  "company.column.id": "ID",
+  "company.column.customer": "Customer",
+  "company.column.contact": "Contact",
+  "company.column.model": "Model",
+  "company.column.issueType": "Issue Type",
+  "company.column.priority": "Priority",
+  "company.column.status": "Status",
+  "company.column.sla": "SLA",
+  "company.column.technician": "Technician",
+  "company.column.payment": "Payment",
+  "company.column.date": "Date",
+  "company.column.actions": "Actions",
+  "company.needsApprovedQuote": "{status} (needs an approved quote)",
+  "company.reopened_one": "Reopened {count} time by the customer",
+  "company.reopened_other": "Reopened {count} times by the customer",
+  "company.viewDetails": "View Details",
+  "company.previousPage": "‹ Previous",
+  "company.nextPage": "Next ›",
+  "company.pageRange": "{first}–{last} of {total}",
+  "company.details": "Service Request Details",
+  "company.customerInformation": "Customer Information",
+  "company.name": "Name:",
+  "company.email": "Email:",
+  "company.phone": "Phone:",
+  "company.requestDetails": "Request Details",
+  "company.requestId": "Request ID:",
+  "company.bicycleModel": "Bicycle Model:",
+  "company.issueType": "Issue Type:",
+  "company.priority": "Priority:",
+  "company.escalated": "Escalated {date}",
+  "company.sla": "SLA:",
+  "company.status": "Status:",
+  "company.cancellationReason": "Cancellation Reason:",
+  "company.submitted": "Submitted:",
+  "company.technician": "Technician:",
+  "company.timeLogged": "Time Logged:",
+  "company.timerRunning": " (timer running)",
+  "company.dropOff": "Drop-off:",
+  "company.notBooked": "Not booked",
+  "company.lastUpdated": "Last Updated:",
+  "company.bike": "Bike",
+  "company.serialNumber": "Serial Number:",
+  "company.purchased": "Purchased:",
+  "company.warranty": "Warranty:",
+  "company.warrantyUntil": "until {date}",
+  "company.previousRequests": "Previous Requests:",
+  "company.noPreviousRequests": "None",
+  "company.issueDescription": "Issue Description",
+  "company.photosVideos": "Photos & Videos",
+  "company.quote": "Quote",
+  "company.noQuote": "No quote sent yet.",
+  "company.reviseQuote": "Revise quote",
+  "company.conversation": "Conversation & Internal Notes",
+  "company.payment": "Payment",
+  "company.issueInvoice": "Issue invoice",
+  "company.feedback": "Customer Feedback",
+  "company.markFollowedUp": "Mark followed up",
+  "company.followedUp": "Followed up {date}",
+  "company.notRated": "Not rated yet.",
+  "company.reworkSummary_one":
+    "Reopened by the customer {count} time, last on {date}",
+  "company.reworkSummary_other":
+    "Reopened by the customer {count} times, last on {date}",
+  "company.documents": "Documents",
+  "company.downloadJobCard": "Download job card (PDF)",
+  "company.bulkApplyError": "Error applying the bulk action. Please try again.",
+  "company.bulkUndoError": "Error undoing the bulk action. Please try again.",
+  "company.cancelReasonPrompt":
+    "Please enter a reason for cancelling this request:",
+  "company.changedElsewhere":
+    "This request was changed by someone else. Reloading.",
+  "company.statusError": "Error updating status. Please try again.",
+  "company.assignError": "Error assigning technician. Please try again.",
+  "company.documentError": "Error generating the PDF. Please try again.",
+  "company.invoiceAmountPrompt": "Invoice amount:",
+  "company.invoiceAmountInvalid": "Enter an amount of 0 or more.",
+  "company.issueInvoiceError": "Error issuing the invoice. Please try again.",
+  "company.followUpError": "Error saving the follow-up. Please try again.",
+  "company.exportError": "Error exporting service requests. Please try again.",
+  "company.requestNotFound": "This service request could not be found.",
+
+  "filters.technician": "Technician",
+  "filters.allTechnicians": "All technicians",
+  "filters.unassigned": "Unassigned",
+  "filters.priority": "Priority",
+  "filters.allPriorities": "All priorities",
+  "filters.issueType": "Issue type",
+  "filters.allIssueTypes": "All issue types",
+  "filters.model": "Model",
+  "filters.modelPlaceholder": "e.g. EV-Sport",
+  "filters.customer": "Customer",
+  "filters.allCustomers": "All customers",
+  "filters.selectedCustomer": "Selected customer",
+  "filters.submitted": "Submitted",
+  "filters.anyTime": "Any time",
+  "filters.customDates": "Custom dates",
+  "filters.from": "From",
+  "filters.to": "To",
+  "filters.clear": "Clear filters ({count})",
+
+  "bikes.heading": "My Bikes",
+  "bikes.register": "+ Register Bike",
+  "bikes.model": "Model *",
+  "bikes.selectModel": "Select model",
+  "bikes.serial": "Serial / Frame Number *",
+  "bikes.serialPlaceholder": "Printed under the bottom bracket",
+  "bikes.purchaseDate": "Purchase Date *",
+  "bikes.warrantyEnd": "Warranty End Date *",
+  "bikes.submit": "Register Bike",
+  "bikes.empty": "Register your bike to submit service requests for it.",
+  "bikes.warrantyUntil": "until {date}",
+  "bikes.registerError": "Error registering bike. Please try again.",
+
+  "quote.item": "Item",
+  "quote.quantity": "Qty",
+  "quote.unitPrice": "Unit price",
+  "quote.amount": "Amount",
+  "quote.labor": "Labor",
+  "quote.hours": "{hours} h",
+  "quote.subtotal": "Subtotal",
+  "quote.tax": "Tax ({rate}%)",
+  "quote.total": "Total",
+  "quote.declined": "Declined:",
+
+  "payment.invoiced": "Invoiced {date}",
+  "payment.amountDue": "Amount due",
+  "payment.paid": "Paid",
+  "payment.refunded": "Refunded",
+  "payment.balance": "Balance",
+  "payment.pendingNotice": "{amount} paid online is still being confirmed.",
+  "payment.payment": "Payment ({method})",
+  "payment.refund": "Refund ({method})",
+  "payment.processing": "Processing",
+  "payment.failed": "Failed",
+  "payment.expired": "Checkout expired",
+
+  "feedback.heading": "How did we do?",
+  "feedback.commentPlaceholder": "Tell us more (optional)",
+  "feedback.submit": "Submit rating",
+  "feedback.changeRating": "Change rating",
+  "feedback.stillThere": "Problem still there?",
+  "feedback.notResolved": "Issue not resolved",
+  "feedback.reworkWindow": "(up to {days} days after completion)",
+  "feedback.chooseRating": "Choose a rating from 1 to 5 stars.",
+  "feedback.saveError": "Error saving your rating. Please try again.",
+  "feedback.reopenPrompt": "What is still wrong with your bike?",
+  "feedback.reopenReasonRequired": "Please tell us what is still wrong.",
+  "feedback.reopenError": "Error reopening the request. Please try again.",
+
+  "thread.empty": "No messages yet",
+  "thread.staff": "Staff",
+  "thread.internal": "Internal",
+  "thread.internalPlaceholder": "Add an internal note (staff only)...",
+  "thread.messagePlaceholder": "Write a message...",
+  "thread.internalNote": "Internal note",
+  "thread.toCustomer": "Message to customer",
+  "thread.sending": "Sending...",
+  "thread.send": "Send",
+  "thread.sendError": "Error sending message. Please try again.",
+
+  "requestEdit.issueType": "Issue Type",
+  "requestEdit.priority": "Priority",
+  "requestEdit.description": "Description",
+  "requestEdit.save": "Save changes",
+  "requestEdit.discard": "Discard",
+  "requestEdit.tooLate":
+    "The workshop has already started on this request, so it can no longer be changed.",
+  "requestEdit.saveError": "Error saving your changes. Please try again.",
+
+  "inbox.theCustomer": "The customer",
+  "inbox.aCustomer": "A customer",
+  "inbox.newRequest":
+    "{customer} submitted a new request ({priority} priority)",
+  "inbox.statusChanged": "Your request {id} moved to {status}",
+  "inbox.staffReply": "The workshop replied on your request {id}",
+  "inbox.customerMessage": "{customer} wrote on request {id}",
+  "inbox.assigned": "Request {id} ({model}) was assigned to you",
+  "inbox.quoteReady":
+    "A quote of {total} is waiting for your approval on request {id}",
+  "inbox.quoteApproved": "{customer} approved the quote for request {id}",
+  "inbox.quoteDeclined": "{customer} declined the quote for request {id}",
+  "inbox.paymentReceived": "{customer} paid {amount} online for request {id}",
+  "inbox.refundIssued": "A refund of {amount} was issued on your request {id}",
+  "inbox.requestCancelled": "{customer} cancelled request {id}: {reason}",
+  "inbox.reopened": "{customer} reopened request {id}: {reason}",
+  "inbox.lowRating":
+    "{customer} rated request {id} {rating}/5 and needs a follow-up",
+  "inbox.update": "Update on request {id}",
+
+  "event.created": "Request submitted",
+  "event.imported": "Imported from a spreadsheet",
+  "event.statusChanged": "Status changed from {from} to {to}",
+  "event.notesAdded": "Notes added",
+  "event.notesUpdated": "Notes updated",
+  "event.noteAdded": "Internal note added",
+  "event.noteRemoved": "Internal note removed",
+  "event.messageAdded": "Message posted",
+  "event.escalated": "SLA breached: priority escalated from {from} to {to}",
+  "event.assigned": "Assigned to {name}",
+  "event.unassigned": "Technician unassigned",
+  "event.quoteSent": "Quote of {total} sent for approval",
+  "event.quoteApproved": "Quote approved",
+  "event.quoteDeclined": "Quote declined",
+  "event.quoteDeclinedReason": "Quote declined: {reason}",
+  "event.paymentReceived": "Payment of {amount} received",
+  "event.refundIssued": "Refund of {amount} issued",
+  "event.rated_one": "Rated {count} star",
+  "event.rated_other": "Rated {count} stars",
+  "event.ratingChanged": "Rating changed from {from} to {to} stars",
+  "event.reopened": "Reopened as a rework: {reason}",
+  "event.issueTypeChanged": "Issue changed from {from} to {to}",
+  "event.priorityChanged": "Priority changed from {from} to {to}",
+  "event.descriptionChanged": "Description edited",
+
+  "attachments.hint":
+    "Up to {count} photos or short videos. Photos are resized before upload.",
+  "attachments.notMedia": '"{name}" is not an image or video.',
+  "attachments.tooLarge": '"{name}" is larger than {size} MB.',
+  "attachments.tooLong": '"{name}" is longer than {seconds} seconds.',
+  "attachments.tooMany": "You can attach up to {count} files.",
+  "attachments.remove": "Remove {name}",
+  "attachments.previous": "Previous",
+  "attachments.next": "Next",
+  "attachments.close": "Close",
+
+  "appointments.loadingSlots": "Loading available times...",
+  "appointments.closed": "The workshop is closed on this day.",
+  "appointments.fullyBooked": "No drop-off times left on this day.",
+
+  "payOnline.amount": "Amount",
+  "payOnline.submit": "Pay online",
+  "payOnline.redirecting": "Redirecting...",
+  "payOnline.error": "Error starting the payment. Please try again.",
+
+  "warranty.in": "In warranty",
+  "warranty.out": "Out of warranty",
+
+  "connection.title": "Realtime updates",
+  "connection.live": "Live",
+  "connection.connecting": "Connecting...",
+  "connection.reconnecting": "Reconnecting...",
+
+  "notifications.heading": "Notifications",
+  "notifications.bellLabel": "Notifications ({count} unread)",
+  "notifications.markAllRead": "Mark all read",
+  "notifications.empty": "You're all caught up.",
+  "notifications.settings": "Notification settings",
+  "notifications.intro":
+    "We let you know when a request is received, changes status, gets a new note from the workshop or is completed.",
+  "notifications.email": "Email",
+  "notifications.emailHint": "to the address you sign in with",
+  "notifications.sms": "SMS",
+  "notifications.smsHint": "to the phone number on file",
+  "notifications.saveError":
+    "Error saving your notification settings. Please try again.",
+
+  "sla.overdue": "{duration} overdue",
+  "sla.toRespond": "{duration} to respond",
+  "sla.toResolve": "{duration} to resolve",
+
+  "analytics.heading": "Workshop Analytics",
+  "analytics.last30Days": "Last 30 days",
+  "analytics.last90Days": "Last 90 days",
+  "analytics.last12Months": "Last 12 months",
+  "analytics.rangeTo": "to",
+  "analytics.loading": "Loading analytics...",
+  "analytics.loadError": "Could not load analytics. Please try again.",
+  "analytics.received": "Requests received",
+  "analytics.completed": "Completed",
+  "analytics.averageTurnaround": "Average turnaround",
+  "analytics.medianTurnaround": "Median turnaround",
+  "analytics.openBacklog": "Open backlog",
+  "analytics.oldestOpen": "Oldest open request",
+  "analytics.averageRating": "Average rating ({count})",
+  "analytics.reworkRate": "Rework rate ({reworked} of {finished})",
+  "analytics.weeklyIntake": "Weekly intake",
+  "analytics.timeInStatus": "Time in each status (completed requests)",
+  "analytics.backlogAge": "Backlog age",
+  "analytics.backlogAgeMedian": "Backlog age (median {median})",
+  "analytics.age.underDay": "< 1 day",
+  "analytics.age.days1to3": "1–3 days",
+  "analytics.age.days3to7": "3–7 days",
+  "analytics.age.weeks1to2": "1–2 weeks",
+  "analytics.age.weeks2to4": "2–4 weeks",
+  "analytics.age.overWeeks4": "> 4 weeks",
+  "analytics.minutes": "{minutes} min",
+  "analytics.hours": "{hours} h",
+  "analytics.days": "{days} days",
+  "analytics.customerRatings": "Customer ratings",
+  "analytics.noRatings": "No ratings in this period",
+  "analytics.topCombinations": "Most common issue × model",
+  "analytics.noRequests": "No requests in this period",
+  "analytics.onModel": "on {model}",
+  "analytics.hotspots": "Hotspots",
+  "analytics.issueByModel": "Issue \\\\ Model",
+  "analytics.followUps": "Low ratings to follow up ({count})",
+  "analytics.noFollowUps": "Nothing to follow up",
+
+  "deliveries.heading": "Customer Notifications",
+  "deliveries.loading": "Loading deliveries...",
+  "deliveries.empty": "No notifications sent yet",
+  "deliveries.column.sent": "Sent",
+  "deliveries.column.request": "Request",
+  "deliveries.column.notification": "Notification",
+  "deliveries.column.channel": "Channel",
+  "deliveries.column.recipient": "Recipient",
+  "deliveries.channel.email": "Email",
+  "deliveries.channel.sms": "SMS",
+  "deliveries.status.sent": "Sent",
+  "deliveries.status.failed": "Failed",
+  "deliveries.error": "Error: {error}",
+  "deliveries.sentVia": "Sent via {provider}",
+
+  "timeline.empty": "No activity recorded yet",
+  "timeline.by": "by {name}",
+  "timeline.byWithRole": "by {name} ({role})",
+  "timeline.cleared": "(cleared)",
+
+  "import.heading": "Import Requests",
+  "import.intro":
+    "Upload a .csv or .xlsx file with one request per row and a header row. Customers must already have an account. Nothing is written until you confirm the import.",
+  "import.noRows": "{file} has no data rows.",
+  "import.tooManyRows":
+    "{file} has {count} rows; import at most {max} at a time.",
+  "import.readError": "Could not read {file}. Use a .csv or .xlsx file.",
+  "import.checkError": "Error checking the rows.",
+  "import.confirm_one": "Import {count} service request?",
+  "import.confirm_other": "Import {count} service requests?",
+  "import.confirmSkipped_one": "{count} row with errors will be skipped.",
+  "import.confirmSkipped_other": "{count} rows with errors will be skipped.",
+  "import.imported_one": "Imported {count} service request from {file}.",
+  "import.imported_other": "Imported {count} service requests from {file}.",
+  "import.importError": "Nothing was imported: {error}",
+  "import.mapColumns_one": "Map columns from {file} ({count} row)",
+  "import.mapColumns_other": "Map columns from {file} ({count} rows)",
+  "import.notInFile": "— not in file —",
+  "import.column": "Column {number}",
+  "import.dryRun": "Check rows (dry run)",
+  "import.readyRows_one": "{count} row ready to import.",
+  "import.readyRows_other": "{count} rows ready to import.",
+  "import.invalidRows_one":
+    "{count} row has errors: fix it in the file and upload it again, or import without it.",
+  "import.invalidRows_other":
+    "{count} rows have errors: fix them in the file and upload it again, or import without them.",
+  "import.column.row": "Row",
+  "import.column.result": "Result",
+  "import.ok": "OK",
+  "import.submit_one": "Import {count} request",
+  "import.submit_other": "Import {count} requests",
+  "import.required": "{field} is required",
+  "import.invalidEmail": '"{email}" is not an email address',
+  "import.unknownCustomer": "No customer account with email {email}",
+  "import.unknownIssueType":
+    'Unknown issue type "{value}" (use one of {options})',
+  "import.unknownPriority": "Priority must be one of {options}",
+  "import.unknownStatus": 'Unknown status "{value}"',
+  "import.invalidDate": '"{value}" is not a valid date',
+  "import.createdInFuture": "Created date is in the future",
+  "import.resolvedWhileOpen":
+    "Only completed or cancelled requests can have a resolved date",
+  "import.resolvedBeforeCreated": "Resolved date is before the created date",
+  "import.cancelReasonRequired":
+    "Cancelled requests need a cancellation reason",
+
+  "paymentRecorder.payment": "Payment",
+  "paymentRecorder.refund": "Refund",
+  "paymentRecorder.notePlaceholder": "Note (optional)",
+  "paymentRecorder.recordPayment": "Record payment",
+  "paymentRecorder.recordRefund": "Record refund",
+  "paymentRecorder.error": "Error recording the payment. Please try again.",
+
+  "quoteEditor.part": "Part",
+  "quoteEditor.choosePart": "Choose a part…",
+  "quoteEditor.lowStock": "Only {count} in stock",
+  "quoteEditor.outOfStock": "Out of stock",
+  "quoteEditor.removeLine": "Remove line",
+  "quoteEditor.addPart": "+ Add part",
+  "quoteEditor.laborHours": "Labor (hours)",
+  "quoteEditor.rate": "Rate per hour",
+  "quoteEditor.taxRate": "Tax (%)",
+  "quoteEditor.parts": "Parts",
+  "quoteEditor.tax": "Tax",
+  "quoteEditor.send": "Send quote to customer",
+  "quoteEditor.sendRevised": "Send revised quote",
+  "quoteEditor.emptyLines":
+    "Choose a part for every line, or remove the empty lines.",
+  "quoteEditor.saveError": "Error saving the quote. Please try again.",
+
+  "parts.heading": "Parts Catalog ({count})",
+  "parts.sku": "SKU",
+  "parts.namePlaceholder": "Part name, e.g. Rear brake pads (pair)",
+  "parts.price": "Price",
+  "parts.inStock": "In stock",
+  "parts.add": "Add Part",
+  "parts.backordered": "{count} on backorder",
+  "parts.low": "Low",
+  "parts.retire": "Retire",
+  "parts.reactivate": "Reactivate",
+  "parts.addError": "Error adding part. Please try again.",
+  "parts.updateError": "Error updating part. Please try again.",
+
+  "bulk.selected": "{count} selected",
+  "bulk.action": "Bulk action",
+  "bulk.newStatus": "New status",
+  "bulk.newPriority": "New priority",
+  "bulk.unassigned": "Unassigned",
+  "bulk.notePlaceholder": "Internal note for every selected request",
+  "bulk.apply": "Apply",
+  "bulk.applying": "Applying...",
+  "bulk.clearSelection": "Clear selection",
+  "bulk.cancelReasonPrompt_one":
+    "Reason for cancelling the {count} selected request:",
+  "bulk.cancelReasonPrompt_other":
+    "Reason for cancelling the {count} selected requests:",
+  "bulk.noteRequired": "Write the note to add.",
+  "bulk.statusChanged": "Status changed to {status}",
+  "bulk.priorityChanged": "Priority changed to {priority}",
+  "bulk.aTechnician": "a technician",
+  "bulk.result": "{succeeded} updated",
+  "bulk.resultWithFailures": "{succeeded} updated, {failed} failed",
+  "bulk.undo": "Undo",
+  "bulk.dismiss": "Dismiss",
+  "bulk.undone": "Undone: {succeeded} reverted",
+  "bulk.undoneWithFailures":
+    "Undone: {succeeded} reverted, {failed} could not be reverted",
+
+  "slaSettings.heading": "SLA Targets",
+  "slaSettings.respondWithin": "Respond within (hours)",
+  "slaSettings.resolveWithin": "Resolve within (hours)",
+  "slaSettings.save": "Save Targets",
+  "slaSettings.saved": "SLA targets saved!",
+  "slaSettings.invalid":
+    "Resolution targets must not be shorter than response targets.",
+  "slaSettings.saveError": "Error saving SLA targets. Please try again.",
+
+  "calendar.weekOf": "Week of {date}",
+  "calendar.today": "Today",
+  "calendar.day": "Day",
+  "calendar.week": "Week",
+  "calendar.closed": "Closed",
+
+  "workshop.heading": "Workshop Hours & Capacity",
+  "workshop.dailyCapacity": "Drop-offs per day",
+  "workshop.slotCapacity": "Drop-offs per slot",
+  "workshop.slotMinutes": "Slot length (minutes)",
+  "workshop.open": "Open",
+  "workshop.save": "Save Settings",
+  "workshop.saved": "Workshop settings saved!",
+  "workshop.invalidHours": "Closing time must be after opening time.",
+  "workshop.saveError": "Error saving workshop settings. Please try again.",
+
+  "duration.daysHours": "{days}d {hours}h",
+  "duration.hoursMinutes": "{hours}h {minutes}m",
+  "duration.minutes": "{minutes}m",
+
+  "technician.heading": "My Jobs",
+  "technician.loading": "Loading your jobs...",
+  "technician.active": "Active ({count})",
+  "technician.closed": "Closed",
+  "technician.allJobs": "← All jobs",
+  "technician.notAssigned": "This job is not assigned to you",
+  "technician.noClosedJobs": "No closed jobs yet",
+  "technician.noJobs": "No jobs assigned to you",
+  "technician.customer": "Customer:",
+  "technician.startWork": "Start Work",
+  "technician.stopTimer": "Stop Timer (started {time})",
+  "technician.quoteRequired":
+    "The customer has not approved a quote for this request yet.",
+  "technician.awaitingParts": "Awaiting Parts",
+  "technician.finish": "Finish Job",
+  "technician.minutesPlaceholder": "Minutes",
+  "technician.logTime": "Log Time",
+  "technician.workNotePrompt": "What did you work on? (optional)",
+  "technician.startError": "Error starting work.",
+  "technician.stopError": "Error stopping timer.",
+  "technician.updateError": "Error updating job.",
+  "technician.logTimeError": "Error logging time.",
+
+  "mockCheckout.heading": "Mock payment gateway",
+  "mockCheckout.noPayment": "No payment to check out.",
+  "mockCheckout.note":
+    "Development only: no money moves. Choose how this payment ends.",
+  "mockCheckout.sendWebhook": "Send the webhook",
+  "mockCheckout.timing.immediate": "Before returning to the portal",
+  "mockCheckout.timing.delayed": "{seconds} seconds after returning",
+  "mockCheckout.timing.never": "Never (lost webhook)",
+  "mockCheckout.pay": "Pay",
+  "mockCheckout.decline": "Decline",
+  "mockCheckout.error": "Error completing the payment. Please try again.",
+
+  "bikeModels.heading": "Bike Model Catalog ({count})",
+  "bikeModels.namePlaceholder": "Model name, e.g. EV-Sport 2025",
+  "bikeModels.warrantyMonths": "Warranty (months)",
+  "bikeModels.add": "Add Model",
+  "bikeModels.warranty": "{months} mo warranty",
+  "bikeModels.retire": "Retire",
+  "bikeModels.reactivate": "Reactivate",
+  "bikeModels.addError":
+    "Error adding model. Is the name already in the catalog?",
+  "bikeModels.updateError": "Error updating model. Please try again.",
+
+  "savedViews.label": "Saved views",
+  "savedViews.choose": "Saved views…",
+  "savedViews.none": "No saved views yet",
+  "savedViews.mine": "My views",
+  "savedViews.team": "Shared by the team",
+  "savedViews.shared": "shared",
+  "savedViews.opensOnLogin": "{name} (opens on login)",
+  "savedViews.namePrompt": "Name this view:",
+  "savedViews.confirmReplace":
+    'Replace your view "{name}" with the current filters?',
+  "savedViews.confirmDelete": 'Delete the view "{name}"?',
+  "savedViews.save": "Save view",
+  "savedViews.saveAs": "Save as…",
+  "savedViews.share": "Share with team",
+  "savedViews.stopSharing": "Stop sharing",
+  "savedViews.delete": "Delete",
+  "savedViews.setDefault": "Open on login",
+  "savedViews.clearDefault": "Don't open on login",
+  "savedViews.saveError": "Error saving the view. Please try again.",
+  "savedViews.deleteError": "Error deleting the view. Please try again.",
+  "savedViews.shareError": "Error sharing the view. Please try again.",
+  "savedViews.defaultError":
+    "Error changing your default view. Please try again.",
+};
@@ -0,0 +1,758 @@
+// Hindi.
+export default {
+  "app.title": "ईवी साइकिल सर्विस पोर्टल",
+  "app.logout": "लॉग आउट",
+  "app.userInfo": "{email} ({role})",
+
+  "role.customer": "ग्राहक",
+  "role.company": "कंपनी",
+  "role.technician": "तकनीशियन",
+
+  "locale.language": "भाषा",
+  "locale.timeZone": "समय क्षेत्र",
+  "locale.deviceTimeZone": "डिवाइस का समय क्षेत्र ({timeZone})",
+  "locale.saveError":
+    "आपकी भाषा सेटिंग सहेजने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+
+  "common.loading": "लोड हो रहा है...",
+  "common.saving": "सहेजा जा रहा है...",
+  "common.cancel": "रद्द करें",
+  "common.notAvailable": "उपलब्ध नहीं",
+  "common.rework": "दोबारा काम",
+  "common.activity": "गतिविधि",
+  "common.downloadInvoice": "इनवॉइस डाउनलोड करें (PDF)",
+
+  "status.pending": "लंबित",
+  "status.in-progress": "प्रगति में",
+  "status.awaiting-parts": "पुर्ज़ों की प्रतीक्षा",
+  "status.completed": "पूर्ण",
+  "status.cancelled": "रद्द",
+
+  "priority.low": "कम",
+  "priority.medium": "मध्यम",
+  "priority.high": "उच्च",
+
+  "issueType.battery": "बैटरी की समस्या",
+  "issueType.motor": "मोटर की समस्या",
+  "issueType.brakes": "ब्रेक सिस्टम",
+  "issueType.electrical": "विद्युत प्रणाली",
+  "issueType.mechanical": "यांत्रिक समस्या",
+  "issueType.display": "डिस्प्ले/कंट्रोल",
+  "issueType.other": "अन्य",
+
+  "quoteStatus.pending": "स्वीकृति की प्रतीक्षा",
+  "quoteStatus.approved": "स्वीकृत",
+  "quoteStatus.declined": "अस्वीकृत",
+
+  "paymentStatus.no_charge": "कोई शुल्क नहीं",
+  "paymentStatus.unpaid": "भुगतान बाकी",
+  "paymentStatus.partially_paid": "आंशिक भुगतान",
+  "paymentStatus.paid": "भुगतान हो गया",
+  "paymentStatus.refunded": "राशि लौटाई गई",
+
+  "paymentMethod.cash": "नकद",
+  "paymentMethod.card": "कार्ड",
+  "paymentMethod.upi": "UPI",
+  "paymentMethod.bank_transfer": "बैंक ट्रांसफ़र",
+  "paymentMethod.gateway": "ऑनलाइन",
+
+  "rating.1": "बहुत खराब",
+  "rating.2": "खराब",
+  "rating.3": "ठीक-ठाक",
+  "rating.4": "अच्छा",
+  "rating.5": "बहुत बढ़िया",
+
+  "login.title": "ईवी साइकिल सर्विस",
+  "login.createAccount": "अपना खाता बनाएँ",
+  "login.signInPrompt": "अपने खाते में साइन इन करें",
+  "login.fullName": "पूरा नाम",
+  "login.namePlaceholder": "अपना नाम दर्ज करें",
+  "login.phone": "फ़ोन नंबर",
+  "login.phonePlaceholder": "अपना फ़ोन नंबर दर्ज करें",
+  "login.email": "ईमेल",
+  "login.emailPlaceholder": "अपना ईमेल दर्ज करें",
+  "login.password": "पासवर्ड",
+  "login.passwordPlaceholder": "अपना पासवर्ड दर्ज करें",
+  "login.signUp": "साइन अप करें",
+  "login.signIn": "साइन इन करें",
+  "login.accountCreated": "खाता बन गया! कृपया लॉग इन करें।",
+  "login.haveAccount": "पहले से खाता है? साइन इन करें",
+  "login.noAccount": "खाता नहीं है? साइन अप करें",
+  "login.demoCredentials": "डेमो लॉगिन:",
+
+  "customer.loading": "आपके सर्विस अनुरोध लोड हो रहे हैं...",
+  "customer.heading": "मेरे सर्विस अनुरोध",
+  "customer.newRequest": "+ नया सर्विस अनुरोध",
+  "customer.formTitle": "सर्विस अनुरोध भेजें",
+  "customer.bike": "बाइक *",
+  "customer.registerBikeFirst": "पहले मेरी बाइक में एक बाइक पंजीकृत करें",
+  "customer.selectBike": "अपनी बाइक चुनें",
+  "customer.issueType": "समस्या का प्रकार *",
+  "customer.selectIssueType": "समस्या का प्रकार चुनें",
+  "customer.priority": "प्राथमिकता *",
+  "customer.description": "विवरण *",
+  "customer.descriptionPlaceholder": "कृपया समस्या का विस्तार से वर्णन करें...",
+  "customer.attachments": "फ़ोटो / वीडियो",
+  "customer.dropOffTime": "ड्रॉप-ऑफ़ का समय (वैकल्पिक)",
+  "customer.submitting": "भेजा जा रहा है...",
+  "customer.submit": "अनुरोध भेजें",
+  "customer.offlineBanner":
+    "आप ऑफ़लाइन हैं। पिछले सिंक के समय के आपके अनुरोध दिखाए जा रहे हैं।",
+  "customer.allRequests": "← सभी अनुरोध",
+  "customer.notFound": "अनुरोध नहीं मिला",
+  "customer.notFoundHint":
+    "हो सकता है इसे हटा दिया गया हो, या यह किसी दूसरे खाते का हो।",
+  "customer.empty": "अभी तक कोई सर्विस अनुरोध नहीं",
+  "customer.emptyHint":
+    'अपना पहला अनुरोध भेजने के लिए "नया सर्विस अनुरोध" पर क्लिक करें',
+  "customer.notSentYet": "अभी भेजा नहीं गया",
+  "customer.syncFailed": "सिंक विफल",
+  "customer.pendingSync": "सिंक बाकी",
+  "customer.issue": "समस्या:",
+  "customer.queuedAttachments_one": "{count} अटैचमेंट अपलोड होगा",
+  "customer.queuedAttachments_other": "{count} अटैचमेंट अपलोड होंगे",
+  "customer.queuedDropOff": "{slot} के लिए ड्रॉप-ऑफ़ का अनुरोध",
+  "customer.couldNotSend": "भेजा नहीं जा सका: {error}",
+  "customer.discard": "हटाएँ",
+  "customer.willSendOnline": "ऑनलाइन होते ही अपने आप भेज दिया जाएगा।",
+  "customer.saved": "सहेजा गया: {date}",
+  "customer.serial": "सीरियल: {serial}",
+  "customer.editRequest": "अनुरोध बदलें",
+  "customer.cancelRequest": "अनुरोध रद्द करें",
+  "customer.approveQuote": "कोटेशन स्वीकार करें",
+  "customer.declineQuote": "अस्वीकार करें",
+  "customer.dropOff": "ड्रॉप-ऑफ़:",
+  "customer.notBookedYet": "अभी बुक नहीं",
+  "customer.closeBooking": "बंद करें",
+  "customer.reschedule": "समय बदलें",
+  "customer.bookDropOff": "ड्रॉप-ऑफ़ बुक करें",
+  "customer.confirmDropOff": "ड्रॉप-ऑफ़ पक्का करें",
+  "customer.cancellationReason": "रद्द करने का कारण:",
+  "customer.messages": "संदेश ({count})",
+  "customer.submittedOn": "भेजा गया: {date}",
+  "customer.updatedOn": "अपडेट किया गया: {date}",
+  "customer.attachmentsFailed":
+    "आपका अनुरोध भेज दिया गया, लेकिन कुछ अटैचमेंट अपलोड नहीं हो सके।",
+  "customer.dropOffFailed":
+    "आपका अनुरोध भेज दिया गया, लेकिन ड्रॉप-ऑफ़ बुक नहीं हो सका: {error}। आप अनुरोध कार्ड से दूसरा समय चुन सकते हैं।",
+  "customer.discardConfirm": "यह न भेजा गया अनुरोध हटाएँ?",
+  "customer.queuedOffline":
+    "आप ऑफ़लाइन हैं। आपका अनुरोध सहेज लिया गया है और कनेक्शन लौटते ही अपने आप भेज दिया जाएगा।",
+  "customer.queueError":
+    "आपका अनुरोध ऑफ़लाइन सहेजने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "customer.submitted": "सर्विस अनुरोध भेज दिया गया!",
+  "customer.submitError":
+    "अनुरोध भेजने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "customer.bookingError":
+    "ड्रॉप-ऑफ़ बुक करने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "customer.cancelBookingConfirm": "अपना ड्रॉप-ऑफ़ अपॉइंटमेंट रद्द करें?",
+  "customer.cancelBookingError":
+    "ड्रॉप-ऑफ़ रद्द करने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "customer.cancelReasonPrompt": "आप यह अनुरोध क्यों रद्द करना चाहते हैं?",
+  "customer.cancelReasonRequired": "कृपया बताएँ कि आप क्यों रद्द कर रहे हैं।",
+  "customer.cancelTooLate":
+    "वर्कशॉप इस अनुरोध पर काम शुरू कर चुकी है, इसलिए अब इसे रद्द नहीं किया जा सकता।",
+  "customer.cancelError":
+    "अनुरोध रद्द करने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "customer.approveQuoteConfirm":
+    "यह कोटेशन स्वीकार करें? वर्कशॉप काम शुरू कर देगी।",
+  "customer.declineQuotePrompt":
+    "आप यह कोटेशन क्यों अस्वीकार कर रहे हैं? (वैकल्पिक)",
+  "customer.quoteError":
+    "कोटेशन का जवाब देने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "customer.invoiceError":
+    "आपका इनवॉइस बनाने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+
+  "company.loading": "सर्विस अनुरोध लोड हो रहे हैं...",
+  "company.totalRequests": "कुल अनुरोध",
+  "company.overdue": "समय से पीछे",
+  "company.tab.requests": "अनुरोध",
+  "company.tab.calendar": "ड्रॉप-ऑफ़ कैलेंडर",
+  "company.tab.analytics": "विश्लेषण",
+  "company.tab.notifications": "सूचनाएँ",
+  "company.heading": "सर्विस अनुरोध प्रबंधन",
+  "company.allStatuses": "सभी",
+  "company.searchPlaceholder":
+    "ग्राहक के नाम, ईमेल, फ़ोन, अनुरोध ID या विवरण से खोजें...",
+  "company.exportCsv": "CSV निर्यात करें",
+  "company.exportXlsx": "XLSX निर्यात करें",
+  "company.empty": "कोई सर्विस अनुरोध नहीं",
+  "company.emptyStatus": "कोई {status} सर्विस अनुरोध नहीं",
+  "company.emptySearchHint": '"{search}" से कुछ मेल नहीं खाता।',
+  "company.emptyFiltersHint": "कुछ फ़िल्टर हटाकर देखें।",
+  "company.selectAll": "इस पेज के सभी अनुरोध चुनें",
+  "company.selectRequest": "अनुरोध #{id} चुनें",
+  "company.column.id": "ID",
+  "company.column.customer": "ग्राहक",
+  "company.column.contact": "संपर्क",
+  "company.column.model": "मॉडल",
+  "company.column.issueType": "समस्या का प्रकार",
+  "company.column.priority": "प्राथमिकता",
+  "company.column.status": "स्थिति",
+  "company.column.sla": "SLA",
+  "company.column.technician": "तकनीशियन",
+  "company.column.payment": "भुगतान",
+  "company.column.date": "तारीख",
+  "company.column.actions": "कार्रवाई",
+  "company.needsApprovedQuote": "{status} (स्वीकृत कोटेशन ज़रूरी)",
+  "company.reopened_one": "ग्राहक ने {count} बार दोबारा खोला",
+  "company.reopened_other": "ग्राहक ने {count} बार दोबारा खोला",
+  "company.viewDetails": "विवरण देखें",
+  "company.previousPage": "‹ पिछला",
+  "company.nextPage": "अगला ›",
+  "company.pageRange": "{total} में से {first}–{last}",
+  "company.details": "सर्विस अनुरोध का विवरण",
+  "company.customerInformation": "ग्राहक की जानकारी",
+  "company.name": "नाम:",
+  "company.email": "ईमेल:",
+  "company.phone": "फ़ोन:",
+  "company.requestDetails": "अनुरोध का विवरण",
+  "company.requestId": "अनुरोध ID:",
+  "company.bicycleModel": "साइकिल मॉडल:",
+  "company.issueType": "समस्या का प्रकार:",
+  "company.priority": "प्राथमिकता:",
+  "company.escalated": "{date} को एस्केलेट किया गया",
+  "company.sla": "SLA:",
+  "company.status": "स्थिति:",
+  "company.cancellationReason": "रद्द करने का कारण:",
+  "company.submitted": "भेजा गया:",
+  "company.technician": "तकनीशियन:",
+  "company.timeLogged": "दर्ज समय:",
+  "company.timerRunning": " (टाइमर चल रहा है)",
+  "company.dropOff": "ड्रॉप-ऑफ़:",
+  "company.notBooked": "बुक नहीं",
+  "company.lastUpdated": "अंतिम अपडेट:",
+  "company.bike": "बाइक",
+  "company.serialNumber": "सीरियल नंबर:",
+  "company.purchased": "खरीदी गई:",
+  "company.warranty": "वारंटी:",
+  "company.warrantyUntil": "{date} तक",
+  "company.previousRequests": "पिछले अनुरोध:",
+  "company.noPreviousRequests": "कोई नहीं",
+  "company.issueDescription": "समस्या का विवरण",
+  "company.photosVideos": "फ़ोटो और वीडियो",
+  "company.quote": "कोटेशन",
+  "company.noQuote": "अभी तक कोई कोटेशन नहीं भेजा गया।",
+  "company.reviseQuote": "कोटेशन बदलें",
+  "company.conversation": "बातचीत और आंतरिक नोट्स",
+  "company.payment": "भुगतान",
+  "company.issueInvoice": "इनवॉइस जारी करें",
+  "company.feedback": "ग्राहक की प्रतिक्रिया",
+  "company.markFollowedUp": "फ़ॉलो-अप हो गया",
+  "company.followedUp": "{date} को फ़ॉलो-अप किया",
+  "company.notRated": "अभी तक रेटिंग नहीं दी गई।",
+  "company.reworkSummary_one":
+    "ग्राहक ने {count} बार दोबारा खोला, आखिरी बार {date} को",
+  "company.reworkSummary_other":
+    "ग्राहक ने {count} बार दोबारा खोला, आखिरी बार {date} को",
+  "company.documents": "दस्तावेज़",
+  "company.downloadJobCard": "जॉब कार्ड डाउनलोड करें (PDF)",
+  "company.bulkApplyError":
+    "बल्क कार्रवाई करने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "company.bulkUndoError":
+    "बल्क कार्रवाई पूर्ववत करने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "company.cancelReasonPrompt": "कृपया यह अनुरोध रद्द करने का कारण लिखें:",
+  "company.changedElsewhere":
+    "यह अनुरोध किसी और ने बदल दिया है। फिर से लोड किया जा रहा है।",
+  "company.statusError":
+    "स्थिति बदलने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "company.assignError":
+    "तकनीशियन सौंपने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "company.documentError":
+    "PDF बनाने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "company.invoiceAmountPrompt": "इनवॉइस की राशि:",
+  "company.invoiceAmountInvalid": "0 या उससे अधिक राशि दर्ज करें।",
+  "company.issueInvoiceError":
+    "इनवॉइस जारी करने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "company.followUpError":
+    "फ़ॉलो-अप सहेजने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "company.exportError":
+    "सर्विस अनुरोध निर्यात करने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "company.requestNotFound": "यह सर्विस अनुरोध नहीं मिला।",
+
+  "filters.technician": "तकनीशियन",
+  "filters.allTechnicians": "सभी तकनीशियन",
+  "filters.unassigned": "किसी को नहीं सौंपा",
+  "filters.priority": "प्राथमिकता",
+  "filters.allPriorities": "सभी प्राथमिकताएँ",
+  "filters.issueType": "समस्या का प्रकार",
+  "filters.allIssueTypes": "सभी प्रकार",
+  "filters.model": "मॉडल",
+  "filters.modelPlaceholder": "जैसे EV-Sport",
+  "filters.customer": "ग्राहक",
+  "filters.allCustomers": "सभी ग्राहक",
+  "filters.selectedCustomer": "चुना गया ग्राहक",
+  "filters.submitted": "भेजा गया",
+  "filters.anyTime": "कभी भी",
+  "filters.customDates": "चुनी गई तारीखें",
+  "filters.preset.1": "आज",
+  "filters.preset.7": "पिछले 7 दिन",
+  "filters.preset.30": "पिछले 30 दिन",
+  "filters.preset.90": "पिछले 90 दिन",
+  "filters.from": "से",
+  "filters.to": "तक",
+  "filters.clear": "फ़िल्टर हटाएँ ({count})",
+
+  "bikes.heading": "मेरी बाइक",
+  "bikes.register": "+ बाइक पंजीकृत करें",
+  "bikes.model": "मॉडल *",
+  "bikes.selectModel": "मॉडल चुनें",
+  "bikes.serial": "सीरियल / फ़्रेम नंबर *",
+  "bikes.serialPlaceholder": "बॉटम ब्रैकेट के नीचे छपा होता है",
+  "bikes.purchaseDate": "खरीद की तारीख *",
+  "bikes.warrantyEnd": "वारंटी समाप्त होने की तारीख *",
+  "bikes.submit": "बाइक पंजीकृत करें",
+  "bikes.empty": "सर्विस अनुरोध भेजने के लिए पहले अपनी बाइक पंजीकृत करें।",
+  "bikes.warrantyUntil": "{date} तक",
+  "bikes.registerError":
+    "बाइक पंजीकृत करने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+
+  "quote.item": "सामान",
+  "quote.quantity": "मात्रा",
+  "quote.unitPrice": "इकाई मूल्य",
+  "quote.amount": "राशि",
+  "quote.labor": "मज़दूरी",
+  "quote.hours": "{hours} घंटे",
+  "quote.subtotal": "उप-योग",
+  "quote.tax": "कर ({rate}%)",
+  "quote.total": "कुल",
+  "quote.declined": "अस्वीकृत:",
+
+  "payment.invoiced": "इनवॉइस {date} को जारी हुआ",
+  "payment.amountDue": "देय राशि",
+  "payment.paid": "भुगतान किया गया",
+  "payment.refunded": "लौटाई गई राशि",
+  "payment.balance": "बकाया",
+  "payment.pendingNotice":
+    "ऑनलाइन भुगतान किए गए {amount} की अभी पुष्टि हो रही है।",
+  "payment.payment": "भुगतान ({method})",
+  "payment.refund": "धनवापसी ({method})",
+  "payment.processing": "प्रक्रिया में",
+  "payment.failed": "विफल",
+  "payment.expired": "चेकआउट की समय-सीमा समाप्त",
+
+  "feedback.heading": "हमारा काम कैसा रहा?",
+  "feedback.commentPlaceholder": "और बताएँ (वैकल्पिक)",
+  "feedback.submit": "रेटिंग भेजें",
+  "feedback.changeRating": "रेटिंग बदलें",
+  "feedback.stillThere": "समस्या अब भी है?",
+  "feedback.notResolved": "समस्या हल नहीं हुई",
+  "feedback.reworkWindow": "(काम पूरा होने के {days} दिनों के भीतर)",
+  "feedback.chooseRating": "1 से 5 सितारों के बीच रेटिंग चुनें।",
+  "feedback.saveError":
+    "आपकी रेटिंग सहेजने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+  "feedback.reopenPrompt": "आपकी बाइक में अब भी क्या खराबी है?",
+  "feedback.reopenReasonRequired": "कृपया बताएँ कि अब भी क्या खराबी है।",
+  "feedback.reopenError":
+    "अनुरोध दोबारा खोलने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+
+  "thread.empty": "अभी तक कोई संदेश नहीं",
+  "thread.staff": "स्टाफ़",
+  "thread.internal": "आंतरिक",
+  "thread.internalPlaceholder": "आंतरिक नोट जोड़ें (केवल स्टाफ़ के लिए)...",
+  "thread.messagePlaceholder": "संदेश लिखें...",
+  "thread.internalNote": "आंतरिक नोट",
+  "thread.toCustomer": "ग्राहक को संदेश",
+  "thread.sending": "भेजा जा रहा है...",
+  "thread.send": "भेजें",
+  "thread.sendError": "संदेश भेजने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+
+  "requestEdit.issueType": "समस्या का प्रकार",
+  "requestEdit.priority": "प्राथमिकता",
+  "requestEdit.description": "विवरण",
+  "requestEdit.save": "बदलाव सहेजें",
+  "requestEdit.discard": "छोड़ें",
+  "requestEdit.tooLate":
+    "वर्कशॉप इस अनुरोध पर काम शुरू कर चुकी है, इसलिए अब इसे बदला नहीं जा सकता।",
+  "requestEdit.saveError":
+    "आपके बदलाव सहेजने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+
+  "inbox.theCustomer": "ग्राहक",
+  "inbox.aCustomer": "एक ग्राहक",
+  "inbox.newRequest": "{customer} ने नया अनुरोध भेजा ({priority} प्राथमिकता)",
+  "inbox.statusChanged": "आपका अनुरोध {id} अब {status} है",
+  "inbox.staffReply": "वर्कशॉप ने आपके अनुरोध {id} पर जवाब दिया",
+  "inbox.customerMessage": "{customer} ने अनुरोध {id} पर संदेश लिखा",
+  "inbox.assigned": "अनुरोध {id} ({model}) आपको सौंपा गया",
+  "inbox.quoteReady":
+    "अनुरोध {id} पर {total} का कोटेशन आपकी स्वीकृति की प्रतीक्षा में है",
+  "inbox.quoteApproved": "{customer} ने अनुरोध {id} का कोटेशन स्वीकार किया",
+  "inbox.quoteDeclined": "{customer} ने अनुरोध {id} का कोटेशन अस्वीकार किया",
+  "inbox.paymentReceived":
+    "{customer} ने अनुरोध {id} के लिए {amount} ऑनलाइन भुगतान किया",
+  "inbox.refundIssued": "आपके अनुरोध {id} पर {amount} की धनवापसी की गई",
+  "inbox.requestCancelled": "{customer} ने अनुरोध {id} रद्द किया: {reason}",
+  "inbox.reopened": "{customer} ने अनुरोध {id} दोबारा खोला: {reason}",
+  "inbox.lowRating":
+    "{customer} ने अनुरोध {id} को {rating}/5 रेटिंग दी, फ़ॉलो-अप ज़रूरी है",
+  "inbox.update": "अनुरोध {id} पर अपडेट",
+
+  "event.created": "अनुरोध भेजा गया",
+  "event.imported": "स्प्रेडशीट से आयात किया गया",
+  "event.statusChanged": "स्थिति {from} से {to} हुई",
+  "event.notesAdded": "नोट्स जोड़े गए",
+  "event.notesUpdated": "नोट्स अपडेट किए गए",
+  "event.noteAdded": "आंतरिक नोट जोड़ा गया",
+  "event.noteRemoved": "आंतरिक नोट हटाया गया",
+  "event.messageAdded": "संदेश भेजा गया",
+  "event.escalated": "SLA चूक गया: प्राथमिकता {from} से {to} की गई",
+  "event.assigned": "{name} को सौंपा गया",
+  "event.unassigned": "तकनीशियन हटाया गया",
+  "event.quoteSent": "{total} का कोटेशन स्वीकृति के लिए भेजा गया",
+  "event.quoteApproved": "कोटेशन स्वीकार किया गया",
+  "event.quoteDeclined": "कोटेशन अस्वीकार किया गया",
+  "event.quoteDeclinedReason": "कोटेशन अस्वीकार किया गया: {reason}",
+  "event.paymentReceived": "{amount} का भुगतान मिला",
+  "event.refundIssued": "{amount} की धनवापसी की गई",
+  "event.rated_one": "{count} सितारा रेटिंग दी गई",
+  "event.rated_other": "{count} सितारा रेटिंग दी गई",
+  "event.ratingChanged": "रेटिंग {from} से {to} सितारे की गई",
+  "event.reopened": "दोबारा काम के लिए खोला गया: {reason}",
+  "event.issueTypeChanged": "समस्या {from} से {to} की गई",
+  "event.priorityChanged": "प्राथमिकता {from} से {to} की गई",
+  "event.descriptionChanged": "विवरण बदला गया",
+
+  "attachments.hint":
+    "अधिकतम {count} फ़ोटो या छोटे वीडियो। अपलोड से पहले फ़ोटो छोटी की जाती हैं।",
+  "attachments.notMedia": '"{name}" फ़ोटो या वीडियो नहीं है।',
+  "attachments.tooLarge": '"{name}" {size} MB से बड़ी है।',
+  "attachments.tooLong": '"{name}" {seconds} सेकंड से लंबा है।',
+  "attachments.tooMany": "आप अधिकतम {count} फ़ाइलें जोड़ सकते हैं।",
+  "attachments.remove": "{name} हटाएँ",
+  "attachments.previous": "पिछला",
+  "attachments.next": "अगला",
+  "attachments.close": "बंद करें",
+
+  "appointments.loadingSlots": "उपलब्ध समय लोड हो रहे हैं...",
+  "appointments.closed": "इस दिन वर्कशॉप बंद रहती है।",
+  "appointments.fullyBooked": "इस दिन ड्रॉप-ऑफ़ का कोई समय खाली नहीं है।",
+
+  "payOnline.amount": "राशि",
+  "payOnline.submit": "ऑनलाइन भुगतान करें",
+  "payOnline.redirecting": "रीडायरेक्ट हो रहा है...",
+  "payOnline.error":
+    "भुगतान शुरू करने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+
+  "warranty.in": "वारंटी में",
+  "warranty.out": "वारंटी समाप्त",
+
+  "connection.title": "रीयल-टाइम अपडेट",
+  "connection.live": "लाइव",
+  "connection.connecting": "कनेक्ट हो रहा है...",
+  "connection.reconnecting": "फिर से कनेक्ट हो रहा है...",
+
+  "notifications.heading": "सूचनाएँ",
+  "notifications.bellLabel": "सूचनाएँ ({count} अपठित)",
+  "notifications.markAllRead": "सभी को पढ़ा हुआ चिह्नित करें",
+  "notifications.empty": "कोई नई सूचना नहीं है।",
+  "notifications.settings": "सूचना सेटिंग",
+  "notifications.intro":
+    "जब कोई अनुरोध प्राप्त होता है, उसकी स्थिति बदलती है, वर्कशॉप से नया नोट आता है या काम पूरा होता है, तो हम आपको बताते हैं।",
+  "notifications.email": "ईमेल",
+  "notifications.emailHint": "उस पते पर जिससे आप साइन इन करते हैं",
+  "notifications.sms": "SMS",
+  "notifications.smsHint": "दर्ज फ़ोन नंबर पर",
+  "notifications.saveError":
+    "आपकी सूचना सेटिंग सहेजने में त्रुटि हुई। कृपया फिर से प्रयास करें।",
+
+  "sla.overdue": "{duration} की देरी",
+  "sla.toRespond": "जवाब के लिए {duration}",
+  "sla.toResolve": "समाधान के लिए {duration}",
+
+  "analytics.heading": "वर्कशॉप एनालिटिक्स",
+  "analytics.last30Days": "पिछले 30 दिन",
+  "analytics.last90Days": "पिछले 90 दिन",
+  "analytics.last12Months": "पिछले 12 महीने",
+  "analytics.rangeTo": "से",
+  "analytics.loading": "एनालिटिक्स लोड हो रहे हैं...",
+  "analytics.loadError":
+    "एनालिटिक्स लोड नहीं हो सके। कृपया फिर से प्रयास करें।",
+  "analytics.received": "प्राप्त अनुरोध",
+  "analytics.completed": "पूर्ण",
+  "analytics.averageTurnaround": "औसत निपटान समय",
+  "analytics.medianTurnaround": "माध्यिका निपटान समय",
+  "analytics.openBacklog": "लंबित अनुरोध",
+  "analytics.oldestOpen": "सबसे पुराना खुला अनुरोध",
+  "analytics.averageRating": "औसत रेटिंग ({count})",
+  "analytics.reworkRate": "रीवर्क दर ({finished} में से {reworked})",
+  "analytics.weeklyIntake": "साप्ताहिक नए अनुरोध",
+  "analytics.timeInStatus": "हर स्थिति में लगा समय (पूर्ण अनुरोध)",
+  "analytics.backlogAge": "लंबित अनुरोधों की आयु",
+  "analytics.backlogAgeMedian": "लंबित अनुरोधों की आयु (माध्यिका {median})",
+  "analytics.age.underDay": "< 1 दिन",
+  "analytics.age.days1to3": "1–3 दिन",
+  "analytics.age.days3to7": "3–7 दिन",
+  "analytics.age.weeks1to2": "1–2 सप्ताह",
+  "analytics.age.weeks2to4": "2–4 सप्ताह",
+  "analytics.age.overWeeks4": "> 4 सप्ताह",
+  "analytics.minutes": "{minutes} मिनट",
+  "analytics.hours": "{hours} घंटे",
+  "analytics.days": "{days} दिन",
+  "analytics.customerRatings": "ग्राहक रेटिंग",
+  "analytics.noRatings": "इस अवधि में कोई रेटिंग नहीं",
+  "analytics.topCombinations": "सबसे आम समस्या × मॉडल",
+  "analytics.noRequests": "इस अवधि में कोई अनुरोध नहीं",
+  "analytics.onModel": "{model} पर",
+  "analytics.hotspots": "हॉटस्पॉट",
+  "analytics.issueByModel": "समस्या \\\\ मॉडल",
+  "analytics.followUps": "फ़ॉलो-अप के लिए कम रेटिंग ({count})",
+  "analytics.noFollowUps": "फ़ॉलो-अप के लिए कुछ नहीं",
+
+  "deliveries.heading": "ग्राहक सूचनाएँ",
+  "deliveries.loading": "भेजी गई सूचनाएँ लोड हो रही हैं...",
+  "deliveries.empty": "अभी तक कोई सूचना नहीं भेजी गई",
+  "deliveries.column.sent": "भेजा गया",
+  "deliveries.column.request": "अनुरोध",
+  "deliveries.column.notification": "सूचना",
+  "deliveries.column.channel": "माध्यम",
+  "deliveries.column.recipient": "प्राप्तकर्ता",
+  "deliveries.channel.email": "ईमेल",
+  "deliveries.channel.sms": "SMS",
+  "deliveries.status.sent": "भेजा गया",
+  "deliveries.status.failed": "विफल",
+  "deliveries.error": "त्रुटि: {error}",
+  "deliveries.sentVia": "{provider} से भेजा गया",
+
+  "notificationKind.created": "अनुरोध प्राप्त हुआ",
+  "notificationKind.status_changed": "स्थिति अपडेट",
+  "notificationKind.completed": "अनुरोध पूर्ण",
+  "notificationKind.note_added": "वर्कशॉप से नया नोट",
+  "notificationKind.quote_ready": "कोटेशन स्वीकृति के लिए तैयार",
+  "notificationKind.payment_received": "भुगतान रसीद",
+  "notificationKind.refund_issued": "रिफ़ंड जारी",
+
+  "timeline.empty": "अभी तक कोई गतिविधि दर्ज नहीं",
+  "timeline.by": "{name} द्वारा",
+  "timeline.byWithRole": "{name} ({role}) द्वारा",
+  "timeline.cleared": "(हटाया गया)",
+
+  "importField.customer_email": "ग्राहक ईमेल",
+  "importField.bicycle_model": "मॉडल",
+  "importField.issue_type": "समस्या का प्रकार",
+  "importField.description": "विवरण",
+  "importField.priority": "प्राथमिकता",
+  "importField.status": "स्थिति",
+  "importField.created_at": "बनाया गया",
+  "importField.resolved_at": "हल किया गया",
+  "importField.cancellation_reason": "रद्द करने का कारण",
+
+  "import.heading": "अनुरोध आयात करें",
+  "import.intro":
+    "हर पंक्ति में एक अनुरोध और एक हेडर पंक्ति वाली .csv या .xlsx फ़ाइल अपलोड करें। ग्राहकों का खाता पहले से होना चाहिए। आयात की पुष्टि करने तक कुछ भी सहेजा नहीं जाता।",
+  "import.noRows": "{file} में कोई डेटा पंक्ति नहीं है।",
+  "import.tooManyRows":
+    "{file} में {count} पंक्तियाँ हैं; एक बार में अधिकतम {max} आयात करें।",
+  "import.readError":
+    "{file} पढ़ी नहीं जा सकी। .csv या .xlsx फ़ाइल का उपयोग करें।",
+  "import.checkError": "पंक्तियाँ जाँचने में त्रुटि।",
+  "import.confirm_one": "{count} सर्विस अनुरोध आयात करें?",
+  "import.confirm_other": "{count} सर्विस अनुरोध आयात करें?",
+  "import.confirmSkipped_one": "त्रुटियों वाली {count} पंक्ति छोड़ दी जाएगी।",
+  "import.confirmSkipped_other":
+    "त्रुटियों वाली {count} पंक्तियाँ छोड़ दी जाएँगी।",
+  "import.imported_one": "{file} से {count} सर्विस अनुरोध आयात किया गया।",
+  "import.imported_other": "{file} से {count} सर्विस अनुरोध आयात किए गए।",
+  "import.importError": "कुछ भी आयात नहीं हुआ: {error}",
+  "import.mapColumns_one": "{file} के कॉलम मिलाएँ ({count} पंक्ति)",
+  "import.mapColumns_other": "{file} के कॉलम मिलाएँ ({count} पंक्तियाँ)",
+  "import.notInFile": "— फ़ाइल में नहीं —",
+  "import.column": "कॉलम {number}",
+  "import.dryRun": "पंक्तियाँ जाँचें (ड्राई रन)",
+  "import.readyRows_one": "{count} पंक्ति आयात के लिए तैयार है।",
+  "import.readyRows_other": "{count} पंक्तियाँ आयात के लिए तैयार हैं।",
+  "import.invalidRows_one":
+    "{count} पंक्ति में त्रुटियाँ हैं: फ़ाइल में ठीक करके फिर से अपलोड करें, या उसके बिना आयात करें।",
+  "import.invalidRows_other":
+    "{count} पंक्तियों में त्रुटियाँ हैं: फ़ाइल में ठीक करके फिर से अपलोड करें, या उनके बिना आयात करें।",
+  "import.column.row": "पंक्ति",
+  "import.column.result": "परिणाम",
+  "import.ok": "ठीक है",
+  "import.submit_one": "{count} अनुरोध आयात करें",
+  "import.submit_other": "{count} अनुरोध आयात करें",
+  "import.required": "{field} आवश्यक है",
+  "import.invalidEmail": '"{email}" ईमेल पता नहीं है',
+  "import.unknownCustomer": "{email} ईमेल वाला कोई ग्राहक खाता नहीं",
+  "import.unknownIssueType":
+    'अज्ञात समस्या प्रकार "{value}" ({options} में से एक का उपयोग करें)',
+  "import.unknownPriority": "प्राथमिकता {options} में से एक होनी चाहिए",
+  "import.unknownStatus": 'अज्ञात स्थिति "{value}"',
+  "import.invalidDate": '"{value}" मान्य तारीख नहीं है',
+  "import.createdInFuture": "बनाने की तारीख भविष्य में है",
+  "import.resolvedWhileOpen":
+    "केवल पूर्ण या रद्द अनुरोधों की हल होने की तारीख हो सकती है",
+  "import.resolvedBeforeCreated": "हल होने की तारीख बनाने की तारीख से पहले है",
+  "import.cancelReasonRequired":
+    "रद्द अनुरोधों के लिए रद्द करने का कारण आवश्यक है",
+
+  "paymentRecorder.payment": "भुगतान",
+  "paymentRecorder.refund": "रिफ़ंड",
+  "paymentRecorder.notePlaceholder": "नोट (वैकल्पिक)",
+  "paymentRecorder.recordPayment": "भुगतान दर्ज करें",
+  "paymentRecorder.recordRefund": "रिफ़ंड दर्ज करें",
+  "paymentRecorder.error":
+    "भुगतान दर्ज करने में त्रुटि। कृपया फिर से प्रयास करें।",
+
+  "quoteEditor.part": "पुर्ज़ा",
+  "quoteEditor.choosePart": "पुर्ज़ा चुनें…",
+  "quoteEditor.lowStock": "स्टॉक में केवल {count}",
+  "quoteEditor.outOfStock": "स्टॉक में नहीं",
+  "quoteEditor.removeLine": "पंक्ति हटाएँ",
+  "quoteEditor.addPart": "+ पुर्ज़ा जोड़ें",
+  "quoteEditor.laborHours": "श्रम (घंटे)",
+  "quoteEditor.rate": "प्रति घंटा दर",
+  "quoteEditor.taxRate": "कर (%)",
+  "quoteEditor.parts": "पुर्ज़े",
+  "quoteEditor.tax": "कर",
+  "quoteEditor.send": "ग्राहक को कोटेशन भेजें",
+  "quoteEditor.sendRevised": "संशोधित कोटेशन भेजें",
+  "quoteEditor.emptyLines":
+    "हर पंक्ति के लिए पुर्ज़ा चुनें, या खाली पंक्तियाँ हटाएँ।",
+  "quoteEditor.saveError":
+    "कोटेशन सहेजने में त्रुटि। कृपया फिर से प्रयास करें।",
+
+  "parts.heading": "पुर्ज़ों की सूची ({count})",
+  "parts.sku": "SKU",
+  "parts.namePlaceholder": "पुर्ज़े का नाम, जैसे पिछले ब्रेक पैड (जोड़ी)",
+  "parts.price": "कीमत",
+  "parts.inStock": "स्टॉक में",
+  "parts.add": "पुर्ज़ा जोड़ें",
+  "parts.backordered": "{count} बैकऑर्डर पर",
+  "parts.low": "कम",
+  "parts.retire": "बंद करें",
+  "parts.reactivate": "फिर से चालू करें",
+  "parts.addError": "पुर्ज़ा जोड़ने में त्रुटि। कृपया फिर से प्रयास करें।",
+  "parts.updateError":
+    "पुर्ज़ा अपडेट करने में त्रुटि। कृपया फिर से प्रयास करें।",
+
+  "bulkAction.status": "स्थिति बदलें",
+  "bulkAction.priority": "प्राथमिकता बदलें",
+  "bulkAction.assign": "तकनीशियन नियुक्त करें",
+  "bulkAction.note": "आंतरिक नोट जोड़ें",
+
+  "bulk.selected": "{count} चुने गए",
+  "bulk.action": "सामूहिक कार्रवाई",
+  "bulk.newStatus": "नई स्थिति",
+  "bulk.newPriority": "नई प्राथमिकता",
+  "bulk.unassigned": "कोई नियुक्त नहीं",
+  "bulk.notePlaceholder": "हर चुने गए अनुरोध के लिए आंतरिक नोट",
+  "bulk.apply": "लागू करें",
+  "bulk.applying": "लागू हो रहा है...",
+  "bulk.clearSelection": "चयन हटाएँ",
+  "bulk.cancelReasonPrompt_one": "{count} चुने गए अनुरोध को रद्द करने का कारण:",
+  "bulk.cancelReasonPrompt_other":
+    "{count} चुने गए अनुरोधों को रद्द करने का कारण:",
+  "bulk.noteRequired": "जोड़ने के लिए नोट लिखें।",
+  "bulk.statusChanged": "स्थिति {status} में बदली गई",
+  "bulk.priorityChanged": "प्राथमिकता {priority} में बदली गई",
+  "bulk.aTechnician": "एक तकनीशियन",
+  "bulk.result": "{succeeded} अपडेट हुए",
+  "bulk.resultWithFailures": "{succeeded} अपडेट हुए, {failed} विफल",
+  "bulk.undo": "पूर्ववत करें",
+  "bulk.dismiss": "बंद करें",
+  "bulk.undone": "पूर्ववत: {succeeded} वापस किए गए",
+  "bulk.undoneWithFailures":
+    "पूर्ववत: {succeeded} वापस किए गए, {failed} वापस नहीं हो सके",
+
+  "slaSettings.heading": "SLA लक्ष्य",
+  "slaSettings.respondWithin": "इतने समय में जवाब दें (घंटे)",
+  "slaSettings.resolveWithin": "इतने समय में हल करें (घंटे)",
+  "slaSettings.save": "लक्ष्य सहेजें",
+  "slaSettings.saved": "SLA लक्ष्य सहेजे गए!",
+  "slaSettings.invalid":
+    "हल करने के लक्ष्य जवाब देने के लक्ष्यों से छोटे नहीं हो सकते।",
+  "slaSettings.saveError":
+    "SLA लक्ष्य सहेजने में त्रुटि। कृपया फिर से प्रयास करें।",
+
+  "calendar.weekOf": "{date} का सप्ताह",
+  "calendar.today": "आज",
+  "calendar.day": "दिन",
+  "calendar.week": "सप्ताह",
+  "calendar.closed": "बंद",
+
+  "workshop.heading": "वर्कशॉप का समय और क्षमता",
+  "workshop.dailyCapacity": "प्रति दिन ड्रॉप-ऑफ़",
+  "workshop.slotCapacity": "प्रति स्लॉट ड्रॉप-ऑफ़",
+  "workshop.slotMinutes": "स्लॉट की अवधि (मिनट)",
+  "workshop.open": "खुला",
+  "workshop.save": "सेटिंग्स सहेजें",
+  "workshop.saved": "वर्कशॉप सेटिंग्स सहेजी गईं!",
+  "workshop.invalidHours": "बंद होने का समय खुलने के समय के बाद होना चाहिए।",
+  "workshop.saveError":
+    "वर्कशॉप सेटिंग्स सहेजने में त्रुटि। कृपया फिर से प्रयास करें।",
+
+  "duration.daysHours": "{days} दिन {hours} घं",
+  "duration.hoursMinutes": "{hours} घं {minutes} मि",
+  "duration.minutes": "{minutes} मि",
+
+  "technician.heading": "मेरे काम",
+  "technician.loading": "आपके काम लोड हो रहे हैं...",
+  "technician.active": "सक्रिय ({count})",
+  "technician.closed": "बंद",
+  "technician.allJobs": "← सभी काम",
+  "technician.notAssigned": "यह काम आपको नहीं सौंपा गया है",
+  "technician.noClosedJobs": "अभी तक कोई बंद काम नहीं",
+  "technician.noJobs": "आपको कोई काम नहीं सौंपा गया",
+  "technician.customer": "ग्राहक:",
+  "technician.startWork": "काम शुरू करें",
+  "technician.stopTimer": "टाइमर रोकें ({time} पर शुरू)",
+  "technician.quoteRequired":
+    "ग्राहक ने अभी तक इस अनुरोध का कोटेशन स्वीकार नहीं किया है।",
+  "technician.awaitingParts": "पुर्ज़ों का इंतज़ार",
+  "technician.finish": "काम पूरा करें",
+  "technician.minutesPlaceholder": "मिनट",
+  "technician.logTime": "समय दर्ज करें",
+  "technician.workNotePrompt": "आपने किस पर काम किया? (वैकल्पिक)",
+  "technician.startError": "काम शुरू करने में त्रुटि।",
+  "technician.stopError": "टाइमर रोकने में त्रुटि।",
+  "technician.updateError": "काम अपडेट करने में त्रुटि।",
+  "technician.logTimeError": "समय दर्ज करने में त्रुटि।",
+
+  "mockCheckout.heading": "नकली भुगतान गेटवे",
+  "mockCheckout.noPayment": "चेकआउट के लिए कोई भुगतान नहीं।",
+  "mockCheckout.note":
+    "केवल विकास के लिए: कोई पैसा नहीं कटता। चुनें कि यह भुगतान कैसे समाप्त हो।",
+  "mockCheckout.sendWebhook": "वेबहुक भेजें",
+  "mockCheckout.timing.immediate": "पोर्टल पर लौटने से पहले",
+  "mockCheckout.timing.delayed": "लौटने के {seconds} सेकंड बाद",
+  "mockCheckout.timing.never": "कभी नहीं (खोया हुआ वेबहुक)",
+  "mockCheckout.pay": "भुगतान करें",
+  "mockCheckout.decline": "अस्वीकार करें",
+  "mockCheckout.error":
+    "भुगतान पूरा करने में त्रुटि। कृपया फिर से प्रयास करें।",
+
+  "bikeModels.heading": "बाइक मॉडल सूची ({count})",
+  "bikeModels.namePlaceholder": "मॉडल का नाम, जैसे EV-Sport 2025",
+  "bikeModels.warrantyMonths": "वारंटी (महीने)",
+  "bikeModels.add": "मॉडल जोड़ें",
+  "bikeModels.warranty": "{months} महीने की वारंटी",
+  "bikeModels.retire": "बंद करें",
+  "bikeModels.reactivate": "फिर से चालू करें",
+  "bikeModels.addError":
+    "मॉडल जोड़ने में त्रुटि। क्या यह नाम पहले से सूची में है?",
+  "bikeModels.updateError":
+    "मॉडल अपडेट करने में त्रुटि। कृपया फिर से प्रयास करें।",
+
+  "savedViews.label": "सहेजे गए व्यू",
+  "savedViews.choose": "सहेजे गए व्यू…",
+  "savedViews.none": "अभी तक कोई सहेजा गया व्यू नहीं",
+  "savedViews.mine": "मेरे व्यू",
+  "savedViews.team": "टीम द्वारा साझा",
+  "savedViews.shared": "साझा",
+  "savedViews.opensOnLogin": "{name} (लॉगिन पर खुलता है)",
+  "savedViews.namePrompt": "इस व्यू का नाम दें:",
+  "savedViews.confirmReplace": 'अपने व्यू "{name}" को मौजूदा फ़िल्टर से बदलें?',
+  "savedViews.confirmDelete": 'व्यू "{name}" हटाएँ?',
+  "savedViews.save": "व्यू सहेजें",
+  "savedViews.saveAs": "इस रूप में सहेजें…",
+  "savedViews.share": "टीम के साथ साझा करें",
+  "savedViews.stopSharing": "साझा करना बंद करें",
+  "savedViews.delete": "हटाएँ",
+  "savedViews.setDefault": "लॉगिन पर खोलें",
+  "savedViews.clearDefault": "लॉगिन पर न खोलें",
+  "savedViews.saveError": "व्यू सहेजने में त्रुटि। कृपया फिर से प्रयास करें।",
+  "savedViews.deleteError": "व्यू हटाने में त्रुटि। कृपया फिर से प्रयास करें।",
+  "savedViews.shareError":
+    "व्यू साझा करने में त्रुटि। कृपया फिर से प्रयास करें।",
+  "savedViews.defaultError":
+    "आपका डिफ़ॉल्ट व्यू बदलने में त्रुटि। कृपया फिर से प्रयास करें।",
+};
@@ -0,0 +1,758 @@
+// Kannada.
+export default {
+  "app.title": "ಇವಿ ಸೈಕಲ್ ಸೇವಾ ಪೋರ್ಟಲ್",
+  "app.logout": "ಲಾಗ್ ಔಟ್",
+  "app.userInfo": "{email} ({role})",
+
+  "role.customer": "ಗ್ರಾಹಕ",
+  "role.company": "ಕಂಪನಿ",
+  "role.technician": "ತಂತ್ರಜ್ಞ",
+
+  "locale.language": "ಭಾಷೆ",
+  "locale.timeZone": "ಸಮಯ ವಲಯ",
+  "locale.deviceTimeZone": "ಸಾಧನದ ಸಮಯ ವಲಯ ({timeZone})",
+  "locale.saveError":
+    "ನಿಮ್ಮ ಭಾಷಾ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "common.loading": "ಲೋಡ್ ಆಗುತ್ತಿದೆ...",
+  "common.saving": "ಉಳಿಸಲಾಗುತ್ತಿದೆ...",
+  "common.cancel": "ರದ್ದುಮಾಡಿ",
+  "common.notAvailable": "ಲಭ್ಯವಿಲ್ಲ",
+  "common.rework": "ಮರು ಕೆಲಸ",
+  "common.activity": "ಚಟುವಟಿಕೆ",
+  "common.downloadInvoice": "ಇನ್‌ವಾಯ್ಸ್ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ (PDF)",
+
+  "status.pending": "ಬಾಕಿ ಇದೆ",
+  "status.in-progress": "ಪ್ರಗತಿಯಲ್ಲಿದೆ",
+  "status.awaiting-parts": "ಭಾಗಗಳಿಗಾಗಿ ಕಾಯುತ್ತಿದೆ",
+  "status.completed": "ಪೂರ್ಣಗೊಂಡಿದೆ",
+  "status.cancelled": "ರದ್ದಾಗಿದೆ",
+
+  "priority.low": "ಕಡಿಮೆ",
+  "priority.medium": "ಮಧ್ಯಮ",
+  "priority.high": "ಹೆಚ್ಚು",
+
+  "issueType.battery": "ಬ್ಯಾಟರಿ ಸಮಸ್ಯೆ",
+  "issueType.motor": "ಮೋಟಾರ್ ಸಮಸ್ಯೆ",
+  "issueType.brakes": "ಬ್ರೇಕ್ ವ್ಯವಸ್ಥೆ",
+  "issueType.electrical": "ವಿದ್ಯುತ್ ವ್ಯವಸ್ಥೆ",
+  "issueType.mechanical": "ಯಾಂತ್ರಿಕ ಸಮಸ್ಯೆ",
+  "issueType.display": "ಡಿಸ್‌ಪ್ಲೇ/ನಿಯಂತ್ರಣಗಳು",
+  "issueType.other": "ಇತರೆ",
+
+  "quoteStatus.pending": "ಅನುಮೋದನೆಗಾಗಿ ಕಾಯುತ್ತಿದೆ",
+  "quoteStatus.approved": "ಅನುಮೋದಿಸಲಾಗಿದೆ",
+  "quoteStatus.declined": "ನಿರಾಕರಿಸಲಾಗಿದೆ",
+
+  "paymentStatus.no_charge": "ಶುಲ್ಕವಿಲ್ಲ",
+  "paymentStatus.unpaid": "ಪಾವತಿಯಾಗಿಲ್ಲ",
+  "paymentStatus.partially_paid": "ಭಾಗಶಃ ಪಾವತಿಯಾಗಿದೆ",
+  "paymentStatus.paid": "ಪಾವತಿಯಾಗಿದೆ",
+  "paymentStatus.refunded": "ಹಣ ಮರುಪಾವತಿಯಾಗಿದೆ",
+
+  "paymentMethod.cash": "ನಗದು",
+  "paymentMethod.card": "ಕಾರ್ಡ್",
+  "paymentMethod.upi": "UPI",
+  "paymentMethod.bank_transfer": "ಬ್ಯಾಂಕ್ ವರ್ಗಾವಣೆ",
+  "paymentMethod.gateway": "ಆನ್‌ಲೈನ್",
+
+  "rating.1": "ತುಂಬಾ ಕಳಪೆ",
+  "rating.2": "ಕಳಪೆ",
+  "rating.3": "ಪರವಾಗಿಲ್ಲ",
+  "rating.4": "ಚೆನ್ನಾಗಿದೆ",
+  "rating.5": "ಅತ್ಯುತ್ತಮ",
+
+  "login.title": "ಇವಿ ಸೈಕಲ್ ಸೇವೆ",
+  "login.createAccount": "ನಿಮ್ಮ ಖಾತೆ ರಚಿಸಿ",
+  "login.signInPrompt": "ನಿಮ್ಮ ಖಾತೆಗೆ ಸೈನ್ ಇನ್ ಮಾಡಿ",
+  "login.fullName": "ಪೂರ್ಣ ಹೆಸರು",
+  "login.namePlaceholder": "ನಿಮ್ಮ ಹೆಸರು ನಮೂದಿಸಿ",
+  "login.phone": "ಫೋನ್ ಸಂಖ್ಯೆ",
+  "login.phonePlaceholder": "ನಿಮ್ಮ ಫೋನ್ ಸಂಖ್ಯೆ ನಮೂದಿಸಿ",
+  "login.email": "ಇಮೇಲ್",
+  "login.emailPlaceholder": "ನಿಮ್ಮ ಇಮೇಲ್ ನಮೂದಿಸಿ",
+  "login.password": "ಪಾಸ್‌ವರ್ಡ್",
+  "login.passwordPlaceholder": "ನಿಮ್ಮ ಪಾಸ್‌ವರ್ಡ್ ನಮೂದಿಸಿ",
+  "login.signUp": "ಸೈನ್ ಅಪ್",
+  "login.signIn": "ಸೈನ್ ಇನ್",
+  "login.accountCreated": "ಖಾತೆ ರಚನೆಯಾಗಿದೆ! ದಯವಿಟ್ಟು ಲಾಗಿನ್ ಮಾಡಿ.",
+  "login.haveAccount": "ಈಗಾಗಲೇ ಖಾತೆ ಇದೆಯೇ? ಸೈನ್ ಇನ್ ಮಾಡಿ",
+  "login.noAccount": "ಖಾತೆ ಇಲ್ಲವೇ? ಸೈನ್ ಅಪ್ ಮಾಡಿ",
+  "login.demoCredentials": "ಡೆಮೊ ಲಾಗಿನ್ ವಿವರಗಳು:",
+
+  "customer.loading": "ನಿಮ್ಮ ಸೇವಾ ವಿನಂತಿಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ...",
+  "customer.heading": "ನನ್ನ ಸೇವಾ ವಿನಂತಿಗಳು",
+  "customer.newRequest": "+ ಹೊಸ ಸೇವಾ ವಿನಂತಿ",
+  "customer.formTitle": "ಸೇವಾ ವಿನಂತಿ ಸಲ್ಲಿಸಿ",
+  "customer.bike": "ಬೈಕ್ *",
+  "customer.registerBikeFirst": "ಮೊದಲು ನನ್ನ ಬೈಕ್‌ಗಳಲ್ಲಿ ಒಂದು ಬೈಕ್ ನೋಂದಾಯಿಸಿ",
+  "customer.selectBike": "ನಿಮ್ಮ ಬೈಕ್ ಆಯ್ಕೆಮಾಡಿ",
+  "customer.issueType": "ಸಮಸ್ಯೆಯ ಪ್ರಕಾರ *",
+  "customer.selectIssueType": "ಸಮಸ್ಯೆಯ ಪ್ರಕಾರ ಆಯ್ಕೆಮಾಡಿ",
+  "customer.priority": "ಆದ್ಯತೆ *",
+  "customer.description": "ವಿವರಣೆ *",
+  "customer.descriptionPlaceholder": "ದಯವಿಟ್ಟು ಸಮಸ್ಯೆಯನ್ನು ವಿವರವಾಗಿ ತಿಳಿಸಿ...",
+  "customer.attachments": "ಫೋಟೋಗಳು / ವೀಡಿಯೊಗಳು",
+  "customer.dropOffTime": "ಡ್ರಾಪ್-ಆಫ್ ಸಮಯ (ಐಚ್ಛಿಕ)",
+  "customer.submitting": "ಸಲ್ಲಿಸಲಾಗುತ್ತಿದೆ...",
+  "customer.submit": "ವಿನಂತಿ ಸಲ್ಲಿಸಿ",
+  "customer.offlineBanner":
+    "ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ. ಕೊನೆಯ ಸಿಂಕ್‌ನ ಸಮಯದ ನಿಮ್ಮ ವಿನಂತಿಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ.",
+  "customer.allRequests": "← ಎಲ್ಲಾ ವಿನಂತಿಗಳು",
+  "customer.notFound": "ವಿನಂತಿ ಸಿಗಲಿಲ್ಲ",
+  "customer.notFoundHint":
+    "ಇದನ್ನು ತೆಗೆದುಹಾಕಿರಬಹುದು, ಅಥವಾ ಇದು ಬೇರೆ ಖಾತೆಗೆ ಸೇರಿರಬಹುದು.",
+  "customer.empty": "ಇನ್ನೂ ಯಾವುದೇ ಸೇವಾ ವಿನಂತಿಗಳಿಲ್ಲ",
+  "customer.emptyHint":
+    'ನಿಮ್ಮ ಮೊದಲ ವಿನಂತಿ ಸಲ್ಲಿಸಲು "ಹೊಸ ಸೇವಾ ವಿನಂತಿ" ಕ್ಲಿಕ್ ಮಾಡಿ',
+  "customer.notSentYet": "ಇನ್ನೂ ಕಳುಹಿಸಿಲ್ಲ",
+  "customer.syncFailed": "ಸಿಂಕ್ ವಿಫಲವಾಗಿದೆ",
+  "customer.pendingSync": "ಸಿಂಕ್ ಬಾಕಿ ಇದೆ",
+  "customer.issue": "ಸಮಸ್ಯೆ:",
+  "customer.queuedAttachments_one": "{count} ಲಗತ್ತು ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತದೆ",
+  "customer.queuedAttachments_other": "{count} ಲಗತ್ತುಗಳು ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತವೆ",
+  "customer.queuedDropOff": "{slot} ಕ್ಕೆ ಡ್ರಾಪ್-ಆಫ್ ಕೋರಲಾಗಿದೆ",
+  "customer.couldNotSend": "ಕಳುಹಿಸಲಾಗಲಿಲ್ಲ: {error}",
+  "customer.discard": "ತ್ಯಜಿಸಿ",
+  "customer.willSendOnline":
+    "ನೀವು ಮತ್ತೆ ಆನ್‌ಲೈನ್‌ಗೆ ಬಂದಾಗ ಸ್ವಯಂಚಾಲಿತವಾಗಿ ಕಳುಹಿಸಲಾಗುತ್ತದೆ.",
+  "customer.saved": "ಉಳಿಸಲಾಗಿದೆ: {date}",
+  "customer.serial": "ಸೀರಿಯಲ್: {serial}",
+  "customer.editRequest": "ವಿನಂತಿ ಸಂಪಾದಿಸಿ",
+  "customer.cancelRequest": "ವಿನಂತಿ ರದ್ದುಮಾಡಿ",
+  "customer.approveQuote": "ಕೊಟೇಶನ್ ಅನುಮೋದಿಸಿ",
+  "customer.declineQuote": "ನಿರಾಕರಿಸಿ",
+  "customer.dropOff": "ಡ್ರಾಪ್-ಆಫ್:",
+  "customer.notBookedYet": "ಇನ್ನೂ ಬುಕ್ ಮಾಡಿಲ್ಲ",
+  "customer.closeBooking": "ಮುಚ್ಚಿ",
+  "customer.reschedule": "ಸಮಯ ಬದಲಿಸಿ",
+  "customer.bookDropOff": "ಡ್ರಾಪ್-ಆಫ್ ಬುಕ್ ಮಾಡಿ",
+  "customer.confirmDropOff": "ಡ್ರಾಪ್-ಆಫ್ ಖಚಿತಪಡಿಸಿ",
+  "customer.cancellationReason": "ರದ್ದತಿಯ ಕಾರಣ:",
+  "customer.messages": "ಸಂದೇಶಗಳು ({count})",
+  "customer.submittedOn": "ಸಲ್ಲಿಸಿದ್ದು: {date}",
+  "customer.updatedOn": "ನವೀಕರಿಸಿದ್ದು: {date}",
+  "customer.attachmentsFailed":
+    "ನಿಮ್ಮ ವಿನಂತಿ ಸಲ್ಲಿಕೆಯಾಗಿದೆ, ಆದರೆ ಕೆಲವು ಲಗತ್ತುಗಳನ್ನು ಅಪ್‌ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ.",
+  "customer.dropOffFailed":
+    "ನಿಮ್ಮ ವಿನಂತಿ ಸಲ್ಲಿಕೆಯಾಗಿದೆ, ಆದರೆ ಡ್ರಾಪ್-ಆಫ್ ಬುಕ್ ಮಾಡಲಾಗಲಿಲ್ಲ: {error}. ವಿನಂತಿ ಕಾರ್ಡ್‌ನಿಂದ ಬೇರೆ ಸಮಯವನ್ನು ಆಯ್ಕೆಮಾಡಬಹುದು.",
+  "customer.discardConfirm": "ಕಳುಹಿಸದ ಈ ವಿನಂತಿಯನ್ನು ತ್ಯಜಿಸುವುದೇ?",
+  "customer.queuedOffline":
+    "ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ. ನಿಮ್ಮ ವಿನಂತಿಯನ್ನು ಉಳಿಸಲಾಗಿದೆ ಮತ್ತು ಸಂಪರ್ಕ ಮರಳಿದಾಗ ಸ್ವಯಂಚಾಲಿತವಾಗಿ ಕಳುಹಿಸಲಾಗುತ್ತದೆ.",
+  "customer.queueError":
+    "ನಿಮ್ಮ ವಿನಂತಿಯನ್ನು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "customer.submitted": "ಸೇವಾ ವಿನಂತಿ ಯಶಸ್ವಿಯಾಗಿ ಸಲ್ಲಿಕೆಯಾಗಿದೆ!",
+  "customer.submitError": "ವಿನಂತಿ ಸಲ್ಲಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "customer.bookingError":
+    "ಡ್ರಾಪ್-ಆಫ್ ಬುಕ್ ಮಾಡುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "customer.cancelBookingConfirm":
+    "ನಿಮ್ಮ ಡ್ರಾಪ್-ಆಫ್ ಅಪಾಯಿಂಟ್‌ಮೆಂಟ್ ರದ್ದುಮಾಡುವುದೇ?",
+  "customer.cancelBookingError":
+    "ಡ್ರಾಪ್-ಆಫ್ ರದ್ದುಮಾಡುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "customer.cancelReasonPrompt": "ಈ ವಿನಂತಿಯನ್ನು ಏಕೆ ರದ್ದುಮಾಡಲು ಬಯಸುತ್ತೀರಿ?",
+  "customer.cancelReasonRequired":
+    "ದಯವಿಟ್ಟು ರದ್ದುಮಾಡುತ್ತಿರುವ ಕಾರಣವನ್ನು ತಿಳಿಸಿ.",
+  "customer.cancelTooLate":
+    "ವರ್ಕ್‌ಶಾಪ್ ಈ ವಿನಂತಿಯ ಕೆಲಸವನ್ನು ಈಗಾಗಲೇ ಆರಂಭಿಸಿದೆ, ಆದ್ದರಿಂದ ಇದನ್ನು ಇನ್ನು ರದ್ದುಮಾಡಲಾಗುವುದಿಲ್ಲ.",
+  "customer.cancelError":
+    "ವಿನಂತಿಯನ್ನು ರದ್ದುಮಾಡುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "customer.approveQuoteConfirm":
+    "ಈ ಕೊಟೇಶನ್ ಅನುಮೋದಿಸುವುದೇ? ವರ್ಕ್‌ಶಾಪ್ ಕೆಲಸ ಆರಂಭಿಸುತ್ತದೆ.",
+  "customer.declineQuotePrompt":
+    "ಈ ಕೊಟೇಶನ್ ಅನ್ನು ಏಕೆ ನಿರಾಕರಿಸುತ್ತಿದ್ದೀರಿ? (ಐಚ್ಛಿಕ)",
+  "customer.quoteError":
+    "ಕೊಟೇಶನ್‌ಗೆ ಉತ್ತರಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "customer.invoiceError":
+    "ನಿಮ್ಮ ಇನ್‌ವಾಯ್ಸ್ ತಯಾರಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "company.loading": "ಸೇವಾ ವಿನಂತಿಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ...",
+  "company.totalRequests": "ಒಟ್ಟು ವಿನಂತಿಗಳು",
+  "company.overdue": "ಗಡುವು ಮೀರಿದವು",
+  "company.tab.requests": "ವಿನಂತಿಗಳು",
+  "company.tab.calendar": "ಡ್ರಾಪ್-ಆಫ್ ಕ್ಯಾಲೆಂಡರ್",
+  "company.tab.analytics": "ವಿಶ್ಲೇಷಣೆ",
+  "company.tab.notifications": "ಅಧಿಸೂಚನೆಗಳು",
+  "company.heading": "ಸೇವಾ ವಿನಂತಿಗಳ ನಿರ್ವಹಣೆ",
+  "company.allStatuses": "ಎಲ್ಲಾ",
+  "company.searchPlaceholder":
+    "ಗ್ರಾಹಕರ ಹೆಸರು, ಇಮೇಲ್, ಫೋನ್, ವಿನಂತಿ ID ಅಥವಾ ವಿವರಣೆಯಿಂದ ಹುಡುಕಿ...",
+  "company.exportCsv": "CSV ರಫ್ತು ಮಾಡಿ",
+  "company.exportXlsx": "XLSX ರಫ್ತು ಮಾಡಿ",
+  "company.empty": "ಯಾವುದೇ ಸೇವಾ ವಿನಂತಿಗಳಿಲ್ಲ",
+  "company.emptyStatus": "{status} ಸ್ಥಿತಿಯ ಸೇವಾ ವಿನಂತಿಗಳಿಲ್ಲ",
+  "company.emptySearchHint": '"{search}" ಗೆ ಯಾವುದೂ ಹೊಂದಿಕೆಯಾಗುವುದಿಲ್ಲ.',
+  "company.emptyFiltersHint": "ಕೆಲವು ಫಿಲ್ಟರ್‌ಗಳನ್ನು ತೆಗೆದು ನೋಡಿ.",
+  "company.selectAll": "ಈ ಪುಟದ ಎಲ್ಲಾ ವಿನಂತಿಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ",
+  "company.selectRequest": "ವಿನಂತಿ #{id} ಆಯ್ಕೆಮಾಡಿ",
+  "company.column.id": "ID",
+  "company.column.customer": "ಗ್ರಾಹಕ",
+  "company.column.contact": "ಸಂಪರ್ಕ",
+  "company.column.model": "ಮಾದರಿ",
+  "company.column.issueType": "ಸಮಸ್ಯೆಯ ಪ್ರಕಾರ",
+  "company.column.priority": "ಆದ್ಯತೆ",
+  "company.column.status": "ಸ್ಥಿತಿ",
+  "company.column.sla": "SLA",
+  "company.column.technician": "ತಂತ್ರಜ್ಞ",
+  "company.column.payment": "ಪಾವತಿ",
+  "company.column.date": "ದಿನಾಂಕ",
+  "company.column.actions": "ಕ್ರಿಯೆಗಳು",
+  "company.needsApprovedQuote": "{status} (ಅನುಮೋದಿತ ಕೊಟೇಶನ್ ಬೇಕು)",
+  "company.reopened_one": "ಗ್ರಾಹಕರು {count} ಬಾರಿ ಮರುತೆರೆದಿದ್ದಾರೆ",
+  "company.reopened_other": "ಗ್ರಾಹಕರು {count} ಬಾರಿ ಮರುತೆರೆದಿದ್ದಾರೆ",
+  "company.viewDetails": "ವಿವರಗಳನ್ನು ನೋಡಿ",
+  "company.previousPage": "‹ ಹಿಂದಿನದು",
+  "company.nextPage": "ಮುಂದಿನದು ›",
+  "company.pageRange": "{total} ರಲ್ಲಿ {first}–{last}",
+  "company.details": "ಸೇವಾ ವಿನಂತಿಯ ವಿವರಗಳು",
+  "company.customerInformation": "ಗ್ರಾಹಕರ ಮಾಹಿತಿ",
+  "company.name": "ಹೆಸರು:",
+  "company.email": "ಇಮೇಲ್:",
+  "company.phone": "ಫೋನ್:",
+  "company.requestDetails": "ವಿನಂತಿಯ ವಿವರಗಳು",
+  "company.requestId": "ವಿನಂತಿ ID:",
+  "company.bicycleModel": "ಸೈಕಲ್ ಮಾದರಿ:",
+  "company.issueType": "ಸಮಸ್ಯೆಯ ಪ್ರಕಾರ:",
+  "company.priority": "ಆದ್ಯತೆ:",
+  "company.escalated": "{date} ರಂದು ಎಸ್ಕಲೇಟ್ ಮಾಡಲಾಗಿದೆ",
+  "company.sla": "SLA:",
+  "company.status": "ಸ್ಥಿತಿ:",
+  "company.cancellationReason": "ರದ್ದತಿಯ ಕಾರಣ:",
+  "company.submitted": "ಸಲ್ಲಿಸಿದ್ದು:",
+  "company.technician": "ತಂತ್ರಜ್ಞ:",
+  "company.timeLogged": "ದಾಖಲಾದ ಸಮಯ:",
+  "company.timerRunning": " (ಟೈಮರ್ ಚಾಲನೆಯಲ್ಲಿದೆ)",
+  "company.dropOff": "ಡ್ರಾಪ್-ಆಫ್:",
+  "company.notBooked": "ಬುಕ್ ಮಾಡಿಲ್ಲ",
+  "company.lastUpdated": "ಕೊನೆಯ ನವೀಕರಣ:",
+  "company.bike": "ಬೈಕ್",
+  "company.serialNumber": "ಸೀರಿಯಲ್ ಸಂಖ್ಯೆ:",
+  "company.purchased": "ಖರೀದಿಸಿದ್ದು:",
+  "company.warranty": "ವಾರಂಟಿ:",
+  "company.warrantyUntil": "{date} ವರೆಗೆ",
+  "company.previousRequests": "ಹಿಂದಿನ ವಿನಂತಿಗಳು:",
+  "company.noPreviousRequests": "ಯಾವುದೂ ಇಲ್ಲ",
+  "company.issueDescription": "ಸಮಸ್ಯೆಯ ವಿವರಣೆ",
+  "company.photosVideos": "ಫೋಟೋಗಳು ಮತ್ತು ವೀಡಿಯೊಗಳು",
+  "company.quote": "ಕೊಟೇಶನ್",
+  "company.noQuote": "ಇನ್ನೂ ಯಾವುದೇ ಕೊಟೇಶನ್ ಕಳುಹಿಸಿಲ್ಲ.",
+  "company.reviseQuote": "ಕೊಟೇಶನ್ ಪರಿಷ್ಕರಿಸಿ",
+  "company.conversation": "ಸಂಭಾಷಣೆ ಮತ್ತು ಆಂತರಿಕ ಟಿಪ್ಪಣಿಗಳು",
+  "company.payment": "ಪಾವತಿ",
+  "company.issueInvoice": "ಇನ್‌ವಾಯ್ಸ್ ನೀಡಿ",
+  "company.feedback": "ಗ್ರಾಹಕರ ಪ್ರತಿಕ್ರಿಯೆ",
+  "company.markFollowedUp": "ಫಾಲೋ-ಅಪ್ ಆಗಿದೆ ಎಂದು ಗುರುತಿಸಿ",
+  "company.followedUp": "{date} ರಂದು ಫಾಲೋ-ಅಪ್ ಮಾಡಲಾಗಿದೆ",
+  "company.notRated": "ಇನ್ನೂ ರೇಟಿಂಗ್ ನೀಡಿಲ್ಲ.",
+  "company.reworkSummary_one":
+    "ಗ್ರಾಹಕರು {count} ಬಾರಿ ಮರುತೆರೆದಿದ್ದಾರೆ, ಕೊನೆಯದಾಗಿ {date} ರಂದು",
+  "company.reworkSummary_other":
+    "ಗ್ರಾಹಕರು {count} ಬಾರಿ ಮರುತೆರೆದಿದ್ದಾರೆ, ಕೊನೆಯದಾಗಿ {date} ರಂದು",
+  "company.documents": "ದಾಖಲೆಗಳು",
+  "company.downloadJobCard": "ಜಾಬ್ ಕಾರ್ಡ್ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ (PDF)",
+  "company.bulkApplyError":
+    "ಬಲ್ಕ್ ಕ್ರಿಯೆಯನ್ನು ಅನ್ವಯಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "company.bulkUndoError":
+    "ಬಲ್ಕ್ ಕ್ರಿಯೆಯನ್ನು ರದ್ದುಗೊಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "company.cancelReasonPrompt":
+    "ದಯವಿಟ್ಟು ಈ ವಿನಂತಿಯನ್ನು ರದ್ದುಮಾಡುವ ಕಾರಣವನ್ನು ನಮೂದಿಸಿ:",
+  "company.changedElsewhere":
+    "ಈ ವಿನಂತಿಯನ್ನು ಬೇರೆಯವರು ಬದಲಿಸಿದ್ದಾರೆ. ಮತ್ತೆ ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ.",
+  "company.statusError": "ಸ್ಥಿತಿ ಬದಲಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "company.assignError":
+    "ತಂತ್ರಜ್ಞರನ್ನು ನಿಯೋಜಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "company.documentError": "PDF ತಯಾರಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "company.invoiceAmountPrompt": "ಇನ್‌ವಾಯ್ಸ್ ಮೊತ್ತ:",
+  "company.invoiceAmountInvalid": "0 ಅಥವಾ ಅದಕ್ಕಿಂತ ಹೆಚ್ಚಿನ ಮೊತ್ತವನ್ನು ನಮೂದಿಸಿ.",
+  "company.issueInvoiceError":
+    "ಇನ್‌ವಾಯ್ಸ್ ನೀಡುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "company.followUpError":
+    "ಫಾಲೋ-ಅಪ್ ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "company.exportError":
+    "ಸೇವಾ ವಿನಂತಿಗಳನ್ನು ರಫ್ತು ಮಾಡುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "company.requestNotFound": "ಈ ಸೇವಾ ವಿನಂತಿ ಸಿಗಲಿಲ್ಲ.",
+
+  "filters.technician": "ತಂತ್ರಜ್ಞ",
+  "filters.allTechnicians": "ಎಲ್ಲಾ ತಂತ್ರಜ್ಞರು",
+  "filters.unassigned": "ನಿಯೋಜಿಸಿಲ್ಲ",
+  "filters.priority": "ಆದ್ಯತೆ",
+  "filters.allPriorities": "ಎಲ್ಲಾ ಆದ್ಯತೆಗಳು",
+  "filters.issueType": "ಸಮಸ್ಯೆಯ ಪ್ರಕಾರ",
+  "filters.allIssueTypes": "ಎಲ್ಲಾ ಪ್ರಕಾರಗಳು",
+  "filters.model": "ಮಾದರಿ",
+  "filters.modelPlaceholder": "ಉದಾ. EV-Sport",
+  "filters.customer": "ಗ್ರಾಹಕ",
+  "filters.allCustomers": "ಎಲ್ಲಾ ಗ್ರಾಹಕರು",
+  "filters.selectedCustomer": "ಆಯ್ಕೆಮಾಡಿದ ಗ್ರಾಹಕ",
+  "filters.submitted": "ಸಲ್ಲಿಸಿದ್ದು",
+  "filters.anyTime": "ಯಾವಾಗ ಬೇಕಾದರೂ",
+  "filters.customDates": "ಆಯ್ದ ದಿನಾಂಕಗಳು",
+  "filters.preset.1": "ಇಂದು",
+  "filters.preset.7": "ಕಳೆದ 7 ದಿನಗಳು",
+  "filters.preset.30": "ಕಳೆದ 30 ದಿನಗಳು",
+  "filters.preset.90": "ಕಳೆದ 90 ದಿನಗಳು",
+  "filters.from": "ಇಂದ",
+  "filters.to": "ವರೆಗೆ",
+  "filters.clear": "ಫಿಲ್ಟರ್‌ಗಳನ್ನು ತೆರವುಗೊಳಿಸಿ ({count})",
+
+  "bikes.heading": "ನನ್ನ ಬೈಕ್‌ಗಳು",
+  "bikes.register": "+ ಬೈಕ್ ನೋಂದಾಯಿಸಿ",
+  "bikes.model": "ಮಾದರಿ *",
+  "bikes.selectModel": "ಮಾದರಿ ಆಯ್ಕೆಮಾಡಿ",
+  "bikes.serial": "ಸೀರಿಯಲ್ / ಫ್ರೇಮ್ ಸಂಖ್ಯೆ *",
+  "bikes.serialPlaceholder": "ಬಾಟಮ್ ಬ್ರಾಕೆಟ್‌ನ ಕೆಳಗೆ ಮುದ್ರಿಸಲಾಗಿರುತ್ತದೆ",
+  "bikes.purchaseDate": "ಖರೀದಿ ದಿನಾಂಕ *",
+  "bikes.warrantyEnd": "ವಾರಂಟಿ ಮುಕ್ತಾಯ ದಿನಾಂಕ *",
+  "bikes.submit": "ಬೈಕ್ ನೋಂದಾಯಿಸಿ",
+  "bikes.empty": "ಸೇವಾ ವಿನಂತಿಗಳನ್ನು ಸಲ್ಲಿಸಲು ಮೊದಲು ನಿಮ್ಮ ಬೈಕ್ ಅನ್ನು ನೋಂದಾಯಿಸಿ.",
+  "bikes.warrantyUntil": "{date} ವರೆಗೆ",
+  "bikes.registerError": "ಬೈಕ್ ನೋಂದಾಯಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "quote.item": "ವಸ್ತು",
+  "quote.quantity": "ಪ್ರಮಾಣ",
+  "quote.unitPrice": "ಏಕಮಾನ ಬೆಲೆ",
+  "quote.amount": "ಮೊತ್ತ",
+  "quote.labor": "ಕೂಲಿ",
+  "quote.hours": "{hours} ಗಂ",
+  "quote.subtotal": "ಉಪಮೊತ್ತ",
+  "quote.tax": "ತೆರಿಗೆ ({rate}%)",
+  "quote.total": "ಒಟ್ಟು",
+  "quote.declined": "ನಿರಾಕರಿಸಲಾಗಿದೆ:",
+
+  "payment.invoiced": "{date} ರಂದು ಇನ್‌ವಾಯ್ಸ್ ನೀಡಲಾಗಿದೆ",
+  "payment.amountDue": "ಪಾವತಿಸಬೇಕಾದ ಮೊತ್ತ",
+  "payment.paid": "ಪಾವತಿಸಲಾಗಿದೆ",
+  "payment.refunded": "ಮರುಪಾವತಿಸಲಾಗಿದೆ",
+  "payment.balance": "ಬಾಕಿ",
+  "payment.pendingNotice":
+    "ಆನ್‌ಲೈನ್‌ನಲ್ಲಿ ಪಾವತಿಸಿದ {amount} ಇನ್ನೂ ದೃಢೀಕರಣಗೊಳ್ಳುತ್ತಿದೆ.",
+  "payment.payment": "ಪಾವತಿ ({method})",
+  "payment.refund": "ಮರುಪಾವತಿ ({method})",
+  "payment.processing": "ಪ್ರಕ್ರಿಯೆಯಲ್ಲಿದೆ",
+  "payment.failed": "ವಿಫಲವಾಗಿದೆ",
+  "payment.expired": "ಚೆಕ್‌ಔಟ್ ಅವಧಿ ಮುಗಿದಿದೆ",
+
+  "feedback.heading": "ನಮ್ಮ ಸೇವೆ ಹೇಗಿತ್ತು?",
+  "feedback.commentPlaceholder": "ಇನ್ನಷ್ಟು ತಿಳಿಸಿ (ಐಚ್ಛಿಕ)",
+  "feedback.submit": "ರೇಟಿಂಗ್ ಸಲ್ಲಿಸಿ",
+  "feedback.changeRating": "ರೇಟಿಂಗ್ ಬದಲಿಸಿ",
+  "feedback.stillThere": "ಸಮಸ್ಯೆ ಇನ್ನೂ ಇದೆಯೇ?",
+  "feedback.notResolved": "ಸಮಸ್ಯೆ ಬಗೆಹರಿದಿಲ್ಲ",
+  "feedback.reworkWindow": "(ಕೆಲಸ ಮುಗಿದ {days} ದಿನಗಳೊಳಗೆ)",
+  "feedback.chooseRating": "1 ರಿಂದ 5 ನಕ್ಷತ್ರಗಳ ನಡುವೆ ರೇಟಿಂಗ್ ಆಯ್ಕೆಮಾಡಿ.",
+  "feedback.saveError":
+    "ನಿಮ್ಮ ರೇಟಿಂಗ್ ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "feedback.reopenPrompt": "ನಿಮ್ಮ ಬೈಕ್‌ನಲ್ಲಿ ಇನ್ನೂ ಏನು ತೊಂದರೆ ಇದೆ?",
+  "feedback.reopenReasonRequired": "ದಯವಿಟ್ಟು ಇನ್ನೂ ಏನು ತೊಂದರೆ ಇದೆ ಎಂದು ತಿಳಿಸಿ.",
+  "feedback.reopenError":
+    "ವಿನಂತಿಯನ್ನು ಮರುತೆರೆಯುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "thread.empty": "ಇನ್ನೂ ಯಾವುದೇ ಸಂದೇಶಗಳಿಲ್ಲ",
+  "thread.staff": "ಸಿಬ್ಬಂದಿ",
+  "thread.internal": "ಆಂತರಿಕ",
+  "thread.internalPlaceholder": "ಆಂತರಿಕ ಟಿಪ್ಪಣಿ ಸೇರಿಸಿ (ಸಿಬ್ಬಂದಿಗೆ ಮಾತ್ರ)...",
+  "thread.messagePlaceholder": "ಸಂದೇಶ ಬರೆಯಿರಿ...",
+  "thread.internalNote": "ಆಂತರಿಕ ಟಿಪ್ಪಣಿ",
+  "thread.toCustomer": "ಗ್ರಾಹಕರಿಗೆ ಸಂದೇಶ",
+  "thread.sending": "ಕಳುಹಿಸಲಾಗುತ್ತಿದೆ...",
+  "thread.send": "ಕಳುಹಿಸಿ",
+  "thread.sendError": "ಸಂದೇಶ ಕಳುಹಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "requestEdit.issueType": "ಸಮಸ್ಯೆಯ ಪ್ರಕಾರ",
+  "requestEdit.priority": "ಆದ್ಯತೆ",
+  "requestEdit.description": "ವಿವರಣೆ",
+  "requestEdit.save": "ಬದಲಾವಣೆಗಳನ್ನು ಉಳಿಸಿ",
+  "requestEdit.discard": "ತ್ಯಜಿಸಿ",
+  "requestEdit.tooLate":
+    "ವರ್ಕ್‌ಶಾಪ್ ಈ ವಿನಂತಿಯ ಕೆಲಸವನ್ನು ಈಗಾಗಲೇ ಆರಂಭಿಸಿದೆ, ಆದ್ದರಿಂದ ಇದನ್ನು ಇನ್ನು ಬದಲಿಸಲಾಗುವುದಿಲ್ಲ.",
+  "requestEdit.saveError":
+    "ನಿಮ್ಮ ಬದಲಾವಣೆಗಳನ್ನು ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "inbox.theCustomer": "ಗ್ರಾಹಕರು",
+  "inbox.aCustomer": "ಒಬ್ಬ ಗ್ರಾಹಕರು",
+  "inbox.newRequest": "{customer} ಹೊಸ ವಿನಂತಿ ಸಲ್ಲಿಸಿದ್ದಾರೆ ({priority} ಆದ್ಯತೆ)",
+  "inbox.statusChanged": "ನಿಮ್ಮ ವಿನಂತಿ {id} ಈಗ {status} ಸ್ಥಿತಿಯಲ್ಲಿದೆ",
+  "inbox.staffReply": "ನಿಮ್ಮ ವಿನಂತಿ {id} ಕ್ಕೆ ವರ್ಕ್‌ಶಾಪ್ ಉತ್ತರಿಸಿದೆ",
+  "inbox.customerMessage": "{customer} ವಿನಂತಿ {id} ನಲ್ಲಿ ಸಂದೇಶ ಬರೆದಿದ್ದಾರೆ",
+  "inbox.assigned": "ವಿನಂತಿ {id} ({model}) ಅನ್ನು ನಿಮಗೆ ವಹಿಸಲಾಗಿದೆ",
+  "inbox.quoteReady":
+    "ವಿನಂತಿ {id} ಗಾಗಿ {total} ಕೊಟೇಶನ್ ನಿಮ್ಮ ಅನುಮೋದನೆಗಾಗಿ ಕಾಯುತ್ತಿದೆ",
+  "inbox.quoteApproved":
+    "{customer} ವಿನಂತಿ {id} ರ ಕೊಟೇಶನ್ ಅನ್ನು ಅನುಮೋದಿಸಿದ್ದಾರೆ",
+  "inbox.quoteDeclined":
+    "{customer} ವಿನಂತಿ {id} ರ ಕೊಟೇಶನ್ ಅನ್ನು ನಿರಾಕರಿಸಿದ್ದಾರೆ",
+  "inbox.paymentReceived":
+    "{customer} ವಿನಂತಿ {id} ಗಾಗಿ {amount} ಆನ್‌ಲೈನ್‌ನಲ್ಲಿ ಪಾವತಿಸಿದ್ದಾರೆ",
+  "inbox.refundIssued": "ನಿಮ್ಮ ವಿನಂತಿ {id} ಗೆ {amount} ಮರುಪಾವತಿ ಮಾಡಲಾಗಿದೆ",
+  "inbox.requestCancelled": "{customer} ವಿನಂತಿ {id} ರದ್ದುಮಾಡಿದ್ದಾರೆ: {reason}",
+  "inbox.reopened": "{customer} ವಿನಂತಿ {id} ಮರುತೆರೆದಿದ್ದಾರೆ: {reason}",
+  "inbox.lowRating":
+    "{customer} ವಿನಂತಿ {id} ಗೆ {rating}/5 ರೇಟಿಂಗ್ ನೀಡಿದ್ದಾರೆ, ಫಾಲೋ-ಅಪ್ ಅಗತ್ಯವಿದೆ",
+  "inbox.update": "ವಿನಂತಿ {id} ಕುರಿತು ಅಪ್‌ಡೇಟ್",
+
+  "event.created": "ವಿನಂತಿ ಸಲ್ಲಿಸಲಾಗಿದೆ",
+  "event.imported": "ಸ್ಪ್ರೆಡ್‌ಶೀಟ್‌ನಿಂದ ಆಮದು ಮಾಡಲಾಗಿದೆ",
+  "event.statusChanged": "ಸ್ಥಿತಿ {from} ನಿಂದ {to} ಗೆ ಬದಲಾಗಿದೆ",
+  "event.notesAdded": "ಟಿಪ್ಪಣಿಗಳನ್ನು ಸೇರಿಸಲಾಗಿದೆ",
+  "event.notesUpdated": "ಟಿಪ್ಪಣಿಗಳನ್ನು ನವೀಕರಿಸಲಾಗಿದೆ",
+  "event.noteAdded": "ಆಂತರಿಕ ಟಿಪ್ಪಣಿ ಸೇರಿಸಲಾಗಿದೆ",
+  "event.noteRemoved": "ಆಂತರಿಕ ಟಿಪ್ಪಣಿ ತೆಗೆದುಹಾಕಲಾಗಿದೆ",
+  "event.messageAdded": "ಸಂದೇಶ ಪೋಸ್ಟ್ ಮಾಡಲಾಗಿದೆ",
+  "event.escalated": "SLA ಮೀರಿದೆ: ಆದ್ಯತೆಯನ್ನು {from} ನಿಂದ {to} ಗೆ ಏರಿಸಲಾಗಿದೆ",
+  "event.assigned": "{name} ಅವರಿಗೆ ವಹಿಸಲಾಗಿದೆ",
+  "event.unassigned": "ತಂತ್ರಜ್ಞರನ್ನು ತೆಗೆದುಹಾಕಲಾಗಿದೆ",
+  "event.quoteSent": "{total} ಕೊಟೇಶನ್ ಅನುಮೋದನೆಗಾಗಿ ಕಳುಹಿಸಲಾಗಿದೆ",
+  "event.quoteApproved": "ಕೊಟೇಶನ್ ಅನುಮೋದಿಸಲಾಗಿದೆ",
+  "event.quoteDeclined": "ಕೊಟೇಶನ್ ನಿರಾಕರಿಸಲಾಗಿದೆ",
+  "event.quoteDeclinedReason": "ಕೊಟೇಶನ್ ನಿರಾಕರಿಸಲಾಗಿದೆ: {reason}",
+  "event.paymentReceived": "{amount} ಪಾವತಿ ಸ್ವೀಕರಿಸಲಾಗಿದೆ",
+  "event.refundIssued": "{amount} ಮರುಪಾವತಿ ಮಾಡಲಾಗಿದೆ",
+  "event.rated_one": "{count} ನಕ್ಷತ್ರ ರೇಟಿಂಗ್ ನೀಡಲಾಗಿದೆ",
+  "event.rated_other": "{count} ನಕ್ಷತ್ರಗಳ ರೇಟಿಂಗ್ ನೀಡಲಾಗಿದೆ",
+  "event.ratingChanged": "ರೇಟಿಂಗ್ {from} ರಿಂದ {to} ನಕ್ಷತ್ರಗಳಿಗೆ ಬದಲಾಗಿದೆ",
+  "event.reopened": "ಮರು ಕೆಲಸಕ್ಕಾಗಿ ಮರುತೆರೆಯಲಾಗಿದೆ: {reason}",
+  "event.issueTypeChanged": "ಸಮಸ್ಯೆ {from} ನಿಂದ {to} ಗೆ ಬದಲಾಗಿದೆ",
+  "event.priorityChanged": "ಆದ್ಯತೆ {from} ನಿಂದ {to} ಗೆ ಬದಲಾಗಿದೆ",
+  "event.descriptionChanged": "ವಿವರಣೆ ಸಂಪಾದಿಸಲಾಗಿದೆ",
+
+  "attachments.hint":
+    "ಗರಿಷ್ಠ {count} ಫೋಟೋಗಳು ಅಥವಾ ಕಿರು ವೀಡಿಯೊಗಳು. ಅಪ್‌ಲೋಡ್‌ಗೆ ಮೊದಲು ಫೋಟೋಗಳ ಗಾತ್ರ ಕುಗ್ಗಿಸಲಾಗುತ್ತದೆ.",
+  "attachments.notMedia": '"{name}" ಫೋಟೋ ಅಥವಾ ವೀಡಿಯೊ ಅಲ್ಲ.',
+  "attachments.tooLarge": '"{name}" {size} MB ಗಿಂತ ದೊಡ್ಡದಾಗಿದೆ.',
+  "attachments.tooLong": '"{name}" {seconds} ಸೆಕೆಂಡುಗಳಿಗಿಂತ ಉದ್ದವಾಗಿದೆ.',
+  "attachments.tooMany": "ನೀವು ಗರಿಷ್ಠ {count} ಫೈಲ್‌ಗಳನ್ನು ಲಗತ್ತಿಸಬಹುದು.",
+  "attachments.remove": "{name} ತೆಗೆದುಹಾಕಿ",
+  "attachments.previous": "ಹಿಂದಿನದು",
+  "attachments.next": "ಮುಂದಿನದು",
+  "attachments.close": "ಮುಚ್ಚಿ",
+
+  "appointments.loadingSlots": "ಲಭ್ಯವಿರುವ ಸಮಯಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ...",
+  "appointments.closed": "ಈ ದಿನ ವರ್ಕ್‌ಶಾಪ್ ಮುಚ್ಚಿರುತ್ತದೆ.",
+  "appointments.fullyBooked": "ಈ ದಿನ ಡ್ರಾಪ್-ಆಫ್‌ಗೆ ಯಾವುದೇ ಸಮಯ ಉಳಿದಿಲ್ಲ.",
+
+  "payOnline.amount": "ಮೊತ್ತ",
+  "payOnline.submit": "ಆನ್‌ಲೈನ್‌ನಲ್ಲಿ ಪಾವತಿಸಿ",
+  "payOnline.redirecting": "ಮರುನಿರ್ದೇಶಿಸಲಾಗುತ್ತಿದೆ...",
+  "payOnline.error": "ಪಾವತಿ ಆರಂಭಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "warranty.in": "ವಾರಂಟಿಯಲ್ಲಿದೆ",
+  "warranty.out": "ವಾರಂಟಿ ಮುಗಿದಿದೆ",
+
+  "connection.title": "ನೈಜ-ಸಮಯದ ಅಪ್‌ಡೇಟ್‌ಗಳು",
+  "connection.live": "ಲೈವ್",
+  "connection.connecting": "ಸಂಪರ್ಕಿಸಲಾಗುತ್ತಿದೆ...",
+  "connection.reconnecting": "ಮರುಸಂಪರ್ಕಿಸಲಾಗುತ್ತಿದೆ...",
+
+  "notifications.heading": "ಅಧಿಸೂಚನೆಗಳು",
+  "notifications.bellLabel": "ಅಧಿಸೂಚನೆಗಳು ({count} ಓದದವು)",
+  "notifications.markAllRead": "ಎಲ್ಲವನ್ನೂ ಓದಲಾಗಿದೆ ಎಂದು ಗುರುತಿಸಿ",
+  "notifications.empty": "ಹೊಸ ಅಧಿಸೂಚನೆಗಳಿಲ್ಲ.",
+  "notifications.settings": "ಅಧಿಸೂಚನೆ ಸೆಟ್ಟಿಂಗ್‌ಗಳು",
+  "notifications.intro":
+    "ವಿನಂತಿ ಸ್ವೀಕರಿಸಿದಾಗ, ಅದರ ಸ್ಥಿತಿ ಬದಲಾದಾಗ, ವರ್ಕ್‌ಶಾಪ್‌ನಿಂದ ಹೊಸ ಟಿಪ್ಪಣಿ ಬಂದಾಗ ಅಥವಾ ಕೆಲಸ ಮುಗಿದಾಗ ನಾವು ನಿಮಗೆ ತಿಳಿಸುತ್ತೇವೆ.",
+  "notifications.email": "ಇಮೇಲ್",
+  "notifications.emailHint": "ನೀವು ಸೈನ್ ಇನ್ ಮಾಡುವ ವಿಳಾಸಕ್ಕೆ",
+  "notifications.sms": "SMS",
+  "notifications.smsHint": "ದಾಖಲಿಸಿರುವ ಫೋನ್ ಸಂಖ್ಯೆಗೆ",
+  "notifications.saveError":
+    "ನಿಮ್ಮ ಅಧಿಸೂಚನೆ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "sla.overdue": "{duration} ತಡವಾಗಿದೆ",
+  "sla.toRespond": "ಪ್ರತಿಕ್ರಿಯಿಸಲು {duration}",
+  "sla.toResolve": "ಪರಿಹರಿಸಲು {duration}",
+
+  "analytics.heading": "ವರ್ಕ್‌ಶಾಪ್ ವಿಶ್ಲೇಷಣೆ",
+  "analytics.last30Days": "ಕಳೆದ 30 ದಿನಗಳು",
+  "analytics.last90Days": "ಕಳೆದ 90 ದಿನಗಳು",
+  "analytics.last12Months": "ಕಳೆದ 12 ತಿಂಗಳುಗಳು",
+  "analytics.rangeTo": "ರಿಂದ",
+  "analytics.loading": "ವಿಶ್ಲೇಷಣೆ ಲೋಡ್ ಆಗುತ್ತಿದೆ...",
+  "analytics.loadError":
+    "ವಿಶ್ಲೇಷಣೆಯನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "analytics.received": "ಸ್ವೀಕರಿಸಿದ ವಿನಂತಿಗಳು",
+  "analytics.completed": "ಪೂರ್ಣಗೊಂಡವು",
+  "analytics.averageTurnaround": "ಸರಾಸರಿ ಪೂರ್ಣಗೊಳಿಸುವ ಸಮಯ",
+  "analytics.medianTurnaround": "ಮಧ್ಯಮ ಪೂರ್ಣಗೊಳಿಸುವ ಸಮಯ",
+  "analytics.openBacklog": "ಬಾಕಿ ಇರುವ ವಿನಂತಿಗಳು",
+  "analytics.oldestOpen": "ಅತ್ಯಂತ ಹಳೆಯ ತೆರೆದ ವಿನಂತಿ",
+  "analytics.averageRating": "ಸರಾಸರಿ ರೇಟಿಂಗ್ ({count})",
+  "analytics.reworkRate": "ಮರುಕೆಲಸದ ದರ ({finished} ರಲ್ಲಿ {reworked})",
+  "analytics.weeklyIntake": "ವಾರದ ಹೊಸ ವಿನಂತಿಗಳು",
+  "analytics.timeInStatus": "ಪ್ರತಿ ಸ್ಥಿತಿಯಲ್ಲಿ ಕಳೆದ ಸಮಯ (ಪೂರ್ಣಗೊಂಡ ವಿನಂತಿಗಳು)",
+  "analytics.backlogAge": "ಬಾಕಿ ವಿನಂತಿಗಳ ವಯಸ್ಸು",
+  "analytics.backlogAgeMedian": "ಬಾಕಿ ವಿನಂತಿಗಳ ವಯಸ್ಸು (ಮಧ್ಯಮ {median})",
+  "analytics.age.underDay": "< 1 ದಿನ",
+  "analytics.age.days1to3": "1–3 ದಿನಗಳು",
+  "analytics.age.days3to7": "3–7 ದಿನಗಳು",
+  "analytics.age.weeks1to2": "1–2 ವಾರಗಳು",
+  "analytics.age.weeks2to4": "2–4 ವಾರಗಳು",
+  "analytics.age.overWeeks4": "> 4 ವಾರಗಳು",
+  "analytics.minutes": "{minutes} ನಿಮಿಷ",
+  "analytics.hours": "{hours} ಗಂಟೆ",
+  "analytics.days": "{days} ದಿನಗಳು",
+  "analytics.customerRatings": "ಗ್ರಾಹಕರ ರೇಟಿಂಗ್‌ಗಳು",
+  "analytics.noRatings": "ಈ ಅವಧಿಯಲ್ಲಿ ಯಾವುದೇ ರೇಟಿಂಗ್ ಇಲ್ಲ",
+  "analytics.topCombinations": "ಸಾಮಾನ್ಯ ಸಮಸ್ಯೆ × ಮಾದರಿ",
+  "analytics.noRequests": "ಈ ಅವಧಿಯಲ್ಲಿ ಯಾವುದೇ ವಿನಂತಿ ಇಲ್ಲ",
+  "analytics.onModel": "{model} ನಲ್ಲಿ",
+  "analytics.hotspots": "ಹಾಟ್‌ಸ್ಪಾಟ್‌ಗಳು",
+  "analytics.issueByModel": "ಸಮಸ್ಯೆ \\\\ ಮಾದರಿ",
+  "analytics.followUps": "ಅನುಸರಿಸಬೇಕಾದ ಕಡಿಮೆ ರೇಟಿಂಗ್‌ಗಳು ({count})",
+  "analytics.noFollowUps": "ಅನುಸರಿಸಲು ಏನೂ ಇಲ್ಲ",
+
+  "deliveries.heading": "ಗ್ರಾಹಕ ಅಧಿಸೂಚನೆಗಳು",
+  "deliveries.loading": "ಕಳುಹಿಸಿದ ಅಧಿಸೂಚನೆಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ...",
+  "deliveries.empty": "ಇನ್ನೂ ಯಾವುದೇ ಅಧಿಸೂಚನೆ ಕಳುಹಿಸಲಾಗಿಲ್ಲ",
+  "deliveries.column.sent": "ಕಳುಹಿಸಲಾಗಿದೆ",
+  "deliveries.column.request": "ವಿನಂತಿ",
+  "deliveries.column.notification": "ಅಧಿಸೂಚನೆ",
+  "deliveries.column.channel": "ಮಾಧ್ಯಮ",
+  "deliveries.column.recipient": "ಸ್ವೀಕರಿಸುವವರು",
+  "deliveries.channel.email": "ಇಮೇಲ್",
+  "deliveries.channel.sms": "SMS",
+  "deliveries.status.sent": "ಕಳುಹಿಸಲಾಗಿದೆ",
+  "deliveries.status.failed": "ವಿಫಲವಾಗಿದೆ",
+  "deliveries.error": "ದೋಷ: {error}",
+  "deliveries.sentVia": "{provider} ಮೂಲಕ ಕಳುಹಿಸಲಾಗಿದೆ",
+
+  "notificationKind.created": "ವಿನಂತಿ ಸ್ವೀಕರಿಸಲಾಗಿದೆ",
+  "notificationKind.status_changed": "ಸ್ಥಿತಿ ನವೀಕರಣ",
+  "notificationKind.completed": "ವಿನಂತಿ ಪೂರ್ಣಗೊಂಡಿದೆ",
+  "notificationKind.note_added": "ವರ್ಕ್‌ಶಾಪ್‌ನಿಂದ ಹೊಸ ಟಿಪ್ಪಣಿ",
+  "notificationKind.quote_ready": "ಅನುಮೋದನೆಗೆ ಕೊಟೇಶನ್ ಸಿದ್ಧವಾಗಿದೆ",
+  "notificationKind.payment_received": "ಪಾವತಿ ರಸೀದಿ",
+  "notificationKind.refund_issued": "ಮರುಪಾವತಿ ನೀಡಲಾಗಿದೆ",
+
+  "timeline.empty": "ಇನ್ನೂ ಯಾವುದೇ ಚಟುವಟಿಕೆ ದಾಖಲಾಗಿಲ್ಲ",
+  "timeline.by": "{name} ಅವರಿಂದ",
+  "timeline.byWithRole": "{name} ({role}) ಅವರಿಂದ",
+  "timeline.cleared": "(ತೆರವುಗೊಳಿಸಲಾಗಿದೆ)",
+
+  "importField.customer_email": "ಗ್ರಾಹಕರ ಇಮೇಲ್",
+  "importField.bicycle_model": "ಮಾದರಿ",
+  "importField.issue_type": "ಸಮಸ್ಯೆಯ ಪ್ರಕಾರ",
+  "importField.description": "ವಿವರಣೆ",
+  "importField.priority": "ಆದ್ಯತೆ",
+  "importField.status": "ಸ್ಥಿತಿ",
+  "importField.created_at": "ರಚಿಸಲಾಗಿದೆ",
+  "importField.resolved_at": "ಪರಿಹರಿಸಲಾಗಿದೆ",
+  "importField.cancellation_reason": "ರದ್ದತಿಯ ಕಾರಣ",
+
+  "import.heading": "ವಿನಂತಿಗಳನ್ನು ಆಮದು ಮಾಡಿ",
+  "import.intro":
+    "ಪ್ರತಿ ಸಾಲಿನಲ್ಲಿ ಒಂದು ವಿನಂತಿ ಮತ್ತು ಶೀರ್ಷಿಕೆ ಸಾಲು ಇರುವ .csv ಅಥವಾ .xlsx ಫೈಲ್ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ. ಗ್ರಾಹಕರಿಗೆ ಈಗಾಗಲೇ ಖಾತೆ ಇರಬೇಕು. ಆಮದನ್ನು ದೃಢೀಕರಿಸುವವರೆಗೆ ಏನೂ ಉಳಿಸಲಾಗುವುದಿಲ್ಲ.",
+  "import.noRows": "{file} ನಲ್ಲಿ ಯಾವುದೇ ಡೇಟಾ ಸಾಲುಗಳಿಲ್ಲ.",
+  "import.tooManyRows":
+    "{file} ನಲ್ಲಿ {count} ಸಾಲುಗಳಿವೆ; ಒಮ್ಮೆಗೆ ಗರಿಷ್ಠ {max} ಆಮದು ಮಾಡಿ.",
+  "import.readError": "{file} ಓದಲಾಗಲಿಲ್ಲ. .csv ಅಥವಾ .xlsx ಫೈಲ್ ಬಳಸಿ.",
+  "import.checkError": "ಸಾಲುಗಳನ್ನು ಪರಿಶೀಲಿಸುವಲ್ಲಿ ದೋಷ.",
+  "import.confirm_one": "{count} ಸೇವಾ ವಿನಂತಿಯನ್ನು ಆಮದು ಮಾಡಬೇಕೆ?",
+  "import.confirm_other": "{count} ಸೇವಾ ವಿನಂತಿಗಳನ್ನು ಆಮದು ಮಾಡಬೇಕೆ?",
+  "import.confirmSkipped_one": "ದೋಷಗಳಿರುವ {count} ಸಾಲನ್ನು ಬಿಡಲಾಗುತ್ತದೆ.",
+  "import.confirmSkipped_other": "ದೋಷಗಳಿರುವ {count} ಸಾಲುಗಳನ್ನು ಬಿಡಲಾಗುತ್ತದೆ.",
+  "import.imported_one": "{file} ನಿಂದ {count} ಸೇವಾ ವಿನಂತಿಯನ್ನು ಆಮದು ಮಾಡಲಾಗಿದೆ.",
+  "import.imported_other":
+    "{file} ನಿಂದ {count} ಸೇವಾ ವಿನಂತಿಗಳನ್ನು ಆಮದು ಮಾಡಲಾಗಿದೆ.",
+  "import.importError": "ಏನನ್ನೂ ಆಮದು ಮಾಡಲಾಗಿಲ್ಲ: {error}",
+  "import.mapColumns_one": "{file} ನ ಕಾಲಮ್‌ಗಳನ್ನು ಹೊಂದಿಸಿ ({count} ಸಾಲು)",
+  "import.mapColumns_other": "{file} ನ ಕಾಲಮ್‌ಗಳನ್ನು ಹೊಂದಿಸಿ ({count} ಸಾಲುಗಳು)",
+  "import.notInFile": "— ಫೈಲ್‌ನಲ್ಲಿ ಇಲ್ಲ —",
+  "import.column": "ಕಾಲಮ್ {number}",
+  "import.dryRun": "ಸಾಲುಗಳನ್ನು ಪರಿಶೀಲಿಸಿ (ಪ್ರಯೋಗ)",
+  "import.readyRows_one": "{count} ಸಾಲು ಆಮದಿಗೆ ಸಿದ್ಧವಾಗಿದೆ.",
+  "import.readyRows_other": "{count} ಸಾಲುಗಳು ಆಮದಿಗೆ ಸಿದ್ಧವಾಗಿವೆ.",
+  "import.invalidRows_one":
+    "{count} ಸಾಲಿನಲ್ಲಿ ದೋಷಗಳಿವೆ: ಫೈಲ್‌ನಲ್ಲಿ ಸರಿಪಡಿಸಿ ಮತ್ತೆ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ, ಅಥವಾ ಅದಿಲ್ಲದೆ ಆಮದು ಮಾಡಿ.",
+  "import.invalidRows_other":
+    "{count} ಸಾಲುಗಳಲ್ಲಿ ದೋಷಗಳಿವೆ: ಫೈಲ್‌ನಲ್ಲಿ ಸರಿಪಡಿಸಿ ಮತ್ತೆ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ, ಅಥವಾ ಅವುಗಳಿಲ್ಲದೆ ಆಮದು ಮಾಡಿ.",
+  "import.column.row": "ಸಾಲು",
+  "import.column.result": "ಫಲಿತಾಂಶ",
+  "import.ok": "ಸರಿ",
+  "import.submit_one": "{count} ವಿನಂತಿಯನ್ನು ಆಮದು ಮಾಡಿ",
+  "import.submit_other": "{count} ವಿನಂತಿಗಳನ್ನು ಆಮದು ಮಾಡಿ",
+  "import.required": "{field} ಅಗತ್ಯವಿದೆ",
+  "import.invalidEmail": '"{email}" ಇಮೇಲ್ ವಿಳಾಸವಲ್ಲ',
+  "import.unknownCustomer": "{email} ಇಮೇಲ್ ಹೊಂದಿರುವ ಯಾವುದೇ ಗ್ರಾಹಕ ಖಾತೆ ಇಲ್ಲ",
+  "import.unknownIssueType":
+    'ಅಪರಿಚಿತ ಸಮಸ್ಯೆಯ ಪ್ರಕಾರ "{value}" ({options} ಇವುಗಳಲ್ಲಿ ಒಂದನ್ನು ಬಳಸಿ)',
+  "import.unknownPriority": "ಆದ್ಯತೆ {options} ಇವುಗಳಲ್ಲಿ ಒಂದಾಗಿರಬೇಕು",
+  "import.unknownStatus": 'ಅಪರಿಚಿತ ಸ್ಥಿತಿ "{value}"',
+  "import.invalidDate": '"{value}" ಮಾನ್ಯ ದಿನಾಂಕವಲ್ಲ',
+  "import.createdInFuture": "ರಚಿಸಿದ ದಿನಾಂಕ ಭವಿಷ್ಯದಲ್ಲಿದೆ",
+  "import.resolvedWhileOpen":
+    "ಪೂರ್ಣಗೊಂಡ ಅಥವಾ ರದ್ದಾದ ವಿನಂತಿಗಳಿಗೆ ಮಾತ್ರ ಪರಿಹಾರ ದಿನಾಂಕ ಇರಬಹುದು",
+  "import.resolvedBeforeCreated": "ಪರಿಹಾರ ದಿನಾಂಕ ರಚಿಸಿದ ದಿನಾಂಕಕ್ಕಿಂತ ಮೊದಲಿದೆ",
+  "import.cancelReasonRequired": "ರದ್ದಾದ ವಿನಂತಿಗಳಿಗೆ ರದ್ದತಿಯ ಕಾರಣ ಬೇಕು",
+
+  "paymentRecorder.payment": "ಪಾವತಿ",
+  "paymentRecorder.refund": "ಮರುಪಾವತಿ",
+  "paymentRecorder.notePlaceholder": "ಟಿಪ್ಪಣಿ (ಐಚ್ಛಿಕ)",
+  "paymentRecorder.recordPayment": "ಪಾವತಿ ದಾಖಲಿಸಿ",
+  "paymentRecorder.recordRefund": "ಮರುಪಾವತಿ ದಾಖಲಿಸಿ",
+  "paymentRecorder.error": "ಪಾವತಿ ದಾಖಲಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "quoteEditor.part": "ಬಿಡಿಭಾಗ",
+  "quoteEditor.choosePart": "ಬಿಡಿಭಾಗವನ್ನು ಆಯ್ಕೆಮಾಡಿ…",
+  "quoteEditor.lowStock": "ಸ್ಟಾಕ್‌ನಲ್ಲಿ ಕೇವಲ {count}",
+  "quoteEditor.outOfStock": "ಸ್ಟಾಕ್ ಇಲ್ಲ",
+  "quoteEditor.removeLine": "ಸಾಲು ತೆಗೆದುಹಾಕಿ",
+  "quoteEditor.addPart": "+ ಬಿಡಿಭಾಗ ಸೇರಿಸಿ",
+  "quoteEditor.laborHours": "ಶ್ರಮ (ಗಂಟೆಗಳು)",
+  "quoteEditor.rate": "ಗಂಟೆಗೆ ದರ",
+  "quoteEditor.taxRate": "ತೆರಿಗೆ (%)",
+  "quoteEditor.parts": "ಬಿಡಿಭಾಗಗಳು",
+  "quoteEditor.tax": "ತೆರಿಗೆ",
+  "quoteEditor.send": "ಗ್ರಾಹಕರಿಗೆ ಕೊಟೇಶನ್ ಕಳುಹಿಸಿ",
+  "quoteEditor.sendRevised": "ಪರಿಷ್ಕೃತ ಕೊಟೇಶನ್ ಕಳುಹಿಸಿ",
+  "quoteEditor.emptyLines":
+    "ಪ್ರತಿ ಸಾಲಿಗೆ ಬಿಡಿಭಾಗ ಆಯ್ಕೆಮಾಡಿ, ಅಥವಾ ಖಾಲಿ ಸಾಲುಗಳನ್ನು ತೆಗೆದುಹಾಕಿ.",
+  "quoteEditor.saveError": "ಕೊಟೇಶನ್ ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "parts.heading": "ಬಿಡಿಭಾಗಗಳ ಪಟ್ಟಿ ({count})",
+  "parts.sku": "SKU",
+  "parts.namePlaceholder":
+    "ಬಿಡಿಭಾಗದ ಹೆಸರು, ಉದಾ. ಹಿಂದಿನ ಬ್ರೇಕ್ ಪ್ಯಾಡ್‌ಗಳು (ಜೋಡಿ)",
+  "parts.price": "ಬೆಲೆ",
+  "parts.inStock": "ಸ್ಟಾಕ್‌ನಲ್ಲಿ",
+  "parts.add": "ಬಿಡಿಭಾಗ ಸೇರಿಸಿ",
+  "parts.backordered": "{count} ಬ್ಯಾಕ್‌ಆರ್ಡರ್‌ನಲ್ಲಿ",
+  "parts.low": "ಕಡಿಮೆ",
+  "parts.retire": "ನಿವೃತ್ತಿಗೊಳಿಸಿ",
+  "parts.reactivate": "ಮತ್ತೆ ಸಕ್ರಿಯಗೊಳಿಸಿ",
+  "parts.addError": "ಬಿಡಿಭಾಗ ಸೇರಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "parts.updateError": "ಬಿಡಿಭಾಗ ನವೀಕರಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "bulkAction.status": "ಸ್ಥಿತಿ ಬದಲಿಸಿ",
+  "bulkAction.priority": "ಆದ್ಯತೆ ಬದಲಿಸಿ",
+  "bulkAction.assign": "ತಂತ್ರಜ್ಞರನ್ನು ನಿಯೋಜಿಸಿ",
+  "bulkAction.note": "ಆಂತರಿಕ ಟಿಪ್ಪಣಿ ಸೇರಿಸಿ",
+
+  "bulk.selected": "{count} ಆಯ್ಕೆಮಾಡಲಾಗಿದೆ",
+  "bulk.action": "ಸಾಮೂಹಿಕ ಕ್ರಿಯೆ",
+  "bulk.newStatus": "ಹೊಸ ಸ್ಥಿತಿ",
+  "bulk.newPriority": "ಹೊಸ ಆದ್ಯತೆ",
+  "bulk.unassigned": "ಯಾರನ್ನೂ ನಿಯೋಜಿಸಿಲ್ಲ",
+  "bulk.notePlaceholder": "ಆಯ್ಕೆಮಾಡಿದ ಪ್ರತಿ ವಿನಂತಿಗೆ ಆಂತರಿಕ ಟಿಪ್ಪಣಿ",
+  "bulk.apply": "ಅನ್ವಯಿಸಿ",
+  "bulk.applying": "ಅನ್ವಯಿಸಲಾಗುತ್ತಿದೆ...",
+  "bulk.clearSelection": "ಆಯ್ಕೆ ತೆರವುಗೊಳಿಸಿ",
+  "bulk.cancelReasonPrompt_one":
+    "ಆಯ್ಕೆಮಾಡಿದ {count} ವಿನಂತಿಯನ್ನು ರದ್ದುಗೊಳಿಸಲು ಕಾರಣ:",
+  "bulk.cancelReasonPrompt_other":
+    "ಆಯ್ಕೆಮಾಡಿದ {count} ವಿನಂತಿಗಳನ್ನು ರದ್ದುಗೊಳಿಸಲು ಕಾರಣ:",
+  "bulk.noteRequired": "ಸೇರಿಸಲು ಟಿಪ್ಪಣಿ ಬರೆಯಿರಿ.",
+  "bulk.statusChanged": "ಸ್ಥಿತಿಯನ್ನು {status} ಗೆ ಬದಲಿಸಲಾಗಿದೆ",
+  "bulk.priorityChanged": "ಆದ್ಯತೆಯನ್ನು {priority} ಗೆ ಬದಲಿಸಲಾಗಿದೆ",
+  "bulk.aTechnician": "ಒಬ್ಬ ತಂತ್ರಜ್ಞ",
+  "bulk.result": "{succeeded} ನವೀಕರಿಸಲಾಗಿದೆ",
+  "bulk.resultWithFailures": "{succeeded} ನವೀಕರಿಸಲಾಗಿದೆ, {failed} ವಿಫಲವಾಗಿದೆ",
+  "bulk.undo": "ರದ್ದುಮಾಡಿ",
+  "bulk.dismiss": "ಮುಚ್ಚಿ",
+  "bulk.undone": "ರದ್ದುಮಾಡಲಾಗಿದೆ: {succeeded} ಹಿಂತಿರುಗಿಸಲಾಗಿದೆ",
+  "bulk.undoneWithFailures":
+    "ರದ್ದುಮಾಡಲಾಗಿದೆ: {succeeded} ಹಿಂತಿರುಗಿಸಲಾಗಿದೆ, {failed} ಹಿಂತಿರುಗಿಸಲಾಗಲಿಲ್ಲ",
+
+  "slaSettings.heading": "SLA ಗುರಿಗಳು",
+  "slaSettings.respondWithin": "ಇಷ್ಟರೊಳಗೆ ಪ್ರತಿಕ್ರಿಯಿಸಿ (ಗಂಟೆಗಳು)",
+  "slaSettings.resolveWithin": "ಇಷ್ಟರೊಳಗೆ ಪರಿಹರಿಸಿ (ಗಂಟೆಗಳು)",
+  "slaSettings.save": "ಗುರಿಗಳನ್ನು ಉಳಿಸಿ",
+  "slaSettings.saved": "SLA ಗುರಿಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ!",
+  "slaSettings.invalid":
+    "ಪರಿಹಾರದ ಗುರಿಗಳು ಪ್ರತಿಕ್ರಿಯೆಯ ಗುರಿಗಳಿಗಿಂತ ಕಡಿಮೆ ಇರಬಾರದು.",
+  "slaSettings.saveError":
+    "SLA ಗುರಿಗಳನ್ನು ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "calendar.weekOf": "{date} ರ ವಾರ",
+  "calendar.today": "ಇಂದು",
+  "calendar.day": "ದಿನ",
+  "calendar.week": "ವಾರ",
+  "calendar.closed": "ಮುಚ್ಚಲಾಗಿದೆ",
+
+  "workshop.heading": "ವರ್ಕ್‌ಶಾಪ್ ಸಮಯ ಮತ್ತು ಸಾಮರ್ಥ್ಯ",
+  "workshop.dailyCapacity": "ದಿನಕ್ಕೆ ಡ್ರಾಪ್-ಆಫ್‌ಗಳು",
+  "workshop.slotCapacity": "ಸ್ಲಾಟ್‌ಗೆ ಡ್ರಾಪ್-ಆಫ್‌ಗಳು",
+  "workshop.slotMinutes": "ಸ್ಲಾಟ್ ಅವಧಿ (ನಿಮಿಷಗಳು)",
+  "workshop.open": "ತೆರೆದಿದೆ",
+  "workshop.save": "ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಿ",
+  "workshop.saved": "ವರ್ಕ್‌ಶಾಪ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ!",
+  "workshop.invalidHours": "ಮುಚ್ಚುವ ಸಮಯ ತೆರೆಯುವ ಸಮಯದ ನಂತರ ಇರಬೇಕು.",
+  "workshop.saveError":
+    "ವರ್ಕ್‌ಶಾಪ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "duration.daysHours": "{days} ದಿ {hours} ಗಂ",
+  "duration.hoursMinutes": "{hours} ಗಂ {minutes} ನಿ",
+  "duration.minutes": "{minutes} ನಿ",
+
+  "technician.heading": "ನನ್ನ ಕೆಲಸಗಳು",
+  "technician.loading": "ನಿಮ್ಮ ಕೆಲಸಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ...",
+  "technician.active": "ಸಕ್ರಿಯ ({count})",
+  "technician.closed": "ಮುಚ್ಚಲಾಗಿದೆ",
+  "technician.allJobs": "← ಎಲ್ಲಾ ಕೆಲಸಗಳು",
+  "technician.notAssigned": "ಈ ಕೆಲಸವನ್ನು ನಿಮಗೆ ನಿಯೋಜಿಸಲಾಗಿಲ್ಲ",
+  "technician.noClosedJobs": "ಇನ್ನೂ ಯಾವುದೇ ಮುಚ್ಚಿದ ಕೆಲಸವಿಲ್ಲ",
+  "technician.noJobs": "ನಿಮಗೆ ಯಾವುದೇ ಕೆಲಸ ನಿಯೋಜಿಸಲಾಗಿಲ್ಲ",
+  "technician.customer": "ಗ್ರಾಹಕ:",
+  "technician.startWork": "ಕೆಲಸ ಪ್ರಾರಂಭಿಸಿ",
+  "technician.stopTimer": "ಟೈಮರ್ ನಿಲ್ಲಿಸಿ ({time} ಕ್ಕೆ ಪ್ರಾರಂಭವಾಗಿದೆ)",
+  "technician.quoteRequired":
+    "ಗ್ರಾಹಕರು ಈ ವಿನಂತಿಯ ಕೊಟೇಶನ್ ಅನ್ನು ಇನ್ನೂ ಅನುಮೋದಿಸಿಲ್ಲ.",
+  "technician.awaitingParts": "ಬಿಡಿಭಾಗಗಳಿಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ",
+  "technician.finish": "ಕೆಲಸ ಮುಗಿಸಿ",
+  "technician.minutesPlaceholder": "ನಿಮಿಷಗಳು",
+  "technician.logTime": "ಸಮಯ ದಾಖಲಿಸಿ",
+  "technician.workNotePrompt": "ನೀವು ಏನು ಕೆಲಸ ಮಾಡಿದಿರಿ? (ಐಚ್ಛಿಕ)",
+  "technician.startError": "ಕೆಲಸ ಪ್ರಾರಂಭಿಸುವಲ್ಲಿ ದೋಷ.",
+  "technician.stopError": "ಟೈಮರ್ ನಿಲ್ಲಿಸುವಲ್ಲಿ ದೋಷ.",
+  "technician.updateError": "ಕೆಲಸ ನವೀಕರಿಸುವಲ್ಲಿ ದೋಷ.",
+  "technician.logTimeError": "ಸಮಯ ದಾಖಲಿಸುವಲ್ಲಿ ದೋಷ.",
+
+  "mockCheckout.heading": "ನಕಲಿ ಪಾವತಿ ಗೇಟ್‌ವೇ",
+  "mockCheckout.noPayment": "ಚೆಕ್‌ಔಟ್ ಮಾಡಲು ಯಾವುದೇ ಪಾವತಿ ಇಲ್ಲ.",
+  "mockCheckout.note":
+    "ಅಭಿವೃದ್ಧಿಗೆ ಮಾತ್ರ: ಯಾವುದೇ ಹಣ ವರ್ಗಾವಣೆಯಾಗುವುದಿಲ್ಲ. ಈ ಪಾವತಿ ಹೇಗೆ ಮುಗಿಯಬೇಕು ಎಂದು ಆರಿಸಿ.",
+  "mockCheckout.sendWebhook": "ವೆಬ್‌ಹುಕ್ ಕಳುಹಿಸಿ",
+  "mockCheckout.timing.immediate": "ಪೋರ್ಟಲ್‌ಗೆ ಹಿಂತಿರುಗುವ ಮೊದಲು",
+  "mockCheckout.timing.delayed": "ಹಿಂತಿರುಗಿದ {seconds} ಸೆಕೆಂಡುಗಳ ನಂತರ",
+  "mockCheckout.timing.never": "ಎಂದಿಗೂ ಇಲ್ಲ (ಕಳೆದುಹೋದ ವೆಬ್‌ಹುಕ್)",
+  "mockCheckout.pay": "ಪಾವತಿಸಿ",
+  "mockCheckout.decline": "ನಿರಾಕರಿಸಿ",
+  "mockCheckout.error":
+    "ಪಾವತಿ ಪೂರ್ಣಗೊಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "bikeModels.heading": "ಬೈಕ್ ಮಾದರಿ ಪಟ್ಟಿ ({count})",
+  "bikeModels.namePlaceholder": "ಮಾದರಿಯ ಹೆಸರು, ಉದಾ. EV-Sport 2025",
+  "bikeModels.warrantyMonths": "ವಾರಂಟಿ (ತಿಂಗಳುಗಳು)",
+  "bikeModels.add": "ಮಾದರಿ ಸೇರಿಸಿ",
+  "bikeModels.warranty": "{months} ತಿಂಗಳ ವಾರಂಟಿ",
+  "bikeModels.retire": "ನಿವೃತ್ತಿಗೊಳಿಸಿ",
+  "bikeModels.reactivate": "ಮರು ಸಕ್ರಿಯಗೊಳಿಸಿ",
+  "bikeModels.addError":
+    "ಮಾದರಿ ಸೇರಿಸುವಲ್ಲಿ ದೋಷ. ಈ ಹೆಸರು ಈಗಾಗಲೇ ಪಟ್ಟಿಯಲ್ಲಿದೆಯೇ?",
+  "bikeModels.updateError":
+    "ಮಾದರಿ ನವೀಕರಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "savedViews.label": "ಉಳಿಸಿದ ವೀಕ್ಷಣೆಗಳು",
+  "savedViews.choose": "ಉಳಿಸಿದ ವೀಕ್ಷಣೆಗಳು…",
+  "savedViews.none": "ಇನ್ನೂ ಯಾವುದೇ ಉಳಿಸಿದ ವೀಕ್ಷಣೆ ಇಲ್ಲ",
+  "savedViews.mine": "ನನ್ನ ವೀಕ್ಷಣೆಗಳು",
+  "savedViews.team": "ತಂಡ ಹಂಚಿಕೊಂಡವು",
+  "savedViews.shared": "ಹಂಚಿಕೊಳ್ಳಲಾಗಿದೆ",
+  "savedViews.opensOnLogin": "{name} (ಲಾಗಿನ್ ಆದಾಗ ತೆರೆಯುತ್ತದೆ)",
+  "savedViews.namePrompt": "ಈ ವೀಕ್ಷಣೆಗೆ ಹೆಸರು ನೀಡಿ:",
+  "savedViews.confirmReplace":
+    'ನಿಮ್ಮ ವೀಕ್ಷಣೆ "{name}" ಅನ್ನು ಪ್ರಸ್ತುತ ಫಿಲ್ಟರ್‌ಗಳೊಂದಿಗೆ ಬದಲಿಸುವುದೇ?',
+  "savedViews.confirmDelete": 'ವೀಕ್ಷಣೆ "{name}" ಅಳಿಸುವುದೇ?',
+  "savedViews.save": "ವೀಕ್ಷಣೆ ಉಳಿಸಿ",
+  "savedViews.saveAs": "ಹೀಗೆ ಉಳಿಸಿ…",
+  "savedViews.share": "ತಂಡದೊಂದಿಗೆ ಹಂಚಿಕೊಳ್ಳಿ",
+  "savedViews.stopSharing": "ಹಂಚಿಕೆ ನಿಲ್ಲಿಸಿ",
+  "savedViews.delete": "ಅಳಿಸಿ",
+  "savedViews.setDefault": "ಲಾಗಿನ್ ಆದಾಗ ತೆರೆಯಿರಿ",
+  "savedViews.clearDefault": "ಲಾಗಿನ್ ಆದಾಗ ತೆರೆಯಬೇಡಿ",
+  "savedViews.saveError": "ವೀಕ್ಷಣೆ ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "savedViews.deleteError":
+    "ವೀಕ್ಷಣೆ ಅಳಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "savedViews.shareError":
+    "ವೀಕ್ಷಣೆ ಹಂಚಿಕೊಳ್ಳುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "savedViews.defaultError":
+    "ನಿಮ್ಮ ಡೀಫಾಲ್ಟ್ ವೀಕ್ಷಣೆ ಬದಲಿಸುವಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+};
@@ -0,0 +1,81 @@
+import { notificationKindFor, renderNotification } from "./templates.js";
+
+export const CHANNELS = ["email", "sms"];
+
+export const DEFAULT_PREFERENCES = { email_enabled: true, sms_enabled: false };
+
+const RECIPIENT_FIELDS = { email: "email", sms: "phone" };
+
+// Turns complaint events into customer notifications. The backend-specific
+// parts are passed in:
+//
+//   provider: see providers.js
+//   loadContext(event): Promise<{ complaint, customer, preferences }>
+//   recordDelivery(row): Promise, stores one notification_deliveries row
+//   sentChannels(event): optional Promise<string[]>, the channels already
+//     sent for `event`, for backends that retry events
+//   appUrl: base URL for links back to the request
+export const createNotifier = ({
+  provider,
+  loadContext,
+  recordDelivery,
+  sentChannels = async () => [],
+  appUrl = "",
+}) => {
+  // Sends every enabled channel for `event` and records each attempt. A
+  // failed send is logged as such rather than thrown, so one bad phone
+  // number does not hold up the rest. Channels that went out on an earlier
+  // attempt at the same event are not sent again.
+  const handleEvent = async (event) => {
+    const { complaint, customer, preferences } = await loadContext(event);
+    if (!complaint || !customer) return [];
+
+    const kind = notificationKindFor(event, complaint.user_id);
+    if (!kind) return [];
+
+    const settings = { ...DEFAULT_PREFERENCES, ...preferences };
+    const context = {
+      kind,
+      event,
+      complaint,
+      customer,
+      link: `${appUrl}/requests/${complaint.id}`,
+    };
+
+    const alreadySent = await sentChannels(event);
+    const deliveries = [];
+    for (const channel of CHANNELS) {
+      const to = customer[RECIPIENT_FIELDS[channel]];
+      if (!settings[`${channel}_enabled`] || !to) continue;
+      if (alreadySent.includes(channel)) continue;
+
+      const message = renderNotification(channel, context);
+      const delivery = {
+        event_id: event.id,
+        complaint_id: complaint.id,
+        user_id: complaint.user_id,
+        kind,
+        channel,
+        recipient: to,
+        subject: message.subject || null,
+        body: message.body,
+        provider: provider.name,
+        status: "sent",
+        error: null,
+      };
+
+      try {
+        await provider.send({ channel, to, ...message });
+      } catch (error) {
+        delivery.status = "failed";
+        delivery.error = error.message;
+      }
+
+      await recordDelivery(delivery);
+      deliveries.push(delivery);
+    }
+    return deliveries;
+  };
+
+  return { handleEvent };
+};
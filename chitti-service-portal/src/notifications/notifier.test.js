@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { createNotifier } from "./notifier";
+
+const complaint = {
+  id: "complaint-1",
+  user_id: "customer-1",
+  bicycle_model: "Hero Sprint",
+  status: "pending",
+};
+const customer = {
+  name: "Asha",
+  email: "asha@example.com",
+  phone: "+91 98450 12345",
+};
+const event = {
+  id: "event-1",
+  complaint_id: complaint.id,
+  event_type: "created",
+};
+
+// An SMS gateway that is down for the first attempt only.
+const createFlakyNotifier = () => {
+  const sent = [];
+  const deliveries = [];
+  let smsDown = true;
+  const notifier = createNotifier({
+    provider: {
+      name: "test",
+      async send({ channel, to }) {
+        if (channel === "sms" && smsDown) throw new Error("SMS gateway down");
+        sent.push({ channel, to });
+      },
+    },
+    loadContext: async () => ({
+      complaint,
+      customer,
+      preferences: { email_enabled: true, sms_enabled: true },
+    }),
+    recordDelivery: async (delivery) => deliveries.push(delivery),
+    sentChannels: async ({ id }) =>
+      deliveries
+        .filter((d) => d.event_id === id && d.status === "sent")
+        .map((d) => d.channel),
+  });
+  return { notifier, sent, restoreSms: () => (smsDown = false) };
+};
+
+describe("notifier", () => {
+  it("only sends the channels that failed when an event is retried", async () => {
+    const { notifier, sent, restoreSms } = createFlakyNotifier();
+
+    await notifier.handleEvent(event);
+    restoreSms();
+    const retried = await notifier.handleEvent(event);
+
+    expect(retried.map((d) => d.channel)).toEqual(["sms"]);
+    expect(sent.map((s) => s.channel)).toEqual(["email", "sms"]);
+  });
+});
@@ -0,0 +1,19 @@
+// A provider delivers one rendered message:
+//
+//   provider.name: string written to the delivery log
+//   provider.send({ channel, to, subject, body }): Promise, rejects on failure
+//
+// Real email/SMS gateways implement the same two members. The console
+// provider below is the development default; the Node worker also has a
+// file provider (scripts/notification-providers.js).
+
+export const createConsoleProvider = (logger = console) => ({
+  name: "console",
+  async send({ channel, to, subject, body }) {
+    logger.info(
+      [`[notification:${channel}] to ${to}`, subject, body]
+        .filter(Boolean)
+        .join("\n"),
+    );
+  },
+});
@@ -0,0 +1,124 @@
+// Imports in src/notifications carry explicit extensions because the
+// Node notification worker loads these modules directly.
+import { DEFAULT_LANGUAGE, getLocale, translate } from "../i18n/index.js";
+import { getStatusLabel } from "../services/complaintStatus.js";
+import { formatMoney } from "../services/quotes.js";
+
+// What a complaint event means to the customer. Events that are not listed
+// (internal notes, assignments, escalations...) are never sent.
+export const NOTIFICATION_KINDS = {
+  created: "Request received",
+  status_changed: "Status update",
+  completed: "Request completed",
+  note_added: "New note from the workshop",
+  quote_ready: "Quote ready for approval",
+  payment_received: "Payment receipt",
+  refund_issued: "Refund issued",
+};
+
+// For the staff delivery log, in the user's language unless another one is
+// given; the messages themselves are sent in English.
+export const getNotificationKindLabel = (
+  kind,
+  language = getLocale().language,
+) =>
+  translate(language, `notificationKind.${kind}`, {
+    defaultValue: NOTIFICATION_KINDS[kind] || kind,
+  });
+
+// `customerId` tells the customer's own replies apart from staff notes.
+export const notificationKindFor = (event, customerId) => {
+  switch (event.event_type) {
+    case "created":
+      return "created";
+    case "status_changed":
+      return event.new_value === "completed" ? "completed" : "status_changed";
+    case "message_added":
+      return event.actor_id !== customerId ? "note_added" : null;
+    case "quote_sent":
+      return "quote_ready";
+    case "payment_received":
+    case "refund_issued":
+      return event.event_type;
+    default:
+      return null;
+  }
+};
+
+const shortId = (complaint) => complaint.id.slice(0, 8);
+
+// The messages are written in English, so the names and amounts in them are
+// too.
+const statusName = (status) => getStatusLabel(status, DEFAULT_LANGUAGE);
+const money = (amount) => formatMoney(amount, { language: DEFAULT_LANGUAGE });
+
+const SUBJECTS = {
+  created: ({ complaint }) =>
+    `We received your service request #${shortId(complaint)}`,
+  status_changed: ({ complaint, event }) =>
+    `Request #${shortId(complaint)} is now ${statusName(event.new_value)}`,
+  completed: ({ complaint }) => `Request #${shortId(complaint)} is complete`,
+  note_added: ({ complaint }) => `New note on request #${shortId(complaint)}`,
+  quote_ready: ({ complaint }) =>
+    `Your quote for request #${shortId(complaint)} is ready`,
+  payment_received: ({ complaint }) =>
+    `Payment received for request #${shortId(complaint)}`,
+  refund_issued: ({ complaint }) =>
+    `Refund issued for request #${shortId(complaint)}`,
+};
+
+const LINES = {
+  created: ({ complaint }) => [
+    `Thanks for reporting the ${complaint.issue_type} issue on your ${complaint.bicycle_model}.`,
+    "We'll be in touch as soon as a technician has looked at it.",
+  ],
+  status_changed: ({ event }) => [
+    `Your request moved from ${statusName(event.old_value)} to ${statusName(event.new_value)}.`,
+  ],
+  completed: ({ complaint }) => [
+    `The work on your ${complaint.bicycle_model} is finished and it is ready for collection.`,
+  ],
+  note_added: ({ event }) => [`The workshop wrote: "${event.new_value}"`],
+  quote_ready: ({ complaint, event }) => [
+    `The work on your ${complaint.bicycle_model} comes to ${money(event.new_value)} including tax.`,
+    "Please approve or decline the quote so we can get started.",
+  ],
+  payment_received: ({ event }) => [
+    `We received your payment of ${money(event.new_value)}. Thank you!`,
+  ],
+  refund_issued: ({ event }) => [
+    `We have refunded ${money(event.new_value)} to you.`,
+    "It can take a few working days to show up in your account.",
+  ],
+};
+
+const SMS_LIMIT = 160;
+
+// context: { kind, event, complaint, customer, link }
+// Returns { subject, body } for email and { body } for SMS.
+export const renderNotification = (channel, context) => {
+  const subject = SUBJECTS[context.kind](context);
+  const lines = LINES[context.kind](context);
+
+  if (channel === "sms") {
+    const text = `${subject}. ${lines.join(" ")}`;
+    const suffix = ` ${context.link}`;
+    const room = SMS_LIMIT - suffix.length;
+    const trimmed =
+      text.length > room ? `${text.slice(0, room - 1).trimEnd()}…` : text;
+    return { body: `${trimmed}${suffix}` };
+  }
+
+  return {
+    subject,
+    body: [
+      `Hi ${context.customer.name || "there"},`,
+      "",
+      ...lines,
+      "",
+      `View your request: ${context.link}`,
+      "",
+      "EV Bicycle Service",
+    ].join("\n"),
+  };
+};
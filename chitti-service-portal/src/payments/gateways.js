@@ -0,0 +1,131 @@
+// A gateway takes the customer through paying one pending payment and
+// reports the outcome later by webhook:
+//
+//   gateway.name: string stored on the payment
+//   gateway.createCheckout({ paymentId, amount, currency, description,
+//     returnUrl }): Promise<{ checkoutUrl }>, where to send the customer
+//   gateway.parseWebhook({ body, headers }): Promise<{ paymentId, status,
+//     gatewayReference, error }>, rejects when the signature does not match;
+//     status is "succeeded" or "failed"
+//
+// Real providers implement the same three members. The mock gateway below
+// is the development default: its checkout page is part of this app
+// (/mock-gateway/checkout) and sends the webhooks itself. Modules in
+// src/payments are also loaded by the Node webhook server, hence the
+// explicit extensions.
+
+export const MOCK_CHECKOUT_PATH = "/mock-gateway/checkout";
+
+export const MOCK_SIGNATURE_HEADER = "x-mock-signature";
+
+// Only for local development; set MOCK_GATEWAY_SECRET and
+// VITE_MOCK_GATEWAY_SECRET to the same value anywhere else. Either way the
+// secret ends up in the app bundle, which is why the webhook server only
+// accepts mock webhooks when MOCK_GATEWAY_ENABLED is set.
+const DEV_SECRET = "mock-gateway-dev-secret";
+
+const toHex = (buffer) =>
+  [...new Uint8Array(buffer)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+
+const sign = async (secret, body) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  return toHex(await crypto.subtle.sign("HMAC", key, encoder.encode(body)));
+};
+
+// Compares every character, so the time taken says nothing about how much
+// of a forged signature was right.
+const sameSignature = (expected, actual) => {
+  if (typeof actual !== "string" || actual.length !== expected.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < expected.length; i += 1) {
+    difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+export const createMockGateway = ({ secret = DEV_SECRET } = {}) => ({
+  name: "mock",
+
+  async createCheckout({
+    paymentId,
+    amount,
+    currency,
+    description,
+    returnUrl,
+  }) {
+    const params = new URLSearchParams({
+      payment: paymentId,
+      amount: String(amount),
+      currency,
+      description,
+      return: returnUrl,
+    });
+    return { checkoutUrl: `${MOCK_CHECKOUT_PATH}?${params}` };
+  },
+
+  // What the provider would POST to the webhook URL. `outcome` is
+  // "succeeded" or "failed"; `error` explains a failure.
+  async createWebhook({ paymentId, outcome, error = null }) {
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomUUID()}`,
+      type: outcome === "succeeded" ? "payment.succeeded" : "payment.failed",
+      data: {
+        reference: paymentId,
+        charge_id: `ch_mock_${crypto.randomUUID().replaceAll("-", "").slice(0, 16)}`,
+        failure_reason: outcome === "succeeded" ? null : error,
+      },
+    });
+    return {
+      body,
+      headers: {
+        "content-type": "application/json",
+        [MOCK_SIGNATURE_HEADER]: await sign(secret, body),
+      },
+    };
+  },
+
+  async parseWebhook({ body, headers }) {
+    const signature = headers[MOCK_SIGNATURE_HEADER];
+    if (!sameSignature(await sign(secret, body), signature)) {
+      throw new Error("Invalid webhook signature");
+    }
+
+    const { type, data } = JSON.parse(body);
+    return {
+      paymentId: data.reference,
+      status: type === "payment.succeeded" ? "succeeded" : "failed",
+      gatewayReference: data.charge_id,
+      error: data.failure_reason,
+    };
+  },
+});
+
+// Picks a gateway by name (VITE_PAYMENT_GATEWAY in the app, the webhook
+// URL path on the server). Add real providers here.
+export const createPaymentGateway = (name = "mock", options = {}) => {
+  switch (name) {
+    case "mock":
+      return createMockGateway(options);
+    default:
+      throw new Error(`Unknown payment gateway: ${name}`);
+  }
+};
+
+// Verifies a webhook and hands the result to `applyResult`, which settles
+// the payment if it is still pending and returns whether it did. Gateways
+// retry deliveries, so the same webhook may arrive more than once.
+export const handleWebhook = async (gateway, request, applyResult) => {
+  const result = await gateway.parseWebhook(request);
+  return { ...result, applied: await applyResult(result) };
+};
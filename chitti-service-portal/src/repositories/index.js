@@ -0,0 +1,113 @@
+import { isSupabaseConfigured } from "../supabaseClient";
+import { memoryAppointmentsRepository } from "./memory/appointments";
+import { memoryAttachmentsRepository } from "./memory/attachments";
+import { memoryBikesRepository } from "./memory/bikes";
+import { memoryBulkActionsRepository } from "./memory/bulkActions";
+import { memoryComplaintsRepository } from "./memory/complaints";
+import { startDemoEscalation } from "./memory/escalation";
+import { memoryInboxRepository } from "./memory/inbox";
+import {
+  memoryNotificationsRepository,
+  startDemoNotifier,
+} from "./memory/notifications";
+import { memoryPaymentsRepository } from "./memory/payments";
+import { memoryQuotesRepository } from "./memory/quotes";
+import { memoryRatingsRepository } from "./memory/ratings";
+import { memorySavedViewsRepository } from "./memory/savedViews";
+import { memorySlaRepository } from "./memory/sla";
+import { memoryTechniciansRepository } from "./memory/technicians";
+import { memoryUsersRepository } from "./memory/users";
+import { supabaseAppointmentsRepository } from "./supabase/appointments";
+import { supabaseAttachmentsRepository } from "./supabase/attachments";
+import { supabaseBikesRepository } from "./supabase/bikes";
+import { supabaseBulkActionsRepository } from "./supabase/bulkActions";
+import { supabaseComplaintsRepository } from "./supabase/complaints";
+import { supabaseInboxRepository } from "./supabase/inbox";
+import { supabaseNotificationsRepository } from "./supabase/notifications";
+import { supabasePaymentsRepository } from "./supabase/payments";
+import { supabaseQuotesRepository } from "./supabase/quotes";
+import { supabaseRatingsRepository } from "./supabase/ratings";
+import { supabaseSavedViewsRepository } from "./supabase/savedViews";
+import { supabaseSlaRepository } from "./supabase/sla";
+import { supabaseTechniciansRepository } from "./supabase/technicians";
+import { supabaseUsersRepository } from "./supabase/users";
+
+// Components read and write users, complaints, attachments, technicians and
+// their work logs, appointments, SLA targets, bulk actions, bikes,
+// notification settings, the in-app inbox, parts, quotes, payments, ratings
+// and saved views through these repositories. VITE_DATA_BACKEND picks the
+// implementation ("supabase" or "memory"); when it is unset, Supabase is used
+// if it is configured and the seeded in-memory demo backend otherwise.
+
+const backend =
+  import.meta.env.VITE_DATA_BACKEND ||
+  (isSupabaseConfigured ? "supabase" : "memory");
+
+if (backend === "supabase" && !isSupabaseConfigured) {
+  throw new Error(
+    "VITE_DATA_BACKEND=supabase needs VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to be set.",
+  );
+}
+
+export const isDemoBackend = backend === "memory";
+
+export const usersRepository = isDemoBackend
+  ? memoryUsersRepository
+  : supabaseUsersRepository;
+
+export const complaintsRepository = isDemoBackend
+  ? memoryComplaintsRepository
+  : supabaseComplaintsRepository;
+
+export const attachmentsRepository = isDemoBackend
+  ? memoryAttachmentsRepository
+  : supabaseAttachmentsRepository;
+
+export const techniciansRepository = isDemoBackend
+  ? memoryTechniciansRepository
+  : supabaseTechniciansRepository;
+
+export const appointmentsRepository = isDemoBackend
+  ? memoryAppointmentsRepository
+  : supabaseAppointmentsRepository;
+
+export const slaRepository = isDemoBackend
+  ? memorySlaRepository
+  : supabaseSlaRepository;
+
+export const bulkActionsRepository = isDemoBackend
+  ? memoryBulkActionsRepository
+  : supabaseBulkActionsRepository;
+
+export const bikesRepository = isDemoBackend
+  ? memoryBikesRepository
+  : supabaseBikesRepository;
+
+export const notificationsRepository = isDemoBackend
+  ? memoryNotificationsRepository
+  : supabaseNotificationsRepository;
+
+export const inboxRepository = isDemoBackend
+  ? memoryInboxRepository
+  : supabaseInboxRepository;
+
+export const quotesRepository = isDemoBackend
+  ? memoryQuotesRepository
+  : supabaseQuotesRepository;
+
+export const paymentsRepository = isDemoBackend
+  ? memoryPaymentsRepository
+  : supabasePaymentsRepository;
+
+export const ratingsRepository = isDemoBackend
+  ? memoryRatingsRepository
+  : supabaseRatingsRepository;
+
+export const savedViewsRepository = isDemoBackend
+  ? memorySavedViewsRepository
+  : supabaseSavedViewsRepository;
+
+if (isDemoBackend && typeof window !== "undefined") {
+  startDemoNotifier();
+  startDemoEscalation();
+}
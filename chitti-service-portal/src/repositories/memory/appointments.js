@@ -0,0 +1,147 @@
+import { addDays, getDaySlots, startOfDay } from "../../services/appointments";
+import { isTerminal } from "../../services/complaintStatus";
+import { deleteRow, findRow, insertRow, selectRows, updateRow } from "./db";
+import { currentUserId } from "./users";
+
+// Same rules as book_appointment() in the appointments migration. The
+// workshop_settings row has id 1 and workshop_hours rows use the weekday as
+// their id; times are the browser's local time.
+
+const isCompanyUser = () =>
+  findRow("users", currentUserId())?.role === "company";
+
+const workshopConfig = () => ({
+  settings: findRow("workshop_settings", 1),
+  hours: [...selectRows("workshop_hours")].sort(
+    (a, b) => a.weekday - b.weekday,
+  ),
+});
+
+const countSlots = (from, to, exceptComplaintId) => {
+  const counts = {};
+  for (const appointment of selectRows("appointments")) {
+    const start = new Date(appointment.slot_start);
+    if (
+      start < from ||
+      start >= to ||
+      appointment.complaint_id === exceptComplaintId
+    ) {
+      continue;
+    }
+    counts[start.getTime()] = (counts[start.getTime()] || 0) + 1;
+  }
+  return counts;
+};
+
+export const memoryAppointmentsRepository = {
+  async getWorkshopConfig() {
+    return workshopConfig();
+  },
+
+  async saveWorkshopConfig({ settings, hours }) {
+    if (!isCompanyUser()) {
+      throw new Error("Only company users can change the workshop hours.");
+    }
+
+    updateRow("workshop_settings", 1, {
+      daily_capacity: settings.daily_capacity,
+      slot_capacity: settings.slot_capacity,
+      slot_minutes: settings.slot_minutes,
+      updated_at: new Date().toISOString(),
+    });
+    for (const day of hours) {
+      updateRow("workshop_hours", day.weekday, {
+        is_open: day.is_open,
+        opens_at: day.opens_at,
+        closes_at: day.closes_at,
+      });
+    }
+  },
+
+  async getSlotCounts(from, to) {
+    return countSlots(from, to);
+  },
+
+  async listBetween(from, to) {
+    return selectRows("appointments")
+      .filter((a) => {
+        const start = new Date(a.slot_start);
+        return start >= from && start < to;
+      })
+      .sort((a, b) => a.slot_start.localeCompare(b.slot_start))
+      .map((appointment) => {
+        const complaint = findRow("complaints", appointment.complaint_id);
+        const customer = complaint && findRow("users", complaint.user_id);
+        return {
+          ...appointment,
+          complaint: complaint && {
+            id: complaint.id,
+            bicycle_model: complaint.bicycle_model,
+            issue_type: complaint.issue_type,
+            priority: complaint.priority,
+            status: complaint.status,
+            users: customer && { name: customer.name, phone: customer.phone },
+          },
+        };
+      });
+  },
+
+  async book(complaintId, slotStart) {
+    const complaint = findRow("complaints", complaintId);
+    if (!complaint) throw new Error("Service request not found");
+    if (complaint.user_id !== currentUserId() && !isCompanyUser()) {
+      throw new Error("Not allowed to book for this request");
+    }
+    if (isTerminal(complaint.status)) {
+      throw new Error("This request is closed");
+    }
+    if (slotStart <= new Date()) throw new Error("Please pick a future time");
+
+    const config = workshopConfig();
+    const day = startOfDay(slotStart);
+    const slots = getDaySlots(
+      day,
+      config,
+      countSlots(day, addDays(day, 1), complaintId),
+    );
+    const slot = slots.find((s) => s.start.getTime() === slotStart.getTime());
+    if (!slot) {
+      throw new Error("The workshop is not taking drop-offs at that time");
+    }
+
+    const dayBooked = slots.reduce((sum, s) => sum + s.booked, 0);
+    if (dayBooked >= config.settings.daily_capacity) {
+      throw new Error("The workshop is fully booked on that day");
+    }
+    if (slot.booked >= config.settings.slot_capacity) {
+      throw new Error("That slot has just been taken, please pick another");
+    }
+
+    const values = {
+      slot_start: slotStart.toISOString(),
+      slot_end: new Date(
+        slotStart.getTime() + config.settings.slot_minutes * 60 * 1000,
+      ).toISOString(),
+      created_at: new Date().toISOString(),
+    };
+    const existing = selectRows("appointments").find(
+      (a) => a.complaint_id === complaintId,
+    );
+    if (existing) return updateRow("appointments", existing.id, values);
+
+    return insertRow("appointments", {
+      complaint_id: complaintId,
+      customer_id: complaint.user_id,
+      ...values,
+    });
+  },
+
+  async cancel(appointmentId) {
+    const appointment = findRow("appointments", appointmentId);
+    if (!appointment) return;
+    if (appointment.customer_id !== currentUserId() && !isCompanyUser()) {
+      throw new Error("Not allowed to cancel this appointment");
+    }
+    deleteRow("appointments", appointmentId);
+  },
+};
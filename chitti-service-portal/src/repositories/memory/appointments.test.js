@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { addDays, startOfDay } from "../../services/appointments";
+import { resetDemoData } from "./db";
+import { memoryAppointmentsRepository as appointments } from "./appointments";
+import { memoryComplaintsRepository as complaints } from "./complaints";
+import { memoryUsersRepository as users } from "./users";
+import { DEMO_PASSWORD } from "./seed";
+
+// The next Monday, which the seeded workshop hours open 09:00-18:00.
+const nextMonday = () => {
+  const today = startOfDay(new Date());
+  return addDays(today, (8 - today.getDay()) % 7 || 7);
+};
+
+const at = (day, hours, minutes = 0) => {
+  const slot = new Date(day);
+  slot.setHours(hours, minutes);
+  return slot;
+};
+
+const newRequest = () =>
+  complaints.create({
+    user_id: "demo-customer",
+    bicycle_model: "EV-City 2024",
+    issue_type: "motor",
+    description: "Motor cuts out uphill.",
+    priority: "medium",
+  });
+
+describe("memory appointments repository", () => {
+  beforeEach(async () => {
+    resetDemoData();
+    await users.signIn({
+      email: "customer@example.com",
+      password: DEMO_PASSWORD,
+    });
+  });
+
+  it("books an open slot and counts it", async () => {
+    const monday = nextMonday();
+    const slot = at(monday, 10, 30);
+    await appointments.book("demo-complaint-1", slot);
+
+    const counts = await appointments.getSlotCounts(monday, addDays(monday, 1));
+    expect(counts).toEqual({ [slot.getTime()]: 1 });
+    expect(
+      (await complaints.getById("demo-complaint-1")).appointment.slot_start,
+    ).toBe(slot.toISOString());
+  });
+
+  it("moves an existing booking instead of adding one", async () => {
+    const monday = nextMonday();
+    await appointments.book("demo-complaint-1", at(monday, 10));
+    await appointments.book("demo-complaint-1", at(monday, 11));
+
+    const booked = await appointments.listBetween(monday, addDays(monday, 1));
+    expect(booked).toHaveLength(1);
+    expect(booked[0].complaint.users.name).toBe("Asha Rao");
+  });
+
+  it("refuses closed days, off-grid times and closed requests", async () => {
+    const monday = nextMonday();
+    await expect(
+      appointments.book("demo-complaint-1", at(addDays(monday, 6), 10)),
+    ).rejects.toThrow("not taking drop-offs");
+    await expect(
+      appointments.book("demo-complaint-1", at(monday, 10, 10)),
+    ).rejects.toThrow("not taking drop-offs");
+    await expect(
+      appointments.book("demo-complaint-3", at(monday, 10)),
+    ).rejects.toThrow("closed");
+  });
+
+  it("keeps to the slot capacity", async () => {
+    const slot = at(nextMonday(), 9);
+    await appointments.book("demo-complaint-1", slot);
+    await appointments.book("demo-complaint-2", slot);
+    const third = await newRequest();
+
+    await expect(appointments.book(third.id, slot)).rejects.toThrow(
+      "just been taken",
+    );
+  });
+});
@@ -0,0 +1,58 @@
+import {
+  browserFileStorage,
+  isLocalFileStorage,
+  localFileStorage,
+} from "../../services/attachmentStorage";
+import { findRow, insertRow, selectRows } from "./db";
+import { currentUserId } from "./users";
+
+// Files go to the dev server's local uploads when VITE_ATTACHMENT_STORAGE is
+// "local", and to IndexedDB otherwise.
+
+const storage = isLocalFileStorage ? localFileStorage : browserFileStorage;
+
+export const memoryAttachmentsRepository = {
+  async list(complaintIds) {
+    const rows = selectRows("complaint_attachments")
+      .filter((row) => complaintIds.includes(row.complaint_id))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    const urls = await storage.getUrls(rows.map((row) => row.storage_path));
+    return rows.map((row) => ({ ...row, url: urls[row.storage_path] }));
+  },
+
+  async add({ complaintId, uploaderId, files }) {
+    const complaint = findRow("complaints", complaintId);
+    if (
+      !complaint ||
+      uploaderId !== currentUserId() ||
+      complaint.user_id !== uploaderId
+    ) {
+      throw new Error("Files can only be attached to your own requests.");
+    }
+
+    const uploaded = [];
+    try {
+      for (const { path, file } of files) {
+        await storage.upload(path, file);
+        uploaded.push({ path, file });
+      }
+    } catch (error) {
+      await Promise.all(
+        uploaded.map(({ path }) => storage.remove(path).catch(() => {})),
+      );
+      throw error;
+    }
+
+    uploaded.forEach(({ path, file }) =>
+      insertRow("complaint_attachments", {
+        complaint_id: complaintId,
+        uploader_id: uploaderId,
+        storage_path: path,
+        file_name: file.name,
+        mime_type: file.type,
+        size_bytes: file.size,
+      }),
+    );
+  },
+};
@@ -0,0 +1,69 @@
+import { findRow, insertRow, selectRows, updateRow } from "./db";
+
+const byCreatedAt = (a, b) => a.created_at.localeCompare(b.created_at);
+
+const withModel = (bike) => {
+  const model = findRow("bike_models", bike.model_id);
+  return { ...bike, model: model ? { id: model.id, name: model.name } : null };
+};
+
+export const memoryBikesRepository = {
+  async listModels({ activeOnly = true } = {}) {
+    return selectRows("bike_models")
+      .filter((model) => !activeOnly || model.active)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  async createModel({ name, warrantyMonths }) {
+    insertRow("bike_models", {
+      name: name.trim(),
+      warranty_months: warrantyMonths,
+      active: true,
+    });
+  },
+
+  async setModelActive(modelId, active) {
+    updateRow("bike_models", modelId, { active });
+  },
+
+  async listByOwner(ownerId) {
+    return selectRows("bikes")
+      .filter((bike) => bike.owner_id === ownerId)
+      .sort(byCreatedAt)
+      .map(withModel);
+  },
+
+  async register({
+    ownerId,
+    modelId,
+    serialNumber,
+    purchaseDate,
+    warrantyEndDate,
+  }) {
+    const serial = serialNumber.trim().toUpperCase();
+    if (selectRows("bikes").some((bike) => bike.serial_number === serial)) {
+      throw new Error("A bike with this serial number is already registered.");
+    }
+
+    insertRow("bikes", {
+      owner_id: ownerId,
+      model_id: modelId,
+      serial_number: serial,
+      purchase_date: purchaseDate,
+      warranty_end_date: warrantyEndDate,
+    });
+  },
+
+  async listHistory(bikeId, excludeComplaintId) {
+    return selectRows("complaints")
+      .filter((c) => c.bike_id === bikeId && c.id !== excludeComplaintId)
+      .sort((a, b) => byCreatedAt(b, a))
+      .map(({ id, issue_type, status, priority, created_at }) => ({
+        id,
+        issue_type,
+        status,
+        priority,
+        created_at,
+      }));
+  },
+};
@@ -0,0 +1,234 @@
+import { PRIORITIES } from "../../services/complaints";
+import { MESSAGE_VISIBILITY } from "../../services/complaintMessages";
+import { STATUSES, requiresReason } from "../../services/complaintStatus";
+import {
+  deleteRow,
+  findRow,
+  insertRow,
+  selectRows,
+  timestamp,
+  updateRow,
+} from "./db";
+import {
+  memoryComplaintsRepository,
+  recordEvent,
+  updateComplaint,
+} from "./complaints";
+import { assignTechnician } from "./technicians";
+import { currentUserId } from "./users";
+
+// Same rules as apply_bulk_action() and undo_bulk_action() in the
+// bulk_actions migration: every row is tried on its own and reports its
+// own outcome.
+
+const assertCompanyUser = () => {
+  if (findRow("users", currentUserId())?.role !== "company") {
+    throw new Error("Only company users can apply bulk actions.");
+  }
+};
+
+const assertValue = ({ action, value, reason }) => {
+  switch (action) {
+    case "status":
+      if (!STATUSES.includes(value)) throw new Error(`Unknown status ${value}`);
+      if (requiresReason(value) && !reason?.trim()) {
+        throw new Error("A cancellation reason is required.");
+      }
+      break;
+    case "priority":
+      if (!PRIORITIES.includes(value)) {
+        throw new Error(`Unknown priority ${value}`);
+      }
+      break;
+    case "note":
+      if (!value?.trim()) throw new Error("The note is empty.");
+      break;
+    case "assign":
+      break;
+    default:
+      throw new Error(`Unknown bulk action ${action}`);
+  }
+};
+
+const setPriority = (complaint, priority) => {
+  updateComplaint(complaint.id, { priority, updated_at: timestamp() });
+  recordEvent(complaint.id, currentUserId(), "priority_changed", {
+    old_value: complaint.priority,
+    new_value: priority,
+  });
+};
+
+// Returns what undo needs to restore the row.
+const applyToRow = async (complaint, { action, value, reason }) => {
+  switch (action) {
+    case "status":
+      if (complaint.status === value) throw new Error(`Already ${value}`);
+      await memoryComplaintsRepository.updateStatus(complaint, value, reason);
+      return {
+        status: complaint.status,
+        cancellation_reason: complaint.cancellation_reason,
+        resolved_at: complaint.resolved_at,
+      };
+    case "priority":
+      if (complaint.priority === value) {
+        throw new Error(`Already ${value} priority`);
+      }
+      setPriority(complaint, value);
+      return { priority: complaint.priority };
+    case "assign":
+      if (
+        complaint.status === "completed" ||
+        complaint.status === "cancelled"
+      ) {
+        throw new Error("The request is closed");
+      }
+      assignTechnician(complaint, value || null);
+      return { assigned_to: complaint.assigned_to };
+    default: {
+      const message = insertRow("complaint_messages", {
+        complaint_id: complaint.id,
+        author_id: currentUserId(),
+        body: value.trim(),
+        visibility: MESSAGE_VISIBILITY.INTERNAL,
+      });
+      recordEvent(complaint.id, currentUserId(), "note_added", {
+        new_value: message.body,
+      });
+      return { message_id: message.id };
+    }
+  }
+};
+
+const undoRow = (bulkAction, complaint, previous) => {
+  switch (bulkAction.action) {
+    case "status": {
+      if (complaint.status !== bulkAction.value) {
+        throw new Error("The status has changed since");
+      }
+      const invoice = selectRows("invoices").find(
+        (i) =>
+          i.complaint_id === complaint.id &&
+          i.created_at >= bulkAction.created_at,
+      );
+      if (invoice) {
+        if (selectRows("payments").some((p) => p.invoice_id === invoice.id)) {
+          throw new Error("The invoice has payments");
+        }
+        deleteRow("invoices", invoice.id);
+      }
+      updateComplaint(complaint.id, {
+        ...previous,
+        updated_at: timestamp(),
+      });
+      recordEvent(complaint.id, currentUserId(), "status_changed", {
+        old_value: complaint.status,
+        new_value: previous.status,
+      });
+      break;
+    }
+    case "priority":
+      if (complaint.priority !== bulkAction.value) {
+        throw new Error("The priority has changed since");
+      }
+      setPriority(complaint, previous.priority);
+      break;
+    case "assign":
+      if (complaint.assigned_to !== (bulkAction.value || null)) {
+        throw new Error("The technician has changed since");
+      }
+      assignTechnician(complaint, previous.assigned_to);
+      break;
+    default: {
+      // The note_added event stays in the activity log next to this one.
+      const message = findRow("complaint_messages", previous.message_id);
+      if (!message) throw new Error("The note has already been removed");
+      deleteRow("complaint_messages", message.id);
+      recordEvent(complaint.id, currentUserId(), "note_removed", {
+        old_value: message.body,
+      });
+    }
+  }
+};
+
+export const memoryBulkActionsRepository = {
+  async apply(complaintIds, { action, value = null, reason = null }) {
+    assertCompanyUser();
+    if (complaintIds.length === 0) {
+      throw new Error("Select at least one request.");
+    }
+    assertValue({ action, value, reason });
+
+    const bulkAction = insertRow("bulk_actions", {
+      actor_id: currentUserId(),
+      action,
+      value,
+      reason: reason?.trim() || null,
+      undone_at: null,
+    });
+
+    const results = [];
+    for (const complaintId of new Set(complaintIds)) {
+      try {
+        const complaint = findRow("complaints", complaintId);
+        if (!complaint) throw new Error("Request not found");
+        const previous = await applyToRow(complaint, { action, value, reason });
+        insertRow("bulk_action_items", {
+          bulk_action_id: bulkAction.id,
+          complaint_id: complaintId,
+          ok: true,
+          error: null,
+          previous,
+        });
+        results.push({ complaint_id: complaintId, ok: true });
+      } catch (error) {
+        insertRow("bulk_action_items", {
+          bulk_action_id: bulkAction.id,
+          complaint_id: complaintId,
+          ok: false,
+          error: error.message,
+          previous: null,
+        });
+        results.push({
+          complaint_id: complaintId,
+          ok: false,
+          error: error.message,
+        });
+      }
+    }
+    return { id: bulkAction.id, results };
+  },
+
+  async undo(bulkActionId) {
+    // Rows are kept in insertion order, which breaks created_at ties.
+    const latest = selectRows("bulk_actions")
+      .filter((b) => b.actor_id === currentUserId())
+      .at(-1);
+    if (!latest || latest.id !== bulkActionId) {
+      throw new Error("Only your last bulk action can be undone.");
+    }
+    if (latest.undone_at) {
+      throw new Error("This bulk action has already been undone.");
+    }
+
+    const items = selectRows("bulk_action_items").filter(
+      (item) => item.bulk_action_id === latest.id && item.ok,
+    );
+    const results = items.map((item) => {
+      try {
+        const complaint = findRow("complaints", item.complaint_id);
+        if (!complaint) throw new Error("Request not found");
+        undoRow(latest, complaint, item.previous);
+        return { complaint_id: item.complaint_id, ok: true };
+      } catch (error) {
+        return {
+          complaint_id: item.complaint_id,
+          ok: false,
+          error: error.message,
+        };
+      }
+    });
+
+    updateRow("bulk_actions", latest.id, { undone_at: timestamp() });
+    return { id: latest.id, results };
+  },
+};
@@ -0,0 +1,55 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { resetDemoData, selectRows } from "./db";
+import { memoryBulkActionsRepository as bulkActions } from "./bulkActions";
+import { memoryUsersRepository as users } from "./users";
+import { DEMO_PASSWORD } from "./seed";
+
+const eventsOf = (complaintId) =>
+  selectRows("complaint_events")
+    .filter((e) => e.complaint_id === complaintId)
+    .map((e) => e.event_type);
+
+describe("memory bulk actions repository", () => {
+  beforeEach(async () => {
+    resetDemoData();
+    await users.signIn({
+      email: "company@evbikes.com",
+      password: DEMO_PASSWORD,
+    });
+  });
+
+  it("reports each row on its own", async () => {
+    const { results } = await bulkActions.apply(
+      ["demo-complaint-1", "demo-complaint-3"],
+      { action: "priority", value: "low" },
+    );
+
+    expect(results).toEqual([
+      { complaint_id: "demo-complaint-1", ok: true },
+      {
+        complaint_id: "demo-complaint-3",
+        ok: false,
+        error: "Already low priority",
+      },
+    ]);
+  });
+
+  it("undoes a note without editing the activity log", async () => {
+    const { id } = await bulkActions.apply(["demo-complaint-1"], {
+      action: "note",
+      value: "Call the customer back",
+    });
+    const { results } = await bulkActions.undo(id);
+
+    expect(results).toEqual([{ complaint_id: "demo-complaint-1", ok: true }]);
+    expect(
+      selectRows("complaint_messages").some(
+        (m) => m.body === "Call the customer back",
+      ),
+    ).toBe(false);
+    expect(eventsOf("demo-complaint-1").slice(-2)).toEqual([
+      "note_added",
+      "note_removed",
+    ]);
+  });
+});
@@ -0,0 +1,478 @@
+import { assertTransition, isTerminal } from "../../services/complaintStatus";
+import {
+  DEFAULT_SORT,
+  PAGE_SIZE,
+  changedFields,
+  customerCanEdit,
+  matchesFilters,
+} from "../../services/complaints";
+import { MESSAGE_VISIBILITY } from "../../services/complaintMessages";
+import {
+  QUOTE_REQUIRED_MESSAGE,
+  isQuoteApproved,
+  needsApprovedQuote,
+} from "../../services/quotes";
+import { slaDueAt } from "../../services/sla";
+import {
+  findRow,
+  insertRow,
+  onTableChange,
+  selectRows,
+  timestamp,
+  updateRow,
+} from "./db";
+import { fanOutEvent } from "./inbox";
+import { slaTargets } from "./sla";
+import { currentUserId } from "./users";
+
+// Same shapes as the Supabase repository. The pieces the database does with
+// triggers there (events, response/resolution timestamps, SLA deadlines,
+// invoices) happen inline.
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+const SORT_VALUES = {
+  date: (c) => c.created_at,
+  priority: (c) => PRIORITY_RANK[c.priority] || 1,
+  status: (c) => c.status,
+  model: (c) => c.bicycle_model,
+  sla: (c) => c.sla_due_at,
+};
+
+const STAFF_ROLES = ["company", "technician"];
+
+const toIds = (ids) => (Array.isArray(ids) ? ids : [ids]);
+
+const pick = (row, keys) =>
+  row ? Object.fromEntries(keys.map((key) => [key, row[key]])) : null;
+
+const quoteFor = (complaintId) => {
+  const quote = selectRows("quotes").find(
+    (q) => q.complaint_id === complaintId,
+  );
+  if (!quote) return null;
+  return {
+    ...quote,
+    lines: selectRows("quote_lines")
+      .filter((line) => line.quote_id === quote.id)
+      .sort((a, b) => a.position - b.position),
+  };
+};
+
+const invoiceFor = (complaintId) => {
+  const invoice = selectRows("invoices").find(
+    (i) => i.complaint_id === complaintId,
+  );
+  if (!invoice) return null;
+  return {
+    ...invoice,
+    payments: selectRows("payments").filter((p) => p.invoice_id === invoice.id),
+  };
+};
+
+// Mirrors issue_invoice_on_completion(): the approved quote's total, or
+// nothing when there was no quote.
+const issueInvoice = (complaintId) => {
+  if (invoiceFor(complaintId)) return;
+  const quote = quoteFor(complaintId);
+  insertRow("invoices", {
+    complaint_id: complaintId,
+    amount: quote?.status === "approved" ? quote.total : 0,
+    issued_by: currentUserId(),
+  });
+};
+
+export const withRelations = (complaint) => {
+  const appointment = selectRows("appointments").find(
+    (a) => a.complaint_id === complaint.id,
+  );
+  return {
+    ...complaint,
+    users: pick(findRow("users", complaint.user_id), [
+      "name",
+      "email",
+      "phone",
+    ]),
+    bike: pick(findRow("bikes", complaint.bike_id), [
+      "id",
+      "serial_number",
+      "purchase_date",
+      "warranty_end_date",
+    ]),
+    appointment: pick(appointment, ["id", "slot_start"]),
+    quote: quoteFor(complaint.id),
+    invoice: invoiceFor(complaint.id),
+    rating:
+      selectRows("service_ratings").find(
+        (r) => r.complaint_id === complaint.id,
+      ) || null,
+  };
+};
+
+const withAuthor = (key, idColumn) => (row) => ({
+  ...row,
+  [key]: pick(findRow("users", row[idColumn]), ["name", "role"]),
+});
+
+const matchesSearch = (complaint, search) => {
+  const term = search.trim().toLowerCase();
+  if (!term) return true;
+
+  return [
+    complaint.id,
+    complaint.bicycle_model,
+    complaint.issue_type,
+    complaint.description,
+    complaint.users?.name,
+    complaint.users?.email,
+    complaint.users?.phone,
+    complaint.bike?.serial_number,
+  ].some((value) => value?.toLowerCase().includes(term));
+};
+
+// Nulls sort last in both directions, then newest first, as in
+// search_complaints().
+const compareBy = (sort) => (a, b) => {
+  const valueOf = SORT_VALUES[sort.column];
+  const left = valueOf(a);
+  const right = valueOf(b);
+
+  if (left !== right) {
+    if (left == null) return 1;
+    if (right == null) return -1;
+    const order = left < right ? -1 : 1;
+    return sort.ascending ? order : -order;
+  }
+  return b.created_at.localeCompare(a.created_at);
+};
+
+const listMatching = ({ search = "", sort = DEFAULT_SORT, ...filters }) =>
+  selectRows("complaints")
+    .filter((c) => matchesFilters(c, filters))
+    .map(withRelations)
+    .filter((c) => matchesSearch(c, search))
+    .sort(compareBy(sort));
+
+// Adds (direction 1) or takes out (-1) the catalog parts on quote lines,
+// as move_quoted_stock() does.
+export const moveQuotedStock = (lines, direction) => {
+  for (const line of lines) {
+    const part = line.part_id && findRow("parts", line.part_id);
+    if (part) {
+      updateRow("parts", part.id, {
+        stock: part.stock + direction * line.quantity,
+      });
+    }
+  }
+};
+
+// Every write to a complaint goes through here so sla_due_at follows the
+// row, as the complaints_zz_set_sla_due_at trigger does, and cancelling
+// restocks an approved quote as complaints_restock_cancelled_quote does.
+export const updateComplaint = (complaintId, changes) => {
+  const current = findRow("complaints", complaintId);
+  if (!current) return null;
+
+  const updated = updateRow("complaints", complaintId, {
+    ...changes,
+    sla_due_at: slaDueAt({ ...current, ...changes }, slaTargets()),
+  });
+
+  const cancelled = updated.status === "cancelled";
+  const quote = quoteFor(complaintId);
+  if (
+    cancelled !== (current.status === "cancelled") &&
+    isQuoteApproved(quote)
+  ) {
+    moveQuotedStock(quote.lines, cancelled ? 1 : -1);
+  }
+  return updated;
+};
+
+const insertComplaint = (values) =>
+  insertRow("complaints", {
+    ...values,
+    sla_due_at: slaDueAt(values, slaTargets()),
+  });
+
+export const recordEvent = (complaintId, actorId, eventType, values = {}) => {
+  const event = insertRow("complaint_events", {
+    complaint_id: complaintId,
+    actor_id: actorId,
+    event_type: eventType,
+    old_value: null,
+    new_value: null,
+    ...values,
+  });
+  fanOutEvent(event);
+  return event;
+};
+
+// Supabase-style "column=eq.value" filters.
+const matchesBinding = (binding, payload) => {
+  if (binding.table !== payload.table) return false;
+  if (
+    binding.event &&
+    binding.event !== "*" &&
+    binding.event !== payload.eventType
+  ) {
+    return false;
+  }
+  if (!binding.filter || payload.eventType === "DELETE") return true;
+
+  const [column, condition] = binding.filter.split("=");
+  return String(payload.new[column]) === condition.replace(/^eq\./, "");
+};
+
+export const memoryComplaintsRepository = {
+  async listByCustomer(userId) {
+    return selectRows("complaints")
+      .filter((c) => c.user_id === userId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(withRelations);
+  },
+
+  async getById(complaintId) {
+    const complaint = findRow("complaints", complaintId);
+    if (!complaint) throw new Error("Request not found.");
+    return withRelations(complaint);
+  },
+
+  async listPage({ page = 0, pageSize = PAGE_SIZE, ...filters }) {
+    const rows = listMatching(filters);
+    const from = page * pageSize;
+    return { rows: rows.slice(from, from + pageSize), total: rows.length };
+  },
+
+  async listAll(filters) {
+    return listMatching(filters);
+  },
+
+  async getStats() {
+    const complaints = selectRows("complaints");
+    const count = (status) =>
+      complaints.filter((c) => c.status === status).length;
+    const now = timestamp();
+
+    return {
+      total: complaints.length,
+      pending: count("pending"),
+      inProgress: count("in-progress"),
+      awaitingParts: count("awaiting-parts"),
+      completed: count("completed"),
+      cancelled: count("cancelled"),
+      overdue: complaints.filter(
+        (c) => c.sla_due_at && c.sla_due_at < now && !isTerminal(c.status),
+      ).length,
+    };
+  },
+
+  async listAnalytics({ start, end }) {
+    const complaints = selectRows("complaints");
+    return {
+      created: complaints.filter(
+        (c) => c.created_at >= start && c.created_at < end,
+      ),
+      open: complaints.filter((c) => !isTerminal(c.status)),
+      statusChanges: selectRows("complaint_events").filter(
+        (e) => e.event_type === "status_changed" && e.created_at >= start,
+      ),
+    };
+  },
+
+  async create(values) {
+    const now = timestamp();
+    const complaint = insertComplaint({
+      cancellation_reason: null,
+      assigned_to: null,
+      escalated_at: null,
+      first_response_at: null,
+      resolved_at: null,
+      rework_count: 0,
+      reopened_at: null,
+      ...values,
+      status: "pending",
+      created_at: now,
+      updated_at: now,
+    });
+
+    recordEvent(complaint.id, complaint.user_id, "created", {
+      new_value: "pending",
+    });
+    return complaint;
+  },
+
+  // Imported rows get an "imported" event instead of "created", so nobody
+  // is notified about old requests.
+  async importComplaints(rows) {
+    const customers = selectRows("users").filter(
+      (user) => (user.role || "customer") === "customer",
+    );
+    const customerIds = rows.map((row) => {
+      const email = row.customer_email.toLowerCase();
+      const customer = customers.find((u) => u.email.toLowerCase() === email);
+      if (!customer) {
+        throw new Error(`No customer account with email ${row.customer_email}`);
+      }
+      return customer.id;
+    });
+
+    const now = timestamp();
+    rows.forEach((row, i) => {
+      const status = row.status || "pending";
+      const createdAt = row.created_at || now;
+      const complaint = insertComplaint({
+        user_id: customerIds[i],
+        bicycle_model: row.bicycle_model,
+        issue_type: row.issue_type,
+        description: row.description,
+        priority: row.priority || "medium",
+        status,
+        cancellation_reason: row.cancellation_reason || null,
+        assigned_to: null,
+        escalated_at: null,
+        first_response_at: status === "pending" ? null : createdAt,
+        resolved_at: isTerminal(status) ? row.resolved_at || null : null,
+        rework_count: 0,
+        reopened_at: null,
+        created_at: createdAt,
+        updated_at: now,
+      });
+      recordEvent(complaint.id, currentUserId(), "imported", {
+        new_value: status,
+      });
+    });
+    return rows.length;
+  },
+
+  async updateStatus(complaint, newStatus, reason) {
+    assertTransition(complaint.status, newStatus, reason);
+
+    const current = findRow("complaints", complaint.id);
+    if (!current || current.status !== complaint.status) return false;
+    if (
+      current.user_id === currentUserId() &&
+      !(customerCanEdit(current) && newStatus === "cancelled")
+    ) {
+      throw new Error("Requests can only be cancelled before work starts.");
+    }
+    if (
+      needsApprovedQuote({ ...current, quote: quoteFor(current.id) }, newStatus)
+    ) {
+      throw new Error(QUOTE_REQUIRED_MESSAGE);
+    }
+
+    const now = timestamp();
+    const updates = { status: newStatus, updated_at: now };
+    if (reason) updates.cancellation_reason = reason.trim();
+    if (!current.first_response_at) updates.first_response_at = now;
+    if (isTerminal(newStatus)) updates.resolved_at = now;
+
+    updateComplaint(complaint.id, updates);
+    if (newStatus === "completed") issueInvoice(complaint.id);
+    recordEvent(complaint.id, currentUserId(), "status_changed", {
+      old_value: current.status,
+      new_value: newStatus,
+    });
+    return true;
+  },
+
+  // The customer's own changes to a pending request. Returns false when it
+  // is no longer pending.
+  async updateDetails(complaint, values) {
+    const current = findRow("complaints", complaint.id);
+    if (!current || current.user_id !== currentUserId()) {
+      throw new Error("Request not found.");
+    }
+    if (!customerCanEdit(current)) return false;
+
+    const changes = changedFields(current, values);
+    if ("description" in changes && !changes.description.trim()) {
+      throw new Error("A description is required.");
+    }
+    if (Object.keys(changes).length === 0) return true;
+
+    updateComplaint(complaint.id, {
+      ...changes,
+      updated_at: timestamp(),
+    });
+    for (const [field, value] of Object.entries(changes)) {
+      recordEvent(complaint.id, currentUserId(), `${field}_changed`, {
+        old_value: current[field],
+        new_value: value,
+      });
+    }
+    return true;
+  },
+
+  async listMessages(complaintIds, { includeInternal = false } = {}) {
+    const ids = toIds(complaintIds);
+    return selectRows("complaint_messages")
+      .filter(
+        (m) =>
+          ids.includes(m.complaint_id) &&
+          (includeInternal || m.visibility === MESSAGE_VISIBILITY.PUBLIC),
+      )
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(withAuthor("author", "author_id"));
+  },
+
+  async getMessage(messageId) {
+    const message = findRow("complaint_messages", messageId);
+    if (!message) throw new Error("Message not found.");
+    return withAuthor("author", "author_id")(message);
+  },
+
+  async addMessage({
+    complaintId,
+    authorId,
+    body,
+    visibility = MESSAGE_VISIBILITY.PUBLIC,
+  }) {
+    const message = insertRow("complaint_messages", {
+      complaint_id: complaintId,
+      author_id: authorId,
+      body: body.trim(),
+      visibility,
+    });
+
+    // track_first_response_message(): a public staff reply is a response.
+    const complaint = findRow("complaints", complaintId);
+    if (
+      visibility === MESSAGE_VISIBILITY.PUBLIC &&
+      complaint &&
+      !complaint.first_response_at &&
+      STAFF_ROLES.includes(findRow("users", authorId)?.role)
+    ) {
+      updateComplaint(complaintId, { first_response_at: message.created_at });
+    }
+
+    recordEvent(
+      complaintId,
+      authorId,
+      visibility === MESSAGE_VISIBILITY.INTERNAL
+        ? "note_added"
+        : "message_added",
+      { new_value: message.body },
+    );
+  },
+
+  async listEvents(complaintIds) {
+    const ids = toIds(complaintIds);
+    return selectRows("complaint_events")
+      .filter((e) => ids.includes(e.complaint_id))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(withAuthor("actor", "actor_id"));
+  },
+
+  subscribe(name, bindings, onStatus) {
+    const unsubscribe = onTableChange((payload) => {
+      for (const binding of bindings) {
+        if (matchesBinding(binding, payload)) binding.onChange(payload);
+      }
+    });
+
+    queueMicrotask(() => onStatus("SUBSCRIBED"));
+    return unsubscribe;
+  },
+};
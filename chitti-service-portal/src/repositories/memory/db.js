@@ -0,0 +1,118 @@
+import { createSeedData } from "./seed";
+
+// Tables for the in-memory backend. They are persisted to localStorage when
+// it exists, so a demo survives reloads and stays in sync across tabs, and
+// kept in plain memory otherwise (e.g. under Node).
+
+const STORAGE_KEY = "chitti-demo-db";
+const storage = typeof localStorage === "undefined" ? null : localStorage;
+const listeners = new Set();
+
+const load = () => {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Tables added since the demo was last saved start from their seed rows.
+let tables = { ...createSeedData(), ...load() };
+
+const save = () => storage?.setItem(STORAGE_KEY, JSON.stringify(tables));
+
+// Payloads mirror Supabase realtime: { table, eventType, new, old }.
+// `remote` marks changes replayed from another tab.
+const emit = (table, eventType, newRow, oldRow, remote = false) => {
+  const payload = {
+    table,
+    eventType,
+    new: newRow || {},
+    old: oldRow || {},
+    remote,
+  };
+  queueMicrotask(() => listeners.forEach((listener) => listener(payload)));
+};
+
+export const newId = () => crypto.randomUUID();
+
+export const timestamp = () => new Date().toISOString();
+
+export const selectRows = (table) => tables[table] || [];
+
+export const findRow = (table, id) =>
+  selectRows(table).find((row) => row.id === id) || null;
+
+export const insertRow = (table, values) => {
+  const row = { id: newId(), created_at: timestamp(), ...values };
+  tables = { ...tables, [table]: [...selectRows(table), row] };
+  save();
+  emit(table, "INSERT", row);
+  return row;
+};
+
+export const updateRow = (table, id, changes) => {
+  const old = findRow(table, id);
+  if (!old) return null;
+
+  const row = { ...old, ...changes };
+  tables = {
+    ...tables,
+    [table]: selectRows(table).map((r) => (r.id === id ? row : r)),
+  };
+  save();
+  emit(table, "UPDATE", row, old);
+  return row;
+};
+
+export const deleteRow = (table, id) => {
+  const old = findRow(table, id);
+  if (!old) return;
+
+  tables = {
+    ...tables,
+    [table]: selectRows(table).filter((r) => r.id !== id),
+  };
+  save();
+  emit(table, "DELETE", null, { id });
+};
+
+export const onTableChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Throws away every change and starts again from the seed data.
+export const resetDemoData = () => {
+  tables = createSeedData();
+  save();
+};
+
+// Another tab wrote to the database: replay the difference as change
+// events so open dashboards update the same way they would with Supabase.
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+
+    const previous = tables;
+    tables = JSON.parse(event.newValue);
+
+    for (const table of Object.keys(tables)) {
+      const before = new Map(
+        (previous[table] || []).map((row) => [row.id, row]),
+      );
+      for (const row of tables[table]) {
+        const old = before.get(row.id);
+        if (!old) emit(table, "INSERT", row, null, true);
+        else if (JSON.stringify(old) !== JSON.stringify(row)) {
+          emit(table, "UPDATE", row, old, true);
+        }
+        before.delete(row.id);
+      }
+      for (const id of before.keys()) {
+        emit(table, "DELETE", null, { id }, true);
+      }
+    }
+  });
+}
@@ -0,0 +1,55 @@
+import { isTerminal } from "../../services/complaintStatus";
+import { selectRows, timestamp } from "./db";
+import { recordEvent, updateComplaint } from "./complaints";
+import { slaTargets } from "./sla";
+
+// Stands in for the escalate_breached_complaints() cron job: every open
+// request that has missed its response or resolution target gets its
+// priority raised, once. Returns how many were escalated.
+
+const HOUR = 60 * 60 * 1000;
+const INTERVAL = 5 * 60 * 1000;
+
+const NEXT_PRIORITY = { low: "medium", medium: "high", high: "high" };
+
+const isBreached = (complaint, target, now) => {
+  const created = new Date(complaint.created_at).getTime();
+  return (
+    (!complaint.first_response_at &&
+      now > created + target.response_hours * HOUR) ||
+    now > created + target.resolution_hours * HOUR
+  );
+};
+
+export const escalateBreachedComplaints = (now = Date.now()) => {
+  const targets = slaTargets();
+  let count = 0;
+
+  for (const complaint of selectRows("complaints")) {
+    const target = targets[complaint.priority];
+    if (
+      !target ||
+      complaint.escalated_at ||
+      isTerminal(complaint.status) ||
+      !isBreached(complaint, target, now)
+    ) {
+      continue;
+    }
+
+    const priority = NEXT_PRIORITY[complaint.priority];
+    updateComplaint(complaint.id, { priority, escalated_at: timestamp() });
+    recordEvent(complaint.id, null, "escalated", {
+      old_value: complaint.priority,
+      new_value: priority,
+    });
+    count += 1;
+  }
+  return count;
+};
+
+// Runs once straight away and then on the cron job's five-minute schedule.
+export const startDemoEscalation = () => {
+  escalateBreachedComplaints();
+  const timer = setInterval(escalateBreachedComplaints, INTERVAL);
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,94 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { findRow, resetDemoData, selectRows, updateRow } from "./db";
+import { escalateBreachedComplaints } from "./escalation";
+import { memoryComplaintsRepository as complaints } from "./complaints";
+import { memorySlaRepository as sla } from "./sla";
+import { memoryUsersRepository as users } from "./users";
+import { DEMO_PASSWORD } from "./seed";
+
+const HOUR = 60 * 60 * 1000;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR).toISOString();
+
+describe("memory SLA deadlines and escalation", () => {
+  beforeEach(async () => {
+    resetDemoData();
+    await users.signIn({
+      email: "company@evbikes.com",
+      password: DEMO_PASSWORD,
+    });
+  });
+
+  it("gives new requests the response deadline for their priority", async () => {
+    const complaint = await complaints.create({
+      user_id: "demo-customer",
+      bicycle_model: "EV-City 2024",
+      issue_type: "motor",
+      description: "Motor cuts out uphill.",
+      priority: "low",
+    });
+
+    expect(findRow("complaints", complaint.id).sla_due_at).toBe(
+      new Date(
+        new Date(complaint.created_at).getTime() + 48 * HOUR,
+      ).toISOString(),
+    );
+  });
+
+  it("switches to the resolution deadline and clears it on completion", async () => {
+    const complaint = findRow("complaints", "demo-complaint-1");
+    await complaints.addMessage({
+      complaintId: complaint.id,
+      authorId: "demo-company",
+      body: "We are looking into it.",
+    });
+
+    const responded = findRow("complaints", complaint.id);
+    expect(responded.first_response_at).not.toBeNull();
+    expect(responded.sla_due_at).toBe(
+      new Date(
+        new Date(complaint.created_at).getTime() + 48 * HOUR,
+      ).toISOString(),
+    );
+
+    updateRow("quotes", "demo-quote-1", { status: "approved" });
+    await complaints.updateStatus(responded, "in-progress");
+    await complaints.updateStatus(
+      findRow("complaints", complaint.id),
+      "completed",
+    );
+    expect(findRow("complaints", complaint.id).sla_due_at).toBeNull();
+  });
+
+  it("moves deadlines when the targets change", async () => {
+    const targets = await sla.getTargets();
+    await sla.saveTargets({
+      ...targets,
+      high: { ...targets.high, response_hours: 8 },
+    });
+
+    const complaint = findRow("complaints", "demo-complaint-1");
+    expect(complaint.sla_due_at).toBe(
+      new Date(
+        new Date(complaint.created_at).getTime() + 8 * HOUR,
+      ).toISOString(),
+    );
+  });
+
+  it("escalates breached requests once", () => {
+    updateRow("complaints", "demo-complaint-2", {
+      priority: "low",
+      created_at: hoursAgo(300),
+    });
+
+    expect(escalateBreachedComplaints()).toBe(2);
+    expect(escalateBreachedComplaints()).toBe(0);
+
+    expect(findRow("complaints", "demo-complaint-2").priority).toBe("medium");
+    expect(
+      selectRows("complaint_events").filter(
+        (e) => e.event_type === "escalated",
+      ),
+    ).toHaveLength(2);
+  });
+});
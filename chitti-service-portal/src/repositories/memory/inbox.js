@@ -0,0 +1,146 @@
+import { INBOX_LIMIT } from "../../services/inbox";
+import { LOW_RATING } from "../../services/ratings";
+import { findRow, insertRow, selectRows, timestamp, updateRow } from "./db";
+
+const unreadRows = (userId) =>
+  selectRows("user_notifications").filter(
+    (row) => row.user_id === userId && !row.read_at,
+  );
+
+const notify = (userIds, event, kind, details = {}) => {
+  for (const userId of new Set(userIds)) {
+    if (!userId || userId === event.actor_id) continue;
+    insertRow("user_notifications", {
+      user_id: userId,
+      complaint_id: event.complaint_id,
+      event_id: event.id,
+      kind,
+      details,
+      read_at: null,
+    });
+  }
+};
+
+// Mirrors the fan_out_complaint_event() trigger: called for every
+// complaint event the demo backend records.
+export const fanOutEvent = (event) => {
+  const complaint = findRow("complaints", event.complaint_id);
+  if (!complaint) return;
+
+  const customerName = findRow("users", complaint.user_id)?.name;
+  const companyIds = selectRows("users")
+    .filter((user) => user.role === "company")
+    .map((user) => user.id);
+
+  switch (event.event_type) {
+    case "created":
+      notify(companyIds, event, "new_request", {
+        priority: complaint.priority,
+        customer_name: customerName,
+        bicycle_model: complaint.bicycle_model,
+      });
+      break;
+    case "status_changed":
+      if (event.actor_id !== complaint.user_id) {
+        notify([complaint.user_id], event, "status_changed", {
+          old_status: event.old_value,
+          new_status: event.new_value,
+        });
+      } else if (event.new_value === "cancelled") {
+        notify(
+          [...companyIds, complaint.assigned_to],
+          event,
+          "request_cancelled",
+          {
+            customer_name: customerName,
+            reason: complaint.cancellation_reason,
+          },
+        );
+      }
+      break;
+    case "message_added":
+      if (event.actor_id === complaint.user_id) {
+        notify(
+          [...companyIds, complaint.assigned_to],
+          event,
+          "customer_message",
+          { customer_name: customerName },
+        );
+      } else {
+        notify([complaint.user_id], event, "staff_reply");
+      }
+      break;
+    case "assigned":
+      notify([complaint.assigned_to], event, "assigned", {
+        bicycle_model: complaint.bicycle_model,
+      });
+      break;
+    case "quote_sent":
+      notify([complaint.user_id], event, "quote_ready", {
+        total: event.new_value,
+      });
+      break;
+    case "quote_approved":
+    case "quote_declined":
+      notify([...companyIds, complaint.assigned_to], event, event.event_type, {
+        customer_name: customerName,
+      });
+      break;
+    case "payment_received":
+      if (event.actor_id === complaint.user_id) {
+        notify(companyIds, event, "payment_received", {
+          customer_name: customerName,
+          amount: event.new_value,
+        });
+      }
+      break;
+    case "refund_issued":
+      notify([complaint.user_id], event, "refund_issued", {
+        amount: event.new_value,
+      });
+      break;
+    case "reopened":
+      notify([...companyIds, complaint.assigned_to], event, "reopened", {
+        customer_name: customerName,
+        reason: event.new_value,
+      });
+      break;
+    case "rated":
+      if (Number(event.new_value) <= LOW_RATING) {
+        notify(companyIds, event, "low_rating", {
+          customer_name: customerName,
+          rating: event.new_value,
+        });
+      }
+      break;
+  }
+};
+
+export const memoryInboxRepository = {
+  async list(userId, { limit = INBOX_LIMIT } = {}) {
+    return selectRows("user_notifications")
+      .filter((row) => row.user_id === userId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  },
+
+  async countUnread(userId) {
+    return unreadRows(userId).length;
+  },
+
+  async markRead(ids) {
+    const now = timestamp();
+    for (const id of ids) {
+      if (!findRow("user_notifications", id)?.read_at) {
+        updateRow("user_notifications", id, { read_at: now });
+      }
+    }
+  },
+
+  async markAllRead(userId) {
+    const now = timestamp();
+    for (const row of unreadRows(userId)) {
+      updateRow("user_notifications", row.id, { read_at: now });
+    }
+  },
+};
@@ -0,0 +1,78 @@
+import { PAGE_SIZE } from "../../services/complaints";
+import {
+  createNotifier,
+  DEFAULT_PREFERENCES,
+} from "../../notifications/notifier";
+import { createConsoleProvider } from "../../notifications/providers";
+import {
+  findRow,
+  insertRow,
+  onTableChange,
+  selectRows,
+  timestamp,
+  updateRow,
+} from "./db";
+
+const findPreferences = (userId) =>
+  selectRows("notification_preferences").find((row) => row.user_id === userId);
+
+export const memoryNotificationsRepository = {
+  async getPreferences(userId) {
+    const row = findPreferences(userId);
+    return row
+      ? { email_enabled: row.email_enabled, sms_enabled: row.sms_enabled }
+      : DEFAULT_PREFERENCES;
+  },
+
+  async savePreferences(userId, { email_enabled, sms_enabled }) {
+    const changes = { email_enabled, sms_enabled, updated_at: timestamp() };
+    const row = findPreferences(userId);
+    if (row) updateRow("notification_preferences", row.id, changes);
+    else insertRow("notification_preferences", { user_id: userId, ...changes });
+  },
+
+  async listDeliveries({ page = 0, pageSize = PAGE_SIZE } = {}) {
+    const rows = selectRows("notification_deliveries")
+      .slice()
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map((row) => ({
+        ...row,
+        customer: { name: findRow("users", row.user_id)?.name },
+      }));
+
+    const from = page * pageSize;
+    return { rows: rows.slice(from, from + pageSize), total: rows.length };
+  },
+};
+
+// With no server to run the notification worker, the demo backend sends
+// (to the browser console) from whichever tab wrote the event.
+export const startDemoNotifier = () => {
+  const notifier = createNotifier({
+    provider: createConsoleProvider(),
+    appUrl: window.location.origin,
+    loadContext: async (event) => {
+      const complaint = findRow("complaints", event.complaint_id);
+      return {
+        complaint,
+        customer: complaint && findRow("users", complaint.user_id),
+        preferences: complaint && findPreferences(complaint.user_id),
+      };
+    },
+    recordDelivery: async (delivery) =>
+      insertRow("notification_deliveries", delivery),
+  });
+
+  return onTableChange((payload) => {
+    if (
+      payload.table !== "complaint_events" ||
+      payload.eventType !== "INSERT" ||
+      payload.remote
+    ) {
+      return;
+    }
+    notifier
+      .handleEvent(payload.new)
+      .catch((error) => console.error("Error sending notification:", error));
+  });
+};
@@ -0,0 +1,147 @@
+import { handleWebhook } from "../../payments/gateways";
+import { invoiceSummary } from "../../services/payments";
+import { findRow, insertRow, selectRows, timestamp, updateRow } from "./db";
+import { recordEvent } from "./complaints";
+import { currentUserId } from "./users";
+
+// Same rules as the payments migration. Invoices on completion are issued
+// by the complaints repository's updateStatus().
+
+const invoiceWithPayments = (invoiceId) => {
+  const invoice = findRow("invoices", invoiceId);
+  if (!invoice) throw new Error("Invoice not found.");
+  return {
+    ...invoice,
+    payments: selectRows("payments").filter((p) => p.invoice_id === invoiceId),
+  };
+};
+
+const isCompanyUser = () =>
+  findRow("users", currentUserId())?.role === "company";
+
+// Mirrors the record_payment_events() trigger.
+const recordSettled = (payment) => {
+  const invoice = findRow("invoices", payment.invoice_id);
+  recordEvent(
+    invoice.complaint_id,
+    payment.recorded_by,
+    payment.kind === "payment" ? "payment_received" : "refund_issued",
+    { new_value: Number(payment.amount).toFixed(2) },
+  );
+};
+
+export const memoryPaymentsRepository = {
+  async issueInvoice(complaintId, amount) {
+    if (!isCompanyUser()) {
+      throw new Error("Only company users can issue invoices.");
+    }
+    if (findRow("complaints", complaintId)?.status !== "completed") {
+      throw new Error("Invoices are only issued for completed requests.");
+    }
+    if (selectRows("invoices").some((i) => i.complaint_id === complaintId)) {
+      throw new Error("This request already has an invoice.");
+    }
+
+    insertRow("invoices", {
+      complaint_id: complaintId,
+      amount,
+      issued_by: currentUserId(),
+    });
+  },
+
+  // kind: "payment" | "refund"
+  async recordPayment(invoiceId, { kind, amount, method, note }) {
+    if (!isCompanyUser()) {
+      throw new Error("Only company users can record payments.");
+    }
+
+    const { balance, paid, refunded } = invoiceSummary(
+      invoiceWithPayments(invoiceId),
+    );
+    if (kind === "payment" && amount > balance) {
+      throw new Error(`The payment is more than the balance of ${balance}.`);
+    }
+    if (kind === "refund" && amount > paid - refunded) {
+      throw new Error(
+        `The refund is more than the ${paid - refunded} paid so far.`,
+      );
+    }
+
+    const payment = insertRow("payments", {
+      invoice_id: invoiceId,
+      kind,
+      amount,
+      method,
+      status: "succeeded",
+      gateway: null,
+      gateway_reference: null,
+      error: null,
+      note: note?.trim() || null,
+      recorded_by: currentUserId(),
+      updated_at: timestamp(),
+    });
+    recordSettled(payment);
+  },
+
+  // Returns the id of the new pending payment.
+  async startPayment(invoiceId, amount, gatewayName) {
+    const invoice = findRow("invoices", invoiceId);
+    const complaint = invoice && findRow("complaints", invoice.complaint_id);
+    if (!complaint || complaint.user_id !== currentUserId()) {
+      throw new Error("Invoice not found.");
+    }
+
+    const { payable } = invoiceSummary(invoiceWithPayments(invoiceId));
+    if (!(amount > 0) || amount > payable) {
+      throw new Error(
+        `Enter an amount between 0 and the ${payable} not yet paid or being paid.`,
+      );
+    }
+
+    return insertRow("payments", {
+      invoice_id: invoiceId,
+      kind: "payment",
+      amount,
+      method: "gateway",
+      status: "pending",
+      gateway: gatewayName,
+      gateway_reference: null,
+      error: null,
+      note: null,
+      recorded_by: currentUserId(),
+      updated_at: timestamp(),
+    }).id;
+  },
+
+  // Demo only: stands in for the webhook server, which writes with the
+  // service role key.
+  async receiveWebhook(gateway, webhook) {
+    return handleWebhook(
+      gateway,
+      webhook,
+      async ({ paymentId, status, gatewayReference, error }) => {
+        const payment = findRow("payments", paymentId);
+        if (payment?.status !== "pending") return false;
+
+        // Mirrors settle_payment(): a late success for an expired checkout
+        // must not overpay the invoice.
+        const { balance } = invoiceSummary(
+          invoiceWithPayments(payment.invoice_id),
+        );
+        if (status === "succeeded" && Number(payment.amount) > balance) {
+          status = "failed";
+          error = `More than the balance of ${Math.max(balance, 0)}; refund it through the gateway`;
+        }
+
+        const settled = updateRow("payments", paymentId, {
+          status,
+          gateway_reference: gatewayReference,
+          error: status === "failed" ? error || "Payment failed" : null,
+          updated_at: timestamp(),
+        });
+        if (status === "succeeded") recordSettled(settled);
+        return true;
+      },
+    );
+  },
+};
@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createMockGateway } from "../../payments/gateways";
+import { findRow, resetDemoData } from "./db";
+import { memoryPaymentsRepository as payments } from "./payments";
+import { memoryUsersRepository as users } from "./users";
+import { DEMO_PASSWORD } from "./seed";
+
+// The seeded invoice is for 1062 with 500 paid at the desk.
+const INVOICE = "demo-invoice-1";
+
+const gateway = createMockGateway();
+const settle = async (paymentId, outcome) =>
+  payments.receiveWebhook(
+    gateway,
+    await gateway.createWebhook({ paymentId, outcome }),
+  );
+
+describe("memory payments repository", () => {
+  beforeEach(async () => {
+    resetDemoData();
+    await users.signIn({
+      email: "customer@example.com",
+      password: DEMO_PASSWORD,
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("holds pending checkouts back from the balance", async () => {
+    await payments.startPayment(INVOICE, 400, "mock");
+
+    await expect(payments.startPayment(INVOICE, 562, "mock")).rejects.toThrow(
+      "between 0 and the 162",
+    );
+    await expect(
+      payments.startPayment(INVOICE, 162, "mock"),
+    ).resolves.toBeTruthy();
+  });
+
+  it("stops holding back checkouts that have expired", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2026-10-19T10:00:00Z"));
+    await payments.startPayment(INVOICE, 562, "mock");
+
+    vi.setSystemTime(new Date("2026-10-19T10:31:00Z"));
+    await expect(
+      payments.startPayment(INVOICE, 562, "mock"),
+    ).resolves.toBeTruthy();
+  });
+
+  it("fails a late success that would overpay the invoice", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2026-10-19T10:00:00Z"));
+    const expired = await payments.startPayment(INVOICE, 562, "mock");
+
+    vi.setSystemTime(new Date("2026-10-19T10:31:00Z"));
+    await settle(
+      await payments.startPayment(INVOICE, 562, "mock"),
+      "succeeded",
+    );
+    await settle(expired, "succeeded");
+
+    expect(findRow("payments", expired)).toMatchObject({
+      status: "failed",
+      error: expect.stringContaining("More than the balance of 0"),
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { isTerminal } from "../../services/complaintStatus";
+import { quoteTotals } from "../../services/quotes";
+import {
+  deleteRow,
+  findRow,
+  insertRow,
+  selectRows,
+  timestamp,
+  updateRow,
+} from "./db";
+import { moveQuotedStock, recordEvent } from "./complaints";
+import { currentUserId } from "./users";
+
+// Same rules as save_quote() and decide_quote() in the quotes migration.
+
+export const memoryQuotesRepository = {
+  async listParts({ activeOnly = true } = {}) {
+    return selectRows("parts")
+      .filter((part) => !activeOnly || part.active)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  async createPart({ sku, name, unitPrice, stock }) {
+    const code = sku.trim().toUpperCase();
+    if (selectRows("parts").some((part) => part.sku === code)) {
+      throw new Error("A part with this SKU is already in the catalog.");
+    }
+
+    insertRow("parts", {
+      sku: code,
+      name: name.trim(),
+      unit_price: unitPrice,
+      stock,
+      active: true,
+    });
+  },
+
+  async updatePart(partId, changes) {
+    updateRow("parts", partId, changes);
+  },
+
+  async saveQuote(complaintId, { laborHours, laborRate, taxRate, lines }) {
+    const complaint = findRow("complaints", complaintId);
+    if (!complaint) throw new Error("Request not found.");
+    if (isTerminal(complaint.status)) {
+      throw new Error("Closed requests cannot be quoted.");
+    }
+
+    const existing = selectRows("quotes").find(
+      (q) => q.complaint_id === complaintId,
+    );
+    if (existing?.status === "approved") {
+      throw new Error("The customer has already approved this quote.");
+    }
+
+    const quoteLines = lines.map((line, position) => {
+      const part = findRow("parts", line.partId);
+      if (!part?.active) throw new Error("That part is not in the catalog.");
+      return {
+        part_id: part.id,
+        position,
+        name: part.name,
+        quantity: line.quantity,
+        unit_price: part.unit_price,
+      };
+    });
+
+    const { subtotal, taxAmount, total } = quoteTotals({
+      lines: quoteLines,
+      labor_hours: laborHours,
+      labor_rate: laborRate,
+      tax_rate: taxRate,
+    });
+    const values = {
+      status: "pending",
+      labor_hours: laborHours,
+      labor_rate: laborRate,
+      tax_rate: taxRate,
+      subtotal,
+      tax_amount: taxAmount,
+      total,
+      decline_reason: null,
+      created_by: currentUserId(),
+      decided_at: null,
+      updated_at: timestamp(),
+    };
+
+    let quoteId = existing?.id;
+    if (existing) {
+      selectRows("quote_lines")
+        .filter((line) => line.quote_id === existing.id)
+        .forEach((line) => deleteRow("quote_lines", line.id));
+    } else {
+      quoteId = insertRow("quotes", {
+        complaint_id: complaintId,
+        ...values,
+      }).id;
+    }
+    quoteLines.forEach((line) =>
+      insertRow("quote_lines", { quote_id: quoteId, ...line }),
+    );
+    // Written last, so listeners see the quote with its new lines.
+    if (existing) updateRow("quotes", quoteId, values);
+
+    recordEvent(complaintId, currentUserId(), "quote_sent", {
+      new_value: total.toFixed(2),
+    });
+  },
+
+  async decideQuote(quoteId, approve, reason) {
+    const quote = findRow("quotes", quoteId);
+    const complaint = quote && findRow("complaints", quote.complaint_id);
+    if (!complaint || complaint.user_id !== currentUserId()) {
+      throw new Error("Quote not found.");
+    }
+    if (isTerminal(complaint.status)) {
+      throw new Error("This request is closed.");
+    }
+    if (quote.status !== "pending") {
+      throw new Error("This quote has already been answered.");
+    }
+
+    if (approve) {
+      const lines = selectRows("quote_lines").filter(
+        (line) => line.quote_id === quoteId,
+      );
+      moveQuotedStock(lines, -1);
+    }
+
+    const declineReason = approve ? null : reason?.trim() || null;
+    updateRow("quotes", quoteId, {
+      status: approve ? "approved" : "declined",
+      decline_reason: declineReason,
+      decided_at: timestamp(),
+      updated_at: timestamp(),
+    });
+    recordEvent(
+      complaint.id,
+      currentUserId(),
+      approve ? "quote_approved" : "quote_declined",
+      { new_value: declineReason },
+    );
+  },
+};
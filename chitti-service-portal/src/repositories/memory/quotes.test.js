@@ -0,0 +1,38 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { findRow, resetDemoData } from "./db";
+import { memoryComplaintsRepository as complaints } from "./complaints";
+import { memoryQuotesRepository as quotes } from "./quotes";
+import { memoryUsersRepository as users } from "./users";
+import { DEMO_PASSWORD } from "./seed";
+
+const signIn = (email) => users.signIn({ email, password: DEMO_PASSWORD });
+
+const stockOf = (partId) => findRow("parts", partId).stock;
+
+describe("memory quotes repository", () => {
+  beforeEach(() => resetDemoData());
+
+  it("refuses to decide a quote on a closed request", async () => {
+    await signIn("customer@example.com");
+    const complaint = findRow("complaints", "demo-complaint-1");
+    await complaints.updateStatus(complaint, "cancelled", "Sold the bike");
+
+    await expect(quotes.decideQuote("demo-quote-1", true)).rejects.toThrow(
+      "This request is closed.",
+    );
+    expect(findRow("quotes", "demo-quote-1").status).toBe("pending");
+  });
+
+  it("restocks the parts of an approved quote when its request is cancelled", async () => {
+    await signIn("company@evbikes.com");
+    const before = [stockOf("demo-part-1"), stockOf("demo-part-2")];
+
+    const complaint = findRow("complaints", "demo-complaint-2");
+    await complaints.updateStatus(complaint, "cancelled", "Customer withdrew");
+
+    expect([stockOf("demo-part-1"), stockOf("demo-part-2")]).toEqual([
+      before[0] + 1,
+      before[1] + 1,
+    ]);
+  });
+});
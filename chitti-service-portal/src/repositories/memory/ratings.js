@@ -0,0 +1,123 @@
+import {
+  REWORK_WINDOW_DAYS,
+  canReopen,
+  needsFollowUp,
+} from "../../services/ratings";
+import { findRow, insertRow, selectRows, timestamp, updateRow } from "./db";
+import { recordEvent, updateComplaint } from "./complaints";
+import { currentUserId } from "./users";
+
+// Same rules as rate_service(), reopen_complaint() and
+// mark_rating_followed_up() in the ratings migration.
+
+const withComplaint = (rating) => {
+  const complaint = findRow("complaints", rating.complaint_id);
+  return {
+    ...rating,
+    complaint: complaint && {
+      id: complaint.id,
+      bicycle_model: complaint.bicycle_model,
+      issue_type: complaint.issue_type,
+      rework_count: complaint.rework_count || 0,
+      users: { name: findRow("users", complaint.user_id)?.name },
+    },
+  };
+};
+
+const ownComplaint = (complaintId) => {
+  const complaint = findRow("complaints", complaintId);
+  if (!complaint || complaint.user_id !== currentUserId()) {
+    throw new Error("Request not found.");
+  }
+  return complaint;
+};
+
+export const memoryRatingsRepository = {
+  async rate(complaintId, rating, comment) {
+    const complaint = ownComplaint(complaintId);
+    if (complaint.status !== "completed") {
+      throw new Error("Only completed requests can be rated.");
+    }
+    if (!(rating >= 1 && rating <= 5)) {
+      throw new Error("Choose between 1 and 5 stars.");
+    }
+
+    const values = {
+      rating,
+      comment: comment?.trim() || null,
+      followed_up_at: null,
+      followed_up_by: null,
+      updated_at: timestamp(),
+    };
+    const existing = selectRows("service_ratings").find(
+      (r) => r.complaint_id === complaintId,
+    );
+    if (existing) {
+      updateRow("service_ratings", existing.id, values);
+    } else {
+      insertRow("service_ratings", {
+        complaint_id: complaintId,
+        user_id: currentUserId(),
+        ...values,
+      });
+    }
+
+    recordEvent(complaintId, currentUserId(), "rated", {
+      old_value: existing ? String(existing.rating) : null,
+      new_value: String(rating),
+    });
+  },
+
+  async reopen(complaintId, reason) {
+    const complaint = ownComplaint(complaintId);
+    if (complaint.status !== "completed") {
+      throw new Error("Only completed requests can be reopened.");
+    }
+    if (!canReopen(complaint)) {
+      throw new Error(
+        `Requests can only be reopened within ${REWORK_WINDOW_DAYS} days of completion.`,
+      );
+    }
+    if (!reason?.trim()) throw new Error("Tell us what is still wrong.");
+
+    const now = timestamp();
+    updateComplaint(complaintId, {
+      status: "pending",
+      rework_count: (complaint.rework_count || 0) + 1,
+      reopened_at: now,
+      resolved_at: null,
+      updated_at: now,
+    });
+    recordEvent(complaintId, currentUserId(), "status_changed", {
+      old_value: "completed",
+      new_value: "pending",
+    });
+    recordEvent(complaintId, currentUserId(), "reopened", {
+      new_value: reason.trim(),
+    });
+  },
+
+  async markFollowedUp(ratingId) {
+    if (findRow("users", currentUserId())?.role !== "company") {
+      throw new Error("Only company users can follow up on ratings.");
+    }
+    updateRow("service_ratings", ratingId, {
+      followed_up_at: timestamp(),
+      followed_up_by: currentUserId(),
+    });
+  },
+
+  async listRatings({ start, end }) {
+    return selectRows("service_ratings")
+      .filter((r) => r.created_at >= start && r.created_at < end)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(withComplaint);
+  },
+
+  async listFollowUps() {
+    return selectRows("service_ratings")
+      .filter(needsFollowUp)
+      .sort((a, b) => a.updated_at.localeCompare(b.updated_at))
+      .map(withComplaint);
+  },
+};
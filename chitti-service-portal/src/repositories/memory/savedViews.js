@@ -0,0 +1,94 @@
+import {
+  deleteRow,
+  findRow,
+  insertRow,
+  selectRows,
+  timestamp,
+  updateRow,
+} from "./db";
+import { currentUserId } from "./users";
+
+// Same rules as the row policies in the saved_views migration.
+
+const withOwner = (view) => ({
+  ...view,
+  owner: { name: findRow("users", view.owner_id)?.name },
+});
+
+const isVisible = (view) => view.owner_id === currentUserId() || view.shared;
+
+const ownView = (viewId) => {
+  const view = findRow("saved_views", viewId);
+  if (!view || view.owner_id !== currentUserId()) {
+    throw new Error("View not found.");
+  }
+  return view;
+};
+
+const findDefault = (userId) =>
+  selectRows("default_views").find((row) => row.user_id === userId);
+
+export const memorySavedViewsRepository = {
+  async listViews() {
+    return selectRows("saved_views")
+      .filter(isVisible)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(withOwner);
+  },
+
+  async saveView(userId, { name, query }) {
+    if (findRow("users", userId)?.role !== "company") {
+      throw new Error("Only company users can save views.");
+    }
+    if (!name.trim()) throw new Error("Give the view a name.");
+
+    const existing = selectRows("saved_views").find(
+      (view) => view.owner_id === userId && view.name === name.trim(),
+    );
+    const view = existing
+      ? updateRow("saved_views", existing.id, {
+          query,
+          updated_at: timestamp(),
+        })
+      : insertRow("saved_views", {
+          owner_id: userId,
+          name: name.trim(),
+          query,
+          shared: false,
+          updated_at: timestamp(),
+        });
+    return withOwner(view);
+  },
+
+  async setShared(viewId, shared) {
+    ownView(viewId);
+    updateRow("saved_views", viewId, { shared, updated_at: timestamp() });
+  },
+
+  async deleteView(viewId) {
+    ownView(viewId);
+    deleteRow("saved_views", viewId);
+    selectRows("default_views")
+      .filter((row) => row.view_id === viewId)
+      .forEach((row) => deleteRow("default_views", row.id));
+  },
+
+  async getDefaultView(userId) {
+    const view = findRow("saved_views", findDefault(userId)?.view_id);
+    return view && isVisible(view) ? withOwner(view) : null;
+  },
+
+  async setDefaultView(userId, viewId) {
+    const row = findDefault(userId);
+    if (!viewId) {
+      if (row) deleteRow("default_views", row.id);
+      return;
+    }
+
+    const view = findRow("saved_views", viewId);
+    if (!view || !isVisible(view)) throw new Error("View not found.");
+    const changes = { view_id: viewId, updated_at: timestamp() };
+    if (row) updateRow("default_views", row.id, changes);
+    else insertRow("default_views", { user_id: userId, ...changes });
+  },
+};
@@ -0,0 +1,428 @@
+import { slaDueAt } from "../../services/sla";
+
+// Demo data for the in-memory backend. Every account uses DEMO_PASSWORD.
+
+export const DEMO_PASSWORD = "password123";
+
+export const DEMO_ACCOUNTS = [
+  { email: "customer@example.com", role: "customer" },
+  { email: "company@evbikes.com", role: "company" },
+  { email: "technician@evbikes.com", role: "technician" },
+];
+
+const daysAgo = (days, hours = 0) =>
+  new Date(Date.now() - (days * 24 + hours) * 60 * 60 * 1000).toISOString();
+
+const dateOnly = (iso) => iso.slice(0, 10);
+
+export const createSeedData = () => {
+  const users = [
+    {
+      id: "demo-customer",
+      email: "customer@example.com",
+      name: "Asha Rao",
+      phone: "+91 98450 12345",
+      role: "customer",
+    },
+    {
+      id: "demo-company",
+      email: "company@evbikes.com",
+      name: "Workshop Desk",
+      phone: "+91 80 4000 1000",
+      role: "company",
+    },
+    {
+      id: "demo-technician",
+      email: "technician@evbikes.com",
+      name: "Vikram Shetty",
+      phone: "+91 99000 54321",
+      role: "technician",
+    },
+  ].map((user) => ({
+    ...user,
+    password: DEMO_PASSWORD,
+    created_at: daysAgo(120),
+  }));
+
+  const bike_models = [
+    "EV-City 2023",
+    "EV-City 2024",
+    "EV-Sport 2023",
+    "EV-Sport 2024",
+    "EV-Cargo 2024",
+  ].map((name, index) => ({
+    id: `demo-model-${index + 1}`,
+    name,
+    warranty_months: 24,
+    active: true,
+    created_at: daysAgo(365),
+  }));
+
+  const bikes = [
+    {
+      id: "demo-bike-1",
+      owner_id: "demo-customer",
+      model_id: "demo-model-2",
+      serial_number: "EVC24-001873",
+      purchase_date: dateOnly(daysAgo(200)),
+      warranty_end_date: dateOnly(daysAgo(-530)),
+      created_at: daysAgo(100),
+    },
+    {
+      id: "demo-bike-2",
+      owner_id: "demo-customer",
+      model_id: "demo-model-3",
+      serial_number: "EVS23-000412",
+      purchase_date: dateOnly(daysAgo(900)),
+      warranty_end_date: dateOnly(daysAgo(170)),
+      created_at: daysAgo(100),
+    },
+  ];
+
+  // Defaults from the SLA and appointments migrations.
+  const sla_targets = [
+    ["high", 4, 48],
+    ["medium", 24, 120],
+    ["low", 48, 240],
+  ].map(([priority, response_hours, resolution_hours]) => ({
+    id: priority,
+    priority,
+    response_hours,
+    resolution_hours,
+  }));
+
+  const workshop_settings = [
+    {
+      id: 1,
+      daily_capacity: 8,
+      slot_capacity: 2,
+      slot_minutes: 30,
+      timezone: "UTC",
+      updated_at: daysAgo(365),
+    },
+  ];
+
+  const workshop_hours = [0, 1, 2, 3, 4, 5, 6].map((weekday) => ({
+    id: weekday,
+    weekday,
+    is_open: weekday !== 0,
+    opens_at: "09:00",
+    closes_at: "18:00",
+  }));
+
+  const complaint = (id, values) => ({
+    id,
+    user_id: "demo-customer",
+    cancellation_reason: null,
+    assigned_to: null,
+    sla_due_at: null,
+    escalated_at: null,
+    first_response_at: null,
+    resolved_at: null,
+    rework_count: 0,
+    reopened_at: null,
+    updated_at: values.created_at,
+    ...values,
+  });
+
+  const targets = Object.fromEntries(
+    sla_targets.map((target) => [target.priority, target]),
+  );
+
+  const complaints = [
+    complaint("demo-complaint-1", {
+      bike_id: "demo-bike-1",
+      bicycle_model: "EV-City 2024",
+      issue_type: "battery",
+      description: "Range dropped from 60 km to about 25 km in the last week.",
+      priority: "high",
+      status: "pending",
+      created_at: daysAgo(0, 5),
+    }),
+    complaint("demo-complaint-2", {
+      bike_id: "demo-bike-2",
+      bicycle_model: "EV-Sport 2023",
+      issue_type: "brakes",
+      description: "Rear brake squeals and the lever feels soft.",
+      priority: "medium",
+      status: "in-progress",
+      assigned_to: "demo-technician",
+      first_response_at: daysAgo(2),
+      created_at: daysAgo(3),
+    }),
+    complaint("demo-complaint-3", {
+      bike_id: "demo-bike-1",
+      bicycle_model: "EV-City 2024",
+      issue_type: "display",
+      description: "Display flickers when riding over bumps.",
+      priority: "low",
+      status: "completed",
+      assigned_to: "demo-technician",
+      first_response_at: daysAgo(19),
+      resolved_at: daysAgo(15),
+      created_at: daysAgo(20),
+    }),
+  ].map((c) => ({ ...c, sla_due_at: slaDueAt(c, targets) }));
+
+  const event = (id, complaintId, actorId, values) => ({
+    id,
+    complaint_id: complaintId,
+    actor_id: actorId,
+    old_value: null,
+    new_value: null,
+    ...values,
+  });
+
+  const complaint_events = [
+    ...complaints.map((c) =>
+      event(`demo-event-created-${c.id}`, c.id, c.user_id, {
+        event_type: "created",
+        new_value: "pending",
+        created_at: c.created_at,
+      }),
+    ),
+    event("demo-event-1", "demo-complaint-2", "demo-company", {
+      event_type: "status_changed",
+      old_value: "pending",
+      new_value: "in-progress",
+      created_at: daysAgo(2),
+    }),
+    event("demo-event-2", "demo-complaint-3", "demo-company", {
+      event_type: "status_changed",
+      old_value: "pending",
+      new_value: "in-progress",
+      created_at: daysAgo(19),
+    }),
+    event("demo-event-3", "demo-complaint-3", "demo-technician", {
+      event_type: "status_changed",
+      old_value: "in-progress",
+      new_value: "completed",
+      created_at: daysAgo(15),
+    }),
+    ...[
+      ["demo-complaint-1", "17995.00", 0, 2],
+      ["demo-complaint-2", "2537.00", 2, 4],
+      ["demo-complaint-3", "1062.00", 19, 4],
+    ].map(([complaintId, total, days, hours]) =>
+      event(`demo-event-quote-${complaintId}`, complaintId, "demo-company", {
+        event_type: "quote_sent",
+        new_value: total,
+        created_at: daysAgo(days, hours),
+      }),
+    ),
+    ...[
+      ["demo-complaint-2", 2],
+      ["demo-complaint-3", 19],
+    ].map(([complaintId, days]) =>
+      event(
+        `demo-event-approved-${complaintId}`,
+        complaintId,
+        "demo-customer",
+        {
+          event_type: "quote_approved",
+          created_at: daysAgo(days, 2),
+        },
+      ),
+    ),
+    event("demo-event-payment-1", "demo-complaint-3", "demo-company", {
+      event_type: "payment_received",
+      new_value: "500.00",
+      created_at: daysAgo(15, -1),
+    }),
+    event("demo-event-rated-1", "demo-complaint-3", "demo-customer", {
+      event_type: "rated",
+      new_value: "2",
+      created_at: daysAgo(14),
+    }),
+  ];
+
+  const complaint_messages = [
+    {
+      id: "demo-message-1",
+      complaint_id: "demo-complaint-2",
+      author_id: "demo-company",
+      body: "We have ordered new brake pads; your bike should be ready by Friday.",
+      visibility: "public",
+      created_at: daysAgo(2),
+    },
+    {
+      id: "demo-message-2",
+      complaint_id: "demo-complaint-2",
+      author_id: "demo-technician",
+      body: "Rotor is warped as well, check stock before quoting.",
+      visibility: "internal",
+      created_at: daysAgo(1),
+    },
+  ];
+
+  const parts = [
+    ["BRK-PAD-R", "Rear brake pads (pair)", 450, 12],
+    ["BRK-ROT-160", "Brake rotor 160 mm", 1200, 3],
+    ["BAT-CELL-PK", "Battery cell pack 36V 10Ah", 14500, 2],
+    ["DSP-CBL", "Display cable", 650, 8],
+    ["TYR-700C", "Tyre 700x38c", 1100, 10],
+    ["CHN-9S", "Chain, 9-speed", 800, 6],
+  ].map(([sku, name, unit_price, stock], index) => ({
+    id: `demo-part-${index + 1}`,
+    sku,
+    name,
+    unit_price,
+    stock,
+    active: true,
+    created_at: daysAgo(365),
+  }));
+
+  const quote = (id, complaintId, values) => ({
+    id,
+    complaint_id: complaintId,
+    status: "pending",
+    labor_rate: 500,
+    tax_rate: 18,
+    decline_reason: null,
+    created_by: "demo-company",
+    decided_at: null,
+    ...values,
+    updated_at: values.created_at,
+  });
+
+  // Totals as save_quote() works them out.
+  const quotes = [
+    quote("demo-quote-1", "demo-complaint-1", {
+      labor_hours: 1.5,
+      subtotal: 15250,
+      tax_amount: 2745,
+      total: 17995,
+      created_at: daysAgo(0, 2),
+    }),
+    quote("demo-quote-2", "demo-complaint-2", {
+      status: "approved",
+      labor_hours: 1,
+      subtotal: 2150,
+      tax_amount: 387,
+      total: 2537,
+      decided_at: daysAgo(2, 2),
+      created_at: daysAgo(2, 4),
+    }),
+    quote("demo-quote-3", "demo-complaint-3", {
+      status: "approved",
+      labor_hours: 0.5,
+      subtotal: 900,
+      tax_amount: 162,
+      total: 1062,
+      decided_at: daysAgo(19, 2),
+      created_at: daysAgo(19, 4),
+    }),
+  ];
+
+  const quoteLine = (quoteId, position, partIndex, quantity) => ({
+    id: `${quoteId}-line-${position + 1}`,
+    quote_id: quoteId,
+    part_id: parts[partIndex].id,
+    position,
+    name: parts[partIndex].name,
+    quantity,
+    unit_price: parts[partIndex].unit_price,
+  });
+
+  const quote_lines = [
+    quoteLine("demo-quote-1", 0, 2, 1),
+    quoteLine("demo-quote-2", 0, 0, 1),
+    quoteLine("demo-quote-2", 1, 1, 1),
+    quoteLine("demo-quote-3", 0, 3, 1),
+  ];
+
+  // Yesterday's session on the brake job that is under way.
+  const work_logs = [
+    {
+      id: "demo-work-log-1",
+      complaint_id: "demo-complaint-2",
+      technician_id: "demo-technician",
+      started_at: daysAgo(1, 3),
+      ended_at: daysAgo(1, 2),
+      minutes: 60,
+      note: "Stripped the rear brake, rotor warped.",
+      created_at: daysAgo(1, 3),
+    },
+  ];
+
+  // Collected with part of the bill still to pay, so the customer can try
+  // paying online.
+  const invoices = [
+    {
+      id: "demo-invoice-1",
+      complaint_id: "demo-complaint-3",
+      amount: 1062,
+      issued_by: "demo-technician",
+      created_at: daysAgo(15),
+    },
+  ];
+
+  const payments = [
+    {
+      id: "demo-payment-1",
+      invoice_id: "demo-invoice-1",
+      kind: "payment",
+      amount: 500,
+      method: "cash",
+      status: "succeeded",
+      gateway: null,
+      gateway_reference: null,
+      error: null,
+      note: "Deposit at collection",
+      recorded_by: "demo-company",
+      created_at: daysAgo(15, -1),
+      updated_at: daysAgo(15, -1),
+    },
+  ];
+
+  // A low rating waiting on the follow-up list.
+  const service_ratings = [
+    {
+      id: "demo-rating-1",
+      complaint_id: "demo-complaint-3",
+      user_id: "demo-customer",
+      rating: 2,
+      comment:
+        "The display works again, but the bike came back covered in grease.",
+      followed_up_at: null,
+      followed_up_by: null,
+      created_at: daysAgo(14),
+      updated_at: daysAgo(14),
+    },
+  ];
+
+  // Stored as the request table's query string, see toRequestSearchParams().
+  const saved_views = [
+    {
+      id: "demo-view-1",
+      owner_id: "demo-company",
+      name: "Urgent battery issues this week",
+      query: "status=all&priority=high&issue=battery&days=7",
+      shared: true,
+      created_at: daysAgo(30),
+      updated_at: daysAgo(30),
+    },
+  ];
+
+  return {
+    sla_targets,
+    workshop_settings,
+    workshop_hours,
+    users,
+    bike_models,
+    bikes,
+    complaints,
+    complaint_events,
+    complaint_messages,
+    complaint_attachments: [],
+    appointments: [],
+    work_logs,
+    parts,
+    quotes,
+    quote_lines,
+    invoices,
+    payments,
+    service_ratings,
+    saved_views,
+  };
+};
@@ -0,0 +1,45 @@
+import { slaDueAt } from "../../services/sla";
+import { findRow, selectRows, updateRow } from "./db";
+import { currentUserId } from "./users";
+
+// sla_targets rows use the priority as their id. What the triggers in the
+// SLA migrations do on write happens in updateComplaint() (complaints.js)
+// and in escalation.js.
+
+export const slaTargets = () =>
+  Object.fromEntries(
+    selectRows("sla_targets").map((row) => [row.priority, row]),
+  );
+
+export const memorySlaRepository = {
+  async getTargets() {
+    return slaTargets();
+  },
+
+  async saveTargets(targets) {
+    if (findRow("users", currentUserId())?.role !== "company") {
+      throw new Error("Only company users can change SLA targets.");
+    }
+
+    for (const target of Object.values(targets)) {
+      if (target.resolution_hours < target.response_hours) {
+        throw new Error(
+          "Resolution targets must not be shorter than response targets.",
+        );
+      }
+      updateRow("sla_targets", target.priority, {
+        response_hours: target.response_hours,
+        resolution_hours: target.resolution_hours,
+      });
+    }
+
+    // refresh_sla_due_at()
+    const current = slaTargets();
+    for (const complaint of selectRows("complaints")) {
+      const due = slaDueAt(complaint, current);
+      if (due !== complaint.sla_due_at) {
+        updateRow("complaints", complaint.id, { sla_due_at: due });
+      }
+    }
+  },
+};
@@ -0,0 +1,107 @@
+import { findRow, insertRow, selectRows, timestamp, updateRow } from "./db";
+import { recordEvent, updateComplaint, withRelations } from "./complaints";
+import { currentUserId } from "./users";
+
+// Same rules as the technicians migration: only technicians can be
+// assigned, and technicians only see and log time on their own jobs.
+
+const userName = (userId) => (userId && findRow("users", userId)?.name) || null;
+
+// check_complaint_assignee() plus the "assigned" event that
+// record_complaint_events() writes.
+export const assignTechnician = (complaint, technicianId) => {
+  if (technicianId && findRow("users", technicianId)?.role !== "technician") {
+    throw new Error("Requests can only be assigned to technicians.");
+  }
+  updateComplaint(complaint.id, {
+    assigned_to: technicianId,
+    updated_at: timestamp(),
+  });
+  recordEvent(complaint.id, currentUserId(), "assigned", {
+    old_value: userName(complaint.assigned_to),
+    new_value: userName(technicianId),
+  });
+};
+
+const assertAssigned = (complaintId, technicianId) => {
+  const complaint = findRow("complaints", complaintId);
+  if (
+    technicianId !== currentUserId() ||
+    complaint?.assigned_to !== technicianId
+  ) {
+    throw new Error("This job is not assigned to you.");
+  }
+};
+
+const withTechnician = (log) => ({
+  ...log,
+  technician: { name: userName(log.technician_id) },
+});
+
+export const memoryTechniciansRepository = {
+  async listTechnicians() {
+    return selectRows("users")
+      .filter((user) => user.role === "technician")
+      .map(({ id, name, email }) => ({ id, name, email }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  async assign(complaintId, technicianId) {
+    const complaint = findRow("complaints", complaintId);
+    if (!complaint) throw new Error("Request not found.");
+    if ((complaint.assigned_to || null) === (technicianId || null)) return;
+    assignTechnician(complaint, technicianId || null);
+  },
+
+  async listAssigned(technicianId) {
+    return selectRows("complaints")
+      .filter((c) => c.assigned_to === technicianId)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(withRelations);
+  },
+
+  async listWorkLogs(complaintIds) {
+    const ids = Array.isArray(complaintIds) ? complaintIds : [complaintIds];
+    return selectRows("work_logs")
+      .filter((log) => ids.includes(log.complaint_id))
+      .sort((a, b) => a.started_at.localeCompare(b.started_at))
+      .map(withTechnician);
+  },
+
+  async startWorkLog(complaintId, technicianId) {
+    assertAssigned(complaintId, technicianId);
+    // work_logs_one_open_per_job
+    if (
+      selectRows("work_logs").some(
+        (log) =>
+          log.complaint_id === complaintId &&
+          log.technician_id === technicianId &&
+          !log.ended_at,
+      )
+    ) {
+      throw new Error("The timer is already running for this job.");
+    }
+
+    insertRow("work_logs", {
+      complaint_id: complaintId,
+      technician_id: technicianId,
+      started_at: timestamp(),
+      ended_at: null,
+      minutes: null,
+      note: null,
+    });
+  },
+
+  async stopWorkLog(logId, values) {
+    const log = findRow("work_logs", logId);
+    if (!log || log.technician_id !== currentUserId()) {
+      throw new Error("Time entry not found.");
+    }
+    updateRow("work_logs", logId, values);
+  },
+
+  async addWorkLog(values) {
+    assertAssigned(values.complaint_id, values.technician_id);
+    insertRow("work_logs", values);
+  },
+};
@@ -0,0 +1,71 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { findRow, resetDemoData, selectRows } from "./db";
+import { memoryTechniciansRepository as technicians } from "./technicians";
+import { memoryUsersRepository as users } from "./users";
+import { DEMO_PASSWORD } from "./seed";
+
+const signInAs = (email) => users.signIn({ email, password: DEMO_PASSWORD });
+
+describe("memory technicians repository", () => {
+  beforeEach(async () => {
+    resetDemoData();
+    await signInAs("company@evbikes.com");
+  });
+
+  it("lists the technician accounts", async () => {
+    expect(await technicians.listTechnicians()).toEqual([
+      {
+        id: "demo-technician",
+        name: "Vikram Shetty",
+        email: "technician@evbikes.com",
+      },
+    ]);
+  });
+
+  it("assigns a request and logs who it went to", async () => {
+    await technicians.assign("demo-complaint-1", "demo-technician");
+
+    expect(findRow("complaints", "demo-complaint-1").assigned_to).toBe(
+      "demo-technician",
+    );
+    expect(
+      selectRows("complaint_events").find(
+        (e) =>
+          e.complaint_id === "demo-complaint-1" && e.event_type === "assigned",
+      ).new_value,
+    ).toBe("Vikram Shetty");
+  });
+
+  it("only assigns technicians", async () => {
+    await expect(
+      technicians.assign("demo-complaint-1", "demo-customer"),
+    ).rejects.toThrow("only be assigned to technicians");
+  });
+
+  it("shows a technician their jobs with the customer", async () => {
+    await signInAs("technician@evbikes.com");
+    const jobs = await technicians.listAssigned("demo-technician");
+
+    expect(jobs.map((job) => job.id)).toEqual([
+      "demo-complaint-3",
+      "demo-complaint-2",
+    ]);
+    expect(jobs[0].users.name).toBe("Asha Rao");
+  });
+
+  it("runs one timer per job and only on assigned jobs", async () => {
+    await signInAs("technician@evbikes.com");
+    await technicians.startWorkLog("demo-complaint-2", "demo-technician");
+
+    await expect(
+      technicians.startWorkLog("demo-complaint-2", "demo-technician"),
+    ).rejects.toThrow("already running");
+    await expect(
+      technicians.startWorkLog("demo-complaint-1", "demo-technician"),
+    ).rejects.toThrow("not assigned to you");
+
+    const logs = await technicians.listWorkLogs("demo-complaint-2");
+    expect(logs).toHaveLength(2);
+    expect(logs[1].technician.name).toBe("Vikram Shetty");
+  });
+});
@@ -0,0 +1,100 @@
+import { findRow, insertRow, selectRows, timestamp, updateRow } from "./db";
+
+// Demo-only auth: passwords are stored in plain text next to the user rows
+// and the session is just the signed-in user's id in localStorage.
+
+const SESSION_KEY = "chitti-demo-session";
+const storage = typeof localStorage === "undefined" ? null : localStorage;
+const authListeners = new Set();
+
+const toSession = (user) =>
+  user ? { user: { id: user.id, email: user.email } } : null;
+
+let session = toSession(findRow("users", storage?.getItem(SESSION_KEY)));
+
+const setSession = (next) => {
+  session = next;
+  if (next) storage?.setItem(SESSION_KEY, next.user.id);
+  else storage?.removeItem(SESSION_KEY);
+  authListeners.forEach((listener) => listener(session));
+};
+
+const findSettings = (userId) =>
+  selectRows("user_settings").find((row) => row.user_id === userId);
+
+const findByEmail = (email) =>
+  selectRows("users").find(
+    (user) => user.email.toLowerCase() === email.trim().toLowerCase(),
+  );
+
+export const currentUserId = () => session?.user.id || null;
+
+export const memoryUsersRepository = {
+  async getSession() {
+    return session;
+  },
+
+  onAuthStateChange(callback) {
+    authListeners.add(callback);
+    return () => authListeners.delete(callback);
+  },
+
+  async signIn({ email, password }) {
+    const user = findByEmail(email);
+    if (!user || user.password !== password) {
+      throw new Error("Invalid login credentials");
+    }
+    setSession(toSession(user));
+  },
+
+  async signUp({ email, password, name, phone }) {
+    if (findByEmail(email)) throw new Error("User already registered");
+    insertRow("users", {
+      email: email.trim(),
+      password,
+      name,
+      phone,
+      role: "customer",
+    });
+  },
+
+  async signOut() {
+    setSession(null);
+  },
+
+  async findCustomerEmails(emails) {
+    const wanted = new Set(emails.map((email) => email.toLowerCase()));
+    return new Set(
+      selectRows("users")
+        .filter(
+          (user) =>
+            (user.role || "customer") === "customer" &&
+            wanted.has(user.email.toLowerCase()),
+        )
+        .map((user) => user.email.toLowerCase()),
+    );
+  },
+
+  async getRole(userId) {
+    return findRow("users", userId)?.role;
+  },
+
+  async listCustomers() {
+    return selectRows("users")
+      .filter((user) => (user.role || "customer") === "customer")
+      .map(({ id, name, email }) => ({ id, name, email }))
+      .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+  },
+
+  async getSettings(userId) {
+    const row = findSettings(userId);
+    return row ? { language: row.language, time_zone: row.time_zone } : null;
+  },
+
+  async saveSettings(userId, { language, time_zone }) {
+    const changes = { language, time_zone, updated_at: timestamp() };
+    const row = findSettings(userId);
+    if (row) updateRow("user_settings", row.id, changes);
+    else insertRow("user_settings", { user_id: userId, ...changes });
+  },
+};
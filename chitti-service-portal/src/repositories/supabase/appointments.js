@@ -0,0 +1,102 @@
+import { supabase } from "../../supabaseClient";
+
+// Bookings go through book_appointment(), which checks opening hours and
+// capacity and serialises bookings per day.
+
+export const supabaseAppointmentsRepository = {
+  async getWorkshopConfig() {
+    const [settingsResult, hoursResult] = await Promise.all([
+      supabase.from("workshop_settings").select("*").eq("id", 1).single(),
+      supabase.from("workshop_hours").select("*").order("weekday"),
+    ]);
+
+    if (settingsResult.error) throw settingsResult.error;
+    if (hoursResult.error) throw hoursResult.error;
+    return { settings: settingsResult.data, hours: hoursResult.data || [] };
+  },
+
+  async saveWorkshopConfig({ settings, hours }) {
+    const { error } = await supabase
+      .from("workshop_settings")
+      .update({
+        daily_capacity: settings.daily_capacity,
+        slot_capacity: settings.slot_capacity,
+        slot_minutes: settings.slot_minutes,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", 1);
+    if (error) throw error;
+
+    for (const day of hours) {
+      const { error: hoursError } = await supabase
+        .from("workshop_hours")
+        .update({
+          is_open: day.is_open,
+          opens_at: day.opens_at,
+          closes_at: day.closes_at,
+        })
+        .eq("weekday", day.weekday);
+      if (hoursError) throw hoursError;
+    }
+  },
+
+  // Booked places keyed by slot start (epoch ms), without who booked them.
+  async getSlotCounts(from, to) {
+    const { data, error } = await supabase.rpc("appointment_slot_counts", {
+      p_from: from.toISOString(),
+      p_to: to.toISOString(),
+    });
+    if (error) throw error;
+
+    return Object.fromEntries(
+      (data || []).map((row) => [
+        new Date(row.slot_start).getTime(),
+        row.booked,
+      ]),
+    );
+  },
+
+  async listBetween(from, to) {
+    const { data, error } = await supabase
+      .from("appointments")
+      .select(
+        `
+        *,
+        complaint:complaints (
+          id,
+          bicycle_model,
+          issue_type,
+          priority,
+          status,
+          users (
+            name,
+            phone
+          )
+        )
+      `,
+      )
+      .gte("slot_start", from.toISOString())
+      .lt("slot_start", to.toISOString())
+      .order("slot_start");
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async book(complaintId, slotStart) {
+    const { data, error } = await supabase.rpc("book_appointment", {
+      p_complaint_id: complaintId,
+      p_slot_start: slotStart.toISOString(),
+    });
+    if (error) throw error;
+    return data;
+  },
+
+  async cancel(appointmentId) {
+    const { error } = await supabase
+      .from("appointments")
+      .delete()
+      .eq("id", appointmentId);
+    if (error) throw error;
+  },
+};
@@ -0,0 +1,77 @@
+import { supabase } from "../../supabaseClient";
+import {
+  localFileStorage,
+  isLocalFileStorage,
+} from "../../services/attachmentStorage";
+
+const BUCKET = "complaint-attachments";
+const SIGNED_URL_TTL = 60 * 60;
+
+const bucketStorage = {
+  async upload(path, file) {
+    const { error } = await supabase.storage.from(BUCKET).upload(path, file, {
+      contentType: file.type,
+      upsert: false,
+    });
+    if (error) throw error;
+  },
+
+  async getUrls(paths) {
+    if (paths.length === 0) return {};
+    const { data, error } = await supabase.storage
+      .from(BUCKET)
+      .createSignedUrls(paths, SIGNED_URL_TTL);
+    if (error) throw error;
+    return Object.fromEntries(data.map((item) => [item.path, item.signedUrl]));
+  },
+
+  async remove(path) {
+    const { error } = await supabase.storage.from(BUCKET).remove([path]);
+    if (error) throw error;
+  },
+};
+
+const storage = isLocalFileStorage ? localFileStorage : bucketStorage;
+
+export const supabaseAttachmentsRepository = {
+  async list(complaintIds) {
+    const { data, error } = await supabase
+      .from("complaint_attachments")
+      .select("*")
+      .in("complaint_id", complaintIds)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+
+    const urls = await storage.getUrls(
+      (data || []).map((row) => row.storage_path),
+    );
+    return (data || []).map((row) => ({ ...row, url: urls[row.storage_path] }));
+  },
+
+  // files: [{ path, file }]. Uploaded files are removed again when the rows
+  // cannot be saved.
+  async add({ complaintId, uploaderId, files }) {
+    const rows = [];
+    for (const { path, file } of files) {
+      await storage.upload(path, file);
+      rows.push({
+        complaint_id: complaintId,
+        uploader_id: uploaderId,
+        storage_path: path,
+        file_name: file.name,
+        mime_type: file.type,
+        size_bytes: file.size,
+      });
+    }
+    if (rows.length === 0) return;
+
+    const { error } = await supabase.from("complaint_attachments").insert(rows);
+    if (error) {
+      await Promise.all(
+        rows.map((row) => storage.remove(row.storage_path).catch(() => {})),
+      );
+      throw error;
+    }
+  },
+};
@@ -0,0 +1,84 @@
+import { supabase } from "../../supabaseClient";
+
+const BIKE_SELECT = `
+  *,
+  model:bike_models (
+    id,
+    name
+  )
+`;
+
+export const supabaseBikesRepository = {
+  async listModels({ activeOnly = true } = {}) {
+    let query = supabase.from("bike_models").select("*").order("name");
+    if (activeOnly) query = query.eq("active", true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+
+  async createModel({ name, warrantyMonths }) {
+    const { error } = await supabase
+      .from("bike_models")
+      .insert([{ name: name.trim(), warranty_months: warrantyMonths }]);
+    if (error) throw error;
+  },
+
+  async setModelActive(modelId, active) {
+    const { error } = await supabase
+      .from("bike_models")
+      .update({ active })
+      .eq("id", modelId);
+    if (error) throw error;
+  },
+
+  async listByOwner(ownerId) {
+    const { data, error } = await supabase
+      .from("bikes")
+      .select(BIKE_SELECT)
+      .eq("owner_id", ownerId)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async register({
+    ownerId,
+    modelId,
+    serialNumber,
+    purchaseDate,
+    warrantyEndDate,
+  }) {
+    const { error } = await supabase.from("bikes").insert([
+      {
+        owner_id: ownerId,
+        model_id: modelId,
+        serial_number: serialNumber.trim().toUpperCase(),
+        purchase_date: purchaseDate,
+        warranty_end_date: warrantyEndDate,
+      },
+    ]);
+
+    if (error?.code === "23505") {
+      throw new Error("A bike with this serial number is already registered.");
+    }
+    if (error) throw error;
+  },
+
+  // Other requests filed against the same physical bike, newest first.
+  async listHistory(bikeId, excludeComplaintId) {
+    let query = supabase
+      .from("complaints")
+      .select("id, issue_type, status, priority, created_at")
+      .eq("bike_id", bikeId)
+      .order("created_at", { ascending: false });
+
+    if (excludeComplaintId) query = query.neq("id", excludeComplaintId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+};
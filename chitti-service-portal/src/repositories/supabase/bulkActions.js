@@ -0,0 +1,29 @@
+import { supabase } from "../../supabaseClient";
+
+// Both calls return { id, results: [{ complaint_id, ok, error }] }; see the
+// bulk_actions migration.
+
+export const supabaseBulkActionsRepository = {
+  // action: "status" | "priority" | "assign" | "note". `value` is the new
+  // status or priority, the technician's id (null to unassign) or the note;
+  // `reason` is the cancellation reason.
+  async apply(complaintIds, { action, value = null, reason = null }) {
+    const { data, error } = await supabase.rpc("apply_bulk_action", {
+      p_complaint_ids: complaintIds,
+      p_action: action,
+      p_value: value ?? "",
+      p_reason: reason,
+    });
+    if (error) throw error;
+    return data;
+  },
+
+  // Only the caller's most recent bulk action can be undone.
+  async undo(bulkActionId) {
+    const { data, error } = await supabase.rpc("undo_bulk_action", {
+      p_bulk_action_id: bulkActionId,
+    });
+    if (error) throw error;
+    return data;
+  },
+};
@@ -0,0 +1,355 @@
+import { supabase } from "../../supabaseClient";
+import { assertTransition } from "../../services/complaintStatus";
+import {
+  DEFAULT_SORT,
+  PAGE_SIZE,
+  SORT_COLUMNS,
+  changedFields,
+  createdBounds,
+} from "../../services/complaints";
+import { MESSAGE_VISIBILITY } from "../../services/complaintMessages";
+
+const COMPLAINT_SELECT = `
+  *,
+  users (
+    name,
+    email,
+    phone
+  ),
+  bike:bikes (
+    id,
+    serial_number,
+    purchase_date,
+    warranty_end_date
+  ),
+  appointment:appointments (
+    id,
+    slot_start
+  ),
+  quote:quotes (
+    *,
+    lines:quote_lines (
+      *
+    )
+  ),
+  invoice:invoices (
+    *,
+    payments (
+      *
+    )
+  ),
+  rating:service_ratings (
+    *
+  )
+`;
+
+const MESSAGE_SELECT = `
+  *,
+  author:users (
+    name,
+    role
+  )
+`;
+
+const EVENT_SELECT = `
+  *,
+  actor:users (
+    name,
+    role
+  )
+`;
+
+const ANALYTICS_SELECT =
+  "id, status, priority, issue_type, bicycle_model, created_at, resolved_at, rework_count";
+
+const toIds = (ids) => (Array.isArray(ids) ? ids : [ids]);
+
+// PostgREST caps each response (1000 rows by default), so reports read
+// their rows in batches.
+const BATCH_SIZE = 1000;
+
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+  for (let from = 0; ; from += BATCH_SIZE) {
+    const { data, error } = await buildQuery().range(
+      from,
+      from + BATCH_SIZE - 1,
+    );
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < BATCH_SIZE) return rows;
+  }
+};
+
+// LIKE treats these as wildcards; the model filter matches them literally.
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+// The company table's filters, search and sort (see search_complaints()).
+const buildListQuery = (
+  {
+    status = "all",
+    assignee = "all",
+    priority = "all",
+    issueType = "all",
+    model = "",
+    customer = "all",
+    days = 0,
+    from = "",
+    to = "",
+    search = "",
+    sort = DEFAULT_SORT,
+  },
+  options,
+) => {
+  let query = supabase
+    .rpc("search_complaints", { p_search: search.trim() || null }, options)
+    .select(COMPLAINT_SELECT);
+
+  if (status !== "all") query = query.eq("status", status);
+  if (priority !== "all") query = query.eq("priority", priority);
+  if (assignee === "unassigned") query = query.is("assigned_to", null);
+  else if (assignee !== "all") query = query.eq("assigned_to", assignee);
+  if (issueType !== "all") query = query.eq("issue_type", issueType);
+  if (customer !== "all") query = query.eq("user_id", customer);
+  if (model) {
+    query = query.ilike("bicycle_model", `%${escapeLike(model)}%`);
+  }
+
+  const { start, end } = createdBounds({ days, from, to });
+  if (start) query = query.gte("created_at", start);
+  if (end) query = query.lt("created_at", end);
+
+  query = query.order(SORT_COLUMNS[sort.column], {
+    ascending: sort.ascending,
+    nullsFirst: false,
+  });
+  if (sort.column !== "date") {
+    query = query.order("created_at", { ascending: false });
+  }
+  return query;
+};
+
+export const supabaseComplaintsRepository = {
+  async listByCustomer(userId) {
+    const { data, error } = await supabase
+      .from("complaints")
+      .select(COMPLAINT_SELECT)
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getById(complaintId) {
+    const { data, error } = await supabase
+      .from("complaints")
+      .select(COMPLAINT_SELECT)
+      .eq("id", complaintId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // One page of complaints for the company table. Filtering, search,
+  // sorting and paging all happen in the database.
+  async listPage({ page = 0, pageSize = PAGE_SIZE, ...filters }) {
+    const from = page * pageSize;
+    const { data, error, count } = await buildListQuery(filters, {
+      count: "exact",
+    }).range(from, from + pageSize - 1);
+
+    if (error) throw error;
+    return { rows: data || [], total: count || 0 };
+  },
+
+  // Every complaint in the table's current view (all pages), for exports.
+  async listAll(filters) {
+    return fetchAll(() => buildListQuery(filters));
+  },
+
+  async getStats() {
+    const { data, error } = await supabase.rpc("complaint_stats");
+    if (error) throw error;
+    return data;
+  },
+
+  // Rows for the analytics tab: complaints submitted in [start, end), the
+  // open backlog (whenever it was submitted) and the status changes made
+  // since `start`.
+  async listAnalytics({ start, end }) {
+    const [created, open, statusChanges] = await Promise.all([
+      fetchAll(() =>
+        supabase
+          .from("complaints")
+          .select(ANALYTICS_SELECT)
+          .gte("created_at", start)
+          .lt("created_at", end)
+          .order("created_at"),
+      ),
+      fetchAll(() =>
+        supabase
+          .from("complaints")
+          .select(ANALYTICS_SELECT)
+          .not("status", "in", "(completed,cancelled)")
+          .order("created_at"),
+      ),
+      fetchAll(() =>
+        supabase
+          .from("complaint_events")
+          .select("id, complaint_id, old_value, new_value, created_at")
+          .eq("event_type", "status_changed")
+          .gte("created_at", start)
+          .order("created_at"),
+      ),
+    ]);
+
+    return { created, open, statusChanges };
+  },
+
+  async create(values) {
+    const { data, error } = await supabase
+      .from("complaints")
+      .insert([{ ...values, status: "pending" }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Inserts legacy requests in one transaction (see import_complaints()).
+  // rows: validated values from services/requestImport.js.
+  async importComplaints(rows) {
+    const { data, error } = await supabase.rpc("import_complaints", {
+      p_rows: rows,
+    });
+    if (error) throw error;
+    return data;
+  },
+
+  // Moves a complaint to `newStatus` if the workflow allows it. Returns
+  // false when someone else changed the status first, so the caller can
+  // reload.
+  async updateStatus(complaint, newStatus, reason) {
+    assertTransition(complaint.status, newStatus, reason);
+
+    const updates = {
+      status: newStatus,
+      updated_at: new Date().toISOString(),
+    };
+    if (reason) updates.cancellation_reason = reason.trim();
+
+    // Guard on the current status so a concurrent change by another staff
+    // member is not silently overwritten.
+    const { data, error } = await supabase
+      .from("complaints")
+      .update(updates)
+      .eq("id", complaint.id)
+      .eq("status", complaint.status)
+      .select();
+
+    if (error) throw error;
+    return Boolean(data && data.length > 0);
+  },
+
+  // The customer's own changes to a pending request; the customer_edits
+  // migration limits which columns they may touch. Returns false when the
+  // request is no longer pending.
+  async updateDetails(complaint, values) {
+    const changes = changedFields(complaint, values);
+    if (Object.keys(changes).length === 0) return true;
+
+    const { data, error } = await supabase
+      .from("complaints")
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq("id", complaint.id)
+      .eq("status", "pending")
+      .select();
+
+    if (error) throw error;
+    return Boolean(data && data.length > 0);
+  },
+
+  async listMessages(complaintIds, { includeInternal = false } = {}) {
+    const ids = toIds(complaintIds);
+    if (ids.length === 0) return [];
+
+    let query = supabase
+      .from("complaint_messages")
+      .select(MESSAGE_SELECT)
+      .in("complaint_id", ids)
+      .order("created_at", { ascending: true });
+
+    if (!includeInternal) {
+      query = query.eq("visibility", MESSAGE_VISIBILITY.PUBLIC);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getMessage(messageId) {
+    const { data, error } = await supabase
+      .from("complaint_messages")
+      .select(MESSAGE_SELECT)
+      .eq("id", messageId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async addMessage({
+    complaintId,
+    authorId,
+    body,
+    visibility = MESSAGE_VISIBILITY.PUBLIC,
+  }) {
+    const { error } = await supabase.from("complaint_messages").insert([
+      {
+        complaint_id: complaintId,
+        author_id: authorId,
+        body: body.trim(),
+        visibility,
+      },
+    ]);
+
+    if (error) throw error;
+  },
+
+  // Event rows are written by database triggers (see
+  // supabase/migrations/*_complaint_events.sql); the client only reads them.
+  async listEvents(complaintIds) {
+    const ids = toIds(complaintIds);
+    if (ids.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from("complaint_events")
+      .select(EVENT_SELECT)
+      .in("complaint_id", ids)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // bindings: [{ table, event = "*", filter, onChange(payload) }]. Calls
+  // onStatus with the channel status and returns an unsubscribe function.
+  subscribe(name, bindings, onStatus) {
+    let channel = supabase.channel(name);
+
+    for (const { table, event = "*", filter, onChange } of bindings) {
+      channel = channel.on(
+        "postgres_changes",
+        { event, schema: "public", table, ...(filter ? { filter } : {}) },
+        onChange,
+      );
+    }
+
+    channel.subscribe(onStatus);
+    return () => channel.unsubscribe();
+  },
+};
@@ -0,0 +1,45 @@
+import { supabase } from "../../supabaseClient";
+import { INBOX_LIMIT } from "../../services/inbox";
+
+export const supabaseInboxRepository = {
+  async list(userId, { limit = INBOX_LIMIT } = {}) {
+    const { data, error } = await supabase
+      .from("user_notifications")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async countUnread(userId) {
+    const { count, error } = await supabase
+      .from("user_notifications")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", userId)
+      .is("read_at", null);
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  async markRead(ids) {
+    const { error } = await supabase
+      .from("user_notifications")
+      .update({ read_at: new Date().toISOString() })
+      .in("id", ids)
+      .is("read_at", null);
+    if (error) throw error;
+  },
+
+  async markAllRead(userId) {
+    const { error } = await supabase
+      .from("user_notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .is("read_at", null);
+    if (error) throw error;
+  },
+};
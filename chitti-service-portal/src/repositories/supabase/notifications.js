@@ -0,0 +1,40 @@
+import { supabase } from "../../supabaseClient";
+import { PAGE_SIZE } from "../../services/complaints";
+import { DEFAULT_PREFERENCES } from "../../notifications/notifier";
+
+// Notifications themselves are sent by scripts/notification-worker.js; the
+// app only manages preferences and reads the delivery log.
+export const supabaseNotificationsRepository = {
+  async getPreferences(userId) {
+    const { data, error } = await supabase
+      .from("notification_preferences")
+      .select("email_enabled, sms_enabled")
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data || DEFAULT_PREFERENCES;
+  },
+
+  async savePreferences(userId, { email_enabled, sms_enabled }) {
+    const { error } = await supabase.from("notification_preferences").upsert({
+      user_id: userId,
+      email_enabled,
+      sms_enabled,
+      updated_at: new Date().toISOString(),
+    });
+    if (error) throw error;
+  },
+
+  async listDeliveries({ page = 0, pageSize = PAGE_SIZE } = {}) {
+    const from = page * pageSize;
+    const { data, error, count } = await supabase
+      .from("notification_deliveries")
+      .select("*, customer:users (name)", { count: "exact" })
+      .order("created_at", { ascending: false })
+      .range(from, from + pageSize - 1);
+
+    if (error) throw error;
+    return { rows: data || [], total: count || 0 };
+  },
+};
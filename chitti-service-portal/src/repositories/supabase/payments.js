@@ -0,0 +1,38 @@
+import { supabase } from "../../supabaseClient";
+
+// Invoices and their payments are read embedded in complaint rows (see
+// COMPLAINT_SELECT) and only written through the payments migration's
+// functions. Gateway webhooks are handled by scripts/payment-webhooks.js.
+
+export const supabasePaymentsRepository = {
+  async issueInvoice(complaintId, amount) {
+    const { error } = await supabase.rpc("issue_invoice", {
+      p_complaint_id: complaintId,
+      p_amount: amount,
+    });
+    if (error) throw error;
+  },
+
+  // kind: "payment" | "refund"
+  async recordPayment(invoiceId, { kind, amount, method, note }) {
+    const { error } = await supabase.rpc("record_payment", {
+      p_invoice_id: invoiceId,
+      p_kind: kind,
+      p_amount: amount,
+      p_method: method,
+      p_note: note || null,
+    });
+    if (error) throw error;
+  },
+
+  // Returns the id of the new pending payment.
+  async startPayment(invoiceId, amount, gatewayName) {
+    const { data, error } = await supabase.rpc("start_payment", {
+      p_invoice_id: invoiceId,
+      p_amount: amount,
+      p_gateway: gatewayName,
+    });
+    if (error) throw error;
+    return data;
+  },
+};
@@ -0,0 +1,64 @@
+import { supabase } from "../../supabaseClient";
+
+// Quotes are read embedded in complaint rows (see COMPLAINT_SELECT) and only
+// written through save_quote() and decide_quote().
+
+export const supabaseQuotesRepository = {
+  async listParts({ activeOnly = true } = {}) {
+    let query = supabase.from("parts").select("*").order("name");
+    if (activeOnly) query = query.eq("active", true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+
+  async createPart({ sku, name, unitPrice, stock }) {
+    const { error } = await supabase.from("parts").insert([
+      {
+        sku: sku.trim().toUpperCase(),
+        name: name.trim(),
+        unit_price: unitPrice,
+        stock,
+      },
+    ]);
+
+    if (error?.code === "23505") {
+      throw new Error("A part with this SKU is already in the catalog.");
+    }
+    if (error) throw error;
+  },
+
+  // changes: any of { unit_price, stock, active }
+  async updatePart(partId, changes) {
+    const { error } = await supabase
+      .from("parts")
+      .update(changes)
+      .eq("id", partId);
+    if (error) throw error;
+  },
+
+  // lines: [{ partId, quantity }]
+  async saveQuote(complaintId, { laborHours, laborRate, taxRate, lines }) {
+    const { error } = await supabase.rpc("save_quote", {
+      p_complaint_id: complaintId,
+      p_labor_hours: laborHours,
+      p_labor_rate: laborRate,
+      p_tax_rate: taxRate,
+      p_lines: lines.map((line) => ({
+        part_id: line.partId,
+        quantity: line.quantity,
+      })),
+    });
+    if (error) throw error;
+  },
+
+  async decideQuote(quoteId, approve, reason) {
+    const { error } = await supabase.rpc("decide_quote", {
+      p_quote_id: quoteId,
+      p_approve: approve,
+      p_reason: reason || null,
+    });
+    if (error) throw error;
+  },
+};
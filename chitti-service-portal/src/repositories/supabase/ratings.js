@@ -0,0 +1,69 @@
+import { supabase } from "../../supabaseClient";
+import { LOW_RATING } from "../../services/ratings";
+
+// A request's rating is also embedded in its complaint row (see
+// COMPLAINT_SELECT). Ratings and reworks are only written through the
+// ratings migration's functions.
+
+const RATING_SELECT = `
+  *,
+  complaint:complaints (
+    id,
+    bicycle_model,
+    issue_type,
+    rework_count,
+    users (
+      name
+    )
+  )
+`;
+
+export const supabaseRatingsRepository = {
+  async rate(complaintId, rating, comment) {
+    const { error } = await supabase.rpc("rate_service", {
+      p_complaint_id: complaintId,
+      p_rating: rating,
+      p_comment: comment || null,
+    });
+    if (error) throw error;
+  },
+
+  async reopen(complaintId, reason) {
+    const { error } = await supabase.rpc("reopen_complaint", {
+      p_complaint_id: complaintId,
+      p_reason: reason,
+    });
+    if (error) throw error;
+  },
+
+  async markFollowedUp(ratingId) {
+    const { error } = await supabase.rpc("mark_rating_followed_up", {
+      p_rating_id: ratingId,
+    });
+    if (error) throw error;
+  },
+
+  // Ratings given between `start` and `end`.
+  async listRatings({ start, end }) {
+    const { data, error } = await supabase
+      .from("service_ratings")
+      .select(RATING_SELECT)
+      .gte("created_at", start)
+      .lt("created_at", end)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Low ratings nobody has followed up yet, oldest first.
+  async listFollowUps() {
+    const { data, error } = await supabase
+      .from("service_ratings")
+      .select(RATING_SELECT)
+      .lte("rating", LOW_RATING)
+      .is("followed_up_at", null)
+      .order("updated_at");
+    if (error) throw error;
+    return data || [];
+  },
+};
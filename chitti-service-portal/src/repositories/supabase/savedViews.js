@@ -0,0 +1,85 @@
+import { supabase } from "../../supabaseClient";
+
+const VIEW_SELECT = `
+  *,
+  owner:users (
+    name
+  )
+`;
+
+// Row policies in the saved_views migration limit every call to the
+// signed-in user's own views plus the ones shared with the team.
+export const supabaseSavedViewsRepository = {
+  async listViews() {
+    const { data, error } = await supabase
+      .from("saved_views")
+      .select(VIEW_SELECT)
+      .order("name");
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Saving under a name the user already has replaces that view's query.
+  async saveView(userId, { name, query }) {
+    const { data, error } = await supabase
+      .from("saved_views")
+      .upsert(
+        {
+          owner_id: userId,
+          name: name.trim(),
+          query,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "owner_id,name" },
+      )
+      .select(VIEW_SELECT)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async setShared(viewId, shared) {
+    const { error } = await supabase
+      .from("saved_views")
+      .update({ shared, updated_at: new Date().toISOString() })
+      .eq("id", viewId);
+
+    if (error) throw error;
+  },
+
+  async deleteView(viewId) {
+    const { error } = await supabase
+      .from("saved_views")
+      .delete()
+      .eq("id", viewId);
+
+    if (error) throw error;
+  },
+
+  // Null when the user has none, or it is no longer shared with them.
+  async getDefaultView(userId) {
+    const { data, error } = await supabase
+      .from("default_views")
+      .select(`view:saved_views (${VIEW_SELECT})`)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.view || null;
+  },
+
+  // `viewId` null goes back to the built-in view.
+  async setDefaultView(userId, viewId) {
+    const { error } = viewId
+      ? await supabase.from("default_views").upsert({
+          user_id: userId,
+          view_id: viewId,
+          updated_at: new Date().toISOString(),
+        })
+      : await supabase.from("default_views").delete().eq("user_id", userId);
+
+    if (error) throw error;
+  },
+};
@@ -0,0 +1,27 @@
+import { supabase } from "../../supabaseClient";
+
+// Deadlines (sla_due_at) and escalation are kept up to date by triggers and
+// the escalate_breached_complaints() cron job; only the targets are edited
+// from the app.
+
+export const supabaseSlaRepository = {
+  // Keyed by priority.
+  async getTargets() {
+    const { data, error } = await supabase.from("sla_targets").select("*");
+    if (error) throw error;
+    return Object.fromEntries((data || []).map((row) => [row.priority, row]));
+  },
+
+  async saveTargets(targets) {
+    for (const target of Object.values(targets)) {
+      const { error } = await supabase
+        .from("sla_targets")
+        .update({
+          response_hours: target.response_hours,
+          resolution_hours: target.resolution_hours,
+        })
+        .eq("priority", target.priority);
+      if (error) throw error;
+    }
+  },
+};
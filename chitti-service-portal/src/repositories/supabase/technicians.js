@@ -0,0 +1,96 @@
+import { supabase } from "../../supabaseClient";
+
+// Assignment changes are logged by record_complaint_events(); a technician
+// can only log time on jobs assigned to them (work_logs policies).
+
+export const supabaseTechniciansRepository = {
+  async listTechnicians() {
+    const { data, error } = await supabase
+      .from("users")
+      .select("id, name, email")
+      .eq("role", "technician")
+      .order("name");
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async assign(complaintId, technicianId) {
+    const { error } = await supabase
+      .from("complaints")
+      .update({
+        assigned_to: technicianId || null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", complaintId);
+
+    if (error) throw error;
+  },
+
+  async listAssigned(technicianId) {
+    const { data, error } = await supabase
+      .from("complaints")
+      .select(
+        `
+        *,
+        users (
+          name,
+          email,
+          phone
+        ),
+        bike:bikes (
+          serial_number
+        ),
+        appointment:appointments (
+          slot_start
+        ),
+        quote:quotes (
+          status
+        )
+      `,
+      )
+      .eq("assigned_to", technicianId)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async listWorkLogs(complaintIds) {
+    const ids = Array.isArray(complaintIds) ? complaintIds : [complaintIds];
+    if (ids.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from("work_logs")
+      .select("*, technician:users (name)")
+      .in("complaint_id", ids)
+      .order("started_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async startWorkLog(complaintId, technicianId) {
+    const { error } = await supabase
+      .from("work_logs")
+      .insert([{ complaint_id: complaintId, technician_id: technicianId }]);
+
+    if (error) throw error;
+  },
+
+  // values: { ended_at, minutes, note }
+  async stopWorkLog(logId, values) {
+    const { error } = await supabase
+      .from("work_logs")
+      .update(values)
+      .eq("id", logId);
+
+    if (error) throw error;
+  },
+
+  // values: { complaint_id, technician_id, started_at, ended_at, minutes, note }
+  async addWorkLog(values) {
+    const { error } = await supabase.from("work_logs").insert([values]);
+    if (error) throw error;
+  },
+};
@@ -0,0 +1,114 @@
+import { supabase } from "../../supabaseClient";
+
+export const supabaseUsersRepository = {
+  async getSession() {
+    const { data, error } = await supabase.auth.getSession();
+    if (error) throw error;
+    return data.session;
+  },
+
+  // Returns an unsubscribe function.
+  onAuthStateChange(callback) {
+    const {
+      data: { subscription },
+    } = supabase.auth.onAuthStateChange((_event, session) => callback(session));
+    return () => subscription.unsubscribe();
+  },
+
+  async signIn({ email, password }) {
+    const { error } = await supabase.auth.signInWithPassword({
+      email,
+      password,
+    });
+    if (error) throw error;
+  },
+
+  async signUp({ email, password, name, phone }) {
+    const { data, error } = await supabase.auth.signUp({ email, password });
+    if (error) throw error;
+
+    if (data.user) {
+      const { error: insertError } = await supabase.from("users").insert([
+        {
+          id: data.user.id,
+          email,
+          name,
+          phone,
+          role: "customer",
+        },
+      ]);
+      if (insertError) throw insertError;
+    }
+  },
+
+  async signOut() {
+    const { error } = await supabase.auth.signOut();
+    if (error) throw error;
+  },
+
+  // Which of `emails` belong to customer accounts, lower-cased. Used to
+  // validate spreadsheet imports before anything is written.
+  async findCustomerEmails(emails) {
+    const variants = [
+      ...new Set(emails.flatMap((email) => [email, email.toLowerCase()])),
+    ];
+    const found = new Set();
+
+    for (let i = 0; i < variants.length; i += 100) {
+      const { data, error } = await supabase
+        .from("users")
+        .select("email")
+        .in("email", variants.slice(i, i + 100))
+        .or("role.eq.customer,role.is.null");
+
+      if (error) throw error;
+      data.forEach((user) => found.add(user.email.toLowerCase()));
+    }
+    return found;
+  },
+
+  async getRole(userId) {
+    const { data, error } = await supabase
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    if (error) throw error;
+    return data?.role;
+  },
+
+  // For the company table's customer filter.
+  async listCustomers() {
+    const { data, error } = await supabase
+      .from("users")
+      .select("id, name, email")
+      .or("role.eq.customer,role.is.null")
+      .order("name");
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Language and time zone; null until the user picks them.
+  async getSettings(userId) {
+    const { data, error } = await supabase
+      .from("user_settings")
+      .select("language, time_zone")
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async saveSettings(userId, { language, time_zone }) {
+    const { error } = await supabase.from("user_settings").upsert({
+      user_id: userId,
+      language,
+      time_zone,
+      updated_at: new Date().toISOString(),
+    });
+    if (error) throw error;
+  },
+};
@@ -0,0 +1,219 @@
+import { STATUSES, isTerminal } from "./complaintStatus";
+import { t } from "../i18n";
+
+// Workshop metrics for the company analytics tab. Everything is computed
+// from complaint timestamps and the status_changed events in the activity
+// log, so no extra bookkeeping is needed in the database.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Labels are message keys.
+export const RANGE_PRESETS = [
+  { days: 30, labelKey: "analytics.last30Days" },
+  { days: 90, labelKey: "analytics.last90Days" },
+  { days: 365, labelKey: "analytics.last12Months" },
+];
+
+export const DEFAULT_RANGE_DAYS = 90;
+
+// The age brackets of the open-request backlog, in days, with their
+// message keys.
+export const BACKLOG_BUCKETS = [
+  { labelKey: "analytics.age.underDay", max: 1 },
+  { labelKey: "analytics.age.days1to3", max: 3 },
+  { labelKey: "analytics.age.days3to7", max: 7 },
+  { labelKey: "analytics.age.weeks1to2", max: 14 },
+  { labelKey: "analytics.age.weeks2to4", max: 28 },
+  { labelKey: "analytics.age.overWeeks4", max: Infinity },
+];
+
+export const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+// `from` and `to` are "YYYY-MM-DD" strings from the date inputs; the range
+// covers both days completely.
+export const rangeForPreset = (days, today = new Date()) => ({
+  from: toDateInput(new Date(today.getTime() - (days - 1) * DAY)),
+  to: toDateInput(today),
+});
+
+export const rangeBounds = ({ from, to }) => {
+  const start = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T00:00:00`);
+  end.setDate(end.getDate() + 1);
+  return { start: start.toISOString(), end: end.toISOString() };
+};
+
+export const average = (values) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+export const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+export const formatDuration = (hours) => {
+  if (hours == null) return "—";
+  if (hours < 1) {
+    return t("analytics.minutes", { minutes: Math.round(hours * 60) });
+  }
+  if (hours < 48) return t("analytics.hours", { hours: hours.toFixed(1) });
+  return t("analytics.days", { days: (hours / 24).toFixed(1) });
+};
+
+const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / HOUR;
+
+const groupChanges = (statusChanges) => {
+  const byComplaint = new Map();
+  for (const event of statusChanges) {
+    if (!byComplaint.has(event.complaint_id)) {
+      byComplaint.set(event.complaint_id, []);
+    }
+    byComplaint.get(event.complaint_id).push(event);
+  }
+  for (const events of byComplaint.values()) {
+    events.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+  return byComplaint;
+};
+
+// For every completed complaint: hours from submission (pending) to the
+// first move to completed, and the hours spent in each status on the way.
+// Complaints without a completion event fall back to resolved_at.
+export const turnaroundStats = (complaints, statusChanges) => {
+  const changes = groupChanges(statusChanges);
+  const totals = [];
+  const stageHours = Object.fromEntries(STATUSES.map((s) => [s, []]));
+
+  for (const complaint of complaints) {
+    if (complaint.status !== "completed") continue;
+
+    const events = changes.get(complaint.id) || [];
+    const completion = events.find((e) => e.new_value === "completed");
+    const completedAt = completion?.created_at || complaint.resolved_at;
+    if (!completedAt) continue;
+
+    totals.push(hoursBetween(complaint.created_at, completedAt));
+
+    if (!completion) continue;
+    const spent = {};
+    let status = "pending";
+    let since = complaint.created_at;
+    for (const event of events) {
+      spent[status] =
+        (spent[status] || 0) + hoursBetween(since, event.created_at);
+      if (event === completion) break;
+      status = event.new_value;
+      since = event.created_at;
+    }
+    for (const [stage, hours] of Object.entries(spent)) {
+      stageHours[stage]?.push(hours);
+    }
+  }
+
+  return {
+    completed: totals.length,
+    averageHours: average(totals),
+    medianHours: median(totals),
+    stages: STATUSES.filter((s) => !isTerminal(s)).map((status) => ({
+      status,
+      averageHours: average(stageHours[status]),
+    })),
+  };
+};
+
+// Open complaints grouped by how long ago they were submitted.
+export const backlogAges = (openComplaints, now = new Date()) => {
+  const counts = BACKLOG_BUCKETS.map((bucket) => ({ ...bucket, count: 0 }));
+  const ages = openComplaints.map((c) => (now - new Date(c.created_at)) / DAY);
+
+  for (const age of ages) {
+    counts.find((bucket) => age < bucket.max).count += 1;
+  }
+
+  return {
+    total: ages.length,
+    medianDays: median(ages),
+    oldestDays: ages.length ? Math.max(...ages) : null,
+    buckets: counts,
+  };
+};
+
+const startOfWeek = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+};
+
+// New complaints per week (weeks start on Monday), including empty weeks.
+export const weeklyIntake = (complaints, { from, to }) => {
+  const weeks = [];
+  const last = new Date(`${to}T00:00:00`);
+  for (
+    let week = startOfWeek(new Date(`${from}T00:00:00`));
+    week <= last;
+    week.setDate(week.getDate() + 7)
+  ) {
+    weeks.push({ weekStart: new Date(week), count: 0 });
+  }
+
+  for (const complaint of complaints) {
+    const start = startOfWeek(new Date(complaint.created_at)).getTime();
+    const week = weeks.find((w) => w.weekStart.getTime() === start);
+    if (week) week.count += 1;
+  }
+
+  return weeks;
+};
+
+// issue_type × bicycle_model counts, for the hotspot grid. Only the most
+// frequent issues and models get their own row/column.
+export const hotspotMatrix = (
+  complaints,
+  { maxIssues = 8, maxModels = 6 } = {},
+) => {
+  const cells = new Map();
+  const issueTotals = new Map();
+  const modelTotals = new Map();
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  for (const { issue_type: issue, bicycle_model: model } of complaints) {
+    bump(cells, `${issue}\u0000${model}`);
+    bump(issueTotals, issue);
+    bump(modelTotals, model);
+  }
+
+  const top = (totals, limit) =>
+    [...totals.entries()]
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+      .slice(0, limit)
+      .map(([key]) => key);
+
+  const issues = top(issueTotals, maxIssues);
+  const models = top(modelTotals, maxModels);
+  const countFor = (issue, model) => cells.get(`${issue}\u0000${model}`) || 0;
+
+  const combinations = [...cells.entries()]
+    .map(([key, count]) => {
+      const [issue, model] = key.split("\u0000");
+      return { issue, model, count };
+    })
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 5);
+
+  return {
+    issues,
+    models,
+    countFor,
+    max: Math.max(0, ...cells.values()),
+    combinations,
+  };
+};
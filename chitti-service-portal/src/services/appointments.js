@@ -0,0 +1,75 @@
+import { formatCalendarDate, formatDateTime } from "../i18n";
+
+// Slots are generated in the browser's local time, which is assumed to match
+// workshop_settings.timezone. Bookings go through appointmentsRepository,
+// whose book() re-checks hours and capacity, so a mismatch can only hide
+// slots, never overbook.
+
+// weekday: 0 for Sunday to 6 for Saturday, as in workshop_hours. The first
+// of January 2023 was a Sunday.
+export const formatWeekday = (weekday) =>
+  formatCalendarDate(`2023-01-0${weekday + 1}`, { weekday: "long" });
+
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Monday-based week, matching how the workshop plans its rota.
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const result = startOfDay(date);
+  result.setHours(hours, minutes);
+  return result;
+};
+
+// Every drop-off slot on `date`, each flagged with whether it can still be
+// booked given `counts` (from appointmentsRepository.getSlotCounts).
+export const getDaySlots = (
+  date,
+  { settings, hours },
+  counts,
+  now = new Date(),
+) => {
+  const day = hours.find((h) => h.weekday === date.getDay());
+  if (!settings || !day?.is_open) return [];
+
+  const opens = atTime(date, day.opens_at);
+  const closes = atTime(date, day.closes_at);
+  const slotMs = settings.slot_minutes * 60 * 1000;
+
+  const slots = [];
+  for (let t = opens.getTime(); t + slotMs <= closes.getTime(); t += slotMs) {
+    slots.push({ start: new Date(t), booked: counts[t] || 0 });
+  }
+
+  const dayBooked = slots.reduce((sum, slot) => sum + slot.booked, 0);
+  const dayFull = dayBooked >= settings.daily_capacity;
+
+  return slots.map((slot) => ({
+    ...slot,
+    available:
+      !dayFull && slot.booked < settings.slot_capacity && slot.start > now,
+  }));
+};
+
+export const formatSlot = (slotStart) =>
+  formatDateTime(slotStart, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
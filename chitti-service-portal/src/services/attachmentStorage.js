@@ -0,0 +1,86 @@
+// Where attachment files live when they are not in the Supabase bucket
+// (repositories/supabase/attachments.js). Every store exposes the same three
+// calls so the attachments repositories do not care which one is active.
+const LOCAL_BASE = "/__local-uploads";
+
+// Backed by the dev server's local-uploads plugin (vite-plugins/localUploads.js).
+export const localFileStorage = {
+  async upload(path, file) {
+    const response = await fetch(`${LOCAL_BASE}/${path}`, {
+      method: "PUT",
+      headers: { "Content-Type": file.type },
+      body: file,
+    });
+    if (!response.ok) throw new Error(`Upload failed (${response.status})`);
+  },
+
+  async getUrls(paths) {
+    return Object.fromEntries(
+      paths.map((path) => [path, `${LOCAL_BASE}/${path}`]),
+    );
+  },
+
+  async remove(path) {
+    await fetch(`${LOCAL_BASE}/${path}`, { method: "DELETE" });
+  },
+};
+
+// Files kept in the browser's IndexedDB for the in-memory demo backend, so
+// attachments survive reloads and show in other tabs without any server.
+const DB_NAME = "chitti-demo-files";
+const STORE = "files";
+
+let dbPromise = null;
+const objectUrls = new Map();
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = makeRequest(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const browserFileStorage = {
+  async upload(path, file) {
+    await runRequest("readwrite", (store) => store.add(file, path));
+  },
+
+  async getUrls(paths) {
+    const entries = await Promise.all(
+      paths.map(async (path) => {
+        if (!objectUrls.has(path)) {
+          const file = await runRequest("readonly", (store) => store.get(path));
+          if (file) objectUrls.set(path, URL.createObjectURL(file));
+        }
+        return [path, objectUrls.get(path)];
+      }),
+    );
+    return Object.fromEntries(entries);
+  },
+
+  async remove(path) {
+    await runRequest("readwrite", (store) => store.delete(path));
+    if (objectUrls.has(path)) {
+      URL.revokeObjectURL(objectUrls.get(path));
+      objectUrls.delete(path);
+    }
+  },
+};
+
+export const isLocalFileStorage =
+  import.meta.env.VITE_ATTACHMENT_STORAGE === "local";
@@ -0,0 +1,16 @@
+// Suggested warranty end date (YYYY-MM-DD) for a purchase date and model.
+export const defaultWarrantyEnd = (purchaseDate, warrantyMonths) => {
+  if (!purchaseDate) return "";
+  const date = new Date(`${purchaseDate}T00:00:00`);
+  date.setMonth(date.getMonth() + warrantyMonths);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+export const isInWarranty = (bike, on = new Date()) =>
+  Boolean(bike?.warranty_end_date) &&
+  new Date(`${bike.warranty_end_date}T23:59:59`) >= on;
+
+export const formatBikeLabel = (bike) =>
+  `${bike.model?.name || "Unknown model"} · ${bike.serial_number}`;
@@ -0,0 +1,48 @@
+import { getStatusLabel } from "./complaintStatus";
+import { getPriorityLabel } from "./complaints";
+import { getLocale, t, translate } from "../i18n";
+
+// Bulk actions on the company request table. The bulk_actions migration
+// applies each one to all selected requests in a single call and keeps what
+// is needed to undo it.
+
+export const BULK_ACTIONS = {
+  status: "Change status",
+  priority: "Change priority",
+  assign: "Assign technician",
+  note: "Add internal note",
+};
+
+// In the user's language unless another one is given.
+export const getBulkActionLabel = (action, language = getLocale().language) =>
+  translate(language, `bulkAction.${action}`, {
+    defaultValue: BULK_ACTIONS[action] || action,
+  });
+
+// What a bulk action did, for its result summary.
+export const describeBulkAction = ({ action, value }, technicians = []) => {
+  switch (action) {
+    case "status":
+      return t("bulk.statusChanged", { status: getStatusLabel(value) });
+    case "priority":
+      return t("bulk.priorityChanged", { priority: getPriorityLabel(value) });
+    case "assign":
+      return value
+        ? t("event.assigned", {
+            name:
+              technicians.find((technician) => technician.id === value)?.name ||
+              t("bulk.aTechnician"),
+          })
+        : t("event.unassigned");
+    case "note":
+      return t("event.noteAdded");
+    default:
+      return action;
+  }
+};
+
+// results: [{ complaint_id, ok, error }]
+export const countResults = (results) => ({
+  succeeded: results.filter((result) => result.ok).length,
+  failed: results.filter((result) => !result.ok).length,
+});
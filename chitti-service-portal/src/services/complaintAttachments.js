@@ -0,0 +1,78 @@
+import { attachmentsRepository } from "../repositories";
+import { compressImage } from "./imageCompression";
+import { t } from "../i18n";
+
+export const MAX_ATTACHMENTS = 6;
+export const MAX_VIDEO_SIZE = 50 * 1024 * 1024;
+export const MAX_VIDEO_DURATION = 60;
+export const ACCEPTED_TYPES = "image/*,video/*";
+
+export const isVideo = (attachment) =>
+  (attachment.mime_type || attachment.type || "").startsWith("video/");
+
+const getVideoDuration = (file) =>
+  new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    video.preload = "metadata";
+    video.onloadedmetadata = () => {
+      URL.revokeObjectURL(url);
+      resolve(video.duration);
+    };
+    video.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    video.src = url;
+  });
+
+// Returns an error message for a file the customer picked, or null if it
+// can be attached.
+export const validateAttachment = async (file) => {
+  if (file.type.startsWith("image/")) return null;
+  if (!file.type.startsWith("video/")) {
+    return t("attachments.notMedia", { name: file.name });
+  }
+  if (file.size > MAX_VIDEO_SIZE) {
+    return t("attachments.tooLarge", {
+      name: file.name,
+      size: MAX_VIDEO_SIZE / 1024 / 1024,
+    });
+  }
+  const duration = await getVideoDuration(file);
+  if (duration && duration > MAX_VIDEO_DURATION) {
+    return t("attachments.tooLong", {
+      name: file.name,
+      seconds: MAX_VIDEO_DURATION,
+    });
+  }
+  return null;
+};
+
+const safeFileName = (name) => name.replace(/[^a-zA-Z0-9._-]/g, "_");
+
+export const uploadComplaintAttachments = async ({
+  complaintId,
+  uploaderId,
+  files,
+}) => {
+  const uploads = [];
+  for (const original of files) {
+    const file = await compressImage(original);
+    uploads.push({
+      path: `${complaintId}/${crypto.randomUUID()}-${safeFileName(file.name)}`,
+      file,
+    });
+  }
+
+  if (uploads.length === 0) return;
+  await attachmentsRepository.add({ complaintId, uploaderId, files: uploads });
+};
+
+// Loads attachment rows for the given complaints, each with a `url` that
+// can be used directly in <img>/<video>.
+export const fetchComplaintAttachments = async (complaintIds) => {
+  const ids = Array.isArray(complaintIds) ? complaintIds : [complaintIds];
+  if (ids.length === 0) return [];
+  return attachmentsRepository.list(ids);
+};
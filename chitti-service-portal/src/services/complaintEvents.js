@@ -0,0 +1,92 @@
+import { getStatusLabel } from "./complaintStatus";
+import { getIssueTypeLabel, getPriorityLabel } from "./complaints";
+import { formatMoney } from "./quotes";
+import { t } from "../i18n";
+
+const CUSTOMER_VISIBLE_EVENTS = [
+  "created",
+  "status_changed",
+  "quote_sent",
+  "quote_approved",
+  "quote_declined",
+  "payment_received",
+  "refund_issued",
+  "rated",
+  "reopened",
+  "issue_type_changed",
+  "priority_changed",
+  "description_changed",
+];
+
+// The database policies already hide staff-only events from customers;
+// filtering here as well keeps the card correct if those policies change.
+export const filterCustomerEvents = (events) =>
+  events.filter((event) => CUSTOMER_VISIBLE_EVENTS.includes(event.event_type));
+
+export const describeEvent = (event) => {
+  switch (event.event_type) {
+    case "created":
+      return t("event.created");
+    case "imported":
+      return t("event.imported");
+    case "status_changed":
+      return t("event.statusChanged", {
+        from: getStatusLabel(event.old_value),
+        to: getStatusLabel(event.new_value),
+      });
+    case "notes_changed":
+      return event.old_value ? t("event.notesUpdated") : t("event.notesAdded");
+    case "note_added":
+      return t("event.noteAdded");
+    case "note_removed":
+      return t("event.noteRemoved");
+    case "message_added":
+      return t("event.messageAdded");
+    case "escalated":
+      return t("event.escalated", {
+        from: getPriorityLabel(event.old_value),
+        to: getPriorityLabel(event.new_value),
+      });
+    case "assigned":
+      return event.new_value
+        ? t("event.assigned", { name: event.new_value })
+        : t("event.unassigned");
+    case "quote_sent":
+      return t("event.quoteSent", { total: formatMoney(event.new_value) });
+    case "quote_approved":
+      return t("event.quoteApproved");
+    case "quote_declined":
+      return event.new_value
+        ? t("event.quoteDeclinedReason", { reason: event.new_value })
+        : t("event.quoteDeclined");
+    case "payment_received":
+      return t("event.paymentReceived", {
+        amount: formatMoney(event.new_value),
+      });
+    case "refund_issued":
+      return t("event.refundIssued", { amount: formatMoney(event.new_value) });
+    case "rated":
+      return event.old_value
+        ? t("event.ratingChanged", {
+            from: event.old_value,
+            to: event.new_value,
+          })
+        : t("event.rated", { count: Number(event.new_value) });
+    case "reopened":
+      return t("event.reopened", { reason: event.new_value });
+    case "issue_type_changed":
+      return t("event.issueTypeChanged", {
+        from: getIssueTypeLabel(event.old_value),
+        to: getIssueTypeLabel(event.new_value),
+      });
+    case "priority_changed":
+      return t("event.priorityChanged", {
+        from: getPriorityLabel(event.old_value),
+        to: getPriorityLabel(event.new_value),
+      });
+    case "description_changed":
+      return t("event.descriptionChanged");
+    default:
+      return event.event_type;
+  }
+};
@@ -0,0 +1,51 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { setLocale } from "../i18n";
+import { describeEvent } from "./complaintEvents";
+import { describeInboxItem } from "./inbox";
+
+describe("describeEvent", () => {
+  afterEach(() => setLocale({ language: "en" }));
+
+  it("describes events in the user's language", () => {
+    const event = {
+      event_type: "status_changed",
+      old_value: "pending",
+      new_value: "in-progress",
+    };
+
+    expect(describeEvent(event)).toBe(
+      "Status changed from Pending to In Progress",
+    );
+    setLocale({ language: "hi" });
+    expect(describeEvent(event)).toBe("स्थिति लंबित से प्रगति में हुई");
+  });
+
+  it("picks the plural form for star ratings", () => {
+    expect(describeEvent({ event_type: "rated", new_value: "1" })).toBe(
+      "Rated 1 star",
+    );
+    expect(describeEvent({ event_type: "rated", new_value: "4" })).toBe(
+      "Rated 4 stars",
+    );
+  });
+
+  it("falls back to the event type for unknown events", () => {
+    expect(describeEvent({ event_type: "archived" })).toBe("archived");
+  });
+});
+
+describe("describeInboxItem", () => {
+  afterEach(() => setLocale({ language: "en" }));
+
+  it("names the customer, or a stand-in when the name is missing", () => {
+    const item = { kind: "quote_approved", complaint_id: "0123456789abcdef" };
+
+    expect(
+      describeInboxItem({ ...item, details: { customer_name: "Asha Rao" } }),
+    ).toBe("Asha Rao approved the quote for request #01234567");
+    setLocale({ language: "kn" });
+    expect(describeInboxItem(item)).toBe(
+      "ಗ್ರಾಹಕರು ವಿನಂತಿ #01234567 ರ ಕೊಟೇಶನ್ ಅನ್ನು ಅನುಮೋದಿಸಿದ್ದಾರೆ",
+    );
+  });
+});
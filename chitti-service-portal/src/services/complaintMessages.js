@@ -0,0 +1,6 @@
+// Staff-only notes are "internal"; everything the customer can see is
+// "public". Row level security enforces the same split on the server.
+export const MESSAGE_VISIBILITY = {
+  INTERNAL: "internal",
+  PUBLIC: "public",
+};
@@ -0,0 +1,67 @@
+// Explicit extension: the Node notification worker loads this module too.
+import { getLocale, translate } from "../i18n/index.js";
+
+// Shared status workflow for service requests. Both dashboards (and the
+// database trigger in supabase/migrations) follow the same transition table.
+
+export const STATUSES = [
+  "pending",
+  "in-progress",
+  "awaiting-parts",
+  "completed",
+  "cancelled",
+];
+
+export const STATUS_LABELS = {
+  pending: "Pending",
+  "in-progress": "In Progress",
+  "awaiting-parts": "Awaiting Parts",
+  completed: "Completed",
+  cancelled: "Cancelled",
+};
+
+const STATUS_COLORS = {
+  pending: "#f59e0b",
+  "in-progress": "#3b82f6",
+  "awaiting-parts": "#8b5cf6",
+  completed: "#10b981",
+  cancelled: "#ef4444",
+};
+
+// completed and cancelled are terminal: nothing leaves them.
+const TRANSITIONS = {
+  pending: ["in-progress", "cancelled"],
+  "in-progress": ["awaiting-parts", "completed", "cancelled"],
+  "awaiting-parts": ["in-progress", "cancelled"],
+  completed: [],
+  cancelled: [],
+};
+
+export const getStatusColor = (status) => STATUS_COLORS[status] || "#6b7280";
+
+// In the user's language unless another one is given.
+export const getStatusLabel = (status, language = getLocale().language) =>
+  translate(language, `status.${status}`, {
+    defaultValue: STATUS_LABELS[status] || status,
+  });
+
+export const getNextStatuses = (status) => TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => getNextStatuses(from).includes(to);
+
+export const requiresReason = (status) => status === "cancelled";
+
+export const isTerminal = (status) => getNextStatuses(status).length === 0;
+
+// Throws if moving from `from` to `to` is not allowed, or if the target
+// status needs a reason and none was given.
+export const assertTransition = (from, to, reason) => {
+  if (!canTransition(from, to)) {
+    throw new Error(
+      `Cannot change status from "${getStatusLabel(from)}" to "${getStatusLabel(to)}".`,
+    );
+  }
+  if (requiresReason(to) && !reason?.trim()) {
+    throw new Error(`A reason is required when marking a request as ${to}.`);
+  }
+};
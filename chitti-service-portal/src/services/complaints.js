@@ -0,0 +1,233 @@
+import { rangeForPreset } from "./analytics";
+import { STATUSES } from "./complaintStatus";
+import { getLocale, translate } from "../i18n";
+
+export const PAGE_SIZE = 25;
+
+// Columns the company table can be sorted by, keyed by the header name.
+export const SORT_COLUMNS = {
+  date: "created_at",
+  priority: "priority_rank",
+  status: "status",
+  model: "bicycle_model",
+  sla: "sla_due_at",
+};
+
+export const DEFAULT_SORT = { column: "sla", ascending: true };
+
+export const PRIORITIES = ["low", "medium", "high"];
+
+const PRIORITY_LABELS = { low: "Low", medium: "Medium", high: "High" };
+
+export const ISSUE_TYPES = [
+  { value: "battery", label: "Battery Issue" },
+  { value: "motor", label: "Motor Problem" },
+  { value: "brakes", label: "Brake System" },
+  { value: "electrical", label: "Electrical System" },
+  { value: "mechanical", label: "Mechanical Issue" },
+  { value: "display", label: "Display/Controls" },
+  { value: "other", label: "Other" },
+];
+
+// Both in the user's language unless another one is given. The English
+// labels above are also what spreadsheet imports match against.
+export const getIssueTypeLabel = (issueType, language = getLocale().language) =>
+  translate(language, `issueType.${issueType}`, {
+    defaultValue:
+      ISSUE_TYPES.find((type) => type.value === issueType)?.label || issueType,
+  });
+
+export const getPriorityLabel = (priority, language = getLocale().language) =>
+  translate(language, `priority.${priority}`, {
+    defaultValue: PRIORITY_LABELS[priority] || priority,
+  });
+
+// What customers may change on their own requests, and until when. The
+// customer_edits migration enforces the same rules.
+export const CUSTOMER_EDITABLE_FIELDS = [
+  "issue_type",
+  "priority",
+  "description",
+];
+
+// Editing and cancelling both end once the workshop starts on the request.
+export const customerCanEdit = (complaint) => complaint.status === "pending";
+
+// The editable fields of `values` that differ from `complaint`.
+export const changedFields = (complaint, values) =>
+  Object.fromEntries(
+    CUSTOMER_EDITABLE_FIELDS.filter(
+      (field) => field in values && values[field] !== complaint[field],
+    ).map((field) => [field, values[field]]),
+  );
+
+// Submission date filters relative to today, so saved views stay current.
+export const CREATED_PRESETS = [
+  { days: 1, label: "Today" },
+  { days: 7, label: "Last 7 days" },
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+];
+
+export const DEFAULT_QUERY = {
+  status: "pending",
+  assignee: "all",
+  priority: "all",
+  issueType: "all",
+  model: "",
+  customer: "all",
+  // Either a CREATED_PRESETS entry's days or a "YYYY-MM-DD" from/to range
+  // (both ends optional).
+  days: 0,
+  from: "",
+  to: "",
+  search: "",
+  sort: DEFAULT_SORT,
+  page: 0,
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDate = (value) =>
+  DATE_PATTERN.test(value || "") ? value : DEFAULT_QUERY.from;
+
+// The company table's view lives in the URL
+// (?status=&assignee=&priority=&issue=&model=&customer=&days=&from=&to=&q=&sort=&dir=&page=)
+// so it can be bookmarked, shared and saved. Unknown values fall back to
+// the defaults.
+export const parseRequestQuery = (params) => {
+  const status = params.get("status");
+  const priority = params.get("priority");
+  const issueType = params.get("issue");
+  const days = Number.parseInt(params.get("days"), 10);
+  const sortColumn = params.get("sort");
+  const page = Number.parseInt(params.get("page"), 10);
+
+  return {
+    status:
+      status === "all" || STATUSES.includes(status)
+        ? status
+        : DEFAULT_QUERY.status,
+    assignee: params.get("assignee") || DEFAULT_QUERY.assignee,
+    priority: PRIORITIES.includes(priority) ? priority : DEFAULT_QUERY.priority,
+    issueType: ISSUE_TYPES.some((type) => type.value === issueType)
+      ? issueType
+      : DEFAULT_QUERY.issueType,
+    model: params.get("model")?.trim() || DEFAULT_QUERY.model,
+    customer: params.get("customer") || DEFAULT_QUERY.customer,
+    days: CREATED_PRESETS.some((preset) => preset.days === days)
+      ? days
+      : DEFAULT_QUERY.days,
+    from: parseDate(params.get("from")),
+    to: parseDate(params.get("to")),
+    search: params.get("q") || DEFAULT_QUERY.search,
+    sort: SORT_COLUMNS[sortColumn]
+      ? { column: sortColumn, ascending: params.get("dir") === "asc" }
+      : DEFAULT_SORT,
+    page: page > 1 ? page - 1 : 0,
+  };
+};
+
+// Inverse of parseRequestQuery(); defaults are left out to keep links short.
+export const toRequestSearchParams = (query) => {
+  const params = new URLSearchParams();
+  if (query.status !== DEFAULT_QUERY.status) params.set("status", query.status);
+  if (query.assignee !== DEFAULT_QUERY.assignee) {
+    params.set("assignee", query.assignee);
+  }
+  if (query.priority !== DEFAULT_QUERY.priority) {
+    params.set("priority", query.priority);
+  }
+  if (query.issueType !== DEFAULT_QUERY.issueType) {
+    params.set("issue", query.issueType);
+  }
+  if (query.model) params.set("model", query.model);
+  if (query.customer !== DEFAULT_QUERY.customer) {
+    params.set("customer", query.customer);
+  }
+  if (query.days) params.set("days", String(query.days));
+  else {
+    if (query.from) params.set("from", query.from);
+    if (query.to) params.set("to", query.to);
+  }
+  if (query.search) params.set("q", query.search);
+  if (
+    query.sort.column !== DEFAULT_SORT.column ||
+    query.sort.ascending !== DEFAULT_SORT.ascending
+  ) {
+    params.set("sort", query.sort.column);
+    params.set("dir", query.sort.ascending ? "asc" : "desc");
+  }
+  if (query.page > 0) params.set("page", String(query.page + 1));
+  return params;
+};
+
+// The filters besides status and search, which the filter builder sets and
+// clears together.
+export const FILTER_DEFAULTS = {
+  assignee: DEFAULT_QUERY.assignee,
+  priority: DEFAULT_QUERY.priority,
+  issueType: DEFAULT_QUERY.issueType,
+  model: DEFAULT_QUERY.model,
+  customer: DEFAULT_QUERY.customer,
+  days: DEFAULT_QUERY.days,
+  from: DEFAULT_QUERY.from,
+  to: DEFAULT_QUERY.to,
+};
+
+export const countActiveFilters = (query) =>
+  Object.entries(FILTER_DEFAULTS).filter(([key, value]) => query[key] !== value)
+    .length;
+
+// The [start, end) ISO timestamps of the submission date filter; either is
+// null when that side is open.
+export const createdBounds = ({ days = 0, from = "", to = "" }, today) => {
+  const range = days ? rangeForPreset(days, today) : { from, to };
+  let end = null;
+  if (range.to) {
+    const dayAfter = new Date(`${range.to}T00:00:00`);
+    dayAfter.setDate(dayAfter.getDate() + 1);
+    end = dayAfter.toISOString();
+  }
+  return {
+    start: range.from ? new Date(`${range.from}T00:00:00`).toISOString() : null,
+    end,
+  };
+};
+
+// Client-side mirror of the filters in complaintsRepository.listPage()
+// (everything but the search), used to decide whether a realtime change
+// belongs on the current page.
+export const matchesFilters = (
+  complaint,
+  {
+    status = "all",
+    assignee = "all",
+    priority = "all",
+    issueType = "all",
+    model = "",
+    customer = "all",
+    days = 0,
+    from = "",
+    to = "",
+  },
+) => {
+  if (status !== "all" && complaint.status !== status) return false;
+  if (priority !== "all" && complaint.priority !== priority) return false;
+  if (issueType !== "all" && complaint.issue_type !== issueType) return false;
+  if (customer !== "all" && complaint.user_id !== customer) return false;
+  if (
+    model &&
+    !complaint.bicycle_model?.toLowerCase().includes(model.toLowerCase())
+  ) {
+    return false;
+  }
+
+  const { start, end } = createdBounds({ days, from, to });
+  const createdAt = new Date(complaint.created_at);
+  if (start && createdAt < new Date(start)) return false;
+  if (end && createdAt >= new Date(end)) return false;
+
+  if (assignee === "unassigned") return !complaint.assigned_to;
+  return assignee === "all" || complaint.assigned_to === assignee;
+};
@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV reading and writing for exports and imports.
+
+const needsQuotes = /[",\r\n]/;
+
+// Spreadsheet apps run text starting with one of these as a formula, so a
+// customer could put "=HYPERLINK(...)" in a description and have it run on
+// the desk's computer. Such text gets a leading apostrophe, which makes it
+// plain text, and is always quoted. Phone numbers and plain numbers
+// ("+91 98450 12345", "-250.00") cannot run anything and are left as they
+// are.
+const formulaStart = /^[=+\-@\t\r]/;
+const numberLike = /^[+-]?\d[\d\s().-]*$/;
+
+const isFormula = (text) => formulaStart.test(text) && !numberLike.test(text);
+
+const escapeCell = (value) => {
+  if (value == null) return "";
+  if (typeof value === "string" && isFormula(value)) {
+    return `"'${value.replace(/"/g, '""')}"`;
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return needsQuotes.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undoes the apostrophe toCsv puts before formula-like text, so exported
+// requests import unchanged.
+export const stripFormulaGuard = (text) =>
+  text.startsWith("'") && isFormula(text.slice(1)) ? text.slice(1) : text;
+
+// rows: arrays of cell values, header row included.
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
+
+// Returns an array of rows (arrays of strings). Quoted cells may contain
+// commas, quotes ("") and line breaks; blank lines are skipped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value !== "")) rows.push(row);
+    row = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length) endRow();
+
+  return rows;
+};
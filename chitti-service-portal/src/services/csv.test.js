@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv, stripFormulaGuard, toCsv } from "./csv";
+
+describe("toCsv", () => {
+  it("quotes cells with commas, quotes and line breaks", () => {
+    expect(toCsv([["a,b", 'say "hi"', "two\nlines", 3]])).toBe(
+      '"a,b","say ""hi""","two\nlines",3',
+    );
+  });
+
+  it("defuses text a spreadsheet would run as a formula", () => {
+    expect(
+      toCsv([['=HYPERLINK("http://x")', "@SUM(A1)", "-2+3+cmd|'/C calc'!A0"]]),
+    ).toBe(`"'=HYPERLINK(""http://x"")","'@SUM(A1)","'-2+3+cmd|'/C calc'!A0"`);
+  });
+
+  it("leaves phone numbers and negative amounts as they are", () => {
+    expect(toCsv([["+91 98450 12345", "-250.00", "(080) 4000-1000"]])).toBe(
+      "+91 98450 12345,-250.00,(080) 4000-1000",
+    );
+  });
+
+  it("leaves numbers alone", () => {
+    expect(toCsv([[-5, 1.5]])).toBe("-5,1.5");
+  });
+});
+
+describe("parseCsv", () => {
+  it("reads back what toCsv writes", () => {
+    const rows = [
+      ["name", "note"],
+      ["Asha, Rao", 'the "front" brake\nsqueals'],
+    ];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
+
+describe("stripFormulaGuard", () => {
+  it("restores the text toCsv escaped and nothing else", () => {
+    const [[escaped]] = parseCsv(toCsv([["=1+1"]]));
+
+    expect(stripFormulaGuard(escaped)).toBe("=1+1");
+    expect(stripFormulaGuard("'quoted'")).toBe("'quoted'");
+  });
+});
@@ -0,0 +1,48 @@
+// Client-side resizing so phone photos don't upload at full resolution.
+const MAX_DIMENSION = 1600;
+const JPEG_QUALITY = 0.8;
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not read image "${file.name}"`));
+    };
+    image.src = url;
+  });
+
+// Returns a JPEG no larger than MAX_DIMENSION on either side. Files that
+// would not get smaller (or GIFs, which would lose animation) are returned
+// unchanged.
+export const compressImage = async (file) => {
+  if (!file.type.startsWith("image/") || file.type === "image/gif") {
+    return file;
+  }
+
+  const image = await loadImage(file);
+  const scale = Math.min(
+    1,
+    MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight),
+  );
+  const width = Math.round(image.naturalWidth * scale);
+  const height = Math.round(image.naturalHeight * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(image, 0, 0, width, height);
+
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/jpeg", JPEG_QUALITY),
+  );
+  if (!blob || blob.size >= file.size) return file;
+
+  const name = file.name.replace(/\.[^.]+$/, "") + ".jpg";
+  return new File([blob], name, { type: "image/jpeg" });
+};
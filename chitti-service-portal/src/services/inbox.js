@@ -0,0 +1,68 @@
+import { getStatusLabel } from "./complaintStatus";
+import { getPriorityLabel } from "./complaints";
+import { formatMoney } from "./quotes";
+import { t } from "../i18n";
+
+// How many recent notifications the header bell lists.
+export const INBOX_LIMIT = 20;
+
+const shortId = (complaintId) => `#${complaintId.slice(0, 8)}`;
+
+// Rows of user_notifications are written by a database trigger (mirrored in
+// the demo backend); `details` holds what the message needs at send time.
+export const describeInboxItem = ({ kind, complaint_id, details = {} }) => {
+  const id = shortId(complaint_id);
+  const customer = details.customer_name || t("inbox.theCustomer");
+
+  switch (kind) {
+    case "new_request":
+      return t("inbox.newRequest", {
+        customer: details.customer_name || t("inbox.aCustomer"),
+        priority: getPriorityLabel(details.priority),
+      });
+    case "status_changed":
+      return t("inbox.statusChanged", {
+        id,
+        status: getStatusLabel(details.new_status),
+      });
+    case "staff_reply":
+      return t("inbox.staffReply", { id });
+    case "customer_message":
+      return t("inbox.customerMessage", { customer, id });
+    case "assigned":
+      return t("inbox.assigned", { id, model: details.bicycle_model });
+    case "quote_ready":
+      return t("inbox.quoteReady", { id, total: formatMoney(details.total) });
+    case "quote_approved":
+      return t("inbox.quoteApproved", { customer, id });
+    case "quote_declined":
+      return t("inbox.quoteDeclined", { customer, id });
+    case "payment_received":
+      return t("inbox.paymentReceived", {
+        customer,
+        id,
+        amount: formatMoney(details.amount),
+      });
+    case "refund_issued":
+      return t("inbox.refundIssued", {
+        id,
+        amount: formatMoney(details.amount),
+      });
+    case "request_cancelled":
+      return t("inbox.requestCancelled", {
+        customer,
+        id,
+        reason: details.reason,
+      });
+    case "reopened":
+      return t("inbox.reopened", { customer, id, reason: details.reason });
+    case "low_rating":
+      return t("inbox.lowRating", {
+        customer: details.customer_name || t("inbox.aCustomer"),
+        id,
+        rating: details.rating,
+      });
+    default:
+      return t("inbox.update", { id });
+  }
+};
@@ -0,0 +1,131 @@
+// IndexedDB storage for the customer portal when there is no connection:
+// requests filed offline wait in "submissions" until they can be sent, and
+// "snapshots" keeps the last-known copy of lists the portal needs to render
+// (the customer's requests, bikes and the model catalog).
+
+const DB_NAME = "chitti-offline";
+const DB_VERSION = 1;
+const SUBMISSIONS = "submissions";
+const SNAPSHOTS = "snapshots";
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SUBMISSIONS, { keyPath: "id" }).createIndex(
+          "userId",
+          "userId",
+        );
+        db.createObjectStore(SNAPSHOTS, { keyPath: "key" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const NETWORK_ERROR =
+  /failed to fetch|networkerror|network request failed|load failed/i;
+
+// True when `error` means the request never reached the server, as opposed
+// to the server rejecting it. supabase-js reports those as plain error
+// objects carrying the fetch TypeError's message.
+export const isOfflineError = (error) =>
+  !navigator.onLine || NETWORK_ERROR.test(error?.message || "");
+
+// values: the complaint columns; files: attachment File objects (IndexedDB
+// stores them as blobs); dropOffSlot: optional ISO timestamp. A submission
+// that was partly sent also carries its progress (see sendSubmission() in
+// CustomerDashboard): complaintId once the request exists, and
+// attachmentsUploaded / dropOffBooked once those steps are done.
+export const queueSubmission = ({ userId, ...fields }) => {
+  const submission = {
+    ...fields,
+    id: crypto.randomUUID(),
+    userId,
+    queuedAt: new Date().toISOString(),
+  };
+  return runRequest(SUBMISSIONS, "readwrite", (store) =>
+    store.add(submission),
+  ).then(() => submission);
+};
+
+export const fetchQueuedSubmissions = async (userId) => {
+  const submissions = await runRequest(SUBMISSIONS, "readonly", (store) =>
+    store.index("userId").getAll(userId),
+  );
+  return submissions.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+};
+
+export const removeQueuedSubmission = (id) =>
+  runRequest(SUBMISSIONS, "readwrite", (store) => store.delete(id));
+
+export const saveSnapshot = (key, data) =>
+  runRequest(SNAPSHOTS, "readwrite", (store) =>
+    store.put({ key, data, savedAt: new Date().toISOString() }),
+  );
+
+// Returns null when nothing has been saved under `key` yet.
+export const fetchSnapshot = async (key) => {
+  const snapshot = await runRequest(SNAPSHOTS, "readonly", (store) =>
+    store.get(key),
+  );
+  return snapshot?.data ?? null;
+};
+
+let syncInFlight = null;
+
+// Sends queued submissions oldest first with `send(submission,
+// saveProgress)`; `saveProgress(changes)` stores changes on the queued
+// submission straight away, so a later sync picks up where this one
+// stopped. Stops at the first one that fails because the connection is
+// still down. One the server rejects stays queued with its `error` so the
+// customer can see it and discard it, and the rest of the queue carries
+// on. Returns the submissions that were sent.
+export const syncQueuedSubmissions = (userId, send) => {
+  if (syncInFlight) return syncInFlight;
+
+  syncInFlight = (async () => {
+    const sent = [];
+    for (const queued of await fetchQueuedSubmissions(userId)) {
+      let submission = queued;
+      const saveProgress = (changes) => {
+        submission = { ...submission, ...changes };
+        return runRequest(SUBMISSIONS, "readwrite", (store) =>
+          store.put(submission),
+        );
+      };
+
+      try {
+        await send(submission, saveProgress);
+      } catch (error) {
+        if (isOfflineError(error)) break;
+        console.error("Error syncing queued request:", error);
+        await saveProgress({ error: error.message });
+        continue;
+      }
+      await removeQueuedSubmission(submission.id);
+      sent.push(submission);
+    }
+    return sent;
+  })().finally(() => {
+    syncInFlight = null;
+  });
+
+  return syncInFlight;
+};
@@ -0,0 +1,55 @@
+import { isDemoBackend, paymentsRepository } from "../repositories";
+import { createMockGateway, createPaymentGateway } from "../payments/gateways";
+import { CURRENCY } from "./quotes";
+
+// Customers pay through the gateway named by VITE_PAYMENT_GATEWAY (see
+// src/payments/gateways.js); the mock one is the default.
+
+const mockSecret = import.meta.env.VITE_MOCK_GATEWAY_SECRET;
+
+export const paymentGateway = createPaymentGateway(
+  import.meta.env.VITE_PAYMENT_GATEWAY || "mock",
+  { secret: mockSecret },
+);
+
+// Creates a pending payment and returns the gateway's checkout URL; the
+// webhook settles the payment after the customer has paid.
+export const startOnlinePayment = async (complaint, amount) => {
+  const paymentId = await paymentsRepository.startPayment(
+    complaint.invoice.id,
+    amount,
+    paymentGateway.name,
+  );
+  const { checkoutUrl } = await paymentGateway.createCheckout({
+    paymentId,
+    amount,
+    currency: CURRENCY,
+    description: `Service request #${complaint.id.slice(0, 8)}`,
+    returnUrl: `/requests/${complaint.id}`,
+  });
+  return checkoutUrl;
+};
+
+// The provider side of the mock gateway, used by its checkout page to sign
+// webhooks.
+export const mockGateway = createMockGateway({ secret: mockSecret });
+
+// Where the mock checkout page delivers its webhooks: the demo backend
+// handles them in-process, otherwise they go to the webhook server
+// (npm run payments:webhooks).
+const WEBHOOK_URL =
+  import.meta.env.VITE_PAYMENT_WEBHOOK_URL || "http://localhost:8787/webhooks";
+
+export const deliverMockWebhook = async (webhook) => {
+  if (isDemoBackend) {
+    await paymentsRepository.receiveWebhook(mockGateway, webhook);
+    return;
+  }
+
+  const response = await fetch(`${WEBHOOK_URL}/${mockGateway.name}`, {
+    method: "POST",
+    headers: webhook.headers,
+    body: webhook.body,
+  });
+  if (!response.ok) throw new Error(`Webhook rejected (${response.status})`);
+};
@@ -0,0 +1,96 @@
+import { getLocale, translate } from "../i18n";
+
+// Invoices, payments and refunds. A request is invoiced when it is
+// completed; what has been paid is worked out from its settled payments
+// rather than stored, the same way invoice_net_paid() does it.
+
+export const PAYMENT_METHOD_LABELS = {
+  cash: "Cash",
+  card: "Card",
+  upi: "UPI",
+  bank_transfer: "Bank transfer",
+  gateway: "Online",
+};
+
+// What the front desk can record by hand; "gateway" payments only come
+// from online checkouts.
+export const DESK_PAYMENT_METHODS = ["cash", "card", "upi", "bank_transfer"];
+
+export const PAYMENT_STATUS_LABELS = {
+  no_charge: "No charge",
+  unpaid: "Unpaid",
+  partially_paid: "Partially paid",
+  paid: "Paid",
+  refunded: "Refunded",
+};
+
+// Both in the user's language unless another one is given.
+export const getPaymentMethodLabel = (
+  method,
+  language = getLocale().language,
+) =>
+  translate(language, `paymentMethod.${method}`, {
+    defaultValue: PAYMENT_METHOD_LABELS[method] || method,
+  });
+
+export const getPaymentStatusLabel = (
+  status,
+  language = getLocale().language,
+) =>
+  translate(language, `paymentStatus.${status}`, {
+    defaultValue: PAYMENT_STATUS_LABELS[status] || status,
+  });
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+// An online checkout still pending after this long was abandoned or lost
+// its webhook; it stops holding back the balance. Same window as
+// start_payment().
+export const CHECKOUT_EXPIRY_MINUTES = 30;
+
+export const isExpiredCheckout = (payment, now = Date.now()) =>
+  payment.status === "pending" &&
+  now - new Date(payment.created_at).getTime() >
+    CHECKOUT_EXPIRY_MINUTES * 60 * 1000;
+
+// Newest first; embedded rows come back in no particular order.
+export const sortedPayments = (invoice) =>
+  [...(invoice?.payments || [])].sort((a, b) =>
+    b.created_at.localeCompare(a.created_at),
+  );
+
+// Returns amounts in rupees. `pending` is online payments that have not
+// been settled by the gateway yet and have not expired; they do not count
+// towards `paid`, but they are held back from `payable`, what can still be
+// paid online, so several open checkouts cannot add up to more than the
+// balance.
+export const invoiceSummary = (invoice) => {
+  const sum = (kind, status) =>
+    (invoice.payments || [])
+      .filter(
+        (p) => p.kind === kind && p.status === status && !isExpiredCheckout(p),
+      )
+      .reduce((total, p) => total + toPaise(p.amount), 0);
+
+  const amount = toPaise(invoice.amount);
+  const paid = sum("payment", "succeeded");
+  const refunded = sum("refund", "succeeded");
+  const balance = amount - paid + refunded;
+  const pending = sum("payment", "pending");
+
+  let status = "unpaid";
+  if (amount === 0 && paid === 0) status = "no_charge";
+  else if (paid > 0 && refunded >= paid) status = "refunded";
+  else if (balance <= 0) status = "paid";
+  else if (paid > refunded) status = "partially_paid";
+
+  return {
+    amount: amount / 100,
+    paid: paid / 100,
+    refunded: refunded / 100,
+    balance: balance / 100,
+    pending: pending / 100,
+    payable: Math.max(balance - pending, 0) / 100,
+    status,
+  };
+};
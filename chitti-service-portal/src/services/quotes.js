@@ -0,0 +1,83 @@
+// Explicit extension: the Node notification worker loads this module too.
+import { isTerminal } from "./complaintStatus.js";
+import { getLocale, intlLocale, translate } from "../i18n/index.js";
+
+// Quotes for service requests: catalog parts plus labor, with tax. The
+// database works the totals out again in save_quote(); both round the same
+// way, to whole paise.
+
+export const CURRENCY = "INR";
+
+// Starting values for a new quote; staff can change them per quote.
+export const DEFAULT_LABOR_RATE = 500;
+export const DEFAULT_TAX_RATE = 18;
+
+export const QUOTE_STATUS_LABELS = {
+  pending: "Awaiting approval",
+  approved: "Approved",
+  declined: "Declined",
+};
+
+// In the user's language unless another one is given.
+export const getQuoteStatusLabel = (status, language = getLocale().language) =>
+  translate(language, `quoteStatus.${status}`, {
+    defaultValue: QUOTE_STATUS_LABELS[status] || status,
+  });
+
+export const QUOTE_REQUIRED_MESSAGE =
+  "The customer has not approved a quote for this request yet.";
+
+// currencyDisplay "code" prints "INR 1,200.00", for fonts without a ₹ sign.
+// Amounts follow the user's language unless another one is given.
+export const formatMoney = (
+  amount,
+  { currencyDisplay = "symbol", language } = {},
+) =>
+  new Intl.NumberFormat(intlLocale(language), {
+    style: "currency",
+    currency: CURRENCY,
+    currencyDisplay,
+  }).format(Number(amount) || 0);
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+// lines: [{ quantity, unit_price }]. Returns amounts in rupees.
+export const quoteTotals = ({
+  lines = [],
+  labor_hours = 0,
+  labor_rate = 0,
+  tax_rate = 0,
+}) => {
+  const parts = lines.reduce(
+    (sum, line) => sum + Number(line.quantity) * toPaise(line.unit_price),
+    0,
+  );
+  const labor = Math.round(Number(labor_hours) * Number(labor_rate) * 100);
+  const subtotal = parts + labor;
+  const tax = Math.round((subtotal * Number(tax_rate)) / 100);
+
+  return {
+    partsTotal: parts / 100,
+    laborTotal: labor / 100,
+    subtotal: subtotal / 100,
+    taxAmount: tax / 100,
+    total: (subtotal + tax) / 100,
+  };
+};
+
+// Embedded rows come back in no particular order.
+export const sortedQuoteLines = (quote) =>
+  [...(quote?.lines || [])].sort((a, b) => a.position - b.position);
+
+export const isQuoteApproved = (quote) => quote?.status === "approved";
+
+// Staff can send or revise a quote until the customer approves it.
+export const canEditQuote = (complaint) =>
+  !isTerminal(complaint.status) && !isQuoteApproved(complaint.quote);
+
+// Moving a pending request to in-progress needs an approved quote; every
+// other transition is governed by complaintStatus.js alone.
+export const needsApprovedQuote = (complaint, newStatus) =>
+  complaint.status === "pending" &&
+  newStatus === "in-progress" &&
+  !isQuoteApproved(complaint.quote);
@@ -0,0 +1,69 @@
+import { getLocale, translate } from "../i18n";
+import { average } from "./analytics";
+
+// Customer ratings of finished work and "issue not resolved" reworks. The
+// rules match rate_service() and reopen_complaint() in the ratings
+// migration.
+
+export const RATING_LABELS = {
+  1: "Very poor",
+  2: "Poor",
+  3: "Okay",
+  4: "Good",
+  5: "Excellent",
+};
+
+// In the user's language unless another one is given.
+export const getRatingLabel = (rating, language = getLocale().language) =>
+  translate(language, `rating.${rating}`, {
+    defaultValue: RATING_LABELS[rating] || "",
+  });
+
+// Ratings at or below this go on the company's follow-up list.
+export const LOW_RATING = 2;
+
+export const REWORK_WINDOW_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const canRate = (complaint) => complaint.status === "completed";
+
+export const canReopen = (complaint, now = Date.now()) =>
+  complaint.status === "completed" &&
+  (!complaint.resolved_at ||
+    now - new Date(complaint.resolved_at) <= REWORK_WINDOW_DAYS * DAY);
+
+export const isLowRating = (rating) => rating.rating <= LOW_RATING;
+
+export const needsFollowUp = (rating) =>
+  isLowRating(rating) && !rating.followed_up_at;
+
+export const formatStars = (rating) =>
+  "★".repeat(rating) + "☆".repeat(5 - rating);
+
+// ratings: rows of service_ratings. distribution lists 5 stars first.
+export const ratingStats = (ratings) => {
+  const values = ratings.map((r) => r.rating);
+  return {
+    count: values.length,
+    average: average(values),
+    distribution: [5, 4, 3, 2, 1].map((stars) => ({
+      stars,
+      count: values.filter((value) => value === stars).length,
+    })),
+  };
+};
+
+// Of the requests that were ever completed, the share sent back at least
+// once. Reopened requests are open again, so they count by rework_count.
+export const reworkStats = (complaints) => {
+  const reworked = complaints.filter((c) => c.rework_count > 0).length;
+  const finished = complaints.filter(
+    (c) => c.status === "completed" || c.rework_count > 0,
+  ).length;
+  return {
+    reworked,
+    finished,
+    rate: finished ? reworked / finished : null,
+  };
+};
@@ -0,0 +1,98 @@
+import { complaintsRepository } from "../repositories";
+
+// Shared wrapper around the repository's realtime channels. Dashboards hand it the
+// postgres_changes bindings they care about and merge the payloads into
+// local state with mergeChange(), instead of refetching on every event.
+// It also tracks one overall connection status for the header indicator
+// and asks each channel to resync after it recovers from a drop.
+
+const channelStatuses = new Map();
+const listeners = new Set();
+let connectionStatus = "connecting";
+
+const computeStatus = () => {
+  const statuses = [...channelStatuses.values()];
+  if (statuses.length === 0) return "connecting";
+  if (statuses.every((status) => status === "SUBSCRIBED")) return "live";
+  if (
+    statuses.some((status) => status !== "SUBSCRIBED" && status !== "joining")
+  ) {
+    return "reconnecting";
+  }
+  return "connecting";
+};
+
+const setChannelStatus = (name, status) => {
+  if (status === null) channelStatuses.delete(name);
+  else channelStatuses.set(name, status);
+
+  const next = computeStatus();
+  if (next !== connectionStatus) {
+    connectionStatus = next;
+    listeners.forEach((listener) => listener());
+  }
+};
+
+export const getConnectionStatus = () => connectionStatus;
+
+export const subscribeConnectionStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// bindings: [{ table, event = "*", filter, onChange(payload) }]
+// onResync runs whenever the channel comes back after being dropped, so the
+// caller can reload whatever changed while it was offline.
+export const subscribeToChanges = (name, bindings, { onResync } = {}) => {
+  let dropped = false;
+  let closed = false;
+
+  setChannelStatus(name, "joining");
+
+  const unsubscribe = complaintsRepository.subscribe(
+    name,
+    bindings,
+    (status) => {
+      // Unsubscribing makes the channel report CLOSED; by then it is no
+      // longer ours to count (and a remount may already use the name).
+      if (closed) return;
+
+      if (status === "SUBSCRIBED") {
+        if (dropped) onResync?.();
+        dropped = false;
+      } else if (
+        status === "CHANNEL_ERROR" ||
+        status === "TIMED_OUT" ||
+        status === "CLOSED"
+      ) {
+        dropped = true;
+      }
+      setChannelStatus(name, status);
+    },
+  );
+
+  return () => {
+    closed = true;
+    setChannelStatus(name, null);
+    unsubscribe();
+  };
+};
+
+// Applies an INSERT/UPDATE/DELETE payload to a list of rows keyed by id.
+// Fields that are not columns of the table (joined relations such as
+// `users`) are kept from the existing row on UPDATE.
+export const mergeChange = (rows, payload) => {
+  const { eventType, new: newRow, old: oldRow } = payload;
+
+  if (eventType === "DELETE") {
+    return rows.filter((row) => row.id !== oldRow.id);
+  }
+
+  if (rows.some((row) => row.id === newRow.id)) {
+    return rows.map((row) =>
+      row.id === newRow.id ? { ...row, ...newRow } : row,
+    );
+  }
+
+  return eventType === "INSERT" ? [newRow, ...rows] : rows;
+};
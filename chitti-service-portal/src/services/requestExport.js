@@ -0,0 +1,106 @@
+import { getStatusLabel } from "./complaintStatus";
+import { toCsv } from "./csv";
+import { DEFAULT_LANGUAGE } from "../i18n";
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Columns of the request export, in order. `value` receives a complaint as
+// returned by complaintsRepository.listAll() and a technician-name lookup.
+export const EXPORT_COLUMNS = [
+  { header: "Request ID", width: 38, value: (c) => c.id },
+  {
+    header: "Created",
+    type: Date,
+    width: 20,
+    value: (c) => toDate(c.created_at),
+  },
+  {
+    header: "Updated",
+    type: Date,
+    width: 20,
+    value: (c) => toDate(c.updated_at),
+  },
+  {
+    header: "Resolved",
+    type: Date,
+    width: 20,
+    value: (c) => toDate(c.resolved_at),
+  },
+  { header: "Customer", width: 24, value: (c) => c.users?.name },
+  { header: "Email", width: 28, value: (c) => c.users?.email },
+  { header: "Phone", width: 18, value: (c) => c.users?.phone },
+  { header: "Model", width: 18, value: (c) => c.bicycle_model },
+  { header: "Serial number", width: 18, value: (c) => c.bike?.serial_number },
+  { header: "Issue", width: 16, value: (c) => c.issue_type },
+  { header: "Priority", width: 10, value: (c) => c.priority },
+  // In English whatever the user's language, so the file imports back.
+  {
+    header: "Status",
+    width: 16,
+    value: (c) => getStatusLabel(c.status, DEFAULT_LANGUAGE),
+  },
+  {
+    header: "Technician",
+    width: 20,
+    value: (c, technicianName) => technicianName(c.assigned_to),
+  },
+  { header: "Description", width: 60, value: (c) => c.description },
+  {
+    header: "Cancellation reason",
+    width: 30,
+    value: (c) => c.cancellation_reason,
+  },
+];
+
+const rowValues = (complaint, technicianName) =>
+  EXPORT_COLUMNS.map(
+    (column) => column.value(complaint, technicianName) ?? null,
+  );
+
+// "service-requests-pending-2026-10-19.csv"
+export const exportFileName = ({ status }, extension) =>
+  `service-requests-${status}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+// With a byte order mark so Excel opens the UTF-8 file correctly.
+export const complaintsToCsvBlob = (complaints, technicianName) =>
+  new Blob(
+    [
+      "\uFEFF",
+      toCsv([
+        EXPORT_COLUMNS.map((column) => column.header),
+        ...complaints.map((complaint) => rowValues(complaint, technicianName)),
+      ]),
+    ],
+    { type: "text/csv;charset=utf-8" },
+  );
+
+// The XLSX writer is loaded on demand; it is only needed for exports.
+export const complaintsToXlsxBlob = async (complaints, technicianName) => {
+  const { default: writeXlsxFile } = await import("write-excel-file/browser");
+
+  const header = EXPORT_COLUMNS.map((column) => ({
+    value: column.header,
+    fontWeight: "bold",
+  }));
+  const rows = complaints.map((complaint) =>
+    rowValues(complaint, technicianName).map((value, i) =>
+      value == null ? null : { value, type: EXPORT_COLUMNS[i].type || String },
+    ),
+  );
+
+  return writeXlsxFile([header, ...rows], {
+    sheet: "Service requests",
+    columns: EXPORT_COLUMNS.map(({ width }) => ({ width })),
+    dateFormat: "yyyy-mm-dd hh:mm",
+    stickyRowsCount: 1,
+  }).toBlob();
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,224 @@
+import { STATUSES, STATUS_LABELS, isTerminal } from "./complaintStatus";
+import { ISSUE_TYPES, PRIORITIES } from "./complaints";
+import { parseCsv, stripFormulaGuard } from "./csv";
+import { getLocale, t, translate } from "../i18n";
+
+// Fields a legacy spreadsheet can fill in. `label` and `aliases` are the
+// English header names that map to the field automatically; everything can
+// be remapped by hand.
+export const IMPORT_FIELDS = [
+  {
+    key: "customer_email",
+    label: "Customer email",
+    required: true,
+    aliases: ["email", "customer", "e-mail"],
+  },
+  {
+    key: "bicycle_model",
+    label: "Model",
+    required: true,
+    aliases: ["bike model", "bicycle model", "bike"],
+  },
+  {
+    key: "issue_type",
+    label: "Issue type",
+    required: true,
+    aliases: ["issue", "category", "problem type"],
+  },
+  {
+    key: "description",
+    label: "Description",
+    required: true,
+    aliases: ["details", "problem", "notes"],
+  },
+  { key: "priority", label: "Priority", aliases: [] },
+  { key: "status", label: "Status", aliases: ["state"] },
+  {
+    key: "created_at",
+    label: "Created",
+    aliases: ["created at", "date", "reported", "reported on"],
+  },
+  {
+    key: "resolved_at",
+    label: "Resolved",
+    aliases: ["resolved at", "completed", "completed on", "closed"],
+  },
+  {
+    key: "cancellation_reason",
+    label: "Cancellation reason",
+    aliases: ["reason"],
+  },
+];
+
+// In the user's language unless another one is given.
+export const getImportFieldLabel = (field, language = getLocale().language) =>
+  translate(language, `importField.${field.key}`, {
+    defaultValue: field.label,
+  });
+
+// Larger migrations should be split into several files.
+export const MAX_IMPORT_ROWS = 1000;
+
+const normalize = (text) =>
+  String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[_\s-]+/g, " ");
+
+// Reads the first sheet of an .xlsx file, or a .csv file, into the header
+// row and the data rows. The XLSX reader is loaded on demand.
+export const readSpreadsheet = async (file) => {
+  let data;
+  if (/\.csv$/i.test(file.name) || file.type === "text/csv") {
+    data = parseCsv(await file.text());
+  } else {
+    const { readSheet } = await import("read-excel-file/browser");
+    data = await readSheet(file);
+  }
+
+  const [headers = [], ...rows] = data;
+  return {
+    headers: headers.map((header) => String(header ?? "").trim()),
+    rows: rows.filter((row) => row.some((cell) => normalize(cell) !== "")),
+  };
+};
+
+// { field key: column index, or -1 when the sheet has no matching column }
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalize);
+  return Object.fromEntries(
+    IMPORT_FIELDS.map((field) => {
+      const names = [field.key, field.label, ...field.aliases].map(normalize);
+      return [field.key, normalized.findIndex((h) => names.includes(h))];
+    }),
+  );
+};
+
+const STATUS_BY_NAME = Object.fromEntries(
+  STATUSES.flatMap((status) => [
+    [normalize(status), status],
+    [normalize(STATUS_LABELS[status]), status],
+  ]),
+);
+
+const ISSUE_TYPE_BY_NAME = Object.fromEntries(
+  ISSUE_TYPES.flatMap(({ value, label }) => [
+    [normalize(value), value],
+    [normalize(label), value],
+  ]),
+);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const cellText = (value) =>
+  value instanceof Date ? value : stripFormulaGuard(String(value ?? "").trim());
+
+// Checks every row against the mapping. `customerEmails` is the set of
+// lower-cased emails that belong to customer accounts
+// (usersRepository.findCustomerEmails()). Returns one entry per row:
+// { rowNumber, values, errors } where rowNumber is the spreadsheet row
+// (the header is row 1) and `values` is ready for importComplaints().
+export const validateImportRows = (
+  rows,
+  mapping,
+  customerEmails,
+  now = new Date(),
+) =>
+  rows.map((row, index) => {
+    const errors = [];
+    const raw = Object.fromEntries(
+      IMPORT_FIELDS.map(({ key }) => [
+        key,
+        mapping[key] >= 0 ? cellText(row[mapping[key]]) : "",
+      ]),
+    );
+
+    for (const field of IMPORT_FIELDS) {
+      if (field.required && raw[field.key] === "") {
+        errors.push(
+          t("import.required", { field: getImportFieldLabel(field) }),
+        );
+      }
+    }
+
+    const email =
+      typeof raw.customer_email === "string" ? raw.customer_email : "";
+    if (email && !EMAIL_PATTERN.test(email)) {
+      errors.push(t("import.invalidEmail", { email }));
+    } else if (email && !customerEmails.has(email.toLowerCase())) {
+      errors.push(t("import.unknownCustomer", { email }));
+    }
+
+    const issueType = ISSUE_TYPE_BY_NAME[normalize(raw.issue_type)];
+    if (raw.issue_type !== "" && !issueType) {
+      errors.push(
+        t("import.unknownIssueType", {
+          value: raw.issue_type,
+          options: ISSUE_TYPES.map((type) => type.value).join(", "),
+        }),
+      );
+    }
+
+    const priority = normalize(raw.priority) || "medium";
+    if (!PRIORITIES.includes(priority)) {
+      errors.push(
+        t("import.unknownPriority", { options: PRIORITIES.join(", ") }),
+      );
+    }
+
+    const status =
+      raw.status === "" ? "pending" : STATUS_BY_NAME[normalize(raw.status)];
+    if (!status) {
+      errors.push(t("import.unknownStatus", { value: raw.status }));
+    }
+
+    let createdAt = null;
+    if (raw.created_at !== "") {
+      createdAt = parseDate(raw.created_at);
+      if (!createdAt) {
+        errors.push(t("import.invalidDate", { value: raw.created_at }));
+      } else if (createdAt > now) {
+        errors.push(t("import.createdInFuture"));
+      }
+    }
+
+    let resolvedAt = null;
+    if (raw.resolved_at !== "") {
+      resolvedAt = parseDate(raw.resolved_at);
+      if (!resolvedAt) {
+        errors.push(t("import.invalidDate", { value: raw.resolved_at }));
+      } else if (status && !isTerminal(status)) {
+        errors.push(t("import.resolvedWhileOpen"));
+      } else if (createdAt && resolvedAt < createdAt) {
+        errors.push(t("import.resolvedBeforeCreated"));
+      }
+    }
+
+    if (status === "cancelled" && !raw.cancellation_reason) {
+      errors.push(t("import.cancelReasonRequired"));
+    }
+
+    return {
+      rowNumber: index + 2,
+      errors,
+      values: {
+        customer_email: email,
+        bicycle_model: String(raw.bicycle_model),
+        issue_type: issueType,
+        description: String(raw.description),
+        priority,
+        status,
+        created_at: createdAt?.toISOString() || null,
+        resolved_at: resolvedAt?.toISOString() || null,
+        cancellation_reason: raw.cancellation_reason
+          ? String(raw.cancellation_reason)
+          : null,
+      },
+    };
+  });
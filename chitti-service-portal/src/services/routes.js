@@ -0,0 +1,13 @@
+// Landing page for each role, and where a guarded route sends someone whose
+// role may not open it.
+export const HOME_PATHS = {
+  company: "/admin/requests",
+  technician: "/jobs",
+  customer: "/requests",
+};
+
+export const homePathFor = (role) => HOME_PATHS[role] || HOME_PATHS.customer;
+
+// Each role opens a single request in its own dashboard.
+export const requestPathFor = (role, complaintId) =>
+  `${homePathFor(role)}/${complaintId}`;
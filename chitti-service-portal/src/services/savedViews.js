@@ -0,0 +1,16 @@
+import { toRequestSearchParams } from "./complaints";
+
+// A saved view is the request table's query string minus the page, so it
+// always opens at the top.
+export const toViewQuery = (query) =>
+  toRequestSearchParams({ ...query, page: 0 }).toString();
+
+// The saved view showing `query`, preferring the user's own over a shared
+// one with the same filters.
+export const findCurrentView = (views, query, userId) => {
+  const current = toViewQuery(query);
+  const matching = views.filter((view) => view.query === current);
+  return (
+    matching.find((view) => view.owner_id === userId) || matching[0] || null
+  );
+};
@@ -0,0 +1,376 @@
+import { isInWarranty } from "./bikes";
+import { MESSAGE_VISIBILITY } from "./complaintMessages";
+import { getStatusLabel } from "./complaintStatus";
+import { getIssueTypeLabel, getPriorityLabel } from "./complaints";
+import { PAYMENT_STATUS_LABELS, invoiceSummary } from "./payments";
+import {
+  formatMoney,
+  isQuoteApproved,
+  quoteTotals,
+  sortedQuoteLines,
+} from "./quotes";
+import {
+  DEFAULT_LANGUAGE,
+  formatCalendarDate,
+  formatDate,
+  formatDateTime,
+} from "../i18n";
+
+// Printable PDFs for a service request: the job card that goes with the
+// bike into the workshop, and the invoice the customer takes home.
+// jsPDF is loaded on demand so it stays out of the main bundle. Documents
+// are in English whatever the user's language, since jsPDF's built-in fonts
+// only cover Latin script; times are still in the user's time zone.
+
+export const WORKSHOP_NAME = "EV Bicycle Service Portal";
+
+const PAGE = { width: 210, height: 297, margin: 18 };
+const FONT_SIZE = 10;
+const LINE_HEIGHT_FACTOR = 1.5;
+// One line of body text, in mm (1pt = 0.3528mm).
+const LINE_HEIGHT = FONT_SIZE * LINE_HEIGHT_FACTOR * 0.3528;
+
+// JC-1A2B3C4D / INV-1A2B3C4D: stable per request, so a reprint matches.
+export const documentNumber = (prefix, complaint) =>
+  `${prefix}-${complaint.id.slice(0, 8).toUpperCase()}`;
+
+const LANGUAGE = DEFAULT_LANGUAGE;
+
+// The PDF fonts have no ₹ sign.
+const money = (amount) =>
+  formatMoney(amount, { currencyDisplay: "code", language: LANGUAGE });
+
+const formatTimestamp = (value) =>
+  formatDateTime(value, { language: LANGUAGE });
+
+// A cursor over the page that starts a new page when the next block would
+// not fit.
+const createWriter = async (title, number) => {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  doc.setLineHeightFactor(LINE_HEIGHT_FACTOR);
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  let y = PAGE.margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE.height - PAGE.margin) {
+      doc.addPage();
+      y = PAGE.margin;
+    }
+  };
+
+  const writer = {
+    doc,
+    contentWidth,
+
+    heading(text) {
+      ensureSpace(14);
+      y += 4;
+      doc.setFont("helvetica", "bold").setFontSize(12);
+      doc.text(text, PAGE.margin, y);
+      y += 2;
+      doc.setDrawColor(200).line(PAGE.margin, y, PAGE.width - PAGE.margin, y);
+      y += LINE_HEIGHT;
+    },
+
+    field(label, value) {
+      const lines = doc.splitTextToSize(
+        String(value ?? "—"),
+        contentWidth - 45,
+      );
+      ensureSpace(lines.length * LINE_HEIGHT);
+      doc.setFont("helvetica", "bold").setFontSize(FONT_SIZE);
+      doc.text(`${label}:`, PAGE.margin, y);
+      doc.setFont("helvetica", "normal");
+      doc.text(lines, PAGE.margin + 45, y);
+      y += lines.length * LINE_HEIGHT;
+    },
+
+    paragraph(text, { italic = false } = {}) {
+      doc
+        .setFont("helvetica", italic ? "italic" : "normal")
+        .setFontSize(FONT_SIZE);
+      for (const line of doc.splitTextToSize(String(text), contentWidth)) {
+        ensureSpace(LINE_HEIGHT);
+        doc.text(line, PAGE.margin, y);
+        y += LINE_HEIGHT;
+      }
+    },
+
+    // columns: [{ header, width, align }]; rows and footer: arrays of
+    // strings. Footer rows (totals) are set in bold.
+    table(columns, rows, { footer = [] } = {}) {
+      const drawRow = (cells, bold) => {
+        const wrapped = cells.map((cell, i) =>
+          doc.splitTextToSize(String(cell ?? ""), columns[i].width - 2),
+        );
+        const height = Math.max(...wrapped.map((l) => l.length)) * LINE_HEIGHT;
+        ensureSpace(height + 2);
+        doc
+          .setFont("helvetica", bold ? "bold" : "normal")
+          .setFontSize(FONT_SIZE);
+
+        let x = PAGE.margin;
+        wrapped.forEach((lines, i) => {
+          const { width, align } = columns[i];
+          if (align === "right") {
+            doc.text(lines, x + width - 1, y, { align: "right" });
+          } else {
+            doc.text(lines, x, y);
+          }
+          x += width;
+        });
+        y += height - LINE_HEIGHT + 2;
+        doc.setDrawColor(220).line(PAGE.margin, y, PAGE.width - PAGE.margin, y);
+        y += LINE_HEIGHT;
+      };
+
+      drawRow(
+        columns.map((column) => column.header),
+        true,
+      );
+      rows.forEach((row) => drawRow(row, false));
+      footer.forEach((row) => drawRow(row, true));
+    },
+
+    space(height) {
+      y += height;
+    },
+
+    // Reserves `height` mm, moving to a new page if needed, and returns the
+    // top of the block.
+    block(height) {
+      ensureSpace(height);
+      const top = y;
+      y += height;
+      return top;
+    },
+
+    save(fileName) {
+      const pages = doc.getNumberOfPages();
+      for (let page = 1; page <= pages; page += 1) {
+        doc.setPage(page);
+        doc.setFont("helvetica", "normal").setFontSize(8).setTextColor(120);
+        doc.text(
+          `${number} · page ${page} of ${pages}`,
+          PAGE.width - PAGE.margin,
+          PAGE.height - 8,
+          { align: "right" },
+        );
+        doc.setTextColor(0);
+      }
+      doc.save(fileName);
+    },
+  };
+
+  doc.setFont("helvetica", "bold").setFontSize(16);
+  doc.text(WORKSHOP_NAME, PAGE.margin, y + 4);
+  doc.setFontSize(20);
+  doc.text(title, PAGE.width - PAGE.margin, y + 4, { align: "right" });
+  doc.setFont("helvetica", "normal").setFontSize(FONT_SIZE);
+  doc.text(number, PAGE.width - PAGE.margin, y + 10, { align: "right" });
+  doc.text(
+    `Issued ${formatDate(new Date(), { language: LANGUAGE })}`,
+    PAGE.width - PAGE.margin,
+    y + 15,
+    { align: "right" },
+  );
+  y += 22;
+
+  return writer;
+};
+
+const writeCustomer = (writer, complaint) => {
+  writer.heading("Customer");
+  writer.field("Name", complaint.users?.name);
+  writer.field("Email", complaint.users?.email);
+  writer.field("Phone", complaint.users?.phone);
+};
+
+const writeBike = (writer, complaint) => {
+  writer.heading("Bike");
+  writer.field("Model", complaint.bicycle_model);
+  if (complaint.bike) {
+    writer.field("Serial number", complaint.bike.serial_number);
+    writer.field(
+      "Warranty",
+      complaint.bike.warranty_end_date
+        ? `${isInWarranty(complaint.bike) ? "In warranty" : "Expired"} (until ${formatCalendarDate(complaint.bike.warranty_end_date, { language: LANGUAGE })})`
+        : "Not recorded",
+    );
+  }
+};
+
+// notes: the request's messages (internal notes included); technicianName:
+// the assignee's name, if any.
+export const downloadJobCard = async (
+  complaint,
+  { notes = [], technicianName } = {},
+) => {
+  const number = documentNumber("JC", complaint);
+  const writer = await createWriter("JOB CARD", number);
+
+  writer.heading("Service request");
+  writer.field("Request ID", complaint.id);
+  writer.field("Submitted", formatTimestamp(complaint.created_at));
+  writer.field("Issue", getIssueTypeLabel(complaint.issue_type, LANGUAGE));
+  writer.field("Priority", getPriorityLabel(complaint.priority, LANGUAGE));
+  writer.field("Status", getStatusLabel(complaint.status, LANGUAGE));
+  writer.field("Technician", technicianName || "Unassigned");
+  if (complaint.appointment) {
+    writer.field("Drop-off", formatTimestamp(complaint.appointment.slot_start));
+  }
+
+  writeCustomer(writer, complaint);
+  writeBike(writer, complaint);
+
+  writer.heading("Issue description");
+  writer.paragraph(complaint.description || "—");
+
+  if (complaint.quote) {
+    writer.heading(
+      isQuoteApproved(complaint.quote)
+        ? "Parts (approved quote)"
+        : "Parts (quote not approved yet)",
+    );
+    const lines = sortedQuoteLines(complaint.quote);
+    if (lines.length === 0) writer.paragraph("None", { italic: true });
+    else {
+      writer.table(
+        [
+          { header: "Part", width: writer.contentWidth - 25 },
+          { header: "Qty", width: 25, align: "right" },
+        ],
+        lines.map((line) => [line.name, String(line.quantity)]),
+      );
+    }
+    if (Number(complaint.quote.labor_hours) > 0) {
+      writer.field("Labor quoted", `${complaint.quote.labor_hours} h`);
+    }
+  }
+
+  writer.heading("Notes");
+  if (notes.length === 0) writer.paragraph("None", { italic: true });
+  for (const note of notes) {
+    const internal = note.visibility === MESSAGE_VISIBILITY.INTERNAL;
+    writer.paragraph(
+      `${note.author?.name || "Staff"}${internal ? " (internal)" : ""}, ${formatTimestamp(note.created_at)}:`,
+      { italic: true },
+    );
+    writer.paragraph(note.body);
+    writer.space(1);
+  }
+
+  writer.heading("Work carried out");
+  const workTop = writer.block(40);
+  writer.doc
+    .setDrawColor(180)
+    .rect(PAGE.margin, workTop - 3, writer.contentWidth, 40);
+
+  writer.heading("Signatures");
+  const signatureTop = writer.block(30);
+  const half = writer.contentWidth / 2;
+  writer.doc.setFont("helvetica", "normal").setFontSize(9).setDrawColor(0);
+  [
+    ["Customer (bike handed over)", PAGE.margin],
+    ["Technician", PAGE.margin + half + 5],
+  ].forEach(([label, x]) => {
+    writer.doc.line(x, signatureTop + 15, x + half - 10, signatureTop + 15);
+    writer.doc.text(`${label}    Date:`, x, signatureTop + 20);
+  });
+
+  writer.save(`job-card-${complaint.id.slice(0, 8)}.pdf`);
+};
+
+// Invoices are only issued for completed requests. They bill the approved
+// quote; without one they list the service performed, covered by warranty
+// when the bike still was.
+export const canDownloadInvoice = (complaint) =>
+  complaint.status === "completed";
+
+const quoteRows = (quote) => {
+  const lines = sortedQuoteLines(quote);
+  const { laborTotal } = quoteTotals({ ...quote, lines });
+  const rows = lines.map((line) => [
+    line.name,
+    String(line.quantity),
+    money(line.quantity * line.unit_price),
+  ]);
+  if (Number(quote.labor_hours) > 0) {
+    rows.push([
+      `Labor (${quote.labor_hours} h at ${money(quote.labor_rate)})`,
+      "",
+      money(laborTotal),
+    ]);
+  }
+  return rows;
+};
+
+export const downloadInvoice = async (complaint) => {
+  if (!canDownloadInvoice(complaint)) {
+    throw new Error("Invoices are only available for completed requests.");
+  }
+
+  const number = documentNumber("INV", complaint);
+  const writer = await createWriter("INVOICE", number);
+  const coveredByWarranty = isInWarranty(
+    complaint.bike,
+    new Date(complaint.resolved_at || complaint.updated_at),
+  );
+
+  writer.heading("Service request");
+  writer.field("Request ID", complaint.id);
+  writer.field("Submitted", formatTimestamp(complaint.created_at));
+  writer.field(
+    "Completed",
+    formatTimestamp(complaint.resolved_at || complaint.updated_at),
+  );
+
+  writeCustomer(writer, complaint);
+  writeBike(writer, complaint);
+
+  writer.heading("Services");
+  const columns = [
+    { header: "Description", width: writer.contentWidth - 70 },
+    { header: "Qty", width: 15, align: "right" },
+    { header: "Amount", width: 55, align: "right" },
+  ];
+  const quote = complaint.quote;
+  if (isQuoteApproved(quote)) {
+    writer.table(columns, quoteRows(quote), {
+      footer: [
+        ["Subtotal", "", money(quote.subtotal)],
+        [`Tax (${quote.tax_rate}%)`, "", money(quote.tax_amount)],
+        ["Total", "", money(quote.total)],
+      ],
+    });
+  } else {
+    writer.table(columns, [
+      [
+        `Service: ${getIssueTypeLabel(complaint.issue_type, LANGUAGE)}`,
+        "1",
+        coveredByWarranty ? "Covered by warranty" : "—",
+      ],
+    ]);
+  }
+
+  if (complaint.invoice) {
+    const { amount, paid, refunded, balance, status } = invoiceSummary(
+      complaint.invoice,
+    );
+    writer.heading("Payment");
+    writer.field("Amount due", money(amount));
+    writer.field("Paid", money(paid));
+    if (refunded > 0) writer.field("Refunded", money(refunded));
+    writer.field("Balance due", money(Math.max(balance, 0)));
+    writer.field("Status", PAYMENT_STATUS_LABELS[status]);
+  }
+
+  writer.space(4);
+  writer.paragraph(
+    `Thank you for servicing your ${complaint.bicycle_model} with us.`,
+    { italic: true },
+  );
+
+  writer.save(`invoice-${complaint.id.slice(0, 8)}.pdf`);
+};
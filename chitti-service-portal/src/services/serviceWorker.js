@@ -0,0 +1,13 @@
+// Registers public/sw.js in production builds only, so the dev server's
+// hot reloading is never served from a stale cache.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("/sw.js")
+      .catch((error) =>
+        console.error("Error registering service worker:", error),
+      );
+  });
+};
@@ -0,0 +1,51 @@
+import { isTerminal } from "./complaintStatus";
+import { t } from "../i18n";
+
+// Response/resolution targets per priority. Targets are read and saved
+// through slaRepository; escalation of breached requests runs on the server
+// (escalate_breached_complaints, scheduled with pg_cron) or in the demo
+// backend's scheduler. This module only works out what to show.
+
+const HOUR = 60 * 60 * 1000;
+
+// Mirrors compute_sla_due_at(): the deadline stored on the complaint so the
+// table can sort by it. Returns an ISO timestamp, or null.
+export const slaDueAt = (complaint, targets) => {
+  const target = targets[complaint.priority];
+  if (!target || isTerminal(complaint.status)) return null;
+
+  const hours = complaint.first_response_at
+    ? target.resolution_hours
+    : target.response_hours;
+  return new Date(
+    new Date(complaint.created_at).getTime() + hours * HOUR,
+  ).toISOString();
+};
+
+// The deadline that currently matters for a complaint: the response target
+// until someone has responded, then the resolution target. Returns null for
+// closed requests or when no target is configured.
+export const getSlaState = (complaint, targets, now = Date.now()) => {
+  const target = targets[complaint.priority];
+  if (!target || isTerminal(complaint.status)) return null;
+
+  const created = new Date(complaint.created_at).getTime();
+  const kind = complaint.first_response_at ? "resolution" : "response";
+  const hours =
+    kind === "response" ? target.response_hours : target.resolution_hours;
+  const deadline = created + hours * HOUR;
+  const remaining = deadline - now;
+
+  return { kind, deadline, remaining, breached: remaining < 0 };
+};
+
+export const formatDuration = (ms) => {
+  const minutes = Math.floor(Math.abs(ms) / 60000);
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const rest = minutes % 60;
+
+  if (days > 0) return t("duration.daysHours", { days, hours });
+  if (hours > 0) return t("duration.hoursMinutes", { hours, minutes: rest });
+  return t("duration.minutes", { minutes: rest });
+};
@@ -0,0 +1,45 @@
+import { techniciansRepository } from "../repositories";
+import { t } from "../i18n";
+
+// Work logs are read and written through techniciansRepository; these
+// helpers work out the times to store and show.
+
+export const stopWorkLog = (log, note) => {
+  const endedAt = new Date();
+  const minutes = Math.max(
+    1,
+    Math.round((endedAt - new Date(log.started_at)) / 60000),
+  );
+
+  return techniciansRepository.stopWorkLog(log.id, {
+    ended_at: endedAt.toISOString(),
+    minutes,
+    note: note?.trim() || null,
+  });
+};
+
+// Time entered by hand rather than with the start/stop timer.
+export const logManualTime = ({ complaintId, technicianId, minutes, note }) => {
+  const endedAt = new Date();
+  const startedAt = new Date(endedAt.getTime() - minutes * 60000);
+
+  return techniciansRepository.addWorkLog({
+    complaint_id: complaintId,
+    technician_id: technicianId,
+    started_at: startedAt.toISOString(),
+    ended_at: endedAt.toISOString(),
+    minutes,
+    note: note?.trim() || null,
+  });
+};
+
+export const totalMinutes = (logs) =>
+  logs.reduce((sum, log) => sum + (log.minutes || 0), 0);
+
+export const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours > 0
+    ? t("duration.hoursMinutes", { hours, minutes: rest })
+    : t("duration.minutes", { minutes: rest });
+};
@@ -0,0 +1,6 @@
+// Groups rows that carry a complaint_id into { [complaintId]: rows[] }.
+export const groupByComplaint = (rows) =>
+  rows.reduce((groups, row) => {
+    (groups[row.complaint_id] ||= []).push(row);
+    return groups;
+  }, {});
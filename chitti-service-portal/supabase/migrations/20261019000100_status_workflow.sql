@@ -0,0 +1,43 @@
+-- Status workflow for service requests.
+-- Mirrors the transition table in src/services/complaintStatus.js.
+
+alter table public.complaints
+  add column if not exists cancellation_reason text;
+
+alter table public.complaints
+  drop constraint if exists complaints_status_check;
+
+alter table public.complaints
+  add constraint complaints_status_check
+  check (status in ('pending', 'in-progress', 'awaiting-parts', 'completed', 'cancelled'));
+
+create or replace function public.enforce_complaint_status_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if not (
+    (old.status = 'pending' and new.status in ('in-progress', 'cancelled')) or
+    (old.status = 'in-progress' and new.status in ('awaiting-parts', 'completed', 'cancelled')) or
+    (old.status = 'awaiting-parts' and new.status in ('in-progress', 'cancelled'))
+  ) then
+    raise exception 'Illegal status transition from % to %', old.status, new.status;
+  end if;
+
+  if new.status = 'cancelled' and coalesce(trim(new.cancellation_reason), '') = '' then
+    raise exception 'A cancellation reason is required';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists complaints_status_transition on public.complaints;
+
+create trigger complaints_status_transition
+  before update of status on public.complaints
+  for each row execute function public.enforce_complaint_status_transition();
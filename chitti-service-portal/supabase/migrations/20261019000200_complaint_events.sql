@@ -0,0 +1,74 @@
+-- Append-only activity log for service requests.
+-- Rows are written by triggers on public.complaints; clients can only read.
+
+create table if not exists public.complaint_events (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null references public.complaints (id) on delete cascade,
+  actor_id uuid references public.users (id),
+  event_type text not null,
+  old_value text,
+  new_value text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists complaint_events_complaint_id_idx
+  on public.complaint_events (complaint_id, created_at);
+
+alter table public.complaint_events enable row level security;
+
+drop policy if exists "Company users can read all events" on public.complaint_events;
+create policy "Company users can read all events"
+  on public.complaint_events for select
+  using (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  );
+
+-- Customers only see the lifecycle of their own requests, not staff edits.
+drop policy if exists "Customers can read their own status events" on public.complaint_events;
+create policy "Customers can read their own status events"
+  on public.complaint_events for select
+  using (
+    event_type in ('created', 'status_changed')
+    and exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+  );
+
+-- No insert/update/delete policies: the log cannot be edited from the client.
+
+create or replace function public.record_complaint_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+    values (new.id, coalesce(auth.uid(), new.user_id), 'created', new.status);
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (new.id, auth.uid(), 'status_changed', old.status, new.status);
+  end if;
+
+  if new.company_notes is distinct from old.company_notes then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (new.id, auth.uid(), 'notes_changed', old.company_notes, new.company_notes);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists complaints_record_events on public.complaints;
+
+create trigger complaints_record_events
+  after insert or update on public.complaints
+  for each row execute function public.record_complaint_events();
@@ -0,0 +1,119 @@
+-- Per-request message thread. Replaces complaints.company_notes, which was
+-- shown to customers even though staff used it for internal notes.
+
+create table if not exists public.complaint_messages (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null references public.complaints (id) on delete cascade,
+  author_id uuid references public.users (id),
+  body text not null check (length(trim(body)) > 0),
+  visibility text not null default 'public'
+    check (visibility in ('internal', 'public')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists complaint_messages_complaint_id_idx
+  on public.complaint_messages (complaint_id, created_at);
+
+-- Existing notes were written as internal notes, so keep them staff-only.
+insert into public.complaint_messages (complaint_id, body, visibility, created_at)
+select id, company_notes, 'internal', coalesce(updated_at, created_at)
+from public.complaints
+where coalesce(trim(company_notes), '') <> '';
+
+alter table public.complaint_messages enable row level security;
+
+drop policy if exists "Company users can read all messages" on public.complaint_messages;
+create policy "Company users can read all messages"
+  on public.complaint_messages for select
+  using (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  );
+
+drop policy if exists "Company users can post messages" on public.complaint_messages;
+create policy "Company users can post messages"
+  on public.complaint_messages for insert
+  with check (
+    author_id = auth.uid()
+    and exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  );
+
+drop policy if exists "Customers can read public messages on their requests" on public.complaint_messages;
+create policy "Customers can read public messages on their requests"
+  on public.complaint_messages for select
+  using (
+    visibility = 'public'
+    and exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+  );
+
+drop policy if exists "Customers can reply on their requests" on public.complaint_messages;
+create policy "Customers can reply on their requests"
+  on public.complaint_messages for insert
+  with check (
+    visibility = 'public'
+    and author_id = auth.uid()
+    and exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+  );
+
+alter publication supabase_realtime add table public.complaint_messages;
+
+-- Notes no longer live on the complaint row, so stop logging note edits
+-- there and log new messages instead.
+create or replace function public.record_complaint_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+    values (new.id, coalesce(auth.uid(), new.user_id), 'created', new.status);
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (new.id, auth.uid(), 'status_changed', old.status, new.status);
+  end if;
+
+  return new;
+end;
+$$;
+
+create or replace function public.record_complaint_message_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+  values (
+    new.complaint_id,
+    new.author_id,
+    case when new.visibility = 'internal' then 'note_added' else 'message_added' end,
+    new.body
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists complaint_messages_record_events on public.complaint_messages;
+
+create trigger complaint_messages_record_events
+  after insert on public.complaint_messages
+  for each row execute function public.record_complaint_message_event();
+
+alter table public.complaints drop column if exists company_notes;
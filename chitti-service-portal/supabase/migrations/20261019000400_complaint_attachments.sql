@@ -0,0 +1,90 @@
+-- Photo and video attachments on service requests.
+-- Files live in the private "complaint-attachments" bucket under
+-- <complaint_id>/<uuid>-<file name>; this table holds their metadata.
+
+create table if not exists public.complaint_attachments (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null references public.complaints (id) on delete cascade,
+  uploader_id uuid references public.users (id),
+  storage_path text not null unique,
+  file_name text not null,
+  mime_type text not null
+    check (mime_type like 'image/%' or mime_type like 'video/%'),
+  size_bytes bigint not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists complaint_attachments_complaint_id_idx
+  on public.complaint_attachments (complaint_id);
+
+alter table public.complaint_attachments enable row level security;
+
+drop policy if exists "Company users can read all attachments" on public.complaint_attachments;
+create policy "Company users can read all attachments"
+  on public.complaint_attachments for select
+  using (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  );
+
+drop policy if exists "Customers can read attachments on their requests" on public.complaint_attachments;
+create policy "Customers can read attachments on their requests"
+  on public.complaint_attachments for select
+  using (
+    exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+  );
+
+drop policy if exists "Customers can attach files to their requests" on public.complaint_attachments;
+create policy "Customers can attach files to their requests"
+  on public.complaint_attachments for insert
+  with check (
+    uploader_id = auth.uid()
+    and exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+  );
+
+insert into storage.buckets (id, name, public, file_size_limit)
+values ('complaint-attachments', 'complaint-attachments', false, 52428800)
+on conflict (id) do nothing;
+
+drop policy if exists "Customers can upload to their requests" on storage.objects;
+create policy "Customers can upload to their requests"
+  on storage.objects for insert
+  with check (
+    bucket_id = 'complaint-attachments'
+    and exists (
+      select 1 from public.complaints c
+      where c.id::text = (storage.foldername(name))[1]
+        and c.user_id = auth.uid()
+    )
+  );
+
+drop policy if exists "Owners and company users can read attachments" on storage.objects;
+create policy "Owners and company users can read attachments"
+  on storage.objects for select
+  using (
+    bucket_id = 'complaint-attachments'
+    and (
+      exists (
+        select 1 from public.complaints c
+        where c.id::text = (storage.foldername(name))[1]
+          and c.user_id = auth.uid()
+      )
+      or exists (
+        select 1 from public.users u
+        where u.id = auth.uid() and u.role = 'company'
+      )
+    )
+  );
+
+drop policy if exists "Customers can remove their own uploads" on storage.objects;
+create policy "Customers can remove their own uploads"
+  on storage.objects for delete
+  using (bucket_id = 'complaint-attachments' and owner = auth.uid());
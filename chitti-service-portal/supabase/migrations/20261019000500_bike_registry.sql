@@ -0,0 +1,81 @@
+-- Bike registry: a managed catalog of models and the bikes customers own.
+-- complaints.bicycle_model is kept (filled from the catalog) so existing
+-- free-text requests still display.
+
+create table if not exists public.bike_models (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  warranty_months integer not null default 24 check (warranty_months >= 0),
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+insert into public.bike_models (name) values
+  ('EV-City 2023'),
+  ('EV-City 2024'),
+  ('EV-Sport 2023'),
+  ('EV-Sport 2024'),
+  ('EV-Cargo 2024')
+on conflict (name) do nothing;
+
+create table if not exists public.bikes (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references public.users (id) on delete cascade,
+  model_id uuid not null references public.bike_models (id),
+  serial_number text not null,
+  purchase_date date not null,
+  warranty_end_date date not null,
+  created_at timestamptz not null default now(),
+  check (warranty_end_date >= purchase_date)
+);
+
+-- Frame numbers are unique regardless of how they were typed.
+create unique index if not exists bikes_serial_number_key
+  on public.bikes (upper(trim(serial_number)));
+
+create index if not exists bikes_owner_id_idx on public.bikes (owner_id);
+
+alter table public.complaints
+  add column if not exists bike_id uuid references public.bikes (id);
+
+create index if not exists complaints_bike_id_idx on public.complaints (bike_id);
+
+alter table public.bike_models enable row level security;
+alter table public.bikes enable row level security;
+
+drop policy if exists "Anyone signed in can read the model catalog" on public.bike_models;
+create policy "Anyone signed in can read the model catalog"
+  on public.bike_models for select
+  using (auth.uid() is not null);
+
+drop policy if exists "Company users manage the model catalog" on public.bike_models;
+create policy "Company users manage the model catalog"
+  on public.bike_models for all
+  using (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  );
+
+drop policy if exists "Customers manage their own bikes" on public.bikes;
+create policy "Customers manage their own bikes"
+  on public.bikes for all
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+drop policy if exists "Company users can read all bikes" on public.bikes;
+create policy "Company users can read all bikes"
+  on public.bikes for select
+  using (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  );
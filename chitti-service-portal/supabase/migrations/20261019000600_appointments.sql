@@ -0,0 +1,184 @@
+-- Drop-off appointments with workshop opening hours and daily capacity.
+-- Bookings go through book_appointment(), which serialises per day so two
+-- customers cannot take the last place at the same time.
+
+create table if not exists public.workshop_settings (
+  id integer primary key default 1 check (id = 1),
+  daily_capacity integer not null default 8 check (daily_capacity > 0),
+  slot_capacity integer not null default 2 check (slot_capacity > 0),
+  slot_minutes integer not null default 30 check (slot_minutes between 10 and 240),
+  timezone text not null default 'UTC',
+  updated_at timestamptz not null default now()
+);
+
+insert into public.workshop_settings (id) values (1) on conflict (id) do nothing;
+
+-- weekday follows JavaScript's Date#getDay(): 0 = Sunday.
+create table if not exists public.workshop_hours (
+  weekday integer primary key check (weekday between 0 and 6),
+  is_open boolean not null default true,
+  opens_at time not null default '09:00',
+  closes_at time not null default '18:00',
+  check (closes_at > opens_at)
+);
+
+insert into public.workshop_hours (weekday, is_open) values
+  (0, false), (1, true), (2, true), (3, true), (4, true), (5, true), (6, true)
+on conflict (weekday) do nothing;
+
+create table if not exists public.appointments (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null unique references public.complaints (id) on delete cascade,
+  customer_id uuid not null references public.users (id),
+  slot_start timestamptz not null,
+  slot_end timestamptz not null,
+  created_at timestamptz not null default now(),
+  check (slot_end > slot_start)
+);
+
+create index if not exists appointments_slot_start_idx on public.appointments (slot_start);
+
+alter table public.workshop_settings enable row level security;
+alter table public.workshop_hours enable row level security;
+alter table public.appointments enable row level security;
+
+drop policy if exists "Anyone signed in can read workshop settings" on public.workshop_settings;
+create policy "Anyone signed in can read workshop settings"
+  on public.workshop_settings for select using (auth.uid() is not null);
+
+drop policy if exists "Company users update workshop settings" on public.workshop_settings;
+create policy "Company users update workshop settings"
+  on public.workshop_settings for update
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'company'));
+
+drop policy if exists "Anyone signed in can read workshop hours" on public.workshop_hours;
+create policy "Anyone signed in can read workshop hours"
+  on public.workshop_hours for select using (auth.uid() is not null);
+
+drop policy if exists "Company users update workshop hours" on public.workshop_hours;
+create policy "Company users update workshop hours"
+  on public.workshop_hours for update
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'company'));
+
+drop policy if exists "Customers read their own appointments" on public.appointments;
+create policy "Customers read their own appointments"
+  on public.appointments for select using (customer_id = auth.uid());
+
+drop policy if exists "Customers cancel their own appointments" on public.appointments;
+create policy "Customers cancel their own appointments"
+  on public.appointments for delete using (customer_id = auth.uid());
+
+drop policy if exists "Company users manage appointments" on public.appointments;
+create policy "Company users manage appointments"
+  on public.appointments for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'company'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'company'));
+
+-- Inserts and reschedules only happen through book_appointment().
+
+-- Booked places per slot in a range, without exposing who booked them.
+create or replace function public.appointment_slot_counts(p_from timestamptz, p_to timestamptz)
+returns table (slot_start timestamptz, booked integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select a.slot_start, count(*)::integer
+  from appointments a
+  where a.slot_start >= p_from and a.slot_start < p_to
+  group by a.slot_start;
+$$;
+
+create or replace function public.book_appointment(p_complaint_id uuid, p_slot_start timestamptz)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_settings workshop_settings;
+  v_hours workshop_hours;
+  v_complaint complaints;
+  v_local timestamp;
+  v_day_start timestamptz;
+  v_day_booked integer;
+  v_slot_booked integer;
+  v_is_staff boolean;
+  v_result appointments;
+begin
+  select * into v_settings from workshop_settings where id = 1;
+  select * into v_complaint from complaints where id = p_complaint_id;
+
+  if v_complaint.id is null then
+    raise exception 'Service request not found';
+  end if;
+
+  select exists (select 1 from users where id = auth.uid() and role = 'company')
+    into v_is_staff;
+  if v_complaint.user_id <> auth.uid() and not v_is_staff then
+    raise exception 'Not allowed to book for this request';
+  end if;
+
+  if v_complaint.status in ('completed', 'cancelled') then
+    raise exception 'This request is closed';
+  end if;
+
+  if p_slot_start <= now() then
+    raise exception 'Please pick a future time';
+  end if;
+
+  v_local := p_slot_start at time zone v_settings.timezone;
+  select * into v_hours from workshop_hours
+    where weekday = extract(dow from v_local)::integer;
+
+  if not v_hours.is_open
+     or v_local::time < v_hours.opens_at
+     or (v_local + make_interval(mins => v_settings.slot_minutes))::time > v_hours.closes_at
+     or extract(epoch from (v_local::time - v_hours.opens_at))::integer
+        % (v_settings.slot_minutes * 60) <> 0 then
+    raise exception 'The workshop is not taking drop-offs at that time';
+  end if;
+
+  -- Serialise bookings for the same local day.
+  perform pg_advisory_xact_lock(hashtext('appointments:' || v_local::date::text));
+
+  v_day_start := v_local::date::timestamp at time zone v_settings.timezone;
+
+  select count(*) into v_day_booked from appointments
+    where slot_start >= v_day_start
+      and slot_start < v_day_start + interval '1 day'
+      and complaint_id <> p_complaint_id;
+
+  select count(*) into v_slot_booked from appointments
+    where slot_start = p_slot_start and complaint_id <> p_complaint_id;
+
+  if v_day_booked >= v_settings.daily_capacity then
+    raise exception 'The workshop is fully booked on that day';
+  end if;
+
+  if v_slot_booked >= v_settings.slot_capacity then
+    raise exception 'That slot has just been taken, please pick another';
+  end if;
+
+  insert into appointments (complaint_id, customer_id, slot_start, slot_end)
+  values (
+    p_complaint_id,
+    v_complaint.user_id,
+    p_slot_start,
+    p_slot_start + make_interval(mins => v_settings.slot_minutes)
+  )
+  on conflict (complaint_id) do update
+    set slot_start = excluded.slot_start,
+        slot_end = excluded.slot_end,
+        created_at = now()
+  returning * into v_result;
+
+  return v_result;
+end;
+$$;
+
+grant execute on function public.appointment_slot_counts(timestamptz, timestamptz) to authenticated;
+grant execute on function public.book_appointment(uuid, timestamptz) to authenticated;
+
+alter publication supabase_realtime add table public.appointments;
@@ -0,0 +1,221 @@
+-- Technician role, job assignment and time logging.
+
+alter table public.users drop constraint if exists users_role_check;
+alter table public.users
+  add constraint users_role_check
+  check (role in ('customer', 'company', 'technician'));
+
+alter table public.complaints
+  add column if not exists assigned_to uuid references public.users (id);
+
+create index if not exists complaints_assigned_to_idx on public.complaints (assigned_to);
+
+-- Only technicians can be assigned.
+create or replace function public.check_complaint_assignee()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.assigned_to is not null and not exists (
+    select 1 from public.users where id = new.assigned_to and role = 'technician'
+  ) then
+    raise exception 'Requests can only be assigned to technicians';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists complaints_check_assignee on public.complaints;
+create trigger complaints_check_assignee
+  before insert or update of assigned_to on public.complaints
+  for each row execute function public.check_complaint_assignee();
+
+create table if not exists public.work_logs (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null references public.complaints (id) on delete cascade,
+  technician_id uuid not null references public.users (id),
+  started_at timestamptz not null default now(),
+  ended_at timestamptz,
+  minutes integer check (minutes is null or minutes >= 0),
+  note text,
+  created_at timestamptz not null default now(),
+  check (ended_at is null or ended_at >= started_at)
+);
+
+create index if not exists work_logs_complaint_id_idx on public.work_logs (complaint_id);
+
+-- One running timer per technician per job.
+create unique index if not exists work_logs_one_open_per_job
+  on public.work_logs (complaint_id, technician_id)
+  where ended_at is null;
+
+create or replace function public.is_assigned_technician(p_complaint_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from complaints
+    where id = p_complaint_id and assigned_to = auth.uid()
+  );
+$$;
+
+-- Policies on users cannot query users (or complaints, whose policies query
+-- users) without Postgres reporting infinite recursion, so the checks run
+-- in these security definer helpers, which skip row level security.
+create or replace function public.is_company_user()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from users
+    where id = auth.uid() and role = 'company'
+  );
+$$;
+
+create or replace function public.is_technician_of_customer(p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from complaints
+    where user_id = p_user_id and assigned_to = auth.uid()
+  );
+$$;
+
+-- Technicians can see customers of the jobs assigned to them.
+drop policy if exists "Technicians read customers of assigned jobs" on public.users;
+create policy "Technicians read customers of assigned jobs"
+  on public.users for select
+  using (public.is_technician_of_customer(id));
+
+drop policy if exists "Company users read technicians" on public.users;
+create policy "Company users read technicians"
+  on public.users for select
+  using (role = 'technician' and public.is_company_user());
+
+drop policy if exists "Technicians read assigned complaints" on public.complaints;
+create policy "Technicians read assigned complaints"
+  on public.complaints for select
+  using (assigned_to = auth.uid());
+
+-- The policy picks the rows; complaints_check_technician_update limits the
+-- columns.
+drop policy if exists "Technicians update assigned complaints" on public.complaints;
+create policy "Technicians update assigned complaints"
+  on public.complaints for update
+  using (assigned_to = auth.uid())
+  with check (assigned_to = auth.uid());
+
+-- Technicians move their jobs through the workflow and nothing else: no
+-- other column, and no cancelling. As with the customer check, functions
+-- running as their owner keep their own rules.
+create or replace function public.check_technician_complaint_update()
+returns trigger
+language plpgsql
+as $$
+declare
+  editable constant text[] := array['status', 'updated_at', 'search_vector'];
+begin
+  if current_user <> 'authenticated' or old.assigned_to is distinct from auth.uid() then
+    return new;
+  end if;
+
+  if new.status = 'cancelled' and old.status <> 'cancelled' then
+    raise exception 'Only the workshop desk can cancel a request';
+  end if;
+
+  if (to_jsonb(new) - editable) is distinct from (to_jsonb(old) - editable) then
+    raise exception 'Technicians can only change the status of their jobs';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Named to run before the triggers that fill in timestamps (such as the SLA
+-- ones added later), so their writes are not mistaken for the technician's.
+drop trigger if exists complaints_check_technician_update on public.complaints;
+create trigger complaints_check_technician_update
+  before update on public.complaints
+  for each row execute function public.check_technician_complaint_update();
+
+drop policy if exists "Technicians read messages on assigned jobs" on public.complaint_messages;
+create policy "Technicians read messages on assigned jobs"
+  on public.complaint_messages for select
+  using (public.is_assigned_technician(complaint_id));
+
+drop policy if exists "Technicians add notes on assigned jobs" on public.complaint_messages;
+create policy "Technicians add notes on assigned jobs"
+  on public.complaint_messages for insert
+  with check (author_id = auth.uid() and public.is_assigned_technician(complaint_id));
+
+drop policy if exists "Technicians read attachments on assigned jobs" on public.complaint_attachments;
+create policy "Technicians read attachments on assigned jobs"
+  on public.complaint_attachments for select
+  using (public.is_assigned_technician(complaint_id));
+
+drop policy if exists "Technicians read attachment files on assigned jobs" on storage.objects;
+create policy "Technicians read attachment files on assigned jobs"
+  on storage.objects for select
+  using (
+    bucket_id = 'complaint-attachments'
+    and public.is_assigned_technician(((storage.foldername(name))[1])::uuid)
+  );
+
+alter table public.work_logs enable row level security;
+
+drop policy if exists "Technicians manage their own work logs" on public.work_logs;
+create policy "Technicians manage their own work logs"
+  on public.work_logs for all
+  using (technician_id = auth.uid())
+  with check (technician_id = auth.uid() and public.is_assigned_technician(complaint_id));
+
+drop policy if exists "Company users read all work logs" on public.work_logs;
+create policy "Company users read all work logs"
+  on public.work_logs for select
+  using (public.is_company_user());
+
+-- Record assignment changes in the activity log.
+create or replace function public.record_complaint_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+    values (new.id, coalesce(auth.uid(), new.user_id), 'created', new.status);
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (new.id, auth.uid(), 'status_changed', old.status, new.status);
+  end if;
+
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (
+      new.id,
+      auth.uid(),
+      'assigned',
+      (select name from users where id = old.assigned_to),
+      (select name from users where id = new.assigned_to)
+    );
+  end if;
+
+  return new;
+end;
+$$;
+
+alter publication supabase_realtime add table public.work_logs;
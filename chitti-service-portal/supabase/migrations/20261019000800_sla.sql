@@ -0,0 +1,142 @@
+-- SLA targets per priority, response/resolution timestamps and automatic
+-- escalation of breached requests.
+
+create table if not exists public.sla_targets (
+  priority text primary key check (priority in ('low', 'medium', 'high')),
+  response_hours integer not null check (response_hours > 0),
+  resolution_hours integer not null check (resolution_hours > 0),
+  check (resolution_hours >= response_hours)
+);
+
+insert into public.sla_targets (priority, response_hours, resolution_hours) values
+  ('high', 4, 48),
+  ('medium', 24, 120),
+  ('low', 48, 240)
+on conflict (priority) do nothing;
+
+alter table public.sla_targets enable row level security;
+
+drop policy if exists "Anyone signed in can read SLA targets" on public.sla_targets;
+create policy "Anyone signed in can read SLA targets"
+  on public.sla_targets for select using (auth.uid() is not null);
+
+drop policy if exists "Company users update SLA targets" on public.sla_targets;
+create policy "Company users update SLA targets"
+  on public.sla_targets for update
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'company'));
+
+alter table public.complaints
+  add column if not exists first_response_at timestamptz,
+  add column if not exists resolved_at timestamptz,
+  add column if not exists escalated_at timestamptz;
+
+update public.complaints
+set first_response_at = coalesce(first_response_at, updated_at)
+where status <> 'pending';
+
+update public.complaints
+set resolved_at = coalesce(resolved_at, updated_at)
+where status in ('completed', 'cancelled');
+
+-- The first move out of "pending" or the first public staff reply counts as
+-- the response; reaching a terminal status resolves the request.
+create or replace function public.track_complaint_sla()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is distinct from old.status then
+    if old.status = 'pending' and new.first_response_at is null then
+      new.first_response_at := now();
+    end if;
+    if new.status in ('completed', 'cancelled') then
+      new.resolved_at := now();
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists complaints_track_sla on public.complaints;
+create trigger complaints_track_sla
+  before update of status on public.complaints
+  for each row execute function public.track_complaint_sla();
+
+create or replace function public.track_first_response_message()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.visibility = 'public' and exists (
+    select 1 from users where id = new.author_id and role in ('company', 'technician')
+  ) then
+    update complaints
+    set first_response_at = now()
+    where id = new.complaint_id and first_response_at is null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists complaint_messages_track_response on public.complaint_messages;
+create trigger complaint_messages_track_response
+  after insert on public.complaint_messages
+  for each row execute function public.track_first_response_message();
+
+-- Raises the priority of every open request that has missed its response or
+-- resolution target, once per request, and logs it. Returns how many were
+-- escalated.
+create or replace function public.escalate_breached_complaints()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_complaint record;
+  v_new_priority text;
+  v_count integer := 0;
+begin
+  for v_complaint in
+    select c.*
+    from complaints c
+    join sla_targets t on t.priority = c.priority
+    where c.escalated_at is null
+      and c.status not in ('completed', 'cancelled')
+      and (
+        (c.first_response_at is null
+          and now() > c.created_at + make_interval(hours => t.response_hours))
+        or now() > c.created_at + make_interval(hours => t.resolution_hours)
+      )
+    for update of c skip locked
+  loop
+    v_new_priority := case v_complaint.priority
+      when 'low' then 'medium'
+      else 'high'
+    end;
+
+    update complaints
+    set priority = v_new_priority, escalated_at = now()
+    where id = v_complaint.id;
+
+    insert into complaint_events (complaint_id, event_type, old_value, new_value)
+    values (v_complaint.id, 'escalated', v_complaint.priority, v_new_priority);
+
+    v_count := v_count + 1;
+  end loop;
+
+  return v_count;
+end;
+$$;
+
+revoke execute on function public.escalate_breached_complaints() from public;
+
+create extension if not exists pg_cron;
+
+select cron.schedule(
+  'escalate-breached-complaints',
+  '*/5 * * * *',
+  $$select public.escalate_breached_complaints()$$
+);
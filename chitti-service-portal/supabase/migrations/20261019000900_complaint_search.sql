@@ -0,0 +1,148 @@
+-- Server-side search, sorting and stats for the company request table.
+
+create extension if not exists pg_trgm;
+
+-- Priority sorts by urgency, not alphabetically.
+alter table public.complaints
+  add column if not exists priority_rank smallint
+  generated always as (
+    case priority when 'high' then 3 when 'medium' then 2 else 1 end
+  ) stored;
+
+alter table public.complaints
+  add column if not exists search_vector tsvector
+  generated always as (
+    to_tsvector(
+      'simple',
+      coalesce(description, '') || ' ' ||
+      coalesce(bicycle_model, '') || ' ' ||
+      coalesce(issue_type, '')
+    )
+  ) stored;
+
+create index if not exists complaints_search_vector_idx
+  on public.complaints using gin (search_vector);
+create index if not exists complaints_created_at_idx
+  on public.complaints (created_at desc);
+create index if not exists complaints_status_idx
+  on public.complaints (status);
+
+create index if not exists users_name_trgm_idx
+  on public.users using gin (name gin_trgm_ops);
+create index if not exists users_email_trgm_idx
+  on public.users using gin (email gin_trgm_ops);
+create index if not exists users_phone_trgm_idx
+  on public.users using gin (phone gin_trgm_ops);
+
+-- The current SLA deadline (response target until first response, then the
+-- resolution target) so the table can sort overdue requests first.
+alter table public.complaints
+  add column if not exists sla_due_at timestamptz;
+
+create index if not exists complaints_sla_due_at_idx
+  on public.complaints (sla_due_at);
+
+create or replace function public.compute_sla_due_at(
+  p_created_at timestamptz,
+  p_priority text,
+  p_status text,
+  p_first_response_at timestamptz
+)
+returns timestamptz
+language sql
+stable
+as $$
+  select case
+    when p_status in ('completed', 'cancelled') then null
+    when p_first_response_at is null
+      then p_created_at + make_interval(hours => t.response_hours)
+    else p_created_at + make_interval(hours => t.resolution_hours)
+  end
+  from public.sla_targets t
+  where t.priority = p_priority;
+$$;
+
+create or replace function public.set_complaint_sla_due_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.sla_due_at := public.compute_sla_due_at(
+    new.created_at, new.priority, new.status, new.first_response_at
+  );
+  return new;
+end;
+$$;
+
+-- Named so it runs after complaints_track_sla has set first_response_at.
+drop trigger if exists complaints_zz_set_sla_due_at on public.complaints;
+create trigger complaints_zz_set_sla_due_at
+  before insert or update of priority, status, first_response_at on public.complaints
+  for each row execute function public.set_complaint_sla_due_at();
+
+create or replace function public.refresh_sla_due_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.complaints c
+  set sla_due_at = public.compute_sla_due_at(
+    c.created_at, c.priority, c.status, c.first_response_at
+  )
+  where c.priority = new.priority;
+  return new;
+end;
+$$;
+
+drop trigger if exists sla_targets_refresh_due_at on public.sla_targets;
+create trigger sla_targets_refresh_due_at
+  after update on public.sla_targets
+  for each row execute function public.refresh_sla_due_at();
+
+update public.complaints
+set sla_due_at = public.compute_sla_due_at(created_at, priority, status, first_response_at);
+
+-- Matches customer name, email, phone, request ID prefix and description.
+-- Runs as the caller, so row level security still applies; PostgREST can
+-- filter, order, page and embed on top of the result. % and _ in the search
+-- text are escaped (as escapeLike() does in the client) so they match
+-- literally instead of acting as wildcards.
+create or replace function public.search_complaints(p_search text default null)
+returns setof public.complaints
+language sql
+stable
+as $$
+  select c.*
+  from public.complaints c
+  left join public.users u on u.id = c.user_id
+  cross join lateral (
+    select '%' || replace(replace(replace(trim(p_search), '\', '\\'), '%', '\%'), '_', '\_') || '%'
+      as pattern
+  ) s
+  where coalesce(trim(p_search), '') = ''
+    or starts_with(c.id::text, lower(trim(p_search)))
+    or c.search_vector @@ websearch_to_tsquery('simple', p_search)
+    or u.name ilike s.pattern
+    or u.email ilike s.pattern
+    or u.phone ilike s.pattern;
+$$;
+
+create or replace function public.complaint_stats()
+returns json
+language sql
+stable
+as $$
+  select json_build_object(
+    'total', count(*),
+    'pending', count(*) filter (where status = 'pending'),
+    'inProgress', count(*) filter (where status = 'in-progress'),
+    'awaitingParts', count(*) filter (where status = 'awaiting-parts'),
+    'completed', count(*) filter (where status = 'completed'),
+    'cancelled', count(*) filter (where status = 'cancelled'),
+    'overdue', count(*) filter (where sla_due_at < now())
+  )
+  from public.complaints;
+$$;
+
+grant execute on function public.search_complaints(text) to authenticated;
+grant execute on function public.complaint_stats() to authenticated;
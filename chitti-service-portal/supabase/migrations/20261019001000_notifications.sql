@@ -0,0 +1,71 @@
+-- Customer notifications: per-channel preferences, a delivery log staff can
+-- inspect, and a marker on complaint_events so the notification worker
+-- (scripts/notification-worker.js) handles each event exactly once.
+
+create table if not exists public.notification_preferences (
+  user_id uuid primary key references public.users (id) on delete cascade,
+  email_enabled boolean not null default true,
+  sms_enabled boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.notification_preferences enable row level security;
+
+drop policy if exists "Users manage their own notification preferences" on public.notification_preferences;
+create policy "Users manage their own notification preferences"
+  on public.notification_preferences for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "Company users read notification preferences" on public.notification_preferences;
+create policy "Company users read notification preferences"
+  on public.notification_preferences for select
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'company'));
+
+-- Written by the worker with the service role key, which bypasses RLS.
+create table if not exists public.notification_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid references public.complaint_events (id) on delete set null,
+  complaint_id uuid references public.complaints (id) on delete cascade,
+  user_id uuid references public.users (id) on delete set null,
+  kind text not null,
+  channel text not null check (channel in ('email', 'sms')),
+  recipient text not null,
+  subject text,
+  body text not null,
+  provider text not null,
+  status text not null check (status in ('sent', 'failed')),
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_deliveries_created_at_idx
+  on public.notification_deliveries (created_at desc);
+
+-- The worker looks up what an event already sent before retrying it.
+create index if not exists notification_deliveries_event_id_idx
+  on public.notification_deliveries (event_id);
+
+alter table public.notification_deliveries enable row level security;
+
+drop policy if exists "Company users read the delivery log" on public.notification_deliveries;
+create policy "Company users read the delivery log"
+  on public.notification_deliveries for select
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'company'));
+
+-- notified_at is set once the worker has handled an event. A failed attempt
+-- leaves it null, counts in notify_attempts and keeps its error, so the event
+-- is retried on the next poll until the worker's attempt limit.
+alter table public.complaint_events
+  add column if not exists notified_at timestamptz,
+  add column if not exists notify_attempts integer not null default 0,
+  add column if not exists notify_error text;
+
+-- Existing history is not news; only events from now on are sent.
+update public.complaint_events
+set notified_at = now()
+where notified_at is null;
+
+create index if not exists complaint_events_unnotified_idx
+  on public.complaint_events (created_at)
+  where notified_at is null;
@@ -0,0 +1,116 @@
+-- In-app notifications for the header bell. A trigger on complaint_events
+-- fans each event out to the users who should hear about it; the app only
+-- reads its own rows and marks them read.
+
+create table if not exists public.user_notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  complaint_id uuid not null references public.complaints (id) on delete cascade,
+  event_id uuid references public.complaint_events (id) on delete cascade,
+  kind text not null,
+  details jsonb not null default '{}'::jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_notifications_user_id_idx
+  on public.user_notifications (user_id, created_at desc);
+
+create index if not exists user_notifications_unread_idx
+  on public.user_notifications (user_id)
+  where read_at is null;
+
+alter table public.user_notifications enable row level security;
+
+drop policy if exists "Users read their own notifications" on public.user_notifications;
+create policy "Users read their own notifications"
+  on public.user_notifications for select
+  using (user_id = auth.uid());
+
+drop policy if exists "Users mark their own notifications read" on public.user_notifications;
+create policy "Users mark their own notifications read"
+  on public.user_notifications for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- Rows are only created by the trigger below, and read_at is the only
+-- column a user may change.
+revoke insert, update, delete on public.user_notifications from authenticated;
+grant update (read_at) on public.user_notifications to authenticated;
+
+-- Who hears about what (nobody is told about their own action):
+--   created            -> company users       kind new_request
+--   status_changed     -> the customer        kind status_changed
+--   message_added      -> the customer        kind staff_reply (staff wrote)
+--                      -> company users and   kind customer_message
+--                         the assigned technician (customer wrote)
+--   assigned           -> the new technician  kind assigned
+create or replace function public.fan_out_complaint_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c complaints%rowtype;
+  customer_name text;
+begin
+  select * into c from complaints where id = new.complaint_id;
+  if not found then
+    return new;
+  end if;
+  select name into customer_name from users where id = c.user_id;
+
+  if new.event_type = 'created' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, 'new_request',
+      jsonb_build_object(
+        'priority', c.priority,
+        'customer_name', customer_name,
+        'bicycle_model', c.bicycle_model
+      )
+    from users u
+    where u.role = 'company' and u.id is distinct from new.actor_id;
+
+  elsif new.event_type = 'status_changed' then
+    if c.user_id is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.user_id, c.id, new.id, 'status_changed',
+        jsonb_build_object('old_status', new.old_value, 'new_status', new.new_value)
+      );
+    end if;
+
+  elsif new.event_type = 'message_added' then
+    if new.actor_id = c.user_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'customer_message',
+        jsonb_build_object('customer_name', customer_name)
+      from users u
+      where u.role = 'company' or u.id = c.assigned_to;
+    else
+      insert into user_notifications (user_id, complaint_id, event_id, kind)
+      values (c.user_id, c.id, new.id, 'staff_reply');
+    end if;
+
+  elsif new.event_type = 'assigned' then
+    if c.assigned_to is not null and c.assigned_to is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.assigned_to, c.id, new.id, 'assigned',
+        jsonb_build_object('bicycle_model', c.bicycle_model)
+      );
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists complaint_events_fan_out on public.complaint_events;
+
+create trigger complaint_events_fan_out
+  after insert on public.complaint_events
+  for each row execute function public.fan_out_complaint_event();
+
+alter publication supabase_realtime add table public.user_notifications;
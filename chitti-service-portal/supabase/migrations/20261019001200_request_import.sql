@@ -0,0 +1,121 @@
+-- Bulk import of legacy service requests from a spreadsheet. The app
+-- validates rows and shows a dry run first; import_complaints() writes the
+-- accepted rows in one transaction.
+
+-- Imported requests are logged as "imported" rather than "created", so the
+-- notification worker and the in-app inbox do not announce old requests.
+create or replace function public.record_complaint_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+    values (
+      new.id,
+      coalesce(auth.uid(), new.user_id),
+      case
+        when current_setting('chitti.importing', true) = 'on' then 'imported'
+        else 'created'
+      end,
+      new.status
+    );
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (new.id, auth.uid(), 'status_changed', old.status, new.status);
+  end if;
+
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (
+      new.id,
+      auth.uid(),
+      'assigned',
+      (select name from users where id = old.assigned_to),
+      (select name from users where id = new.assigned_to)
+    );
+  end if;
+
+  return new;
+end;
+$$;
+
+-- p_rows: [{ customer_email, bicycle_model, issue_type, description,
+--            priority, status, created_at, resolved_at, cancellation_reason }]
+-- Returns the number of requests created. Any bad row aborts the whole
+-- import.
+create or replace function public.import_complaints(p_rows jsonb)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  r jsonb;
+  v_customer_id uuid;
+  v_status text;
+  v_created_at timestamptz;
+  v_imported integer := 0;
+begin
+  if not exists (
+    select 1 from users u
+    where u.id = auth.uid() and u.role = 'company'
+  ) then
+    raise exception 'Only company users can import service requests';
+  end if;
+
+  perform set_config('chitti.importing', 'on', true);
+
+  for r in select * from jsonb_array_elements(p_rows)
+  loop
+    select u.id into v_customer_id
+    from users u
+    where lower(u.email) = lower(r->>'customer_email')
+      and coalesce(u.role, 'customer') = 'customer';
+
+    if v_customer_id is null then
+      raise exception 'No customer account with email %', r->>'customer_email';
+    end if;
+
+    v_status := coalesce(r->>'status', 'pending');
+    v_created_at := coalesce((r->>'created_at')::timestamptz, now());
+
+    if v_status = 'cancelled' and coalesce(trim(r->>'cancellation_reason'), '') = '' then
+      raise exception 'A cancellation reason is required';
+    end if;
+
+    insert into complaints (
+      user_id, bicycle_model, issue_type, description, priority, status,
+      cancellation_reason, created_at, updated_at, first_response_at, resolved_at
+    )
+    values (
+      v_customer_id,
+      r->>'bicycle_model',
+      r->>'issue_type',
+      r->>'description',
+      coalesce(r->>'priority', 'medium'),
+      v_status,
+      nullif(trim(r->>'cancellation_reason'), ''),
+      v_created_at,
+      now(),
+      case when v_status <> 'pending' then v_created_at end,
+      case
+        when v_status in ('completed', 'cancelled')
+          then (r->>'resolved_at')::timestamptz
+      end
+    );
+
+    v_imported := v_imported + 1;
+  end loop;
+
+  perform set_config('chitti.importing', 'off', true);
+  return v_imported;
+end;
+$$;
+
+grant execute on function public.import_complaints(jsonb) to authenticated;
@@ -0,0 +1,449 @@
+-- Parts catalog and quotes. Staff quote a request from catalog parts plus
+-- labor hours, with tax; the customer approves or declines it. A request
+-- cannot move from pending to in-progress until its quote is approved.
+-- Approving takes the quoted parts out of stock and cancelling the request
+-- puts them back.
+
+create table if not exists public.parts (
+  id uuid primary key default gen_random_uuid(),
+  sku text not null unique,
+  name text not null,
+  unit_price numeric(10, 2) not null check (unit_price >= 0),
+  -- Goes negative when an approved quote needs more than is on the shelf:
+  -- those parts are on backorder.
+  stock integer not null default 0,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- One quote per request. Sending a revised quote replaces its lines and
+-- asks the customer again. The totals are worked out by save_quote().
+create table if not exists public.quotes (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null unique references public.complaints (id) on delete cascade,
+  status text not null default 'pending'
+    check (status in ('pending', 'approved', 'declined')),
+  labor_hours numeric(6, 2) not null default 0 check (labor_hours >= 0),
+  labor_rate numeric(10, 2) not null default 0 check (labor_rate >= 0),
+  tax_rate numeric(5, 2) not null default 0 check (tax_rate between 0 and 100),
+  subtotal numeric(10, 2) not null default 0,
+  tax_amount numeric(10, 2) not null default 0,
+  total numeric(10, 2) not null default 0,
+  decline_reason text,
+  created_by uuid references public.users (id),
+  decided_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- name and unit_price are copied from the catalog, so later price changes
+-- do not alter a quote the customer has already seen.
+create table if not exists public.quote_lines (
+  id uuid primary key default gen_random_uuid(),
+  quote_id uuid not null references public.quotes (id) on delete cascade,
+  part_id uuid references public.parts (id) on delete set null,
+  position integer not null default 0,
+  name text not null,
+  quantity integer not null check (quantity > 0),
+  unit_price numeric(10, 2) not null check (unit_price >= 0)
+);
+
+create index if not exists quote_lines_quote_id_idx on public.quote_lines (quote_id);
+
+alter table public.parts enable row level security;
+alter table public.quotes enable row level security;
+alter table public.quote_lines enable row level security;
+
+drop policy if exists "Staff read the parts catalog" on public.parts;
+create policy "Staff read the parts catalog"
+  on public.parts for select
+  using (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role in ('company', 'technician')
+    )
+  );
+
+drop policy if exists "Company users manage the parts catalog" on public.parts;
+create policy "Company users manage the parts catalog"
+  on public.parts for all
+  using (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  );
+
+drop policy if exists "Quotes are visible with their request" on public.quotes;
+create policy "Quotes are visible with their request"
+  on public.quotes for select
+  using (
+    exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id
+        and (c.user_id = auth.uid() or c.assigned_to = auth.uid())
+    )
+    or exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  );
+
+drop policy if exists "Quote lines are visible with their quote" on public.quote_lines;
+create policy "Quote lines are visible with their quote"
+  on public.quote_lines for select
+  using (exists (select 1 from public.quotes q where q.id = quote_id));
+
+-- Quotes only change through save_quote() and decide_quote().
+revoke insert, update, delete on public.quotes from authenticated;
+revoke insert, update, delete on public.quote_lines from authenticated;
+
+-- p_lines: [{ part_id, quantity }]. Company users and the assigned
+-- technician can quote an open request until the customer has approved it.
+create or replace function public.save_quote(
+  p_complaint_id uuid,
+  p_labor_hours numeric,
+  p_labor_rate numeric,
+  p_tax_rate numeric,
+  p_lines jsonb
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c complaints%rowtype;
+  v_quote quotes%rowtype;
+  v_subtotal numeric;
+  v_tax numeric;
+  r jsonb;
+  v_part parts%rowtype;
+  v_position integer := 0;
+begin
+  select * into c from complaints where id = p_complaint_id;
+  if not found then
+    raise exception 'Request not found';
+  end if;
+
+  if not (
+    c.assigned_to = auth.uid()
+    or exists (select 1 from users u where u.id = auth.uid() and u.role = 'company')
+  ) then
+    raise exception 'Only workshop staff can quote a request';
+  end if;
+
+  if c.status in ('completed', 'cancelled') then
+    raise exception 'Closed requests cannot be quoted';
+  end if;
+
+  select * into v_quote from quotes where complaint_id = c.id for update;
+  if found and v_quote.status = 'approved' then
+    raise exception 'The customer has already approved this quote';
+  end if;
+
+  insert into quotes (complaint_id, labor_hours, labor_rate, tax_rate, created_by)
+  values (c.id, p_labor_hours, p_labor_rate, p_tax_rate, auth.uid())
+  on conflict (complaint_id) do update
+    set status = 'pending',
+        labor_hours = excluded.labor_hours,
+        labor_rate = excluded.labor_rate,
+        tax_rate = excluded.tax_rate,
+        created_by = excluded.created_by,
+        decline_reason = null,
+        decided_at = null,
+        updated_at = now()
+  returning * into v_quote;
+
+  delete from quote_lines where quote_id = v_quote.id;
+
+  for r in select * from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb))
+  loop
+    select * into v_part from parts where id = (r->>'part_id')::uuid and active;
+    if not found then
+      raise exception 'Part % is not in the catalog', r->>'part_id';
+    end if;
+
+    insert into quote_lines (quote_id, part_id, position, name, quantity, unit_price)
+    values (
+      v_quote.id, v_part.id, v_position, v_part.name,
+      (r->>'quantity')::integer, v_part.unit_price
+    );
+    v_position := v_position + 1;
+  end loop;
+
+  -- Same rounding as quoteTotals() in src/services/quotes.js.
+  select coalesce(sum(quantity * unit_price), 0) + round(p_labor_hours * p_labor_rate, 2)
+    into v_subtotal
+  from quote_lines
+  where quote_id = v_quote.id;
+
+  v_tax := round(v_subtotal * p_tax_rate / 100, 2);
+
+  update quotes
+  set subtotal = v_subtotal, tax_amount = v_tax, total = v_subtotal + v_tax
+  where id = v_quote.id;
+
+  insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+  values (c.id, auth.uid(), 'quote_sent', (v_subtotal + v_tax)::text);
+
+  return v_quote.id;
+end;
+$$;
+
+grant execute on function public.save_quote(uuid, numeric, numeric, numeric, jsonb) to authenticated;
+
+-- Adds (p_direction 1) or takes out (-1) the catalog parts on a quote.
+create or replace function public.move_quoted_stock(p_quote_id uuid, p_direction integer)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  r record;
+begin
+  for r in
+    select part_id, sum(quantity) as quantity
+    from quote_lines
+    where quote_id = p_quote_id and part_id is not null
+    group by part_id
+    order by part_id
+  loop
+    update parts set stock = stock + p_direction * r.quantity where id = r.part_id;
+  end loop;
+end;
+$$;
+
+revoke execute on function public.move_quoted_stock(uuid, integer) from public;
+
+-- The customer's answer, while the request is open. Approving takes the
+-- quoted parts out of stock; parts are locked in id order so two approvals
+-- cannot deadlock.
+create or replace function public.decide_quote(
+  p_quote_id uuid,
+  p_approve boolean,
+  p_reason text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_quote quotes%rowtype;
+  v_status text;
+begin
+  select q.* into v_quote
+  from quotes q
+  join complaints c on c.id = q.complaint_id
+  where q.id = p_quote_id and c.user_id = auth.uid()
+  for update of q;
+
+  if not found then
+    raise exception 'Quote not found';
+  end if;
+
+  -- Locked, so the request cannot be cancelled while its parts are taken.
+  select status into v_status
+  from complaints
+  where id = v_quote.complaint_id
+  for update;
+
+  if v_status in ('completed', 'cancelled') then
+    raise exception 'This request is closed';
+  end if;
+
+  if v_quote.status <> 'pending' then
+    raise exception 'This quote has already been answered';
+  end if;
+
+  if p_approve then
+    perform public.move_quoted_stock(v_quote.id, -1);
+  end if;
+
+  update quotes
+  set status = case when p_approve then 'approved' else 'declined' end,
+      decline_reason = case when p_approve then null else nullif(trim(p_reason), '') end,
+      decided_at = now(),
+      updated_at = now()
+  where id = v_quote.id;
+
+  insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+  values (
+    v_quote.complaint_id,
+    auth.uid(),
+    case when p_approve then 'quote_approved' else 'quote_declined' end,
+    case when p_approve then null else nullif(trim(p_reason), '') end
+  );
+end;
+$$;
+
+grant execute on function public.decide_quote(uuid, boolean, text) to authenticated;
+
+-- Work only starts on an approved quote.
+create or replace function public.enforce_complaint_status_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if not (
+    (old.status = 'pending' and new.status in ('in-progress', 'cancelled')) or
+    (old.status = 'in-progress' and new.status in ('awaiting-parts', 'completed', 'cancelled')) or
+    (old.status = 'awaiting-parts' and new.status in ('in-progress', 'cancelled'))
+  ) then
+    raise exception 'Illegal status transition from % to %', old.status, new.status;
+  end if;
+
+  if new.status = 'cancelled' and coalesce(trim(new.cancellation_reason), '') = '' then
+    raise exception 'A cancellation reason is required';
+  end if;
+
+  if old.status = 'pending' and new.status = 'in-progress' and not exists (
+    select 1 from public.quotes q
+    where q.complaint_id = new.id and q.status = 'approved'
+  ) then
+    raise exception 'The customer has not approved a quote for this request yet';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Cancelling a request with an approved quote puts its parts back on the
+-- shelf; undoing the cancellation takes them out again.
+create or replace function public.restock_cancelled_quote()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_quote_id uuid;
+begin
+  select id into v_quote_id
+  from quotes
+  where complaint_id = new.id and status = 'approved';
+
+  if found then
+    perform move_quoted_stock(
+      v_quote_id,
+      case when new.status = 'cancelled' then 1 else -1 end
+    );
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists complaints_restock_cancelled_quote on public.complaints;
+create trigger complaints_restock_cancelled_quote
+  after update of status on public.complaints
+  for each row
+  when ((old.status = 'cancelled') is distinct from (new.status = 'cancelled'))
+  execute function public.restock_cancelled_quote();
+
+-- Customers follow their quotes in the activity timeline.
+drop policy if exists "Customers can read their own status events" on public.complaint_events;
+create policy "Customers can read their own status events"
+  on public.complaint_events for select
+  using (
+    event_type in ('created', 'status_changed', 'quote_sent', 'quote_approved', 'quote_declined')
+    and exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+  );
+
+-- Adds the quote events to the inbox fan-out:
+--   quote_sent                     -> the customer  kind quote_ready
+--   quote_approved, quote_declined -> company users and the assigned
+--                                     technician    kind = event type
+create or replace function public.fan_out_complaint_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c complaints%rowtype;
+  customer_name text;
+begin
+  select * into c from complaints where id = new.complaint_id;
+  if not found then
+    return new;
+  end if;
+  select name into customer_name from users where id = c.user_id;
+
+  if new.event_type = 'created' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, 'new_request',
+      jsonb_build_object(
+        'priority', c.priority,
+        'customer_name', customer_name,
+        'bicycle_model', c.bicycle_model
+      )
+    from users u
+    where u.role = 'company' and u.id is distinct from new.actor_id;
+
+  elsif new.event_type = 'status_changed' then
+    if c.user_id is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.user_id, c.id, new.id, 'status_changed',
+        jsonb_build_object('old_status', new.old_value, 'new_status', new.new_value)
+      );
+    end if;
+
+  elsif new.event_type = 'message_added' then
+    if new.actor_id = c.user_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'customer_message',
+        jsonb_build_object('customer_name', customer_name)
+      from users u
+      where u.role = 'company' or u.id = c.assigned_to;
+    else
+      insert into user_notifications (user_id, complaint_id, event_id, kind)
+      values (c.user_id, c.id, new.id, 'staff_reply');
+    end if;
+
+  elsif new.event_type = 'assigned' then
+    if c.assigned_to is not null and c.assigned_to is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.assigned_to, c.id, new.id, 'assigned',
+        jsonb_build_object('bicycle_model', c.bicycle_model)
+      );
+    end if;
+
+  elsif new.event_type = 'quote_sent' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    values (
+      c.user_id, c.id, new.id, 'quote_ready',
+      jsonb_build_object('total', new.new_value)
+    );
+
+  elsif new.event_type in ('quote_approved', 'quote_declined') then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, new.event_type,
+      jsonb_build_object('customer_name', customer_name)
+    from users u
+    where (u.role = 'company' or u.id = c.assigned_to)
+      and u.id is distinct from new.actor_id;
+  end if;
+
+  return new;
+end;
+$$;
+
+alter publication supabase_realtime add table public.parts;
+alter publication supabase_realtime add table public.quotes;
@@ -0,0 +1,433 @@
+-- Invoices and payments. A request gets an invoice when it is completed
+-- (for its approved quote, or nothing); the front desk records payments and
+-- refunds against it, and customers pay online through a payment gateway.
+-- Gateway payments start as pending and are settled by the webhook server
+-- (scripts/payment-webhooks.js) with the service role key.
+
+create table if not exists public.invoices (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null unique references public.complaints (id) on delete cascade,
+  amount numeric(10, 2) not null check (amount >= 0),
+  issued_by uuid references public.users (id),
+  created_at timestamptz not null default now()
+);
+
+-- amount is always positive; kind says which way the money went.
+create table if not exists public.payments (
+  id uuid primary key default gen_random_uuid(),
+  invoice_id uuid not null references public.invoices (id) on delete cascade,
+  kind text not null default 'payment' check (kind in ('payment', 'refund')),
+  amount numeric(10, 2) not null check (amount > 0),
+  method text not null
+    check (method in ('cash', 'card', 'upi', 'bank_transfer', 'gateway')),
+  status text not null default 'succeeded'
+    check (status in ('pending', 'succeeded', 'failed')),
+  gateway text,
+  gateway_reference text,
+  error text,
+  note text,
+  recorded_by uuid references public.users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists payments_invoice_id_idx on public.payments (invoice_id);
+
+alter table public.invoices enable row level security;
+alter table public.payments enable row level security;
+
+drop policy if exists "Invoices are visible with their request" on public.invoices;
+create policy "Invoices are visible with their request"
+  on public.invoices for select
+  using (
+    exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+    or exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+  );
+
+drop policy if exists "Payments are visible with their invoice" on public.payments;
+create policy "Payments are visible with their invoice"
+  on public.payments for select
+  using (exists (select 1 from public.invoices i where i.id = invoice_id));
+
+-- Invoices and payments only change through the functions below and the
+-- webhook server.
+revoke insert, update, delete on public.invoices from authenticated;
+revoke insert, update, delete on public.payments from authenticated;
+
+-- Settled payments minus settled refunds.
+create or replace function public.invoice_net_paid(p_invoice_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(sum(case when kind = 'payment' then amount else -amount end), 0)
+  from payments
+  where invoice_id = p_invoice_id and status = 'succeeded';
+$$;
+
+create or replace function public.issue_invoice_on_completion()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = 'completed' and old.status is distinct from 'completed' then
+    insert into invoices (complaint_id, amount, issued_by)
+    values (
+      new.id,
+      coalesce(
+        (select q.total from quotes q where q.complaint_id = new.id and q.status = 'approved'),
+        0
+      ),
+      auth.uid()
+    )
+    on conflict (complaint_id) do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists complaints_issue_invoice on public.complaints;
+
+create trigger complaints_issue_invoice
+  after update of status on public.complaints
+  for each row execute function public.issue_invoice_on_completion();
+
+-- For completed requests that have no invoice yet (e.g. imported ones).
+create or replace function public.issue_invoice(p_complaint_id uuid, p_amount numeric)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice_id uuid;
+begin
+  if not exists (select 1 from users u where u.id = auth.uid() and u.role = 'company') then
+    raise exception 'Only company users can issue invoices';
+  end if;
+
+  if not exists (
+    select 1 from complaints c where c.id = p_complaint_id and c.status = 'completed'
+  ) then
+    raise exception 'Invoices are only issued for completed requests';
+  end if;
+
+  insert into invoices (complaint_id, amount, issued_by)
+  values (p_complaint_id, p_amount, auth.uid())
+  on conflict (complaint_id) do nothing
+  returning id into v_invoice_id;
+
+  if v_invoice_id is null then
+    raise exception 'This request already has an invoice';
+  end if;
+  return v_invoice_id;
+end;
+$$;
+
+grant execute on function public.issue_invoice(uuid, numeric) to authenticated;
+
+-- Front-desk payments and refunds, settled immediately. A payment cannot
+-- exceed the balance and a refund cannot exceed what has been paid.
+create or replace function public.record_payment(
+  p_invoice_id uuid,
+  p_kind text,
+  p_amount numeric,
+  p_method text,
+  p_note text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_paid numeric;
+  v_payment_id uuid;
+begin
+  if not exists (select 1 from users u where u.id = auth.uid() and u.role = 'company') then
+    raise exception 'Only company users can record payments';
+  end if;
+
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+  if not found then
+    raise exception 'Invoice not found';
+  end if;
+
+  v_paid := invoice_net_paid(v_invoice.id);
+  if p_kind = 'payment' and p_amount > v_invoice.amount - v_paid then
+    raise exception 'The payment is more than the balance of %', v_invoice.amount - v_paid;
+  end if;
+  if p_kind = 'refund' and p_amount > v_paid then
+    raise exception 'The refund is more than the % paid so far', v_paid;
+  end if;
+
+  insert into payments (invoice_id, kind, amount, method, note, recorded_by)
+  values (v_invoice.id, p_kind, p_amount, p_method, nullif(trim(p_note), ''), auth.uid())
+  returning id into v_payment_id;
+
+  return v_payment_id;
+end;
+$$;
+
+grant execute on function public.record_payment(uuid, text, numeric, text, text) to authenticated;
+
+-- A customer's online payment, pending until the gateway's webhook
+-- settles it. Checkouts opened in the last 30 minutes count against the
+-- balance, so several of them cannot add up to more than is owed; older
+-- ones were abandoned or lost their webhook and stop holding it back
+-- (settle_payment() still checks the balance if one turns up late). Keep
+-- the window in step with CHECKOUT_EXPIRY_MINUTES in src/services/payments.js.
+create or replace function public.start_payment(
+  p_invoice_id uuid,
+  p_amount numeric,
+  p_gateway text
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_balance numeric;
+  v_payment_id uuid;
+begin
+  select i.* into v_invoice
+  from invoices i
+  join complaints c on c.id = i.complaint_id
+  where i.id = p_invoice_id and c.user_id = auth.uid()
+  for update of i;
+
+  if not found then
+    raise exception 'Invoice not found';
+  end if;
+
+  v_balance := v_invoice.amount - invoice_net_paid(v_invoice.id) - (
+    select coalesce(sum(amount), 0) from payments
+    where invoice_id = v_invoice.id and kind = 'payment' and status = 'pending'
+      and created_at > now() - interval '30 minutes'
+  );
+  if p_amount <= 0 or p_amount > v_balance then
+    raise exception 'Enter an amount between 0 and the % not yet paid or being paid', greatest(v_balance, 0);
+  end if;
+
+  insert into payments (invoice_id, kind, amount, method, status, gateway, recorded_by)
+  values (v_invoice.id, 'payment', p_amount, 'gateway', 'pending', p_gateway, auth.uid())
+  returning id into v_payment_id;
+
+  return v_payment_id;
+end;
+$$;
+
+grant execute on function public.start_payment(uuid, numeric, text) to authenticated;
+
+-- Settles a gateway payment from its webhook; only the webhook server calls
+-- it, with the service role key. Returns false when the payment was already
+-- settled, as gateways retry. A success that would take the invoice past
+-- its amount (e.g. a late webhook for an expired checkout whose balance was
+-- paid another way) is recorded as failed, to be refunded at the gateway.
+create or replace function public.settle_payment(
+  p_payment_id uuid,
+  p_status text,
+  p_gateway_reference text,
+  p_error text default null
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_payment payments%rowtype;
+  v_balance numeric;
+begin
+  select i.* into v_invoice
+  from invoices i
+  join payments p on p.invoice_id = i.id
+  where p.id = p_payment_id
+  for update of i;
+
+  select * into v_payment from payments where id = p_payment_id;
+  if not found or v_payment.status <> 'pending' then
+    return false;
+  end if;
+
+  if p_status = 'succeeded' then
+    v_balance := v_invoice.amount - invoice_net_paid(v_invoice.id);
+    if v_payment.amount > v_balance then
+      p_status := 'failed';
+      p_error := format(
+        'More than the balance of %s; refund it through the gateway',
+        greatest(v_balance, 0)
+      );
+    end if;
+  end if;
+
+  update payments
+  set
+    status = p_status,
+    gateway_reference = p_gateway_reference,
+    error = case when p_status = 'failed' then coalesce(p_error, 'Payment failed') end,
+    updated_at = now()
+  where id = p_payment_id;
+
+  return true;
+end;
+$$;
+
+revoke execute on function public.settle_payment(uuid, text, text, text) from public, anon, authenticated;
+grant execute on function public.settle_payment(uuid, text, text, text) to service_role;
+
+-- Settled money shows up in the activity log (and so in the customer's
+-- notifications) as payment_received / refund_issued.
+create or replace function public.record_payment_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = 'succeeded' and (tg_op = 'INSERT' or old.status <> 'succeeded') then
+    insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+    select
+      i.complaint_id,
+      new.recorded_by,
+      case when new.kind = 'payment' then 'payment_received' else 'refund_issued' end,
+      new.amount::text
+    from invoices i
+    where i.id = new.invoice_id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists payments_record_events on public.payments;
+
+create trigger payments_record_events
+  after insert or update of status on public.payments
+  for each row execute function public.record_payment_events();
+
+-- Online payments reach the front desk and refunds the customer in the
+-- header bell.
+create or replace function public.fan_out_complaint_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c complaints%rowtype;
+  customer_name text;
+begin
+  select * into c from complaints where id = new.complaint_id;
+  if not found then
+    return new;
+  end if;
+  select name into customer_name from users where id = c.user_id;
+
+  if new.event_type = 'created' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, 'new_request',
+      jsonb_build_object(
+        'priority', c.priority,
+        'customer_name', customer_name,
+        'bicycle_model', c.bicycle_model
+      )
+    from users u
+    where u.role = 'company' and u.id is distinct from new.actor_id;
+
+  elsif new.event_type = 'status_changed' then
+    if c.user_id is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.user_id, c.id, new.id, 'status_changed',
+        jsonb_build_object('old_status', new.old_value, 'new_status', new.new_value)
+      );
+    end if;
+
+  elsif new.event_type = 'message_added' then
+    if new.actor_id = c.user_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'customer_message',
+        jsonb_build_object('customer_name', customer_name)
+      from users u
+      where u.role = 'company' or u.id = c.assigned_to;
+    else
+      insert into user_notifications (user_id, complaint_id, event_id, kind)
+      values (c.user_id, c.id, new.id, 'staff_reply');
+    end if;
+
+  elsif new.event_type = 'assigned' then
+    if c.assigned_to is not null and c.assigned_to is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.assigned_to, c.id, new.id, 'assigned',
+        jsonb_build_object('bicycle_model', c.bicycle_model)
+      );
+    end if;
+
+  elsif new.event_type = 'quote_sent' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    values (
+      c.user_id, c.id, new.id, 'quote_ready',
+      jsonb_build_object('total', new.new_value)
+    );
+
+  elsif new.event_type in ('quote_approved', 'quote_declined') then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, new.event_type,
+      jsonb_build_object('customer_name', customer_name)
+    from users u
+    where (u.role = 'company' or u.id = c.assigned_to)
+      and u.id is distinct from new.actor_id;
+
+  elsif new.event_type = 'payment_received' then
+    -- Only online payments; the desk already knows about the ones it records.
+    if new.actor_id = c.user_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'payment_received',
+        jsonb_build_object('customer_name', customer_name, 'amount', new.new_value)
+      from users u
+      where u.role = 'company';
+    end if;
+
+  elsif new.event_type = 'refund_issued' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    values (
+      c.user_id, c.id, new.id, 'refund_issued',
+      jsonb_build_object('amount', new.new_value)
+    );
+  end if;
+
+  return new;
+end;
+$$;
+
+drop policy if exists "Customers can read their own status events" on public.complaint_events;
+create policy "Customers can read their own status events"
+  on public.complaint_events for select
+  using (
+    event_type in (
+      'created', 'status_changed', 'quote_sent', 'quote_approved',
+      'quote_declined', 'payment_received', 'refund_issued'
+    )
+    and exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+  );
+
+alter publication supabase_realtime add table public.invoices;
+alter publication supabase_realtime add table public.payments;
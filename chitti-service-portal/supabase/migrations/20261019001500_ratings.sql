@@ -0,0 +1,322 @@
+-- Customer feedback on finished work. Customers rate a completed request
+-- (1-5 stars and an optional comment) and can reopen it as a rework when
+-- the issue is not resolved, for up to 30 days after completion. Low
+-- ratings stay on the company's follow-up list until someone has called
+-- the customer.
+
+alter table public.complaints
+  add column if not exists rework_count integer not null default 0,
+  add column if not exists reopened_at timestamptz;
+
+create table if not exists public.service_ratings (
+  id uuid primary key default gen_random_uuid(),
+  complaint_id uuid not null unique references public.complaints (id) on delete cascade,
+  user_id uuid not null references public.users (id),
+  rating smallint not null check (rating between 1 and 5),
+  comment text,
+  followed_up_at timestamptz,
+  followed_up_by uuid references public.users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists service_ratings_created_at_idx
+  on public.service_ratings (created_at);
+
+alter table public.service_ratings enable row level security;
+
+drop policy if exists "Ratings are visible to the customer and staff" on public.service_ratings;
+create policy "Ratings are visible to the customer and staff"
+  on public.service_ratings for select
+  using (
+    user_id = auth.uid()
+    or exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role = 'company'
+    )
+    or public.is_assigned_technician(complaint_id)
+  );
+
+-- Ratings only change through the functions below.
+revoke insert, update, delete on public.service_ratings from authenticated;
+
+-- Rates (or re-rates) a completed request. A new rating goes back on the
+-- follow-up list if it is low.
+create or replace function public.rate_service(
+  p_complaint_id uuid,
+  p_rating integer,
+  p_comment text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_previous smallint;
+begin
+  if not exists (
+    select 1 from complaints c
+    where c.id = p_complaint_id and c.user_id = auth.uid()
+  ) then
+    raise exception 'Request not found';
+  end if;
+
+  if not exists (
+    select 1 from complaints c
+    where c.id = p_complaint_id and c.status = 'completed'
+  ) then
+    raise exception 'Only completed requests can be rated';
+  end if;
+
+  if p_rating not between 1 and 5 then
+    raise exception 'Choose between 1 and 5 stars';
+  end if;
+
+  select rating into v_previous from service_ratings where complaint_id = p_complaint_id;
+
+  insert into service_ratings (complaint_id, user_id, rating, comment)
+  values (p_complaint_id, auth.uid(), p_rating, nullif(trim(p_comment), ''))
+  on conflict (complaint_id) do update
+    set rating = excluded.rating,
+        comment = excluded.comment,
+        followed_up_at = null,
+        followed_up_by = null,
+        updated_at = now();
+
+  insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+  values (p_complaint_id, auth.uid(), 'rated', v_previous::text, p_rating::text);
+end;
+$$;
+
+grant execute on function public.rate_service(uuid, integer, text) to authenticated;
+
+-- "Issue not resolved": sends a completed request back to pending as a
+-- rework. The reason is kept in the activity log.
+create or replace function public.reopen_complaint(p_complaint_id uuid, p_reason text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c complaints%rowtype;
+begin
+  select * into c from complaints
+  where id = p_complaint_id and user_id = auth.uid()
+  for update;
+
+  if not found then
+    raise exception 'Request not found';
+  end if;
+
+  if c.status <> 'completed' then
+    raise exception 'Only completed requests can be reopened';
+  end if;
+
+  if c.resolved_at < now() - interval '30 days' then
+    raise exception 'Requests can only be reopened within 30 days of completion';
+  end if;
+
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'Tell us what is still wrong';
+  end if;
+
+  update complaints
+  set status = 'pending',
+      rework_count = rework_count + 1,
+      reopened_at = now(),
+      resolved_at = null,
+      updated_at = now()
+  where id = c.id;
+
+  insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+  values (c.id, auth.uid(), 'reopened', trim(p_reason));
+end;
+$$;
+
+grant execute on function public.reopen_complaint(uuid, text) to authenticated;
+
+create or replace function public.mark_rating_followed_up(p_rating_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from users u where u.id = auth.uid() and u.role = 'company') then
+    raise exception 'Only company users can follow up on ratings';
+  end if;
+
+  update service_ratings
+  set followed_up_at = now(), followed_up_by = auth.uid()
+  where id = p_rating_id;
+end;
+$$;
+
+grant execute on function public.mark_rating_followed_up(uuid) to authenticated;
+
+-- Reopening is the one way out of "completed".
+create or replace function public.enforce_complaint_status_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if not (
+    (old.status = 'pending' and new.status in ('in-progress', 'cancelled')) or
+    (old.status = 'in-progress' and new.status in ('awaiting-parts', 'completed', 'cancelled')) or
+    (old.status = 'awaiting-parts' and new.status in ('in-progress', 'cancelled')) or
+    -- Only reopen_complaint() bumps rework_count.
+    (old.status = 'completed' and new.status = 'pending'
+      and new.rework_count = old.rework_count + 1)
+  ) then
+    raise exception 'Illegal status transition from % to %', old.status, new.status;
+  end if;
+
+  if new.status = 'cancelled' and coalesce(trim(new.cancellation_reason), '') = '' then
+    raise exception 'A cancellation reason is required';
+  end if;
+
+  if old.status = 'pending' and new.status = 'in-progress' and not exists (
+    select 1 from public.quotes q
+    where q.complaint_id = new.id and q.status = 'approved'
+  ) then
+    raise exception 'The customer has not approved a quote for this request yet';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop policy if exists "Customers can read their own status events" on public.complaint_events;
+create policy "Customers can read their own status events"
+  on public.complaint_events for select
+  using (
+    event_type in (
+      'created', 'status_changed', 'quote_sent', 'quote_approved',
+      'quote_declined', 'payment_received', 'refund_issued', 'rated',
+      'reopened'
+    )
+    and exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+  );
+
+-- Reworks reach the desk and the technician who did the job; ratings of
+-- two stars or fewer reach the desk.
+create or replace function public.fan_out_complaint_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c complaints%rowtype;
+  customer_name text;
+begin
+  select * into c from complaints where id = new.complaint_id;
+  if not found then
+    return new;
+  end if;
+  select name into customer_name from users where id = c.user_id;
+
+  if new.event_type = 'created' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, 'new_request',
+      jsonb_build_object(
+        'priority', c.priority,
+        'customer_name', customer_name,
+        'bicycle_model', c.bicycle_model
+      )
+    from users u
+    where u.role = 'company' and u.id is distinct from new.actor_id;
+
+  elsif new.event_type = 'status_changed' then
+    if c.user_id is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.user_id, c.id, new.id, 'status_changed',
+        jsonb_build_object('old_status', new.old_value, 'new_status', new.new_value)
+      );
+    end if;
+
+  elsif new.event_type = 'message_added' then
+    if new.actor_id = c.user_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'customer_message',
+        jsonb_build_object('customer_name', customer_name)
+      from users u
+      where u.role = 'company' or u.id = c.assigned_to;
+    else
+      insert into user_notifications (user_id, complaint_id, event_id, kind)
+      values (c.user_id, c.id, new.id, 'staff_reply');
+    end if;
+
+  elsif new.event_type = 'assigned' then
+    if c.assigned_to is not null and c.assigned_to is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.assigned_to, c.id, new.id, 'assigned',
+        jsonb_build_object('bicycle_model', c.bicycle_model)
+      );
+    end if;
+
+  elsif new.event_type = 'quote_sent' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    values (
+      c.user_id, c.id, new.id, 'quote_ready',
+      jsonb_build_object('total', new.new_value)
+    );
+
+  elsif new.event_type in ('quote_approved', 'quote_declined') then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, new.event_type,
+      jsonb_build_object('customer_name', customer_name)
+    from users u
+    where (u.role = 'company' or u.id = c.assigned_to)
+      and u.id is distinct from new.actor_id;
+
+  elsif new.event_type = 'payment_received' then
+    -- Only online payments; the desk already knows about the ones it records.
+    if new.actor_id = c.user_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'payment_received',
+        jsonb_build_object('customer_name', customer_name, 'amount', new.new_value)
+      from users u
+      where u.role = 'company';
+    end if;
+
+  elsif new.event_type = 'refund_issued' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    values (
+      c.user_id, c.id, new.id, 'refund_issued',
+      jsonb_build_object('amount', new.new_value)
+    );
+
+  elsif new.event_type = 'reopened' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, 'reopened',
+      jsonb_build_object('customer_name', customer_name, 'reason', new.new_value)
+    from users u
+    where u.role = 'company' or u.id = c.assigned_to;
+
+  elsif new.event_type = 'rated' then
+    if new.new_value::int <= 2 then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'low_rating',
+        jsonb_build_object('customer_name', customer_name, 'rating', new.new_value)
+      from users u
+      where u.role = 'company';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+alter publication supabase_realtime add table public.service_ratings;
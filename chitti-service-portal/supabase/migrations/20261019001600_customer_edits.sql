@@ -0,0 +1,247 @@
+-- Customers fix or withdraw their own requests before work starts: while a
+-- request is pending they can change its issue type, priority and
+-- description, or cancel it with a reason. Mirrors customerCanEdit() and
+-- CUSTOMER_EDITABLE_FIELDS in src/services/complaints.js.
+
+drop policy if exists "Customers update their own pending requests" on public.complaints;
+create policy "Customers update their own pending requests"
+  on public.complaints for update
+  using (user_id = auth.uid() and status = 'pending')
+  with check (user_id = auth.uid() and status in ('pending', 'cancelled'));
+
+-- Policies pick the rows a customer may update, not the columns, so the
+-- columns are checked here. Only direct updates from the client run as
+-- "authenticated"; functions such as reopen_complaint() run as their owner
+-- and keep their own rules.
+create or replace function public.check_customer_complaint_update()
+returns trigger
+language plpgsql
+as $$
+declare
+  editable constant text[] := array[
+    'issue_type', 'priority', 'description', 'status', 'cancellation_reason',
+    'updated_at', 'search_vector'
+  ];
+begin
+  if current_user <> 'authenticated' or old.user_id is distinct from auth.uid() then
+    return new;
+  end if;
+
+  if old.status <> 'pending' then
+    raise exception 'Requests can only be changed while they are pending';
+  end if;
+
+  if new.status not in ('pending', 'cancelled') then
+    raise exception 'Customers can only cancel their requests';
+  end if;
+
+  if (to_jsonb(new) - editable) is distinct from (to_jsonb(old) - editable) then
+    raise exception 'Customers can only change the issue type, priority and description';
+  end if;
+
+  if coalesce(trim(new.description), '') = '' then
+    raise exception 'A description is required';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Named to run before complaints_track_sla and complaints_zz_set_sla_due_at
+-- fill in the columns customers may not touch.
+drop trigger if exists complaints_check_customer_update on public.complaints;
+create trigger complaints_check_customer_update
+  before update on public.complaints
+  for each row execute function public.check_customer_complaint_update();
+
+-- Edits to the request itself are logged field by field, so staff can see
+-- what the customer changed. Escalation logs its own priority change.
+create or replace function public.record_complaint_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into complaint_events (complaint_id, actor_id, event_type, new_value)
+    values (
+      new.id,
+      coalesce(auth.uid(), new.user_id),
+      case
+        when current_setting('chitti.importing', true) = 'on' then 'imported'
+        else 'created'
+      end,
+      new.status
+    );
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (new.id, auth.uid(), 'status_changed', old.status, new.status);
+  end if;
+
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (
+      new.id,
+      auth.uid(),
+      'assigned',
+      (select name from users where id = old.assigned_to),
+      (select name from users where id = new.assigned_to)
+    );
+  end if;
+
+  if new.issue_type is distinct from old.issue_type then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (new.id, auth.uid(), 'issue_type_changed', old.issue_type, new.issue_type);
+  end if;
+
+  if new.priority is distinct from old.priority
+    and new.escalated_at is not distinct from old.escalated_at then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (new.id, auth.uid(), 'priority_changed', old.priority, new.priority);
+  end if;
+
+  if new.description is distinct from old.description then
+    insert into complaint_events (complaint_id, actor_id, event_type, old_value, new_value)
+    values (new.id, auth.uid(), 'description_changed', old.description, new.description);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop policy if exists "Customers can read their own status events" on public.complaint_events;
+create policy "Customers can read their own status events"
+  on public.complaint_events for select
+  using (
+    event_type in (
+      'created', 'status_changed', 'quote_sent', 'quote_approved',
+      'quote_declined', 'payment_received', 'refund_issued', 'rated',
+      'reopened', 'issue_type_changed', 'priority_changed',
+      'description_changed'
+    )
+    and exists (
+      select 1 from public.complaints c
+      where c.id = complaint_id and c.user_id = auth.uid()
+    )
+  );
+
+-- Requests the customer cancels reach the desk and the assigned technician.
+create or replace function public.fan_out_complaint_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c complaints%rowtype;
+  customer_name text;
+begin
+  select * into c from complaints where id = new.complaint_id;
+  if not found then
+    return new;
+  end if;
+  select name into customer_name from users where id = c.user_id;
+
+  if new.event_type = 'created' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, 'new_request',
+      jsonb_build_object(
+        'priority', c.priority,
+        'customer_name', customer_name,
+        'bicycle_model', c.bicycle_model
+      )
+    from users u
+    where u.role = 'company' and u.id is distinct from new.actor_id;
+
+  elsif new.event_type = 'status_changed' then
+    if c.user_id is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.user_id, c.id, new.id, 'status_changed',
+        jsonb_build_object('old_status', new.old_value, 'new_status', new.new_value)
+      );
+    elsif new.new_value = 'cancelled' then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'request_cancelled',
+        jsonb_build_object('customer_name', customer_name, 'reason', c.cancellation_reason)
+      from users u
+      where u.role = 'company' or u.id = c.assigned_to;
+    end if;
+
+  elsif new.event_type = 'message_added' then
+    if new.actor_id = c.user_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'customer_message',
+        jsonb_build_object('customer_name', customer_name)
+      from users u
+      where u.role = 'company' or u.id = c.assigned_to;
+    else
+      insert into user_notifications (user_id, complaint_id, event_id, kind)
+      values (c.user_id, c.id, new.id, 'staff_reply');
+    end if;
+
+  elsif new.event_type = 'assigned' then
+    if c.assigned_to is not null and c.assigned_to is distinct from new.actor_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      values (
+        c.assigned_to, c.id, new.id, 'assigned',
+        jsonb_build_object('bicycle_model', c.bicycle_model)
+      );
+    end if;
+
+  elsif new.event_type = 'quote_sent' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    values (
+      c.user_id, c.id, new.id, 'quote_ready',
+      jsonb_build_object('total', new.new_value)
+    );
+
+  elsif new.event_type in ('quote_approved', 'quote_declined') then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, new.event_type,
+      jsonb_build_object('customer_name', customer_name)
+    from users u
+    where (u.role = 'company' or u.id = c.assigned_to)
+      and u.id is distinct from new.actor_id;
+
+  elsif new.event_type = 'payment_received' then
+    -- Only online payments; the desk already knows about the ones it records.
+    if new.actor_id = c.user_id then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'payment_received',
+        jsonb_build_object('customer_name', customer_name, 'amount', new.new_value)
+      from users u
+      where u.role = 'company';
+    end if;
+
+  elsif new.event_type = 'refund_issued' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    values (
+      c.user_id, c.id, new.id, 'refund_issued',
+      jsonb_build_object('amount', new.new_value)
+    );
+
+  elsif new.event_type = 'reopened' then
+    insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+    select u.id, c.id, new.id, 'reopened',
+      jsonb_build_object('customer_name', customer_name, 'reason', new.new_value)
+    from users u
+    where u.role = 'company' or u.id = c.assigned_to;
+
+  elsif new.event_type = 'rated' then
+    if new.new_value::int <= 2 then
+      insert into user_notifications (user_id, complaint_id, event_id, kind, details)
+      select u.id, c.id, new.id, 'low_rating',
+        jsonb_build_object('customer_name', customer_name, 'rating', new.new_value)
+      from users u
+      where u.role = 'company';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
@@ -0,0 +1,317 @@
+-- Bulk actions on the company request table. apply_bulk_action() changes
+-- every selected request in one call, row by row, so one bad row does not
+-- stop the rest; each row's outcome and previous value is kept for the
+-- summary and for undo_bulk_action().
+
+create table if not exists public.bulk_actions (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid not null references public.users (id),
+  action text not null check (action in ('status', 'priority', 'assign', 'note')),
+  -- The new status or priority, the technician's id ('' to unassign) or
+  -- the note.
+  value text,
+  reason text,
+  created_at timestamptz not null default now(),
+  undone_at timestamptz
+);
+
+create index if not exists bulk_actions_actor_id_idx
+  on public.bulk_actions (actor_id, created_at desc);
+
+create table if not exists public.bulk_action_items (
+  bulk_action_id uuid not null references public.bulk_actions (id) on delete cascade,
+  complaint_id uuid not null references public.complaints (id) on delete cascade,
+  ok boolean not null,
+  error text,
+  -- What undo restores: the changed columns, or { message_id } for notes.
+  previous jsonb,
+  primary key (bulk_action_id, complaint_id)
+);
+
+alter table public.bulk_actions enable row level security;
+alter table public.bulk_action_items enable row level security;
+
+drop policy if exists "Staff read their own bulk actions" on public.bulk_actions;
+create policy "Staff read their own bulk actions"
+  on public.bulk_actions for select
+  using (actor_id = auth.uid());
+
+drop policy if exists "Staff read their own bulk action items" on public.bulk_action_items;
+create policy "Staff read their own bulk action items"
+  on public.bulk_action_items for select
+  using (
+    exists (
+      select 1 from public.bulk_actions b
+      where b.id = bulk_action_id and b.actor_id = auth.uid()
+    )
+  );
+
+revoke insert, update, delete on public.bulk_actions from authenticated;
+revoke insert, update, delete on public.bulk_action_items from authenticated;
+
+-- Undo moves requests back along the workflow, which the transition table
+-- does not allow, so undo_bulk_action() switches the check off for its own
+-- transaction.
+create or replace function public.enforce_complaint_status_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if current_setting('chitti.undoing', true) = 'on' then
+    return new;
+  end if;
+
+  if not (
+    (old.status = 'pending' and new.status in ('in-progress', 'cancelled')) or
+    (old.status = 'in-progress' and new.status in ('awaiting-parts', 'completed', 'cancelled')) or
+    (old.status = 'awaiting-parts' and new.status in ('in-progress', 'cancelled')) or
+    -- Only reopen_complaint() bumps rework_count.
+    (old.status = 'completed' and new.status = 'pending'
+      and new.rework_count = old.rework_count + 1)
+  ) then
+    raise exception 'Illegal status transition from % to %', old.status, new.status;
+  end if;
+
+  if new.status = 'cancelled' and coalesce(trim(new.cancellation_reason), '') = '' then
+    raise exception 'A cancellation reason is required';
+  end if;
+
+  if old.status = 'pending' and new.status = 'in-progress' and not exists (
+    select 1 from public.quotes q
+    where q.complaint_id = new.id and q.status = 'approved'
+  ) then
+    raise exception 'The customer has not approved a quote for this request yet';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Returns { id, results: [{ complaint_id, ok, error }] }, one result per
+-- distinct request. p_reason is the cancellation reason.
+create or replace function public.apply_bulk_action(
+  p_complaint_ids uuid[],
+  p_action text,
+  p_value text,
+  p_reason text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_bulk_action_id uuid;
+  v_complaint_id uuid;
+  c complaints%rowtype;
+  v_previous jsonb;
+  v_message_id uuid;
+  v_results jsonb := '[]'::jsonb;
+begin
+  if not exists (select 1 from users u where u.id = auth.uid() and u.role = 'company') then
+    raise exception 'Only company users can apply bulk actions';
+  end if;
+
+  if coalesce(array_length(p_complaint_ids, 1), 0) = 0 then
+    raise exception 'Select at least one request';
+  end if;
+
+  if p_action = 'status' then
+    if p_value not in ('pending', 'in-progress', 'awaiting-parts', 'completed', 'cancelled') then
+      raise exception 'Unknown status %', p_value;
+    end if;
+    if p_value = 'cancelled' and coalesce(trim(p_reason), '') = '' then
+      raise exception 'A cancellation reason is required';
+    end if;
+  elsif p_action = 'priority' then
+    if p_value not in ('low', 'medium', 'high') then
+      raise exception 'Unknown priority %', p_value;
+    end if;
+  elsif p_action = 'note' then
+    if coalesce(trim(p_value), '') = '' then
+      raise exception 'The note is empty';
+    end if;
+  elsif p_action is distinct from 'assign' then
+    raise exception 'Unknown bulk action %', p_action;
+  end if;
+
+  insert into bulk_actions (actor_id, action, value, reason)
+  values (auth.uid(), p_action, p_value, nullif(trim(p_reason), ''))
+  returning id into v_bulk_action_id;
+
+  for v_complaint_id in select distinct unnest(p_complaint_ids) loop
+    begin
+      select * into c from complaints where id = v_complaint_id for update;
+      if not found then
+        raise exception 'Request not found';
+      end if;
+
+      if p_action = 'status' then
+        if c.status = p_value then
+          raise exception 'Already %', p_value;
+        end if;
+        v_previous := jsonb_build_object(
+          'status', c.status,
+          'cancellation_reason', c.cancellation_reason,
+          'resolved_at', c.resolved_at
+        );
+        update complaints
+        set status = p_value,
+          cancellation_reason = case
+            when p_value = 'cancelled' then trim(p_reason)
+            else cancellation_reason
+          end,
+          updated_at = now()
+        where id = c.id;
+
+      elsif p_action = 'priority' then
+        if c.priority = p_value then
+          raise exception 'Already % priority', p_value;
+        end if;
+        v_previous := jsonb_build_object('priority', c.priority);
+        update complaints set priority = p_value, updated_at = now() where id = c.id;
+
+      elsif p_action = 'assign' then
+        if c.status in ('completed', 'cancelled') then
+          raise exception 'The request is closed';
+        end if;
+        v_previous := jsonb_build_object('assigned_to', c.assigned_to);
+        update complaints
+        set assigned_to = nullif(p_value, '')::uuid, updated_at = now()
+        where id = c.id;
+
+      else
+        insert into complaint_messages (complaint_id, author_id, body, visibility)
+        values (c.id, auth.uid(), trim(p_value), 'internal')
+        returning id into v_message_id;
+        v_previous := jsonb_build_object('message_id', v_message_id);
+      end if;
+
+      insert into bulk_action_items (bulk_action_id, complaint_id, ok, previous)
+      values (v_bulk_action_id, v_complaint_id, true, v_previous);
+      v_results := v_results || jsonb_build_object('complaint_id', v_complaint_id, 'ok', true);
+    exception when others then
+      -- Only this row's changes are rolled back.
+      insert into bulk_action_items (bulk_action_id, complaint_id, ok, error)
+      values (v_bulk_action_id, v_complaint_id, false, sqlerrm);
+      v_results := v_results || jsonb_build_object(
+        'complaint_id', v_complaint_id, 'ok', false, 'error', sqlerrm
+      );
+    end;
+  end loop;
+
+  return jsonb_build_object('id', v_bulk_action_id, 'results', v_results);
+end;
+$$;
+
+grant execute on function public.apply_bulk_action(uuid[], text, text, text) to authenticated;
+
+-- Reverts the caller's most recent bulk action on every row that still
+-- holds the value it set; rows changed since then are reported and left
+-- alone. Same return shape as apply_bulk_action().
+create or replace function public.undo_bulk_action(p_bulk_action_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  b bulk_actions%rowtype;
+  item bulk_action_items%rowtype;
+  c complaints%rowtype;
+  v_note text;
+  v_results jsonb := '[]'::jsonb;
+begin
+  select * into b
+  from bulk_actions
+  where actor_id = auth.uid()
+  order by created_at desc
+  limit 1;
+
+  if not found or b.id <> p_bulk_action_id then
+    raise exception 'Only your last bulk action can be undone';
+  end if;
+  if b.undone_at is not null then
+    raise exception 'This bulk action has already been undone';
+  end if;
+
+  perform set_config('chitti.undoing', 'on', true);
+
+  for item in
+    select * from bulk_action_items where bulk_action_id = b.id and ok
+  loop
+    begin
+      select * into c from complaints where id = item.complaint_id for update;
+      if not found then
+        raise exception 'Request not found';
+      end if;
+
+      if b.action = 'status' then
+        if c.status is distinct from b.value then
+          raise exception 'The status has changed since';
+        end if;
+        -- Completing issued an invoice; take it back unless it is paid.
+        if b.value = 'completed' then
+          if exists (
+            select 1 from invoices i join payments p on p.invoice_id = i.id
+            where i.complaint_id = c.id and i.created_at >= b.created_at
+          ) then
+            raise exception 'The invoice has payments';
+          end if;
+          delete from invoices where complaint_id = c.id and created_at >= b.created_at;
+        end if;
+        update complaints
+        set status = item.previous->>'status',
+          cancellation_reason = item.previous->>'cancellation_reason',
+          resolved_at = (item.previous->>'resolved_at')::timestamptz,
+          updated_at = now()
+        where id = c.id;
+
+      elsif b.action = 'priority' then
+        if c.priority is distinct from b.value then
+          raise exception 'The priority has changed since';
+        end if;
+        update complaints
+        set priority = item.previous->>'priority', updated_at = now()
+        where id = c.id;
+
+      elsif b.action = 'assign' then
+        if c.assigned_to is distinct from nullif(b.value, '')::uuid then
+          raise exception 'The technician has changed since';
+        end if;
+        update complaints
+        set assigned_to = (item.previous->>'assigned_to')::uuid, updated_at = now()
+        where id = c.id;
+
+      else
+        -- The activity log is append-only: the note_added event stays and
+        -- the removal is logged next to it.
+        delete from complaint_messages
+        where id = (item.previous->>'message_id')::uuid
+        returning body into v_note;
+        if not found then
+          raise exception 'The note has already been removed';
+        end if;
+        insert into complaint_events (complaint_id, actor_id, event_type, old_value)
+        values (c.id, auth.uid(), 'note_removed', v_note);
+      end if;
+
+      v_results := v_results || jsonb_build_object('complaint_id', item.complaint_id, 'ok', true);
+    exception when others then
+      v_results := v_results || jsonb_build_object(
+        'complaint_id', item.complaint_id, 'ok', false, 'error', sqlerrm
+      );
+    end;
+  end loop;
+
+  update bulk_actions set undone_at = now() where id = b.id;
+
+  return jsonb_build_object('id', b.id, 'results', v_results);
+end;
+$$;
+
+grant execute on function public.undo_bulk_action(uuid) to authenticated;
@@ -0,0 +1,59 @@
+-- Saved views of the company request table. A view is a name plus the
+-- table's query string (filters, search and sort, as in the URL), private to
+-- its owner unless shared with the team. Each staff member can pick one
+-- view, their own or a shared one, that opens when they sign in.
+
+create table if not exists public.saved_views (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references public.users (id) on delete cascade,
+  name text not null check (trim(name) <> ''),
+  query text not null default '',
+  shared boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (owner_id, name)
+);
+
+create index if not exists saved_views_shared_idx
+  on public.saved_views (name)
+  where shared;
+
+alter table public.saved_views enable row level security;
+
+drop policy if exists "Company users manage their own views" on public.saved_views;
+create policy "Company users manage their own views"
+  on public.saved_views for all
+  using (owner_id = auth.uid())
+  with check (
+    owner_id = auth.uid()
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'company')
+  );
+
+drop policy if exists "Company users read shared views" on public.saved_views;
+create policy "Company users read shared views"
+  on public.saved_views for select
+  using (
+    shared
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'company')
+  );
+
+-- A view that is deleted takes everyone's default along with it; one that
+-- stops being shared is simply no longer visible to the others, who then
+-- get the built-in view.
+create table if not exists public.default_views (
+  user_id uuid primary key references public.users (id) on delete cascade,
+  view_id uuid not null references public.saved_views (id) on delete cascade,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.default_views enable row level security;
+
+drop policy if exists "Users manage their own default view" on public.default_views;
+create policy "Users manage their own default view"
+  on public.default_views for all
+  using (user_id = auth.uid())
+  with check (
+    user_id = auth.uid()
+    -- Only views the user can see (their own or shared ones).
+    and exists (select 1 from public.saved_views v where v.id = view_id)
+  );
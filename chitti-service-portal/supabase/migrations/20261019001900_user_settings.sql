@@ -0,0 +1,17 @@
+-- Per-user display settings: the portal's language and the time zone dates
+-- and times are shown in. A null time zone follows the user's device.
+
+create table if not exists public.user_settings (
+  user_id uuid primary key references public.users (id) on delete cascade,
+  language text not null default 'en' check (language in ('en', 'hi', 'kn')),
+  time_zone text check (time_zone is null or time_zone <> ''),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_settings enable row level security;
+
+drop policy if exists "Users manage their own settings" on public.user_settings;
+create policy "Users manage their own settings"
+  on public.user_settings for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
@@ -0,0 +1,71 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Dev-only stand-in for the Supabase storage bucket. Files are written under
+// `dir` and served back from `base`, so attachments work without a project.
+// Enable it in the app with VITE_ATTACHMENT_STORAGE=local.
+export default function localUploads({
+  dir = ".local-uploads",
+  base = "/__local-uploads",
+} = {}) {
+  const root = path.resolve(dir);
+
+  const resolveTarget = (url) => {
+    const relative = decodeURIComponent(url.split("?")[0]).replace(/^\/+/, "");
+    const target = path.resolve(root, relative);
+    if (!relative || !target.startsWith(root + path.sep)) return null;
+    return target;
+  };
+
+  const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    name: "local-uploads",
+    apply: "serve",
+    configureServer(server) {
+      server.middlewares.use(base, async (req, res) => {
+        const target = resolveTarget(req.url);
+        if (!target) {
+          res.statusCode = 400;
+          res.end("Invalid path");
+          return;
+        }
+
+        try {
+          if (req.method === "PUT") {
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, await readBody(req));
+            await fs.writeFile(
+              `${target}.type`,
+              req.headers["content-type"] || "application/octet-stream",
+            );
+            res.statusCode = 201;
+            res.end();
+          } else if (req.method === "GET") {
+            const [data, type] = await Promise.all([
+              fs.readFile(target),
+              fs.readFile(`${target}.type`, "utf8"),
+            ]);
+            res.setHeader("Content-Type", type);
+            res.end(data);
+          } else if (req.method === "DELETE") {
+            await fs.rm(target, { force: true });
+            await fs.rm(`${target}.type`, { force: true });
+            res.statusCode = 204;
+            res.end();
+          } else {
+            res.statusCode = 405;
+            res.end();
+          }
+        } catch (error) {
+          res.statusCode = error.code === "ENOENT" ? 404 : 500;
+          res.end(error.message);
+        }
+      });
+    },
+  };
+}
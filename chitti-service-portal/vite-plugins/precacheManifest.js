@@ -0,0 +1,24 @@
+// Lists every file of the build in `fileName` so public/sw.js can cache them
+// all when it installs. Without it the hashed bundles would only be cached
+// once fetched through the service worker, and the first visit loads them
+// before the worker is in control.
+export default function precacheManifest({
+  fileName = "precache-manifest.json",
+} = {}) {
+  return {
+    name: "precache-manifest",
+    apply: "build",
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle)
+        .filter((name) => !name.endsWith(".map") && !name.endsWith(".html"))
+        .sort()
+        .map((name) => `/${name}`);
+
+      this.emitFile({
+        type: "asset",
+        fileName,
+        source: JSON.stringify({ files }, null, 2),
+      });
+    },
+  };
+}
@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import localUploads from './vite-plugins/localUploads.js'
+import precacheManifest from './vite-plugins/precacheManifest.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), localUploads(), precacheManifest()],
 })